@@ -0,0 +1,153 @@
+/**
+ * JuvenesAdapter
+ * Parses Juvenes restaurant pages, where each meal lists its components
+ * with their own diet codes, e.g. "Kasviscurrya (M, G, VEG)"
+ */
+
+const cheerio = require('cheerio');
+const Menu = require('../models/Menu');
+const MenuItem = require('../models/MenuItem');
+const Allergen = require('../models/Allergen');
+const SourceAdapter = require('./SourceAdapter');
+const { parseNutritionText } = require('../utils/nutrition');
+const { parsePriceText } = require('../utils/prices');
+
+class JuvenesAdapter extends SourceAdapter {
+  /**
+   * Parses menu data from HTML using Cheerio
+   */
+  parse(html) {
+    const $ = cheerio.load(html);
+    const menus = [];
+
+    try {
+      $('.jv-restaurant').each((i, element) => {
+        const menu = this.parseRestaurant($, $(element));
+        if (menu) {
+          menus.push(menu);
+        }
+      });
+    } catch (error) {
+      console.error('Error parsing Juvenes HTML:', error.message);
+      throw new Error(`HTML parsing failed: ${error.message}`);
+    }
+
+    if (menus.length === 0) {
+      console.warn('No menu data found in Juvenes HTML');
+    }
+
+    return menus;
+  }
+
+  /**
+   * Parses a single restaurant block into a Menu object
+   */
+  parseRestaurant($, $restaurant) {
+    const title = $restaurant.find('.jv-restaurant__name').first().text().trim();
+    if (!title) {
+      return null;
+    }
+
+    const items = $restaurant
+      .find('.jv-meal')
+      .toArray()
+      .map(element => this.parseMeal($, $(element)))
+      .filter(item => item !== null);
+
+    // Closed restaurants are listed without any meals
+    if (items.length === 0) {
+      return null;
+    }
+
+    return Menu.fromScrapedData({
+      title,
+      description: $restaurant.find('.jv-restaurant__info').first().text().trim(),
+      items,
+      availability: this.parseOpeningHours(
+        $restaurant.find('.jv-restaurant__hours').first().text()
+      ),
+    });
+  }
+
+  /**
+   * Parses a meal and its components into a MenuItem
+   */
+  parseMeal($, $meal) {
+    const name = $meal.find('.jv-meal__type').first().text().trim();
+    const components = $meal
+      .find('.jv-meal__component')
+      .toArray()
+      .map(element => this.parseComponent($(element).text()))
+      .filter(component => component.name.length > 0);
+
+    if (!name || components.length === 0) {
+      return null;
+    }
+
+    const description = components.map(component => component.name).join(', ');
+    const priceText = $meal.find('.jv-meal__price').first().text().trim();
+
+    try {
+      return MenuItem.fromScrapedData({
+        name,
+        description,
+        price: this.normalizePrice(priceText),
+        prices: parsePriceText(priceText),
+        dietary: this.getSharedDietCodes(components),
+        allergens: Allergen.extractFromText(description),
+        nutrition: parseNutritionText($meal.find('.jv-meal__nutrition').text()),
+      });
+    } catch (error) {
+      console.warn('Failed to create Juvenes menu item:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Splits "Kasviscurrya (M, G, VEG)" into a name and its diet codes
+   */
+  parseComponent(text) {
+    const trimmed = text.replace(/\s+/g, ' ').trim();
+    const match = trimmed.match(/^(.*?)\s*\(([^)]*)\)$/);
+
+    if (!match) {
+      return { name: trimmed, dietary: [] };
+    }
+
+    return {
+      name: match[1].trim(),
+      dietary: match[2]
+        .split(',')
+        .map(code => code.trim())
+        .filter(code => code.length > 0),
+    };
+  }
+
+  /**
+   * A meal only carries a diet code when every component has it
+   */
+  getSharedDietCodes(components) {
+    const [first, ...rest] = components;
+    return first.dietary.filter(code =>
+      rest.every(component => component.dietary.includes(code))
+    );
+  }
+
+  /**
+   * Parses Juvenes opening hours ("Lounas 10.30–14.00")
+   */
+  parseOpeningHours(text) {
+    const match = text.match(/(\d{1,2})[.:](\d{2})\s*[–-]\s*(\d{1,2})[.:](\d{2})/);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      startTime: `${match[1].padStart(2, '0')}:${match[2]}`,
+      endTime: `${match[3].padStart(2, '0')}:${match[4]}`,
+      days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+    };
+  }
+}
+
+module.exports = JuvenesAdapter;
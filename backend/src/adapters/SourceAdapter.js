@@ -0,0 +1,122 @@
+/**
+ * SourceAdapter
+ * Base class for menu sources. An adapter knows where a site publishes its
+ * menus and how to turn that site's HTML into Menu objects.
+ */
+
+const Restaurant = require('../models/Restaurant');
+
+class SourceAdapter {
+  constructor({
+    id,
+    name,
+    url,
+    campus = null,
+    restaurants = [],
+    fixtureMenus = null,
+  }) {
+    this.id = id;
+    this.name = name;
+    this.url = url;
+    this.campus = campus;
+    this.restaurants = restaurants;
+    this.fixtureMenus = fixtureMenus;
+
+    this.validate();
+
+    this.restaurants = restaurants.map(config =>
+      Restaurant.fromConfig(config, { campus: this.campus, source: this.id })
+    );
+  }
+
+  /**
+   * Validates the adapter configuration
+   */
+  validate() {
+    if (!this.id || typeof this.id !== 'string' || this.id.trim().length === 0) {
+      throw new Error('Source adapter ID is required and must be a non-empty string');
+    }
+
+    if (!this.name || typeof this.name !== 'string') {
+      throw new Error(`Source adapter ${this.id} name is required and must be a string`);
+    }
+
+    if (!this.url || typeof this.url !== 'string') {
+      throw new Error(`Source adapter ${this.id} URL is required and must be a string`);
+    }
+
+    if (!Array.isArray(this.restaurants)) {
+      throw new Error(`Source adapter ${this.id} restaurants must be an array`);
+    }
+
+    if (this.fixtureMenus !== null && typeof this.fixtureMenus !== 'function') {
+      throw new Error(`Source adapter ${this.id} fixtureMenus must be a function`);
+    }
+  }
+
+  /**
+   * Parses the source page HTML into Menu instances (implemented by subclasses)
+   */
+  parse(_html) {
+    throw new Error(`Source adapter ${this.id} does not implement parse()`);
+  }
+
+  /**
+   * Parses a page into menus per YYYY-MM-DD date, adding problems with the
+   * page to warnings. Sources that only publish the current day return the
+   * page's menus for the reference date.
+   */
+  parseWeek(html, referenceDate, _warnings = []) {
+    return { [referenceDate]: this.parse(html) };
+  }
+
+  /**
+   * Gets the restaurant names served by this source
+   */
+  getRestaurantNames() {
+    return this.restaurants.map(restaurant => restaurant.name);
+  }
+
+  /**
+   * Normalizes Finnish euro prices ("3,50 €") to the "€3.50" format
+   */
+  normalizePrice(rawPrice) {
+    const match = rawPrice.match(/(\d+)[.,](\d{2})\s*€|€\s*(\d+)[.,](\d{2})/);
+    if (!match) {
+      return rawPrice;
+    }
+
+    const euros = match[1] || match[3];
+    const cents = match[2] || match[4];
+    return `€${euros}.${cents}`;
+  }
+
+  /**
+   * Creates the static menus served in fixture mode
+   */
+  createFixtureMenus() {
+    return this.fixtureMenus ? this.fixtureMenus() : [];
+  }
+
+  /**
+   * Sets custom source URL
+   */
+  setUrl(url) {
+    this.url = url;
+  }
+
+  /**
+   * Returns a plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      url: this.url,
+      campus: this.campus,
+      restaurants: this.restaurants,
+    };
+  }
+}
+
+module.exports = SourceAdapter;
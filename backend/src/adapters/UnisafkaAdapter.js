@@ -0,0 +1,588 @@
+/**
+ * UnisafkaAdapter
+ * Parses the unisafka.fi campus pages (e.g. /tty/, /tay/)
+ */
+
+const cheerio = require('cheerio');
+const Menu = require('../models/Menu');
+const MenuItem = require('../models/MenuItem');
+const Allergen = require('../models/Allergen');
+const SourceAdapter = require('./SourceAdapter');
+const { isValidDate } = require('../utils/dateUtils');
+const { parseNutritionText } = require('../utils/nutrition');
+const { parsePriceText } = require('../utils/prices');
+
+class UnisafkaAdapter extends SourceAdapter {
+  /**
+   * Parses today's menus from HTML using Cheerio
+   */
+  parse(html) {
+    const $ = cheerio.load(html);
+    const $days = $('.day[data-date]');
+
+    // Week pages mark the current day; single-day pages are parsed whole
+    if ($days.length > 0) {
+      const $today = $days.filter('.is-today').first();
+      return this.parseDay($, $today.length > 0 ? $today : $days.first());
+    }
+
+    return this.parseDay($, null);
+  }
+
+  /**
+   * Parses every day of a week page, keyed by YYYY-MM-DD date; days without
+   * a valid date are skipped and added to warnings
+   */
+  parseWeek(html, referenceDate, warnings = []) {
+    const $ = cheerio.load(html);
+    const $days = $('.day[data-date]');
+
+    if ($days.length === 0) {
+      return { [referenceDate]: this.parseDay($, null) };
+    }
+
+    const days = {};
+    $days.each((i, element) => {
+      const $day = $(element);
+      const date = $day.attr('data-date').trim();
+
+      // The date names archive files, so it must not be taken on trust
+      if (!isValidDate(date)) {
+        warnings.push(`Skipped a day with invalid date "${date}" on ${this.url}`);
+        return;
+      }
+
+      days[date] = this.parseDay($, $day);
+    });
+
+    return days;
+  }
+
+  /**
+   * Parses the menus of one day, scoped to $root (or the whole page when null)
+   */
+  parseDay($, $root) {
+    const menus = [];
+
+    try {
+      // Look for common menu structures
+      
+      // Strategy 1: Look for sections or divs that might contain menu data
+      const menuSections = this.findMenuSections($, $root);
+      
+      if (menuSections.length > 0) {
+        menuSections.forEach((section, index) => {
+          const menu = this.parseMenuSection($, section, index);
+          if (menu) {
+            menus.push(menu);
+          }
+        });
+      } else {
+        // Strategy 2: Create a single menu from all found food items
+        const allItems = this.findAllMenuItems($, $root);
+        if (allItems.length > 0) {
+          const todayMenu = this.createTodayMenu(allItems);
+          menus.push(todayMenu);
+        }
+      }
+
+      if (menus.length === 0) {
+        console.warn('No menu data found in HTML');
+      }
+
+    } catch (error) {
+      console.error('Error parsing HTML:', error.message);
+      throw new Error(`HTML parsing failed: ${error.message}`);
+    }
+
+    return menus;
+  }
+
+  /**
+   * Selects elements within $root, or within the whole page when $root is null
+   */
+  select($, $root, selector) {
+    return $root ? $root.find(selector) : $(selector);
+  }
+
+  /**
+   * Finds potential menu sections in the HTML
+   */
+  findMenuSections($, $root = null) {
+    const sections = [];
+    
+    // Unisafka restaurant blocks first, then common selectors for menu sections
+    const selectors = [
+      '.restaurant',
+      '.menu-section',
+      '.menu-item-container',
+      '.food-menu',
+      '.daily-menu',
+      '.lunch-menu',
+      '[class*="menu"]',
+      '[id*="menu"]',
+      '.restaurant-section',
+      '.food-section',
+    ];
+
+    selectors.forEach(selector => {
+      this.select($, $root, selector).each((i, element) => {
+        if ($(element).text().trim().length <= 20) { // Needs substantial content
+          return;
+        }
+
+        // Skip elements nested in (or wrapping) an already found section
+        const overlaps = sections.some(section =>
+          section === element ||
+          $.contains(section, element) ||
+          $.contains(element, section)
+        );
+        if (!overlaps) {
+          sections.push(element);
+        }
+      });
+    });
+
+    return sections.slice(0, 10); // Limit to prevent too many sections
+  }
+
+  /**
+   * Parses a menu section into a Menu object
+   */
+  parseMenuSection($, section, index) {
+    const $section = $(section);
+    
+    // Extract menu title
+    const title = this.extractMenuTitle($, $section) || `Menu ${index + 1}`;
+    
+    // Extract menu description
+    const description = this.extractMenuDescription($, $section) || '';
+    
+    // Extract menu items
+    const items = this.extractMenuItems($, $section);
+    
+    // Extract availability if present
+    const availability = this.extractAvailability($, $section);
+
+    // Closed restaurants are listed without any items
+    if (items.length === 0) {
+      return null;
+    }
+
+    try {
+      return Menu.fromScrapedData({
+        title,
+        description,
+        items,
+        availability,
+      });
+    } catch (error) {
+      console.warn(`Failed to create menu from section ${index}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extracts menu title from section
+   */
+  extractMenuTitle($, $section) {
+    // Look for headings
+    const headings = $section.find('h1, h2, h3, h4, h5, h6, .title, .menu-title, .section-title');
+    if (headings.length > 0) {
+      return $(headings.first()).text().trim();
+    }
+
+    // Look for first bold or strong text
+    const boldText = $section.find('strong, b, .bold').first();
+    if (boldText.length > 0) {
+      return boldText.text().trim();
+    }
+
+    return null;
+  }
+
+  /**
+   * Extracts menu description from section
+   */
+  extractMenuDescription($, $section) {
+    // Look for description elements
+    const descriptions = $section.find('.description, .menu-description, .subtitle, p');
+    if (descriptions.length > 0) {
+      return $(descriptions.first()).text().trim();
+    }
+
+    return '';
+  }
+
+  /**
+   * Extracts menu items from section
+   */
+  extractMenuItems($, $section) {
+    const items = [];
+    
+    // Look for item containers
+    const itemSelectors = [
+      '.meal',
+      '.menu-item',
+      '.food-item',
+      '.dish',
+      '.item',
+      'li',
+      '.product',
+    ];
+
+    // Only parse the outermost matching containers to avoid duplicate items
+    const elements = $section.find(itemSelectors.join(', ')).toArray();
+    const outermost = elements.filter(element =>
+      !elements.some(other => other !== element && $.contains(other, element))
+    );
+
+    outermost.forEach(element => {
+      const item = this.parseMenuItem($, $(element));
+      if (item) {
+        items.push(item);
+      }
+    });
+
+    return items.slice(0, 20); // Limit items per menu
+  }
+
+  /**
+   * Parses a single menu item
+   */
+  parseMenuItem($, $element) {
+    const text = $element.text().trim();
+    
+    if (text.length < 3) {
+      return null; // Too short to be a meaningful item
+    }
+
+    // Extract name (usually the first significant text)
+    const name = this.extractItemName($, $element, text);
+    
+    // Extract price, with the amounts per customer tier
+    const priceText = this.extractItemPriceText($, $element, text);
+    const price = this.normalizePrice(priceText);
+    const prices = parsePriceText(priceText);
+    
+    // Extract description
+    const description = this.extractItemDescription($, $element, text, name);
+    
+    // Extract dietary info
+    const dietary = this.extractDietaryInfo($, $element, text);
+    
+    // Extract allergens
+    const allergens = this.extractAllergens($, $element, text);
+
+    // Extract nutrition and climate info
+    const nutrition = this.extractNutrition($, $element);
+
+    try {
+      return MenuItem.fromScrapedData({
+        name: name || text.substring(0, 50), // Fallback to first 50 chars
+        description,
+        price,
+        dietary,
+        allergens,
+        nutrition,
+        prices,
+      });
+    } catch (error) {
+      console.warn('Failed to create menu item:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extracts item name from element
+   */
+  extractItemName($, $element, text) {
+    // Look for specific name elements
+    const nameElements = $element.find('.meal-title, .name, .item-name, .dish-name, .title');
+    if (nameElements.length > 0) {
+      return nameElements.first().text().trim();
+    }
+
+    // Extract from text (before price or description)
+    const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    return lines[0] || text.split(/[€$£¥]/)[0].trim();
+  }
+
+  /**
+   * Extracts the published price text ("2,95 € / 5,70 € / 7,50 €") from element
+   */
+  extractItemPriceText($, $element, text) {
+    // Look for price elements
+    const priceElements = $element.find('.meal-price, .price, .cost, .amount');
+    if (priceElements.length > 0) {
+      return priceElements.first().text().trim();
+    }
+
+    // Extract from text using regex
+    const priceMatch = text.match(/[€$£¥]\s*\d+[.,]\d{2}|\d+[.,]\d{2}\s*[€$£¥]/);
+    return priceMatch ? priceMatch[0].trim() : '';
+  }
+
+  /**
+   * Extracts description from element
+   */
+  extractItemDescription($, $element, text, name) {
+    // Look for description elements
+    const descElements = $element.find('.meal-description, .description, .item-description, .details');
+    if (descElements.length > 0) {
+      return descElements.first().text().trim();
+    }
+
+    // Extract from text (after name, before price)
+    const withoutName = name ? text.replace(name, '').trim() : text;
+    const withoutPrice = withoutName.replace(/[€$£¥]\s*\d+[.,]\d{2}|\d+[.,]\d{2}\s*[€$£¥]/g, '').trim();
+    
+    return withoutPrice.length > 10 ? withoutPrice : '';
+  }
+
+  /**
+   * Extracts dietary information
+   */
+  extractDietaryInfo($, $element, text) {
+    // Unisafka lists diet codes (e.g. "G, M") in their own element
+    const dietElements = $element.find('.meal-diets, .diets');
+    if (dietElements.length > 0) {
+      return dietElements.first().text()
+        .split(/[,\s]+/)
+        .map(code => code.trim())
+        .filter(code => code.length > 0);
+    }
+
+    const dietary = [];
+    const lowerText = text.toLowerCase();
+    
+    // Common dietary indicators
+    const dietaryKeywords = {
+      'vegetarian': ['vegetarian', 'veggie', 'veg'],
+      'vegan': ['vegan'],
+      'gluten-free': ['gluten-free', 'gluten free', 'gluteeniton'],
+      'dairy-free': ['dairy-free', 'dairy free', 'laktoositon'],
+      'organic': ['organic', 'luomu'],
+    };
+
+    Object.entries(dietaryKeywords).forEach(([category, keywords]) => {
+      if (keywords.some(keyword => lowerText.includes(keyword))) {
+        dietary.push(category);
+      }
+    });
+
+    return dietary;
+  }
+
+  /**
+   * Extracts allergen information
+   */
+  extractAllergens($, $element, text) {
+    // Unisafka has no allergen column, so look for allergens named in the text
+    return Allergen.extractFromText(text);
+  }
+
+  /**
+   * Extracts nutrition and carbon footprint values, which unisafka lists in
+   * their own elements for some dishes
+   */
+  extractNutrition($, $element) {
+    const text = $element.find('.meal-nutrition, .meal-climate, .nutrition')
+      .toArray()
+      .map(element => $(element).text())
+      .join(' ');
+
+    return parseNutritionText(text);
+  }
+
+  /**
+   * Extracts availability information
+   */
+  extractAvailability($, $section) {
+    // Look for time information
+    const timeText = $section.text().toLowerCase();
+    const timeMatch = timeText.match(/(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})/);
+    
+    if (timeMatch) {
+      return {
+        startTime: `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`,
+        endTime: `${timeMatch[3].padStart(2, '0')}:${timeMatch[4]}`,
+        days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+      };
+    }
+
+    // Default availability for weekdays
+    return {
+      startTime: '11:00',
+      endTime: '14:00',
+      days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+    };
+  }
+
+  /**
+   * Finds all menu items in the HTML when no clear sections exist
+   */
+  findAllMenuItems($, $root = null) {
+    const items = [];
+    
+    // Look for any elements that might contain food items
+    const itemElements = this.select($, $root, '.item, .dish, .food, li').filter((i, el) => {
+      const text = $(el).text().trim();
+      return text.length > 10 && text.length < 200; // Reasonable item length
+    });
+
+    itemElements.each((i, element) => {
+      const item = this.parseMenuItem($, $(element));
+      if (item) {
+        items.push(item);
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * Creates a single menu from all found items
+   */
+  createTodayMenu(items) {
+    const today = new Date().toLocaleDateString('en-US', { weekday: 'long' });
+    
+    return Menu.fromScrapedData({
+      title: `Today's Menu (${today})`,
+      description: 'Available food items for today',
+      items,
+      availability: {
+        startTime: '11:00',
+        endTime: '15:00',
+        days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+      },
+    });
+  }
+
+  /**
+   * Parse restaurant sections from the full text
+   */
+  parseRestaurantSections(fullText) {
+    const restaurants = [];
+    
+    // Restaurant names configured for this campus
+    const sectionPatterns = this.getRestaurantNames();
+    
+    // Split by restaurant sections
+    for (const sectionName of sectionPatterns) {
+      const nextSections = [...sectionPatterns.filter(p => p !== sectionName), '$'].join('|');
+      const sectionRegex = new RegExp(`(${sectionName}[\\s\\S]*?)(?=${nextSections})`, 'i');
+      const match = fullText.match(sectionRegex);
+      
+      if (match) {
+        const sectionText = match[1];
+        const items = this.parseMenuItemsFromSection(sectionText);
+        
+        if (items.length > 0) {
+          restaurants.push({
+            name: sectionName,
+            items: items
+          });
+        }
+      }
+    }
+    
+    // If no restaurants found, try to parse the whole text
+    if (restaurants.length === 0) {
+      const items = this.parseMenuItemsFromSection(fullText);
+      if (items.length > 0) {
+        restaurants.push({
+          name: this.name,
+          items: items
+        });
+      }
+    }
+    
+    return restaurants;
+  }
+  
+  /**
+   * Parse individual menu items from a section text
+   */
+  parseMenuItemsFromSection(sectionText) {
+    const items = [];
+    
+    // Look for menu item patterns - typically food name followed by dietary info
+    const itemPatterns = [
+      // Pattern: "DISH NAME ... dietary codes"
+      /([A-ZÄÖÅ][^A-Z]*?)\s+([GL,M,KASV,VEG,A,ILM,L,VS,MU,SIS.LUOMUA,*,\s]+)(?=\s+[A-Z]|$)/g,
+      // Pattern: "From our favorites" etc
+      /(From\s+our\s+\w+\s*\d*)\s+([^A-Z]+?)(?=\s+[A-Z]|$)/gi,
+      // Pattern: "FROM THE FIELD" etc
+      /(FROM\s+THE\s+\w+(?:\s+\w+)?)\s+([^A-Z]+?)(?=\s+[A-Z]|$)/gi
+    ];
+    
+    for (const pattern of itemPatterns) {
+      let match;
+      while ((match = pattern.exec(sectionText)) !== null) {
+        const name = match[1].trim();
+        const description = match[2].trim();
+        
+        if (name.length > 3 && !name.match(/^[GL,M,KASV,VEG,A,ILM,L,VS,MU]+$/)) {
+          const menuItem = MenuItem.fromScrapedData({
+            name: name.length > 50 ? name.substring(0, 50) + '...' : name,
+            description: description,
+            price: this.extractPrice(description),
+            dietary: this.extractDietaryInfoFromText(description)
+          });
+          items.push(menuItem);
+        }
+      }
+    }
+    
+    // Simple fallback: split by common patterns
+    if (items.length === 0) {
+      const simpleItems = sectionText.split(/(?=FROM THE |From our |LOUNAS |FUSION |STREET |SANDWICH )/i)
+        .filter(item => item.trim().length > 10)
+        .slice(0, 10); // Limit to 10 items
+      
+      for (const itemText of simpleItems) {
+        if (itemText.trim().length > 5) {
+          const lines = itemText.trim().split(/\s{2,}/);
+          const name = lines[0] ? lines[0].substring(0, 50) : 'Menu Item';
+          const description = itemText.trim();
+          
+          const menuItem = MenuItem.fromScrapedData({
+            name: name,
+            description: description.length > 200 ? description.substring(0, 200) + '...' : description,
+            price: this.extractPrice(description),
+            dietary: this.extractDietaryInfoFromText(description)
+          });
+          items.push(menuItem);
+        }
+      }
+    }
+    
+    return items;
+  }
+  
+  /**
+   * Extract price from menu text
+   */
+  extractPrice(text) {
+    const priceMatch = text.match(/€?\s?(\d+[.,]\d{2})\s?€?/);
+    return priceMatch ? `€${priceMatch[1].replace(',', '.')}` : '';
+  }
+  
+  /**
+   * Extract dietary information from menu text
+   */
+  extractDietaryInfoFromText(text) {
+    const dietaryInfo = [];
+    const upperText = text.toUpperCase();
+    
+    if (upperText.includes('VEGAN') || upperText.includes('VEGAANI')) dietaryInfo.push('vegan');
+    if (upperText.includes('VEGETARIAN') || upperText.includes('KASVIS')) dietaryInfo.push('vegetarian');
+    if (upperText.includes('GLUTEN') || upperText.includes('G,')) dietaryInfo.push('gluten-free');
+    if (upperText.includes('LACTOSE') || upperText.includes('L,') || upperText.includes('M,')) dietaryInfo.push('lactose-free');
+    
+    return dietaryInfo;
+  }
+}
+
+module.exports = UnisafkaAdapter;
@@ -10,16 +10,27 @@ require('dotenv').config();
 // Import services
 const MenuService = require('./services/MenuService');
 const RandomSelectionService = require('./services/RandomSelectionService');
+const SchedulerService = require('./services/SchedulerService');
+const PollService = require('./services/PollService');
+const EventService = require('./services/EventService');
+const WebhookService = require('./services/WebhookService');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./middleware/logger');
 const rateLimiter = require('./middleware/rateLimiter');
+const clientId = require('./middleware/clientId');
 
 // Import routes
 const healthRoutes = require('./routes/health');
 const menuRoutes = require('./routes/menus');
 const cacheRoutes = require('./routes/cache');
+const restaurantRoutes = require('./routes/restaurants');
+const schedulerRoutes = require('./routes/scheduler');
+const pollRoutes = require('./routes/polls');
+const eventRoutes = require('./routes/events');
+const webhookRoutes = require('./routes/webhooks');
+const feedRoutes = require('./routes/feeds');
 
 class TunisafkaApp {
   constructor() {
@@ -27,8 +38,15 @@ class TunisafkaApp {
     this.port = process.env.PORT || 3001;
     
     // Initialize services
-    this.menuService = new MenuService();
+    this.eventService = new EventService();
+    this.webhookService = new WebhookService();
+    this.menuService = new MenuService({
+      eventService: this.eventService,
+      webhookService: this.webhookService,
+    });
     this.randomSelectionService = new RandomSelectionService();
+    this.schedulerService = new SchedulerService(this.menuService);
+    this.pollService = new PollService(this.randomSelectionService, { eventService: this.eventService });
     
     // Setup middleware and routes
     this.setupMiddleware();
@@ -48,7 +66,7 @@ class TunisafkaApp {
     this.app.use((req, res, next) => {
       res.header('Access-Control-Allow-Origin', '*');
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-Client-Id');
       res.header('Access-Control-Max-Age', '86400');
       next();
     });
@@ -57,7 +75,7 @@ class TunisafkaApp {
     const corsOptions = {
       origin: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Client-Id'],
       credentials: false,
       maxAge: 86400,
     };
@@ -69,6 +87,9 @@ class TunisafkaApp {
     // Rate limiting
     this.app.use('/api', rateLimiter);
 
+    // Anonymous client ID for per-client selection history
+    this.app.use('/api', clientId);
+
     // Security headers
     this.app.use(this.securityHeaders);
 
@@ -76,6 +97,10 @@ class TunisafkaApp {
     this.app.use((req, res, next) => {
       req.menuService = this.menuService;
       req.randomSelectionService = this.randomSelectionService;
+      req.schedulerService = this.schedulerService;
+      req.pollService = this.pollService;
+      req.eventService = this.eventService;
+      req.webhookService = this.webhookService;
       next();
     });
   }
@@ -132,6 +157,12 @@ class TunisafkaApp {
     // API routes
     this.app.use('/api/menus', menuRoutes);
     this.app.use('/api/cache', cacheRoutes);
+    this.app.use('/api/restaurants', restaurantRoutes);
+    this.app.use('/api/scheduler', schedulerRoutes);
+    this.app.use('/api/polls', pollRoutes);
+    this.app.use('/api/events', eventRoutes);
+    this.app.use('/api/webhooks', webhookRoutes);
+    this.app.use('/api/feeds', feedRoutes);
 
     // Root endpoint
     this.app.get('/', (req, res) => {
@@ -143,7 +174,17 @@ class TunisafkaApp {
           health: '/api/health',
           menus: '/api/menus',
           randomMenu: '/api/menus/random',
+          weightedRandomMenu: '/api/menus/random/weighted',
+          weekMenus: '/api/menus/week',
+          menuCalendar: '/api/menus/calendar.ics',
+          restaurants: '/api/restaurants',
           cache: '/api/cache',
+          scheduler: '/api/scheduler/status',
+          polls: '/api/polls',
+          events: '/api/events',
+          webhooks: '/api/webhooks',
+          atomFeed: '/api/feeds/menus.atom',
+          rssFeed: '/api/feeds/menus.rss',
         },
         documentation: '/api/docs',
         timestamp: new Date().toISOString(),
@@ -167,15 +208,105 @@ class TunisafkaApp {
           {
             path: '/menus',
             method: 'GET',
-            description: 'Get all available menus',
-            response: 'Array of menu objects with scraping metadata',
+            description: 'Get all available menus (filter with ?campus=hervanta&restaurant=reaktori,newton&excludeAllergens=nuts,fish; ?priceTier=student|staff|guest for the prices of that tier; ?format=csv|text|markdown or Accept: text/csv, text/plain, text/markdown for exports)',
+            response: 'Array of menu objects with scraping metadata, or a CSV/plain-text/Markdown export',
+          },
+          {
+            path: '/menus/search',
+            method: 'GET',
+            description: 'Search dishes across archived days (?q=curry&from=2025-09-01&to=2025-09-30)',
+            response: 'Matching menu items with their restaurant and date, newest first',
+          },
+          {
+            path: '/menus/week',
+            method: 'GET',
+            description: 'Get menus for every day of the current week',
+            response: 'Days from Monday to Sunday, each with its menus',
+          },
+          {
+            path: '/menus/date/:date',
+            method: 'GET',
+            description: 'Get menus for a YYYY-MM-DD date of the current week',
+            response: 'Array of menu objects for that date',
+          },
+          {
+            path: '/menus/changes',
+            method: 'GET',
+            description: 'Get the items added, removed or changed between scrapes of a date (?date=2025-09-18, default today)',
+            response: 'Detected changes per restaurant, newest last, and the updated item IDs by menu',
+          },
+          {
+            path: '/menus/calendar.ics',
+            method: 'GET',
+            description: 'iCalendar feed with each day\'s lunch per restaurant over the archive and the current week (?restaurant=reaktori,newton)',
+            response: 'text/calendar with one event per restaurant and day',
+          },
+          {
+            path: '/feeds/menus.atom',
+            method: 'GET',
+            description: 'Atom feed of the last 14 days of menus, one entry per restaurant and day (RSS 2.0 at /feeds/menus.rss)',
+            response: 'application/atom+xml',
+          },
+          {
+            path: '/restaurants',
+            method: 'GET',
+            description: 'List restaurants of the enabled sources',
+            response: 'Array of restaurants with id, name, campus, address and opening hours',
           },
           {
             path: '/menus/random',
             method: 'GET',
-            description: 'Get a randomly selected menu',
+            description: 'Get a randomly selected menu (criteria: ?dietary=vegan&excludeAllergens=nuts&maxPrice=3.50&priceTier=staff&restaurant=reaktori&openNow=true&avoidRecent=3&lowCarbon=true&highProtein=true; ?seed=demo for a reproducible pick)',
             response: 'Single menu object marked as selected',
           },
+          {
+            path: '/menus/random/weighted',
+            method: 'GET',
+            description: 'Get a menu selected with tunable weights (?itemCountBonus=0.5&dietaryBonus=1&availabilityBonus=2&priceBonus=3&favourite=reaktori&favouriteBonus=2)',
+            response: 'Selected menu with every candidate\'s weight, probability and weight breakdown',
+          },
+          {
+            path: '/polls',
+            method: 'POST',
+            description: 'Create a lunch poll from today\'s menus ({ "title": "Friday lunch", "menuIds": ["hertsi", "reaktori"], "closesInMinutes": 30 })',
+            response: 'The poll with its ID and empty tally',
+          },
+          {
+            path: '/polls/:id/votes',
+            method: 'POST',
+            description: 'Vote in a poll ({ "participant": "Aino", "optionId": "hertsi" }); voting again replaces the earlier vote',
+            response: 'The poll with its updated tally',
+          },
+          {
+            path: '/polls/:id',
+            method: 'GET',
+            description: 'Get a poll with its tally and winner (ties are broken at random)',
+            response: 'The poll, vote counts per option and the winner',
+          },
+          {
+            path: '/events',
+            method: 'GET',
+            description: 'Server-Sent Events stream of menus.updated, cache.cleared and poll.updated (resumes from Last-Event-ID)',
+            response: 'text/event-stream',
+          },
+          {
+            path: '/webhooks',
+            method: 'POST',
+            description: 'Register a webhook ({ "url": "https://example.com/hook", "events": ["menus.published", "dish.matched"], "keywords": ["lohikeitto"] })',
+            response: 'The webhook and its signing secret (shown only once)',
+          },
+          {
+            path: '/webhooks/:id/deliveries',
+            method: 'GET',
+            description: 'Get the logged deliveries to a webhook, with every attempt (also GET/DELETE /webhooks/:id, POST /webhooks/:id/test)',
+            response: 'Deliveries newest first',
+          },
+          {
+            path: '/scheduler/status',
+            method: 'GET',
+            description: 'Status of the background scraping scheduler',
+            response: 'Last run, next run and recent failures',
+          },
         ],
         examples: {
           menuObject: {
@@ -189,7 +320,7 @@ class TunisafkaApp {
                 description: 'Spicy chicken curry with rice',
                 price: '€8.90',
                 dietary: ['gluten-free'],
-                allergens: ['contains dairy'],
+                allergens: [{ allergen: 'milk', state: 'contains' }],
                 availability: '',
               },
             ],
@@ -217,7 +348,14 @@ class TunisafkaApp {
           '/api/health',
           '/api/menus',
           '/api/menus/random',
+          '/api/restaurants',
           '/api/cache',
+          '/api/scheduler/status',
+          '/api/polls',
+          '/api/events',
+          '/api/webhooks',
+          '/api/feeds/menus.atom',
+          '/api/feeds/menus.rss',
           '/api/docs',
         ],
       });
@@ -257,6 +395,11 @@ class TunisafkaApp {
           console.log(`🎲 Random menu: http://localhost:${this.port}/api/menus/random`);
           console.log(`📚 Documentation: http://localhost:${this.port}/api/docs`);
           console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+          // Pre-warm the cache in the background unless disabled
+          if (process.env.SCHEDULER_ENABLED !== 'false') {
+            this.schedulerService.start();
+          }
           
           resolve(server);
         });
@@ -286,6 +429,9 @@ class TunisafkaApp {
    */
   gracefulShutdown(signal, server = null) {
     console.log(`\n🛑 ${signal} received. Starting graceful shutdown...`);
+    this.schedulerService.stop();
+    // Open event streams would keep server.close() waiting
+    this.eventService.closeAll();
 
     if (server) {
       server.close((error) => {
@@ -0,0 +1,43 @@
+/**
+ * Client ID Middleware
+ * Reads the anonymous client ID that the frontend sends in the X-Client-Id
+ * header or the tunisafka_client_id cookie, so that selection history can be
+ * kept per client. Missing or malformed IDs leave req.clientId null.
+ */
+
+const CLIENT_ID_HEADER = 'X-Client-Id';
+const CLIENT_ID_COOKIE = 'tunisafka_client_id';
+const CLIENT_ID_REGEX = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Gets a cookie value from the Cookie header
+ */
+const getCookie = (cookieHeader, name) => {
+  if (!cookieHeader) {
+    return null;
+  }
+
+  const cookie = cookieHeader
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  if (!cookie) {
+    return null;
+  }
+
+  try {
+    return decodeURIComponent(cookie.slice(name.length + 1));
+  } catch {
+    return null;
+  }
+};
+
+const clientId = (req, res, next) => {
+  const candidate = req.get(CLIENT_ID_HEADER) || getCookie(req.get('Cookie'), CLIENT_ID_COOKIE);
+
+  req.clientId = candidate && CLIENT_ID_REGEX.test(candidate) ? candidate : null;
+  next();
+};
+
+module.exports = clientId;
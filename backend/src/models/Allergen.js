@@ -0,0 +1,261 @@
+/**
+ * Allergen Model
+ * One of the 14 allergens regulated by the EU food information regulation
+ * (1169/2011), with whether a menu item contains it, may contain it or is
+ * free of it
+ */
+
+const ALLERGENS = [
+  'gluten',
+  'crustaceans',
+  'eggs',
+  'fish',
+  'peanuts',
+  'soybeans',
+  'milk',
+  'nuts',
+  'celery',
+  'mustard',
+  'sesame',
+  'sulphites',
+  'lupin',
+  'molluscs',
+];
+
+const STATES = {
+  CONTAINS: 'contains',
+  MAY_CONTAIN: 'may-contain',
+  FREE_OF: 'free-of',
+};
+
+// When sources disagree the riskier state wins
+const STATE_PRIORITY = [STATES.CONTAINS, STATES.MAY_CONTAIN, STATES.FREE_OF];
+
+// Word beginnings that name each allergen in English or Finnish menus;
+// Finnish entries are stems so that inflected forms ("pähkinöistä") match
+const KEYWORDS = {
+  gluten: ['gluten', 'gluteeni', 'wheat', 'vehnä', 'rye', 'ruis', 'rukii', 'barley', 'ohra', 'oat', 'kaura', 'spelt', 'speltti'],
+  crustaceans: ['crustacean', 'shrimp', 'prawn', 'crab', 'lobster', 'katkarap', 'katkarav', 'rapu', 'ravu', 'hummeri', 'äyriäi'],
+  eggs: ['egg(?!plant)', 'mayo', 'muna(?!koiso)', 'kananmuna', 'majonee'],
+  fish: ['fish', 'kala', 'salmon', 'lohi', 'trout', 'taimen', 'tuna', 'tonnikala', 'cod', 'turska', 'silak', 'muiku', 'muikku'],
+  peanuts: ['peanut', 'maapähkin'],
+  soybeans: ['soy', 'soija', 'soja', 'tofu'],
+  milk: ['milk', 'dairy', 'cheese', 'cream', 'butter(?!nut)', 'maito', 'maido', 'juusto', 'kerma', 'smetana', 'jogurt', 'rahka'],
+  nuts: ['nuts', 'tree nut', 'almond', 'hazelnut', 'walnut', 'cashew', 'pecan', 'pistachio', 'pähkin', 'mantel', 'hasselpähkin', 'saksanpähkin', 'cashewpähkin'],
+  celery: ['celery', 'selleri'],
+  mustard: ['mustard', 'sinappi', 'sinapi'],
+  sesame: ['sesame', 'seesam'],
+  sulphites: ['sulphite', 'sulfite', 'sulfiitti', 'sulphur dioxide', 'rikkidioksidi'],
+  lupin: ['lupin', 'lupiini'],
+  molluscs: ['mollusc', 'mussel', 'simpuk', 'squid', 'kalmari', 'octopus', 'mustekal', 'oyster', 'osteri'],
+};
+
+// Diet tags that rule allergens out
+const DIET_TAG_FREE_OF = {
+  'gluten-free': ['gluten'],
+  'milk-free': ['milk'],
+  'egg-free': ['eggs'],
+  vegan: ['milk', 'eggs', 'fish', 'crustaceans', 'molluscs'],
+};
+
+const TRACE_PATTERN = /may contain|traces? of|voi sisältää|saattaa sisältää|jäämiä/i;
+const FREE_PATTERN = /^(?:-|\s)?free\b/i;
+const STATE_PREFIXES = [
+  [/^(?:may contain|voi sisältää|saattaa sisältää)\s+/i, STATES.MAY_CONTAIN],
+  [/^(?:free of|free from|ei sisällä)\s+/i, STATES.FREE_OF],
+  [/^(?:contains|sisältää)\s+/i, STATES.CONTAINS],
+];
+
+class Allergen {
+  constructor({ allergen, state = STATES.CONTAINS }) {
+    this.allergen = allergen;
+    this.state = state;
+
+    this.validate();
+  }
+
+  /**
+   * Validates the allergen against the EU list and the known states
+   */
+  validate() {
+    if (!ALLERGENS.includes(this.allergen)) {
+      throw new Error(`Unknown allergen: ${this.allergen}. Expected one of: ${ALLERGENS.join(', ')}`);
+    }
+
+    if (!Object.values(STATES).includes(this.state)) {
+      throw new Error(`Unknown allergen state: ${this.state}. Expected one of: ${Object.values(STATES).join(', ')}`);
+    }
+  }
+
+  /**
+   * Finds the allergen a word or phrase names ("dairy", "pähkinä"), or null
+   */
+  static identify(text) {
+    if (typeof text !== 'string') {
+      return null;
+    }
+
+    const normalized = text.trim().toLowerCase();
+    if (ALLERGENS.includes(normalized)) {
+      return normalized;
+    }
+
+    const match = Allergen.findMentions(normalized)[0];
+    return match ? match.allergen : null;
+  }
+
+  /**
+   * Finds every allergen keyword at the start of a word, with its position
+   */
+  static findMentions(text) {
+    const mentions = [];
+
+    Object.entries(KEYWORDS).forEach(([allergen, keywords]) => {
+      const pattern = new RegExp(`(?<!\\p{L})(?:${keywords.join('|')})\\p{L}*`, 'giu');
+      for (const match of text.matchAll(pattern)) {
+        mentions.push({ allergen, index: match.index, word: match[0] });
+      }
+    });
+
+    return mentions.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Parses a single label such as "contains dairy", "may contain nuts" or
+   * a stored { allergen, state } object; returns null when not recognized
+   */
+  static fromData(data) {
+    if (data instanceof Allergen) {
+      return data;
+    }
+
+    if (data && typeof data === 'object') {
+      try {
+        return new Allergen(data);
+      } catch {
+        return null;
+      }
+    }
+
+    if (typeof data !== 'string') {
+      return null;
+    }
+
+    let label = data.trim();
+    let state = STATES.CONTAINS;
+    const prefix = STATE_PREFIXES.find(([pattern]) => pattern.test(label));
+    if (prefix) {
+      label = label.replace(prefix[0], '');
+      state = prefix[1];
+    } else if (/(?:-|\s)free$/i.test(label)) {
+      label = label.replace(/(?:-|\s)free$/i, '');
+      state = STATES.FREE_OF;
+    }
+
+    const allergen = Allergen.identify(label);
+    return allergen ? new Allergen({ allergen, state }) : null;
+  }
+
+  /**
+   * Finds the allergens mentioned in free menu text. Mentions after "may
+   * contain" become traces, and "gluten-free" or "gluteeniton" mark the
+   * item as free of the allergen.
+   */
+  static extractFromText(text) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return [];
+    }
+
+    const allergens = Allergen.findMentions(text).map(({ allergen, index, word }) => {
+      const clauseStart = Math.max(...['.', ';', ':', '\n'].map(mark => text.lastIndexOf(mark, index)));
+      const before = text.slice(clauseStart + 1, index);
+      const after = text.slice(index + word.length);
+
+      let state = STATES.CONTAINS;
+      if (/(?:ton|tön)$/i.test(word) || FREE_PATTERN.test(after)) {
+        state = STATES.FREE_OF;
+      } else if (TRACE_PATTERN.test(before)) {
+        state = STATES.MAY_CONTAIN;
+      }
+
+      return new Allergen({ allergen, state });
+    });
+
+    return Allergen.merge(allergens);
+  }
+
+  /**
+   * Gets the allergens that dietary tags rule out ("gluten-free" -> free of gluten)
+   */
+  static fromDietTags(tags) {
+    if (!Array.isArray(tags)) {
+      return [];
+    }
+
+    const allergens = tags.flatMap(tag => DIET_TAG_FREE_OF[tag] || []);
+    return Allergen.merge(allergens.map(allergen => new Allergen({ allergen, state: STATES.FREE_OF })));
+  }
+
+  /**
+   * Parses a list of labels or objects, dropping the unrecognized ones
+   */
+  static parseList(list) {
+    if (!Array.isArray(list)) {
+      return [];
+    }
+
+    return Allergen.merge(list.map(data => Allergen.fromData(data)).filter(Boolean));
+  }
+
+  /**
+   * Keeps one entry per allergen, preferring the riskier state
+   */
+  static merge(allergens) {
+    const byAllergen = new Map();
+
+    allergens.forEach(entry => {
+      const existing = byAllergen.get(entry.allergen);
+      if (!existing || STATE_PRIORITY.indexOf(entry.state) < STATE_PRIORITY.indexOf(existing.state)) {
+        byAllergen.set(entry.allergen, entry);
+      }
+    });
+
+    return ALLERGENS.filter(allergen => byAllergen.has(allergen)).map(allergen => byAllergen.get(allergen));
+  }
+
+  /**
+   * Checks whether the item contains the allergen, or may contain traces
+   * of it when includeTraces is set
+   */
+  isPresent({ includeTraces = false } = {}) {
+    return this.state === STATES.CONTAINS || (includeTraces && this.state === STATES.MAY_CONTAIN);
+  }
+
+  /**
+   * Gets a readable label ("May contain nuts")
+   */
+  getLabel() {
+    const prefix = {
+      [STATES.CONTAINS]: 'Contains',
+      [STATES.MAY_CONTAIN]: 'May contain',
+      [STATES.FREE_OF]: 'Free of',
+    }[this.state];
+
+    return `${prefix} ${this.allergen}`;
+  }
+
+  /**
+   * Returns a plain object representation
+   */
+  toJSON() {
+    return {
+      allergen: this.allergen,
+      state: this.state,
+    };
+  }
+}
+
+Allergen.ALLERGENS = ALLERGENS;
+Allergen.STATES = STATES;
+
+module.exports = Allergen;
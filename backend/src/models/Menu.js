@@ -3,6 +3,8 @@
  * Represents a complete food menu offering from the university cafeteria
  */
 
+const Allergen = require('./Allergen');
+
 class Menu {
   constructor({
     id,
@@ -12,6 +14,7 @@ class Menu {
     availability = null,
     lastUpdated = null,
     isSelected = false,
+    source = null,
   }) {
     this.id = id;
     this.title = title;
@@ -20,6 +23,7 @@ class Menu {
     this.availability = availability;
     this.lastUpdated = lastUpdated || new Date().toISOString();
     this.isSelected = isSelected;
+    this.source = source;
 
     this.validate();
   }
@@ -47,6 +51,10 @@ class Menu {
     if (typeof this.isSelected !== 'boolean') {
       throw new Error('isSelected must be a boolean');
     }
+
+    if (this.source !== null && typeof this.source !== 'string') {
+      throw new Error('Menu source must be null or a string');
+    }
   }
 
   /**
@@ -101,6 +109,7 @@ class Menu {
       availability: data.availability,
       lastUpdated: new Date().toISOString(),
       isSelected: false,
+      source: data.source || null,
     });
   }
 
@@ -124,6 +133,7 @@ class Menu {
       availability: this.availability,
       lastUpdated: this.lastUpdated,
       isSelected: this.isSelected,
+      source: this.source,
     };
   }
 
@@ -139,9 +149,31 @@ class Menu {
       availability: this.availability ? { ...this.availability } : null,
       lastUpdated: this.lastUpdated,
       isSelected: this.isSelected,
+      source: this.source,
     });
   }
 
+  /**
+   * Creates a copy without the items that contain, or may contain, any of
+   * the allergens
+   */
+  withoutAllergens(allergens) {
+    const menu = this.clone();
+    menu.items = this.items.filter(item =>
+      !allergens.some(allergen => item.containsAllergen(allergen, { includeTraces: true }))
+    );
+    return menu;
+  }
+
+  /**
+   * Creates a copy whose items show the prices of a customer tier
+   */
+  withPriceTier(tier) {
+    const menu = this.clone();
+    menu.items = this.items.map(item => item.withPriceTier(tier));
+    return menu;
+  }
+
   /**
    * Checks if menu is currently available based on time and day
    */
@@ -193,13 +225,8 @@ class Menu {
    * Gets all allergens for items in this menu
    */
   getAllAllergens() {
-    const allergens = new Set();
-    this.items.forEach(item => {
-      if (item.allergens && Array.isArray(item.allergens)) {
-        item.allergens.forEach(allergen => allergens.add(allergen));
-      }
-    });
-    return Array.from(allergens);
+    // One entry per allergen; an item that contains it outweighs one free of it
+    return Allergen.parseList(this.items.flatMap(item => item.allergens || []));
   }
 
   /**
@@ -3,6 +3,16 @@
  * Represents an individual food item within a menu
  */
 
+const Allergen = require('./Allergen');
+const { foldText, tokenizeQuery } = require('../utils/textUtils');
+const {
+  NUTRITION_FIELDS,
+  LOW_CARBON_MAX_CO2E,
+  HIGH_PROTEIN_MIN_PROTEIN,
+  normalizeNutrition,
+} = require('../utils/nutrition');
+const { PRICE_TIERS, DEFAULT_PRICE_TIER, normalizePrices, formatPrice } = require('../utils/prices');
+
 class MenuItem {
   constructor({
     id,
@@ -10,16 +20,24 @@ class MenuItem {
     description = '',
     price = '',
     dietary = [],
+    dietCodes = [],
     allergens = [],
     availability = '',
+    nutrition = null,
+    prices = null,
   }) {
     this.id = id;
     this.name = name;
     this.description = description;
     this.price = price;
     this.dietary = dietary;
+    this.dietCodes = dietCodes;
     this.allergens = allergens;
     this.availability = availability;
+    // Optional per-portion values: kcal, protein/fat/carbs/salt in grams, co2e in kg
+    this.nutrition = nutrition;
+    // Optional { currency, student, staff, guest } amounts; price stays the display string
+    this.prices = prices;
 
     this.validate();
   }
@@ -48,13 +66,54 @@ class MenuItem {
       throw new Error('MenuItem dietary must be an array');
     }
 
-    if (!Array.isArray(this.allergens)) {
-      throw new Error('MenuItem allergens must be an array');
+    if (!Array.isArray(this.dietCodes) || !this.dietCodes.every(entry => entry && entry.code && entry.tag)) {
+      throw new Error('MenuItem diet codes must be an array of { code, tag } objects');
+    }
+
+    if (!Array.isArray(this.allergens) || !this.allergens.every(entry => entry instanceof Allergen)) {
+      throw new Error('MenuItem allergens must be an array of Allergen instances');
     }
 
     if (typeof this.availability !== 'string') {
       throw new Error('MenuItem availability must be a string');
     }
+
+    if (this.nutrition !== null) {
+      if (typeof this.nutrition !== 'object' || Array.isArray(this.nutrition)) {
+        throw new Error('MenuItem nutrition must be null or an object');
+      }
+
+      const fields = Object.keys(NUTRITION_FIELDS);
+      Object.entries(this.nutrition).forEach(([field, value]) => {
+        if (!fields.includes(field)) {
+          throw new Error(`Unknown MenuItem nutrition field: ${field}. Expected one of: ${fields.join(', ')}`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          throw new Error(`MenuItem nutrition ${field} must be a non-negative number`);
+        }
+      });
+    }
+
+    if (this.prices !== null) {
+      if (typeof this.prices !== 'object' || Array.isArray(this.prices)) {
+        throw new Error('MenuItem prices must be null or an object');
+      }
+
+      const { currency, ...amounts } = this.prices;
+      if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) {
+        throw new Error('MenuItem prices currency must be a three-letter currency code');
+      }
+
+      const tiers = Object.keys(PRICE_TIERS);
+      Object.entries(amounts).forEach(([tier, amount]) => {
+        if (!tiers.includes(tier)) {
+          throw new Error(`Unknown MenuItem price tier: ${tier}. Expected one of: ${tiers.join(', ')}`);
+        }
+        if (amount !== null && (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0)) {
+          throw new Error(`MenuItem ${tier} price must be null or a non-negative number`);
+        }
+      });
+    }
   }
 
   /**
@@ -79,8 +138,11 @@ class MenuItem {
       description: data.description || '',
       price: data.price || '',
       dietary: Array.isArray(data.dietary) ? data.dietary : [],
-      allergens: Array.isArray(data.allergens) ? data.allergens : [],
+      dietCodes: Array.isArray(data.dietCodes) ? data.dietCodes : [],
+      allergens: Allergen.parseList(data.allergens),
       availability: data.availability || '',
+      nutrition: normalizeNutrition(data.nutrition),
+      prices: normalizePrices(data.prices),
     });
   }
 
@@ -94,8 +156,11 @@ class MenuItem {
       description: this.description,
       price: this.price,
       dietary: this.dietary,
-      allergens: this.allergens,
+      dietCodes: this.dietCodes,
+      allergens: this.allergens.map(entry => entry.toJSON()),
       availability: this.availability,
+      nutrition: this.nutrition,
+      prices: this.prices,
     };
   }
 
@@ -109,15 +174,23 @@ class MenuItem {
       description: this.description,
       price: this.price,
       dietary: [...this.dietary],
+      dietCodes: this.dietCodes.map(entry => ({ ...entry })),
       allergens: [...this.allergens],
       availability: this.availability,
+      nutrition: this.nutrition ? { ...this.nutrition } : null,
+      prices: this.prices ? { ...this.prices } : null,
     });
   }
 
   /**
-   * Parses price string to numeric value
+   * Gets the numeric price of a customer tier (student by default), parsing
+   * the price string when the item has no structured prices; 0 without a price
    */
-  getPriceNumeric() {
+  getPriceNumeric(tier = DEFAULT_PRICE_TIER) {
+    if (this.prices) {
+      return this.prices[tier] || 0;
+    }
+
     if (!this.price) return 0;
     
     // Extract numeric value from price string (e.g., "€8.90" -> 8.90)
@@ -126,9 +199,13 @@ class MenuItem {
   }
 
   /**
-   * Formats price for display
+   * Formats the price of a customer tier for display (student by default)
    */
-  getFormattedPrice() {
+  getFormattedPrice(tier = DEFAULT_PRICE_TIER) {
+    if (this.prices) {
+      return typeof this.prices[tier] === 'number' ? formatPrice(this.prices[tier], this.prices.currency) : '';
+    }
+
     if (!this.price) return '';
     
     // If price already has currency symbol, return as is
@@ -141,6 +218,17 @@ class MenuItem {
     return numeric > 0 ? `€${numeric.toFixed(2)}` : this.price;
   }
 
+  /**
+   * Creates a copy whose display price is the price of a customer tier
+   */
+  withPriceTier(tier) {
+    const item = this.clone();
+    if (this.prices) {
+      item.price = this.getFormattedPrice(tier);
+    }
+    return item;
+  }
+
   /**
    * Checks if item is vegetarian
    */
@@ -169,11 +257,33 @@ class MenuItem {
   }
 
   /**
-   * Checks if item contains specific allergen
+   * Checks if item has a low carbon footprint: at most 0.5 kg CO2e per
+   * portion, or the climate-friendly diet code when no footprint is published
    */
-  containsAllergen(allergen) {
-    return this.allergens.some(item => 
-      item.toLowerCase().includes(allergen.toLowerCase())
+  isLowCarbon() {
+    if (this.nutrition && this.nutrition.co2e !== undefined) {
+      return this.nutrition.co2e <= LOW_CARBON_MAX_CO2E;
+    }
+
+    return this.dietary.includes('climate-friendly');
+  }
+
+  /**
+   * Checks if item has at least 25 g of protein per portion
+   */
+  isHighProtein() {
+    return Boolean(this.nutrition && this.nutrition.protein >= HIGH_PROTEIN_MIN_PROTEIN);
+  }
+
+  /**
+   * Checks if item contains an allergen ("nuts", "maito"); with includeTraces
+   * "may contain" counts as well
+   */
+  containsAllergen(allergen, { includeTraces = false } = {}) {
+    const target = Allergen.identify(allergen);
+
+    return target !== null && this.allergens.some(entry =>
+      entry.allergen === target && entry.isPresent({ includeTraces })
     );
   }
 
@@ -188,7 +298,7 @@ class MenuItem {
    * Gets all allergens as a formatted string
    */
   getAllergensString() {
-    return this.allergens.join(', ');
+    return this.allergens.map(entry => entry.getLabel()).join(', ');
   }
 
   /**
@@ -202,10 +312,11 @@ class MenuItem {
       dietary: Array.isArray(data.dietary) 
         ? data.dietary.map(item => item.trim()).filter(item => item.length > 0)
         : [],
-      allergens: Array.isArray(data.allergens)
-        ? data.allergens.map(item => item.trim()).filter(item => item.length > 0)
-        : [],
+      dietCodes: Array.isArray(data.dietCodes) ? data.dietCodes : [],
+      allergens: Allergen.parseList(data.allergens),
       availability: data.availability ? data.availability.trim() : '',
+      nutrition: normalizeNutrition(data.nutrition),
+      prices: normalizePrices(data.prices),
     };
   }
 
@@ -257,6 +368,27 @@ class MenuItem {
     });
   }
 
+  /**
+   * Checks whether every query term appears in the name or description,
+   * ignoring case and accents
+   */
+  matchesSearch(query) {
+    const terms = tokenizeQuery(query);
+    const text = foldText(`${this.name} ${this.description}`);
+    return terms.length > 0 && terms.every(term => text.includes(term));
+  }
+
+  /**
+   * Filters items by a full-text query over names and descriptions
+   */
+  static filterBySearch(items, query) {
+    if (!query || !Array.isArray(items)) {
+      return items;
+    }
+
+    return items.filter(item => item.matchesSearch(query));
+  }
+
   /**
    * Filters items by price range
    */
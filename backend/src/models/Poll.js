@@ -0,0 +1,167 @@
+/**
+ * Poll Model
+ * A group lunch vote between the day's menus. Each participant has one
+ * vote; voting again under the same name replaces the earlier vote.
+ */
+
+const MAX_PARTICIPANT_LENGTH = 40;
+const MAX_TITLE_LENGTH = 100;
+
+class Poll {
+  constructor({
+    id,
+    title = 'Where should we eat?',
+    date,
+    options = [],
+    votes = [],
+    createdAt = null,
+    closesAt = null,
+  }) {
+    this.id = id;
+    this.title = title;
+    this.date = date;
+    this.options = options;
+    this.votes = votes;
+    this.createdAt = createdAt || new Date().toISOString();
+    this.closesAt = closesAt;
+
+    this.validate();
+  }
+
+  /**
+   * Validates the poll according to business rules
+   */
+  validate() {
+    if (!this.id || typeof this.id !== 'string') {
+      throw new Error('Poll ID is required and must be a string');
+    }
+
+    if (typeof this.title !== 'string' || this.title.trim().length === 0 || this.title.length > MAX_TITLE_LENGTH) {
+      throw new Error(`Poll title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+    }
+
+    if (!this.date || !/^\d{4}-\d{2}-\d{2}$/.test(this.date)) {
+      throw new Error('Poll date must be in YYYY-MM-DD format');
+    }
+
+    if (!Array.isArray(this.options) || this.options.length < 2) {
+      throw new Error('Poll needs at least 2 options');
+    }
+
+    if (!Array.isArray(this.votes)) {
+      throw new Error('Poll votes must be an array');
+    }
+
+    if (this.closesAt !== null && Number.isNaN(new Date(this.closesAt).getTime())) {
+      throw new Error('Poll closesAt must be null or an ISO timestamp');
+    }
+  }
+
+  /**
+   * Creates a Poll from stored JSON data
+   */
+  static fromJSON(jsonData) {
+    try {
+      const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+      return new Poll(data);
+    } catch (error) {
+      throw new Error(`Invalid Poll JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Normalizes a participant name for comparison (names are case-insensitive)
+   */
+  static normalizeParticipant(name) {
+    return name.trim().toLowerCase();
+  }
+
+  /**
+   * Checks whether the poll no longer accepts votes
+   */
+  isClosed(now = new Date()) {
+    return this.closesAt !== null && new Date(this.closesAt).getTime() <= now.getTime();
+  }
+
+  /**
+   * Records a participant's vote, replacing any earlier vote of theirs
+   */
+  castVote(participant, optionId, now = new Date()) {
+    if (this.isClosed(now)) {
+      const error = new Error(`Poll ${this.id} is closed`);
+      error.name = 'PollClosedError';
+      error.closesAt = this.closesAt;
+      throw error;
+    }
+
+    const problems = [];
+    const name = typeof participant === 'string' ? participant.trim() : '';
+    if (name.length === 0 || name.length > MAX_PARTICIPANT_LENGTH) {
+      problems.push(`Invalid participant: expected a name of 1 to ${MAX_PARTICIPANT_LENGTH} characters`);
+    }
+
+    if (!this.options.some(option => option.id === optionId)) {
+      problems.push(`Unknown option: ${optionId}. Available options: ${this.options.map(option => option.id).join(', ')}`);
+    }
+
+    if (problems.length > 0) {
+      const error = new Error(problems.join('; '));
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    const key = Poll.normalizeParticipant(name);
+    this.votes = this.votes.filter(vote => Poll.normalizeParticipant(vote.participant) !== key);
+    this.votes.push({
+      participant: name,
+      optionId,
+      votedAt: now.toISOString(),
+    });
+  }
+
+  /**
+   * Gets each option with its vote count and voters, in option order
+   */
+  getTally() {
+    return this.options.map(option => {
+      const voters = this.votes
+        .filter(vote => vote.optionId === option.id)
+        .map(vote => vote.participant);
+
+      return {
+        ...option,
+        votes: voters.length,
+        voters,
+      };
+    });
+  }
+
+  /**
+   * Gets the options sharing the highest vote count; empty without votes
+   */
+  getLeaders() {
+    const tally = this.getTally();
+    const highest = Math.max(...tally.map(entry => entry.votes));
+    return highest > 0 ? tally.filter(entry => entry.votes === highest) : [];
+  }
+
+  /**
+   * Returns a plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      date: this.date,
+      options: this.options,
+      votes: this.votes,
+      createdAt: this.createdAt,
+      closesAt: this.closesAt,
+    };
+  }
+}
+
+Poll.MAX_PARTICIPANT_LENGTH = MAX_PARTICIPANT_LENGTH;
+Poll.MAX_TITLE_LENGTH = MAX_TITLE_LENGTH;
+
+module.exports = Poll;
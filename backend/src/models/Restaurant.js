@@ -0,0 +1,121 @@
+/**
+ * Restaurant Model
+ * Represents a cafeteria served by one of the menu sources
+ */
+
+const { foldText } = require('../utils/textUtils');
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+
+class Restaurant {
+  constructor({
+    id,
+    name,
+    campus = null,
+    address = null,
+    openingHours = null,
+    source = null,
+  }) {
+    this.id = id;
+    this.name = name;
+    this.campus = campus;
+    this.address = address;
+    this.openingHours = openingHours;
+    this.source = source;
+
+    this.validate();
+  }
+
+  /**
+   * Validates the restaurant data according to business rules
+   */
+  validate() {
+    if (!this.id || typeof this.id !== 'string' || this.id.trim().length === 0) {
+      throw new Error('Restaurant ID is required and must be a non-empty string');
+    }
+
+    if (!this.name || typeof this.name !== 'string' || this.name.trim().length === 0) {
+      throw new Error('Restaurant name is required and must be a non-empty string');
+    }
+
+    if (this.campus !== null && typeof this.campus !== 'string') {
+      throw new Error('Restaurant campus must be null or a string');
+    }
+
+    if (this.address !== null && typeof this.address !== 'string') {
+      throw new Error('Restaurant address must be null or a string');
+    }
+
+    if (this.openingHours !== null && !this.isValidOpeningHours(this.openingHours)) {
+      throw new Error('Restaurant opening hours must have valid format');
+    }
+  }
+
+  /**
+   * Validates opening hours object structure
+   */
+  isValidOpeningHours(openingHours) {
+    if (typeof openingHours !== 'object') {
+      return false;
+    }
+
+    const { startTime, endTime, days } = openingHours;
+    const timeRegex = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+    return timeRegex.test(startTime) && timeRegex.test(endTime) && Array.isArray(days);
+  }
+
+  /**
+   * Generates a restaurant ID from its name ("Café Konehuone" -> "cafe-konehuone")
+   */
+  static generateId(name) {
+    return foldText(name)
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Creates a Restaurant from adapter configuration (a name or an object)
+   */
+  static fromConfig(config, { campus = null, source = null } = {}) {
+    const data = typeof config === 'string' ? { name: config } : config;
+
+    return new Restaurant({
+      id: data.id || Restaurant.generateId(data.name),
+      name: data.name,
+      campus: data.campus || campus,
+      address: data.address || null,
+      openingHours: data.openingHours
+        ? { days: WEEKDAYS, ...data.openingHours }
+        : null,
+      source,
+    });
+  }
+
+  /**
+   * Checks whether a menu belongs to this restaurant
+   */
+  servesMenu(menu) {
+    if (menu.source && this.source && menu.source !== this.source) {
+      return false;
+    }
+
+    return Restaurant.generateId(menu.title) === this.id;
+  }
+
+  /**
+   * Returns a plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      campus: this.campus,
+      address: this.address,
+      openingHours: this.openingHours,
+      source: this.source,
+    };
+  }
+}
+
+module.exports = Restaurant;
@@ -11,6 +11,7 @@ class ScrapingResult {
     source = '',
     error = null,
     duration = 0,
+    warnings = [],
   }) {
     this.timestamp = timestamp || new Date().toISOString();
     this.success = success;
@@ -18,6 +19,7 @@ class ScrapingResult {
     this.source = source;
     this.error = error;
     this.duration = duration;
+    this.warnings = warnings;
 
     this.validate();
   }
@@ -57,6 +59,10 @@ class ScrapingResult {
       throw new Error('ScrapingResult duration must be a non-negative number');
     }
 
+    if (!Array.isArray(this.warnings) || !this.warnings.every(warning => typeof warning === 'string')) {
+      throw new Error('ScrapingResult warnings must be an array of strings');
+    }
+
     // Business rule validation
     if (!this.success && this.menusFound > 0) {
       throw new Error('ScrapingResult cannot have menus found when not successful');
@@ -74,7 +80,7 @@ class ScrapingResult {
   /**
    * Creates a successful scraping result
    */
-  static createSuccess(menusFound, source, duration, timestamp = null) {
+  static createSuccess(menusFound, source, duration, timestamp = null, warnings = []) {
     return new ScrapingResult({
       timestamp: timestamp || new Date().toISOString(),
       success: true,
@@ -82,6 +88,7 @@ class ScrapingResult {
       source,
       error: null,
       duration,
+      warnings,
     });
   }
 
@@ -111,7 +118,8 @@ class ScrapingResult {
         result.menusFound || 0,
         source,
         duration,
-        timestamp
+        timestamp,
+        result.warnings || []
       );
     } else {
       return ScrapingResult.createFailure(
@@ -123,6 +131,43 @@ class ScrapingResult {
     }
   }
 
+  /**
+   * Combines per-source results into one; succeeds if any source succeeded,
+   * with the errors of the failed sources as warnings
+   */
+  static combine(results) {
+    if (!Array.isArray(results) || results.length === 0) {
+      throw new Error('ScrapingResult.combine requires at least one result');
+    }
+
+    if (results.length === 1) {
+      return results[0];
+    }
+
+    const successful = results.filter(result => result.success);
+    const failureWarnings = successful.length > 0
+      ? results
+        .filter(result => !result.success)
+        .map(result => `Source ${result.source} failed: ${result.error}`)
+      : [];
+    const timestamp = results
+      .map(result => result.timestamp)
+      .sort()
+      .pop();
+
+    return new ScrapingResult({
+      timestamp,
+      success: successful.length > 0,
+      menusFound: successful.reduce((sum, result) => sum + result.menusFound, 0),
+      source: results.map(result => result.source).join(', '),
+      error: successful.length > 0
+        ? null
+        : results.map(result => result.error).join('; '),
+      duration: Math.max(...results.map(result => result.duration)),
+      warnings: [...results.flatMap(result => result.warnings || []), ...failureWarnings],
+    });
+  }
+
   /**
    * Returns a plain object representation
    */
@@ -134,6 +179,7 @@ class ScrapingResult {
       source: this.source,
       error: this.error,
       duration: this.duration,
+      warnings: this.warnings,
     };
   }
 
@@ -232,6 +278,7 @@ class ScrapingResult {
       source: this.source,
       error: this.error,
       duration: this.duration,
+      warnings: [...this.warnings],
     });
   }
 
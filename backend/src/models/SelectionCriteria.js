@@ -0,0 +1,257 @@
+/**
+ * SelectionCriteria Model
+ * Combined filters for random menu and meal selection: dietary must-haves,
+ * allergen exclusions, a maximum price for a customer tier, low-carbon and
+ * high-protein dishes, restaurants, open-now and an anti-repeat window
+ */
+
+const Allergen = require('./Allergen');
+const { DIET_CODES, lookupDietCode } = require('../utils/dietCodes');
+const { PRICE_TIERS, DEFAULT_PRICE_TIER, isPriceTier } = require('../utils/prices');
+
+const MAX_AVOID_RECENT = 10;
+const BOOLEAN_VALUES = { true: true, '1': true, yes: true, false: false, '0': false, no: false };
+
+// Diet tags that also satisfy weaker requirements (a vegan dish is vegetarian)
+const DIET_TAG_IMPLIES = {
+  vegan: ['vegetarian', 'milk-free', 'lactose-free', 'low-lactose', 'egg-free'],
+  'milk-free': ['lactose-free', 'low-lactose'],
+  'lactose-free': ['low-lactose'],
+};
+
+/**
+ * Parses a comma-separated query value into trimmed, lowercase entries
+ */
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  return String(value)
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(entry => entry.length > 0);
+};
+
+class SelectionCriteria {
+  constructor({
+    dietary = [],
+    excludeAllergens = [],
+    maxPrice = null,
+    priceTier = DEFAULT_PRICE_TIER,
+    restaurants = [],
+    openNow = false,
+    avoidRecent = 0,
+    lowCarbon = false,
+    highProtein = false,
+  } = {}) {
+    this.dietary = dietary;
+    this.excludeAllergens = excludeAllergens;
+    this.maxPrice = maxPrice;
+    this.priceTier = priceTier;
+    this.restaurants = restaurants;
+    this.openNow = openNow;
+    this.avoidRecent = avoidRecent;
+    this.lowCarbon = lowCarbon;
+    this.highProtein = highProtein;
+
+    this.validate();
+  }
+
+  /**
+   * Validates the criteria according to business rules
+   */
+  validate() {
+    const knownTags = Object.values(DIET_CODES).map(entry => entry.tag);
+    if (!Array.isArray(this.dietary) || !this.dietary.every(tag => knownTags.includes(tag))) {
+      throw new Error('SelectionCriteria dietary must be an array of diet tags');
+    }
+
+    if (!Array.isArray(this.excludeAllergens) ||
+        !this.excludeAllergens.every(allergen => Allergen.ALLERGENS.includes(allergen))) {
+      throw new Error('SelectionCriteria excludeAllergens must be an array of EU allergens');
+    }
+
+    if (this.maxPrice !== null && (typeof this.maxPrice !== 'number' || !(this.maxPrice > 0))) {
+      throw new Error('SelectionCriteria maxPrice must be null or a positive number');
+    }
+
+    if (!isPriceTier(this.priceTier)) {
+      throw new Error(`SelectionCriteria priceTier must be one of: ${Object.keys(PRICE_TIERS).join(', ')}`);
+    }
+
+    if (!Array.isArray(this.restaurants) || !this.restaurants.every(id => typeof id === 'string')) {
+      throw new Error('SelectionCriteria restaurants must be an array of restaurant IDs');
+    }
+
+    if (typeof this.openNow !== 'boolean') {
+      throw new Error('SelectionCriteria openNow must be a boolean');
+    }
+
+    if (!Number.isInteger(this.avoidRecent) || this.avoidRecent < 0 || this.avoidRecent > MAX_AVOID_RECENT) {
+      throw new Error(`SelectionCriteria avoidRecent must be an integer from 0 to ${MAX_AVOID_RECENT}`);
+    }
+
+    if (typeof this.lowCarbon !== 'boolean' || typeof this.highProtein !== 'boolean') {
+      throw new Error('SelectionCriteria lowCarbon and highProtein must be booleans');
+    }
+  }
+
+  /**
+   * Creates criteria from query parameters
+   * (?dietary=vegan,G&excludeAllergens=nuts&maxPrice=3.5&priceTier=staff&restaurant=reaktori&openNow=true
+   * &avoidRecent=3&lowCarbon=true&highProtein=true);
+   * every invalid parameter is reported in one ValidationError
+   */
+  static fromQuery(query = {}) {
+    const problems = [];
+
+    const dietaryTokens = parseList(query.dietary);
+    const unknownDietary = dietaryTokens.filter(token => lookupDietCode(token) === null);
+    if (unknownDietary.length > 0) {
+      const available = Object.values(DIET_CODES).map(entry => entry.tag);
+      problems.push(`Unknown dietary requirement: ${unknownDietary.join(', ')}. Available requirements: ${available.join(', ')}`);
+    }
+
+    const allergenTokens = parseList(query.excludeAllergens);
+    const unknownAllergens = allergenTokens.filter(token => Allergen.identify(token) === null);
+    if (unknownAllergens.length > 0) {
+      problems.push(`Unknown allergen: ${unknownAllergens.join(', ')}. Available allergens: ${Allergen.ALLERGENS.join(', ')}`);
+    }
+
+    let maxPrice = null;
+    if (query.maxPrice !== undefined && query.maxPrice !== '') {
+      maxPrice = Number(String(query.maxPrice).replace(',', '.'));
+      if (!Number.isFinite(maxPrice) || maxPrice <= 0) {
+        problems.push(`Invalid maxPrice: ${query.maxPrice}. Expected a positive number of euros`);
+      }
+    }
+
+    let priceTier = DEFAULT_PRICE_TIER;
+    if (query.priceTier !== undefined && query.priceTier !== '') {
+      priceTier = String(query.priceTier).trim().toLowerCase();
+      if (!isPriceTier(priceTier)) {
+        problems.push(`Invalid priceTier: ${query.priceTier}. Expected one of: ${Object.keys(PRICE_TIERS).join(', ')}`);
+      }
+    }
+
+    const flags = {};
+    ['openNow', 'lowCarbon', 'highProtein'].forEach(name => {
+      flags[name] = false;
+      if (query[name] !== undefined && query[name] !== '') {
+        flags[name] = BOOLEAN_VALUES[String(query[name]).toLowerCase()];
+        if (flags[name] === undefined) {
+          problems.push(`Invalid ${name}: ${query[name]}. Expected true or false`);
+        }
+      }
+    });
+
+    let avoidRecent = 0;
+    if (query.avoidRecent !== undefined && query.avoidRecent !== '') {
+      avoidRecent = Number(query.avoidRecent);
+      if (!Number.isInteger(avoidRecent) || avoidRecent < 0 || avoidRecent > MAX_AVOID_RECENT) {
+        problems.push(`Invalid avoidRecent: ${query.avoidRecent}. Expected an integer from 0 to ${MAX_AVOID_RECENT}`);
+      }
+    }
+
+    if (problems.length > 0) {
+      const error = new Error(problems.join('; '));
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    return new SelectionCriteria({
+      dietary: [...new Set(dietaryTokens.map(token => lookupDietCode(token).tag))],
+      excludeAllergens: [...new Set(allergenTokens.map(token => Allergen.identify(token)))],
+      maxPrice,
+      priceTier,
+      restaurants: [...new Set(parseList(query.restaurant))],
+      openNow: flags.openNow,
+      avoidRecent,
+      lowCarbon: flags.lowCarbon,
+      highProtein: flags.highProtein,
+    });
+  }
+
+  /**
+   * Checks whether any item-level filter is set
+   */
+  hasItemFilters() {
+    return this.dietary.length > 0 || this.excludeAllergens.length > 0 || this.maxPrice !== null ||
+      this.lowCarbon || this.highProtein;
+  }
+
+  /**
+   * Checks whether a menu passes the menu-level filters (open now)
+   */
+  matchesMenu(menu) {
+    return !this.openNow || menu.isCurrentlyAvailable();
+  }
+
+  /**
+   * Checks whether a menu item meets the dietary, allergen, climate, protein
+   * and price filters; items without a price for the tier never match a
+   * maximum price
+   */
+  matchesItem(item) {
+    const tags = item.dietary.flatMap(tag => [tag, ...(DIET_TAG_IMPLIES[tag] || [])]);
+    if (!this.dietary.every(tag => tags.includes(tag))) {
+      return false;
+    }
+
+    if (this.excludeAllergens.some(allergen => item.containsAllergen(allergen, { includeTraces: true }))) {
+      return false;
+    }
+
+    if ((this.lowCarbon && !item.isLowCarbon()) || (this.highProtein && !item.isHighProtein())) {
+      return false;
+    }
+
+    if (this.maxPrice !== null) {
+      const price = item.getPriceNumeric(this.priceTier);
+      return price > 0 && price <= this.maxPrice;
+    }
+
+    return true;
+  }
+
+  /**
+   * Gets copies of the menus that pass the filters, keeping only matching
+   * items and dropping menus left without any
+   */
+  filterMenus(menus) {
+    const matching = menus.filter(menu => this.matchesMenu(menu));
+    if (!this.hasItemFilters()) {
+      return matching;
+    }
+
+    return matching
+      .map(menu => {
+        const copy = menu.clone();
+        copy.items = menu.items.filter(item => this.matchesItem(item));
+        return copy;
+      })
+      .filter(menu => menu.items.length > 0);
+  }
+
+  /**
+   * Returns a plain object representation
+   */
+  toJSON() {
+    return {
+      dietary: this.dietary,
+      excludeAllergens: this.excludeAllergens,
+      maxPrice: this.maxPrice,
+      priceTier: this.priceTier,
+      restaurants: this.restaurants,
+      openNow: this.openNow,
+      avoidRecent: this.avoidRecent,
+      lowCarbon: this.lowCarbon,
+      highProtein: this.highProtein,
+    };
+  }
+}
+
+SelectionCriteria.MAX_AVOID_RECENT = MAX_AVOID_RECENT;
+
+module.exports = SelectionCriteria;
@@ -0,0 +1,128 @@
+/**
+ * Webhook Model
+ * A registered URL that is notified when the day's menus are published or
+ * when a dish matching one of its keywords appears
+ */
+
+const { foldText } = require('../utils/textUtils');
+
+const WEBHOOK_EVENTS = ['menus.published', 'dish.matched'];
+const MAX_KEYWORDS = 20;
+const MIN_SECRET_LENGTH = 16;
+
+class Webhook {
+  constructor({
+    id,
+    url,
+    events = [],
+    keywords = [],
+    secret,
+    description = '',
+    createdAt = null,
+  }) {
+    this.id = id;
+    this.url = url;
+    this.events = events;
+    this.keywords = keywords;
+    this.secret = secret;
+    this.description = description;
+    this.createdAt = createdAt || new Date().toISOString();
+
+    this.validate();
+  }
+
+  /**
+   * Validates the webhook according to business rules
+   */
+  validate() {
+    if (!this.id || typeof this.id !== 'string') {
+      throw new Error('Webhook ID is required and must be a string');
+    }
+
+    if (!Webhook.isValidUrl(this.url)) {
+      throw new Error('Webhook URL must be an http or https URL');
+    }
+
+    if (!Array.isArray(this.events) || this.events.length === 0 ||
+        !this.events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      throw new Error(`Webhook events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+
+    if (!Array.isArray(this.keywords) || !this.keywords.every(keyword => typeof keyword === 'string')) {
+      throw new Error('Webhook keywords must be an array of strings');
+    }
+
+    if (this.events.includes('dish.matched') && this.keywords.length === 0) {
+      throw new Error('Webhook keywords are required for dish.matched events');
+    }
+
+    if (typeof this.secret !== 'string' || this.secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`Webhook secret must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * Checks that a string is an absolute http(s) URL
+   */
+  static isValidUrl(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Creates a Webhook from stored JSON data
+   */
+  static fromJSON(jsonData) {
+    const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+    return new Webhook(data);
+  }
+
+  /**
+   * Checks whether the webhook wants an event type
+   */
+  isSubscribedTo(event) {
+    return this.events.includes(event);
+  }
+
+  /**
+   * Gets the keywords found in a menu item's name or description, ignoring
+   * case and accents
+   */
+  matchKeywords(item) {
+    const text = foldText(`${item.name} ${item.description || ''}`);
+    return this.keywords.filter(keyword => text.includes(foldText(keyword)));
+  }
+
+  /**
+   * Returns the webhook without its secret, for API responses
+   */
+  toPublicJSON() {
+    const data = this.toJSON();
+    delete data.secret;
+    return data;
+  }
+
+  /**
+   * Returns a plain object representation (including the secret, for storage)
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      url: this.url,
+      events: this.events,
+      keywords: this.keywords,
+      secret: this.secret,
+      description: this.description,
+      createdAt: this.createdAt,
+    };
+  }
+}
+
+Webhook.EVENTS = WEBHOOK_EVENTS;
+Webhook.MAX_KEYWORDS = MAX_KEYWORDS;
+Webhook.MIN_SECRET_LENGTH = MIN_SECRET_LENGTH;
+
+module.exports = Webhook;
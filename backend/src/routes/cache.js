@@ -126,13 +126,15 @@ router.get('/info', async (req, res, next) => {
         status: '/api/cache/status',
         clear: '/api/cache/clear (DELETE)',
         refresh: '/api/cache/refresh (POST)',
-        info: '/api/cache/info'
+        info: '/api/cache/info',
+        history: '/api/cache/history'
       },
       features: {
         dailyCaching: true,
         timezoneBased: true,
         fallbackSupport: true,
-        atomicWrites: true
+        atomicWrites: true,
+        dateArchive: true
       },
       timestamp: new Date().toISOString()
     };
@@ -147,6 +149,30 @@ router.get('/info', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/cache/history
+ * Lists the archived menu dates
+ */
+router.get('/history', async (req, res, next) => {
+  try {
+    const menuService = req.menuService;
+    
+    console.log('🗄️  Listing archived menu dates...');
+    const history = await menuService.getCacheHistory();
+    
+    console.log(`✅ Found ${history.count} archived dates`);
+    
+    res.json({
+      ...history,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Error listing cache history:', error.message);
+    next(error);
+  }
+});
+
 /**
  * GET /api/cache/validate
  * Validates current cache state
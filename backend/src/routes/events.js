@@ -0,0 +1,34 @@
+/**
+ * Event Routes
+ * Server-Sent Events stream of menu, cache and poll changes
+ */
+
+const express = require('express');
+const router = express.Router();
+
+/**
+ * GET /api/events
+ * Opens an SSE stream emitting menus.updated, cache.cleared and poll.updated
+ */
+router.get('/', (req, res) => {
+  const eventService = req.eventService;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const unsubscribe = eventService.subscribe(res, req.get('Last-Event-ID'));
+  console.log(`📡 Event stream opened (${eventService.getStatus().clients} clients)`);
+
+  req.on('close', () => {
+    unsubscribe();
+    console.log(`📡 Event stream closed (${eventService.getStatus().clients} clients)`);
+  });
+});
+
+module.exports = router;
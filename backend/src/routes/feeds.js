@@ -0,0 +1,53 @@
+/**
+ * Feed Routes
+ * Atom and RSS feeds of the daily menus, for feed readers and other tools
+ */
+
+const express = require('express');
+const { createAtomFeed, createRssFeed } = require('../utils/feeds');
+const router = express.Router();
+
+/**
+ * Gets the API root URL of a request, for links in feeds
+ */
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}/api`;
+
+/**
+ * GET /api/feeds/menus.atom
+ * Gets an Atom feed with one entry per restaurant and day
+ */
+router.get('/menus.atom', async (req, res, next) => {
+  try {
+    console.log('📰 Building Atom menu feed...');
+
+    const days = await req.menuService.getFeedDays();
+
+    res.set('Content-Type', 'application/atom+xml; charset=utf-8');
+    res.send(createAtomFeed(days, { baseUrl: getBaseUrl(req) }));
+
+  } catch (error) {
+    console.error('❌ Error building Atom feed:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/feeds/menus.rss
+ * Gets an RSS 2.0 feed with one item per restaurant and day
+ */
+router.get('/menus.rss', async (req, res, next) => {
+  try {
+    console.log('📰 Building RSS menu feed...');
+
+    const days = await req.menuService.getFeedDays();
+
+    res.set('Content-Type', 'application/rss+xml; charset=utf-8');
+    res.send(createRssFeed(days, { baseUrl: getBaseUrl(req) }));
+
+  } catch (error) {
+    console.error('❌ Error building RSS feed:', error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
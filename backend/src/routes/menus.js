@@ -4,22 +4,113 @@
  */
 
 const express = require('express');
+const { parseSeed } = require('../utils/randomUtils');
+const { createMenuCalendar } = require('../utils/icalendar');
+const { EXPORT_TYPES, exportMenus } = require('../utils/menuExport');
+
 const router = express.Router();
 
+/**
+ * Parses a comma-separated query parameter into lowercase values
+ */
+const parseListParam = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  return String(value)
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(entry => entry.length > 0);
+};
+
+const FORMAT_ALIASES = { txt: 'text', md: 'markdown' };
+
+/**
+ * Picks the response format of a menu listing from ?format= (json, csv,
+ * text, markdown), or else from the Accept header; JSON by default
+ */
+const getResponseFormat = (req) => {
+  if (req.query.format) {
+    const requested = String(req.query.format).trim().toLowerCase();
+    const format = FORMAT_ALIASES[requested] || requested;
+
+    if (format !== 'json' && !EXPORT_TYPES[format]) {
+      const error = new Error(`Invalid format: ${req.query.format}. Expected one of: json, ${Object.keys(EXPORT_TYPES).join(', ')}`);
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    return format;
+  }
+
+  const accepted = req.accepts(['application/json', ...Object.values(EXPORT_TYPES)]);
+  return Object.keys(EXPORT_TYPES).find(format => EXPORT_TYPES[format] === accepted) || 'json';
+};
+
+/**
+ * Sends a menu listing as JSON or as a CSV, plain-text or Markdown export
+ */
+const sendMenus = (req, res, format, body) => {
+  res.vary('Accept');
+
+  if (format === 'json') {
+    return res.json(body);
+  }
+
+  const date = req.menuService.getCurrentDate();
+  res.set('Content-Type', `${EXPORT_TYPES[format]}; charset=utf-8`);
+  if (format === 'csv') {
+    res.set('Content-Disposition', `inline; filename="menus-${date}.csv"`);
+  }
+  res.send(exportMenus(body.menus, format, { date }));
+};
+
 /**
  * GET /api/menus
- * Gets all available menus with fresh data
+ * Gets all available menus with fresh data, optionally filtered by
+ * ?campus=hervanta&restaurant=reaktori,newton and ?excludeAllergens=nuts,fish.
+ * Responds with CSV, plain text or Markdown for ?format=csv|text|markdown
+ * or a matching Accept header
  */
 router.get('/', async (req, res, next) => {
   try {
     const menuService = req.menuService;
+    const format = getResponseFormat(req);
+    const campuses = parseListParam(req.query.campus);
+    const restaurants = parseListParam(req.query.restaurant);
+    const excludeAllergens = menuService.parseAllergenFilter(parseListParam(req.query.excludeAllergens));
+    // ?priceTier=staff shows the staff prices as the items' prices
+    const priceTier = menuService.parsePriceTier(req.query.priceTier);
+    const hasLocationFilters = campuses.length > 0 || restaurants.length > 0;
+    
+    if (!hasLocationFilters && excludeAllergens.length === 0 && !priceTier) {
+      console.log('🍽️  Fetching all menus...');
+      const result = await menuService.getAllMenus();
+      
+      console.log(`✅ Successfully retrieved ${result.menus.length} menus`);
+      
+      return sendMenus(req, res, format, result);
+    }
     
-    console.log('🍽️  Fetching all menus...');
-    const result = await menuService.getAllMenus();
+    console.log(`🏫 Filtering menus by campus [${campuses.join(', ')}], restaurant [${restaurants.join(', ')}] and excluded allergens [${excludeAllergens.join(', ')}]${priceTier ? ` with ${priceTier} prices` : ''}`);
+    const result = hasLocationFilters
+      ? await menuService.getMenusByLocation({ campuses, restaurants })
+      : await menuService.getAllMenus();
+    const menus = menuService.applyPriceTier(menuService.excludeAllergens(result.menus, excludeAllergens), priceTier);
     
-    console.log(`✅ Successfully retrieved ${result.menus.length} menus`);
+    console.log(`✅ Found ${menus.length} menus matching filters`);
     
-    res.json(result);
+    sendMenus(req, res, format, {
+      ...result,
+      menus,
+      filters: {
+        campus: campuses,
+        restaurant: restaurants,
+        excludeAllergens,
+        priceTier,
+      },
+    });
     
   } catch (error) {
     console.error('❌ Error fetching menus:', error.message);
@@ -29,17 +120,23 @@ router.get('/', async (req, res, next) => {
 
 /**
  * GET /api/menus/random
- * Gets a randomly selected menu
+ * Gets a randomly selected menu matching the selection criteria
+ * (?dietary=vegan&excludeAllergens=nuts&maxPrice=3.5&priceTier=staff&restaurant=reaktori&openNow=true&avoidRecent=3);
+ * prices are shown, and maxPrice applies, for the priceTier (student by default);
+ * avoidRecent uses the history of the client sending X-Client-Id, and
+ * ?seed=demo makes the pick reproducible
  */
 router.get('/random', async (req, res, next) => {
   try {
     const menuService = req.menuService;
     const randomSelectionService = req.randomSelectionService;
+    const criteria = menuService.parseSelectionCriteria(req.query);
+    const seed = parseSeed(req.query.seed);
     
     console.log('🎲 Selecting random menu...');
     
-    // Get all available menus
-    const { menus } = await menuService.getAllMenus();
+    // Get the menus of the requested restaurants
+    const { menus } = await menuService.getMenusForSelection(criteria);
     
     if (menus.length === 0) {
       return res.status(404).json({
@@ -51,11 +148,14 @@ router.get('/random', async (req, res, next) => {
     }
     
     // Select random menu
-    const result = randomSelectionService.selectRandomMenu(menus);
+    const result = randomSelectionService.selectRandomMenuByCriteria(menus, criteria, {
+      clientId: req.clientId,
+      seed,
+    });
     
     console.log(`✅ Random menu selected: ${result.selectedMenu.title}`);
     
-    res.json(result);
+    res.json({ ...result, criteria, seed });
     
   } catch (error) {
     console.error('❌ Error selecting random menu:', error.message);
@@ -65,15 +165,18 @@ router.get('/random', async (req, res, next) => {
 
 /**
  * GET /api/menus/random-meal
- * Gets a randomly selected single meal (menu item)
+ * Gets a randomly selected single meal (menu item) matching the same
+ * selection criteria and seed as /random
  */
 router.get('/random-meal', async (req, res, next) => {
   try {
     const menuService = req.menuService;
     const randomSelectionService = req.randomSelectionService;
+    const criteria = menuService.parseSelectionCriteria(req.query);
+    const seed = parseSeed(req.query.seed);
 
-    // Get all available menus (cache-enabled)
-    const { menus } = await menuService.getAllMenus();
+    // Get available menus of the requested restaurants (cache-enabled)
+    const { menus } = await menuService.getMenusForSelection(criteria);
 
     if (menus.length === 0) {
       return res.status(404).json({
@@ -84,9 +187,12 @@ router.get('/random-meal', async (req, res, next) => {
       });
     }
 
-    const result = randomSelectionService.selectRandomMeal(menus);
+    const result = randomSelectionService.selectRandomMealByCriteria(menus, criteria, {
+      clientId: req.clientId,
+      seed,
+    });
 
-    res.json(result);
+    res.json({ ...result, criteria, seed });
   } catch (error) {
     console.error('❌ Error selecting random meal:', error.message);
     next(error);
@@ -173,6 +279,147 @@ router.get('/available', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/menus/search
+ * Searches dishes across the archive, e.g. ?q=curry&from=2025-09-01&to=2025-09-30
+ */
+router.get('/search', async (req, res, next) => {
+  try {
+    const menuService = req.menuService;
+    const query = String(req.query.q || '').trim();
+    
+    console.log(`🔎 Searching archived menus for "${query}"...`);
+    
+    const result = await menuService.searchMenus({
+      query,
+      from: req.query.from || null,
+      to: req.query.to || null,
+    });
+    
+    console.log(`✅ Found ${result.count} dishes matching "${query}" over ${result.datesSearched} days`);
+    
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+    
+  } catch (error) {
+    console.error('❌ Error searching menus:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/menus/week
+ * Gets menus for every day of the current week
+ */
+router.get('/week', async (req, res, next) => {
+  try {
+    const menuService = req.menuService;
+    
+    console.log('📅 Fetching menus for the current week...');
+    
+    const result = await menuService.getWeekMenus();
+    const totalMenus = result.days.reduce((sum, day) => sum + day.menus.length, 0);
+    
+    console.log(`✅ Found ${totalMenus} menus for the week of ${result.weekStart}`);
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('❌ Error fetching weekly menus:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/menus/date/:date
+ * Gets menus for a specific YYYY-MM-DD date of the current week
+ */
+router.get('/date/:date', async (req, res, next) => {
+  try {
+    const menuService = req.menuService;
+    const date = req.params.date;
+    
+    console.log(`📅 Fetching menus for ${date}...`);
+    
+    const result = await menuService.getMenusForDate(date);
+    
+    console.log(`✅ Found ${result.menus.length} menus for ${date}`);
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error(`❌ Error fetching menus for ${req.params.date}:`, error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/menus/changes
+ * Gets the items added, removed or changed between scrapes of a date
+ * (?date=YYYY-MM-DD, default today)
+ */
+router.get('/changes', async (req, res, next) => {
+  try {
+    const menuService = req.menuService;
+
+    console.log(`🔀 Fetching menu changes for ${req.query.date || 'today'}...`);
+
+    const result = await menuService.getMenuChanges(req.query.date || null);
+
+    console.log(`✅ Found ${result.changes.length} menu changes for ${result.date}`);
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching menu changes:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/menus/calendar.ics
+ * Gets an iCalendar feed with each day's lunch per restaurant, covering the
+ * archive and the current week (?restaurant=reaktori,newton)
+ */
+router.get('/calendar.ics', async (req, res, next) => {
+  try {
+    const menuService = req.menuService;
+    const restaurants = parseListParam(req.query.restaurant);
+
+    console.log(`📆 Building menu calendar for ${restaurants.join(', ') || 'all restaurants'}...`);
+
+    const { days, timezone } = await menuService.getCalendarDays({ restaurants });
+    const knownRestaurants = menuService.getRestaurants();
+    const names = knownRestaurants
+      .filter(restaurant => restaurants.includes(restaurant.id))
+      .map(restaurant => restaurant.name);
+
+    const calendar = createMenuCalendar(days, {
+      name: names.length > 0 ? `Lunch menus: ${names.join(', ')}` : 'Lunch menus',
+      timezone,
+      getLocation: (menu) => {
+        const restaurant = knownRestaurants.find(candidate => candidate.servesMenu(menu));
+        return restaurant && restaurant.address ? `${restaurant.name}, ${restaurant.address}` : null;
+      },
+    });
+
+    console.log(`✅ Built menu calendar with ${days.length} days`);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="tunisafka-menus.ics"');
+    res.send(calendar);
+
+  } catch (error) {
+    console.error('❌ Error building menu calendar:', error.message);
+    next(error);
+  }
+});
+
 /**
  * GET /api/menus/:id
  * Gets a specific menu by ID
@@ -234,9 +481,55 @@ router.post('/refresh', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/menus/random/weighted
+ * Gets a menu selected with tunable weights
+ * (?baseWeight=1&itemCountBonus=0.5&dietaryBonus=1&availabilityBonus=2&priceBonus=3&favourite=reaktori&favouriteBonus=2);
+ * the response lists every candidate's weight and what it was made of
+ */
+router.get('/random/weighted', async (req, res, next) => {
+  try {
+    const menuService = req.menuService;
+    const randomSelectionService = req.randomSelectionService;
+    const weights = menuService.parseSelectionWeights(req.query);
+    
+    console.log('⚖️  Selecting weighted random menu...');
+    
+    const { menus } = await menuService.getAllMenus();
+    
+    if (menus.length === 0) {
+      return res.status(404).json({
+        error: 'No menus available for random selection',
+        code: 'NO_MENUS_AVAILABLE',
+        retry: true,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    
+    const result = randomSelectionService.selectWeightedRandomMenu(menus, weights, {
+      clientId: req.clientId,
+    });
+    
+    console.log(`✅ Weighted menu selected: ${result.selectedMenu.title} (weight ${result.selectionWeight})`);
+    
+    res.json({
+      ...result,
+      weights: {
+        ...weights,
+        favouriteRestaurants: weights.favouriteRestaurants.map(restaurant => restaurant.id),
+      },
+    });
+    
+  } catch (error) {
+    console.error('❌ Error selecting weighted random menu:', error.message);
+    next(error);
+  }
+});
+
 /**
  * GET /api/menus/random/multiple
- * Gets multiple random selections for comparison
+ * Gets multiple random selections for comparison; ?seed=demo reproduces
+ * the whole series
  */
 router.get('/random/multiple', async (req, res, next) => {
   try {
@@ -244,6 +537,7 @@ router.get('/random/multiple', async (req, res, next) => {
     const randomSelectionService = req.randomSelectionService;
     
     const count = Math.min(parseInt(req.query.count) || 5, 10); // Max 10 selections
+    const seed = parseSeed(req.query.seed);
     
     console.log(`🎲 Generating ${count} random menu selections...`);
     
@@ -260,11 +554,11 @@ router.get('/random/multiple', async (req, res, next) => {
     }
     
     // Generate multiple selections
-    const result = randomSelectionService.createMultipleSelections(menus, count);
+    const result = randomSelectionService.createMultipleSelections(menus, count, { seed });
     
     console.log(`✅ Generated ${result.selections.length} random selections`);
     
-    res.json(result);
+    res.json({ ...result, seed });
     
   } catch (error) {
     console.error('❌ Error generating multiple random selections:', error.message);
@@ -272,6 +566,28 @@ router.get('/random/multiple', async (req, res, next) => {
   }
 });
 
+const DEFAULT_RANDOMNESS_ITERATIONS = 100;
+const MAX_RANDOMNESS_ITERATIONS = 1000;
+
+/**
+ * Parses the iterations of a randomness test, an integer from 1 to 1000
+ * (default 100)
+ */
+const parseIterations = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_RANDOMNESS_ITERATIONS;
+  }
+
+  const iterations = Number(value);
+  if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_RANDOMNESS_ITERATIONS) {
+    const error = new Error(`Invalid iterations: ${value}. Expected an integer from 1 to ${MAX_RANDOMNESS_ITERATIONS}`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  return iterations;
+};
+
 /**
  * POST /api/menus/test-randomness
  * Tests the randomness of the selection algorithm
@@ -281,7 +597,7 @@ router.post('/test-randomness', async (req, res, next) => {
     const menuService = req.menuService;
     const randomSelectionService = req.randomSelectionService;
     
-    const iterations = Math.min(parseInt(req.body.iterations) || 100, 1000); // Max 1000 iterations
+    const iterations = parseIterations(req.body.iterations);
     
     console.log(`🧪 Testing randomness with ${iterations} iterations...`);
     
@@ -0,0 +1,121 @@
+/**
+ * Poll Routes
+ * API endpoints for group lunch votes between today's menus
+ */
+
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Sends the 404 response for an unknown poll
+ */
+const pollNotFound = (res, pollId) =>
+  res.status(404).json({
+    error: `Poll with ID '${pollId}' not found`,
+    code: 'POLL_NOT_FOUND',
+    timestamp: new Date().toISOString(),
+  });
+
+/**
+ * Sends the 409 response for a poll that no longer accepts votes
+ */
+const pollClosed = (res, pollId, closesAt) =>
+  res.status(409).json({
+    error: `Poll with ID '${pollId}' is closed`,
+    code: 'POLL_CLOSED',
+    closesAt,
+    timestamp: new Date().toISOString(),
+  });
+
+/**
+ * POST /api/polls
+ * Creates a poll from today's menus ({ title?, menuIds?, closesInMinutes? })
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { menuService, pollService } = req;
+
+    console.log('🗳️  Creating lunch poll...');
+    const { menus } = await menuService.getMenus();
+    const poll = await pollService.createPoll(menus, req.body || {});
+
+    res.status(201).json({
+      poll,
+      results: pollService.getResults(poll),
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating poll:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/polls/:id
+ * Gets a poll with its tally and winner
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const pollService = req.pollService;
+    const poll = await pollService.getPoll(req.params.id);
+
+    if (!poll) {
+      return pollNotFound(res, req.params.id);
+    }
+
+    res.json({
+      poll,
+      results: pollService.getResults(poll),
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error(`❌ Error fetching poll ${req.params.id}:`, error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/polls/:id/votes
+ * Records a vote ({ participant, optionId }); voting again under the same
+ * name replaces the earlier vote
+ */
+router.post('/:id/votes', async (req, res, next) => {
+  try {
+    const pollService = req.pollService;
+    const { participant, optionId } = req.body || {};
+
+    const existing = await pollService.getPoll(req.params.id);
+    if (!existing) {
+      return pollNotFound(res, req.params.id);
+    }
+
+    if (existing.isClosed()) {
+      return pollClosed(res, req.params.id, existing.closesAt);
+    }
+
+    const poll = await pollService.castVote(req.params.id, participant, optionId);
+    if (!poll) {
+      return pollNotFound(res, req.params.id);
+    }
+    console.log(`✅ Recorded vote in poll ${poll.id}`);
+
+    res.status(201).json({
+      poll,
+      results: pollService.getResults(poll),
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    // The poll may close while the vote waits for its lock
+    if (error.name === 'PollClosedError') {
+      return pollClosed(res, req.params.id, error.closesAt);
+    }
+
+    console.error(`❌ Error voting in poll ${req.params.id}:`, error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
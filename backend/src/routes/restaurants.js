@@ -0,0 +1,35 @@
+/**
+ * Restaurant Routes
+ * API endpoints for the restaurants served by the enabled menu sources
+ */
+
+const express = require('express');
+const router = express.Router();
+
+/**
+ * GET /api/restaurants
+ * Lists restaurants with their campus, address and opening hours
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const menuService = req.menuService;
+    
+    console.log('🏫 Listing restaurants...');
+    const restaurants = menuService.getRestaurants();
+    const campuses = [...new Set(restaurants.map(restaurant => restaurant.campus))];
+    
+    console.log(`✅ Listed ${restaurants.length} restaurants on ${campuses.length} campuses`);
+    
+    res.json({
+      restaurants,
+      campuses,
+      timestamp: new Date().toISOString(),
+    });
+    
+  } catch (error) {
+    console.error('❌ Error listing restaurants:', error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * Scheduler Routes
+ * API endpoints for the background scraping scheduler
+ */
+
+const express = require('express');
+const router = express.Router();
+
+/**
+ * GET /api/scheduler/status
+ * Shows the last run, the next run and recent failures
+ */
+router.get('/status', async (req, res, next) => {
+  try {
+    const schedulerService = req.schedulerService;
+    
+    res.json({
+      ...schedulerService.getStatus(),
+      timestamp: new Date().toISOString(),
+    });
+    
+  } catch (error) {
+    console.error('❌ Error getting scheduler status:', error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+/**
+ * Webhook Routes
+ * API endpoints for registering webhooks and inspecting their deliveries
+ */
+
+const express = require('express');
+const Webhook = require('../models/Webhook');
+const router = express.Router();
+
+/**
+ * Sends the 404 response for an unknown webhook
+ */
+const webhookNotFound = (res, webhookId) =>
+  res.status(404).json({
+    error: `Webhook with ID '${webhookId}' not found`,
+    code: 'WEBHOOK_NOT_FOUND',
+    timestamp: new Date().toISOString(),
+  });
+
+/**
+ * POST /api/webhooks
+ * Registers a webhook ({ url, events, keywords?, secret?, description? });
+ * the signing secret is only returned here
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const webhook = await req.webhookService.register(req.body || {});
+
+    res.status(201).json({
+      webhook: webhook.toPublicJSON(),
+      secret: webhook.secret,
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error('❌ Error registering webhook:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * Lists registered webhooks (without their secrets)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const webhooks = await req.webhookService.listWebhooks();
+
+    res.json({
+      webhooks: webhooks.map(webhook => webhook.toPublicJSON()),
+      eventTypes: Webhook.EVENTS,
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing webhooks:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Gets a webhook (without its secret)
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const webhook = await req.webhookService.getWebhook(req.params.id);
+
+    if (!webhook) {
+      return webhookNotFound(res, req.params.id);
+    }
+
+    res.json({
+      webhook: webhook.toPublicJSON(),
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error(`❌ Error fetching webhook ${req.params.id}:`, error.message);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Removes a webhook
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const removed = await req.webhookService.removeWebhook(req.params.id);
+
+    if (!removed) {
+      return webhookNotFound(res, req.params.id);
+    }
+
+    console.log(`🗑️  Removed webhook ${req.params.id}`);
+    res.json({
+      message: `Webhook ${req.params.id} removed`,
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error(`❌ Error removing webhook ${req.params.id}:`, error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Gets the logged deliveries to a webhook, newest first
+ */
+router.get('/:id/deliveries', async (req, res, next) => {
+  try {
+    const webhookService = req.webhookService;
+    const webhook = await webhookService.getWebhook(req.params.id);
+
+    if (!webhook) {
+      return webhookNotFound(res, req.params.id);
+    }
+
+    res.json({
+      deliveries: await webhookService.getDeliveries(webhook.id),
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error(`❌ Error fetching deliveries of webhook ${req.params.id}:`, error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Sends a signed ping to a webhook and returns the delivery
+ */
+router.post('/:id/test', async (req, res, next) => {
+  try {
+    const webhookService = req.webhookService;
+    const webhook = await webhookService.getWebhook(req.params.id);
+
+    if (!webhook) {
+      return webhookNotFound(res, req.params.id);
+    }
+
+    const delivery = await webhookService.sendTest(webhook);
+
+    res.json({
+      delivery,
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error(`❌ Error testing webhook ${req.params.id}:`, error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
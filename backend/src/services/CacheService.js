@@ -1,16 +1,33 @@
 /**
  * CacheService
- * Handles file-based daily caching for menu data without using a database
+ * Handles file-based daily caching for menu data without using a database.
+ * Every scraped date is also archived to cache/menus/YYYY-MM-DD.json and kept
+ * for the configured retention period, along with the changes later scrapes
+ * made to it in cache/changes/YYYY-MM-DD.json.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const CacheEntry = require('../models/CacheEntry');
+const { addDays, getWeekDates, isValidDate } = require('../utils/dateUtils');
+const { writeJsonFile } = require('../utils/fileUtils');
+const { diffMenus, hasChanges } = require('../utils/menuDiff');
+
+const DEFAULT_RETENTION_DAYS = 90;
+const MAX_CHANGES_PER_DATE = 50;
 
 class CacheService {
-  constructor(cacheDir = './cache', timezone = 'Europe/Helsinki') {
+  constructor(
+    cacheDir = './cache',
+    timezone = 'Europe/Helsinki',
+    retentionDays = parseInt(process.env.CACHE_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS
+  ) {
     this.cacheDir = cacheDir;
     this.timezone = timezone;
+    this.retentionDays = retentionDays;
     this.cacheFile = path.join(cacheDir, 'daily-menus.json');
+    this.archiveDir = path.join(cacheDir, 'menus');
+    this.changesDir = path.join(cacheDir, 'changes');
     this.statsFile = path.join(cacheDir, 'cache-stats.json');
     this.hits = 0;
     this.misses = 0;
@@ -107,15 +124,33 @@ class CacheService {
   }
 
   /**
-   * Loads cache entry from file regardless of validity (for fallback)
+   * Loads the most recent archived entry with menus regardless of validity
+   * (for fallback), falling back to the daily cache file
    */
   async loadCacheForFallback() {
+    const today = this.getCurrentDate();
+    const archivedDates = (await this.listArchivedDates())
+      .filter(date => date <= today)
+      .reverse();
+
+    for (const date of archivedDates) {
+      const cacheEntry = await this.getArchivedMenus(date);
+      if (cacheEntry && cacheEntry.menuData.length > 0) {
+        return cacheEntry;
+      }
+    }
+
+    return this.readCacheFile(this.cacheFile);
+  }
+
+  /**
+   * Reads and parses a cache file, returning null if missing or corrupted
+   */
+  async readCacheFile(file) {
     try {
-      await this.ensureCacheDir();
-      const data = await fs.readFile(this.cacheFile, 'utf8');
-      const cacheEntry = JSON.parse(data);
-      return cacheEntry;
-    } catch (error) {
+      const data = await fs.readFile(file, 'utf8');
+      return JSON.parse(data);
+    } catch {
       return null;
     }
   }
@@ -128,21 +163,8 @@ class CacheService {
       await this.ensureCacheDir();
       const cacheEntry = this.createCacheEntry(menuData, scrapingResult);
       
-      // Write atomically by writing to temp file first, then renaming
-      const tempFile = this.cacheFile + '.tmp';
-      
-      try {
-        await fs.writeFile(tempFile, JSON.stringify(cacheEntry, null, 2), 'utf8');
-        await fs.rename(tempFile, this.cacheFile);
-      } catch (renameError) {
-        // Cleanup temp file if rename fails
-        try {
-          await fs.unlink(tempFile);
-        } catch {
-          // Ignore cleanup errors
-        }
-        throw renameError;
-      }
+      await writeJsonFile(this.cacheFile, cacheEntry);
+      await this.archiveMenus(cacheEntry.date, menuData, scrapingResult);
       
       console.log(`📁 Cache saved for ${cacheEntry.date} with ${menuData.length} menus`);
       
@@ -186,7 +208,228 @@ class CacheService {
   }
 
   /**
-   * Clears the cache
+   * Gets the archive file path of a date
+   */
+  getArchiveFile(date) {
+    return path.join(this.archiveDir, `${date}.json`);
+  }
+
+  /**
+   * Archives the menus of one date to cache/menus/YYYY-MM-DD.json; the
+   * timestamp is when the day's menus last changed
+   */
+  async archiveMenus(date, menuData, scrapingResult) {
+    if (!isValidDate(date)) {
+      throw new Error(`Cannot archive menus for invalid date: ${date}`);
+    }
+
+    await fs.mkdir(this.archiveDir, { recursive: true });
+    const file = this.getArchiveFile(date);
+    const existing = await this.readCacheFile(file);
+    const hasExisting = Boolean(existing && existing.menuData.length > 0);
+
+    // A later scrape may no longer list past days; keep what was served
+    if (menuData.length === 0 && hasExisting) {
+      return existing;
+    }
+
+    const archiveEntry = {
+      ...this.createCacheEntry(menuData, scrapingResult),
+      date,
+      scrapedOn: this.getCurrentDate(),
+    };
+
+    // Feeds show the timestamp as the update time; rescrapes of the same menus keep it
+    if (hasExisting && !hasChanges(diffMenus(existing.menuData, menuData))) {
+      archiveEntry.timestamp = existing.timestamp;
+    }
+    await writeJsonFile(file, archiveEntry);
+
+    return archiveEntry;
+  }
+
+  /**
+   * Gets the archived entry of a date, or null if it was never archived
+   */
+  async getArchivedMenus(date) {
+    if (!isValidDate(date)) {
+      return null;
+    }
+
+    return this.readCacheFile(this.getArchiveFile(date));
+  }
+
+  /**
+   * Lists archived dates in ascending order
+   */
+  async listArchivedDates() {
+    try {
+      const files = await fs.readdir(this.archiveDir);
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'))
+        .filter(date => isValidDate(date))
+        .sort();
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Gets a summary of every archived date, newest first
+   */
+  async getArchiveHistory() {
+    const dates = (await this.listArchivedDates()).reverse();
+    const history = [];
+
+    for (const date of dates) {
+      const data = await this.getArchivedMenus(date);
+      if (!data) {
+        continue;
+      }
+
+      const entry = CacheEntry.fromJSON(data);
+      history.push({
+        date: entry.date,
+        menuCount: entry.getMenuCount(),
+        itemCount: entry.getTotalItemCount(),
+        scrapedOn: data.scrapedOn || entry.date,
+        lastUpdated: entry.timestamp,
+      });
+    }
+
+    return history;
+  }
+
+  /**
+   * Gets the file holding the menu changes detected on a date
+   */
+  getChangesFile(date) {
+    return path.join(this.changesDir, `${date}.json`);
+  }
+
+  /**
+   * Appends a detected menu change to the date's change log, keeping the
+   * most recent ones
+   */
+  async saveMenuChanges(date, change) {
+    if (!isValidDate(date)) {
+      throw new Error(`Cannot save menu changes for invalid date: ${date}`);
+    }
+
+    await fs.mkdir(this.changesDir, { recursive: true });
+    const file = this.getChangesFile(date);
+    const existing = await this.readCacheFile(file);
+
+    const entry = {
+      date,
+      changes: [...(existing?.changes || []), change].slice(-MAX_CHANGES_PER_DATE),
+    };
+    await writeJsonFile(file, entry);
+
+    return entry;
+  }
+
+  /**
+   * Gets the menu changes detected on a date, oldest first
+   */
+  async getMenuChanges(date) {
+    if (!isValidDate(date)) {
+      return [];
+    }
+
+    const entry = await this.readCacheFile(this.getChangesFile(date));
+    return entry?.changes || [];
+  }
+
+  /**
+   * Deletes archived dates, and their change logs, older than the retention period
+   */
+  async pruneArchive() {
+    const cutoff = addDays(this.getCurrentDate(), -this.retentionDays);
+    const expired = (await this.listArchivedDates()).filter(date => date < cutoff);
+
+    for (const date of expired) {
+      for (const file of [this.getArchiveFile(date), this.getChangesFile(date)]) {
+        try {
+          await fs.unlink(file);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.warn(`⚠️ Failed to prune archived menus for ${date}:`, error.message);
+          }
+        }
+      }
+    }
+
+    if (expired.length > 0) {
+      console.log(`📁 Pruned ${expired.length} archived dates older than ${cutoff}`);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Sets how many days archived menus are kept
+   */
+  setRetentionDays(retentionDays) {
+    if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+      throw new Error('Retention period must be a positive number of days');
+    }
+    this.retentionDays = retentionDays;
+  }
+
+  /**
+   * Caches menus for every scraped day of the week in the archive
+   */
+  async cacheWeekMenus(days, scrapingResult) {
+    try {
+      await this.ensureCacheDir();
+
+      for (const [date, menuData] of Object.entries(days)) {
+        await this.archiveMenus(date, menuData, scrapingResult);
+      }
+
+      console.log(`📁 Archived menus for ${Object.keys(days).length} days`);
+    } catch (error) {
+      console.error('❌ Failed to save weekly cache:', error.message);
+      throw new Error('Cache save failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Gets archived menus for the current week if the week was scraped today,
+   * null otherwise
+   */
+  async getCachedWeekMenus() {
+    const today = this.getCurrentDate();
+    const dailyEntry = await this.readCacheFile(this.cacheFile);
+    const todayEntry = await this.getArchivedMenus(today);
+
+    // Menus for later days can still change, so the week is re-scraped daily
+    if (!this.isCacheValid(dailyEntry) || !todayEntry || todayEntry.scrapedOn !== today) {
+      console.log(`📁 Weekly cache MISS for ${today}`);
+      return null;
+    }
+
+    const days = {};
+    for (const date of getWeekDates(today)) {
+      const entry = await this.getArchivedMenus(date);
+      if (entry) {
+        days[date] = entry.menuData;
+      }
+    }
+
+    console.log(`📁 Weekly cache HIT for ${today}`);
+    return {
+      days,
+      lastUpdated: todayEntry.timestamp,
+      scrapingResult: todayEntry.scrapingResult,
+      cacheDate: today,
+    };
+  }
+
+  /**
+   * Clears the cache (archived dates are kept)
    */
   async clearCache() {
     try {
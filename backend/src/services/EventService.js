@@ -0,0 +1,133 @@
+/**
+ * Event Service
+ * Pushes menu, cache and poll change notifications to browsers over
+ * Server-Sent Events. Recent events are kept so a reconnecting client can
+ * catch up from its Last-Event-ID.
+ */
+
+const EVENT_TYPES = ['menus.updated', 'cache.cleared', 'poll.updated'];
+const DEFAULT_HEARTBEAT_MS = 25000;
+const DEFAULT_HISTORY_SIZE = 50;
+const RETRY_MS = 5000;
+
+class EventService {
+  constructor({
+    heartbeatMs = DEFAULT_HEARTBEAT_MS,
+    historySize = DEFAULT_HISTORY_SIZE,
+  } = {}) {
+    this.heartbeatMs = heartbeatMs;
+    this.historySize = historySize;
+    this.clients = new Set();
+    this.history = [];
+    this.lastEventId = 0;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Registers an SSE response as a client, replaying the events it missed;
+   * returns a function that unregisters it
+   */
+  subscribe(res, lastEventId = null) {
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const lastSeen = parseInt(lastEventId, 10);
+    if (Number.isInteger(lastSeen)) {
+      this.history
+        .filter(event => event.id > lastSeen)
+        .forEach(event => this.writeEvent(res, event));
+    }
+
+    this.clients.add(res);
+    this.startHeartbeat();
+
+    return () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    };
+  }
+
+  /**
+   * Sends an event to every connected client
+   */
+  publish(type, data = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type: ${type}. Available types: ${EVENT_TYPES.join(', ')}`);
+    }
+
+    const event = {
+      id: ++this.lastEventId,
+      type,
+      data: {
+        ...data,
+        timestamp: new Date().toISOString(),
+      },
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    this.clients.forEach(res => this.writeEvent(res, event));
+    console.log(`📣 Published ${type} to ${this.clients.size} clients`);
+
+    return event;
+  }
+
+  /**
+   * Writes one event in the SSE wire format
+   */
+  writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  /**
+   * Starts sending comment lines that keep idle connections open through proxies
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach(res => res.write(': heartbeat\n\n'));
+    }, this.heartbeatMs);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Stops the heartbeat
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Ends every open stream (on shutdown, so the server can close)
+   */
+  closeAll() {
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+
+  /**
+   * Gets the number of connected clients and the last event ID
+   */
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      lastEventId: this.lastEventId,
+      eventTypes: EVENT_TYPES,
+    };
+  }
+}
+
+EventService.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = EventService;
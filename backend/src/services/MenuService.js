@@ -7,14 +7,42 @@ const ScrapingService = require('./ScrapingService');
 const CacheService = require('./CacheService');
 const Menu = require('../models/Menu');
 const MenuItem = require('../models/MenuItem');
+const CacheEntry = require('../models/CacheEntry');
+const Allergen = require('../models/Allergen');
+const ScrapingResult = require('../models/ScrapingResult');
+const SelectionCriteria = require('../models/SelectionCriteria');
+const { getWeekDates, getWeekday, isValidDate } = require('../utils/dateUtils');
+const { tokenizeQuery } = require('../utils/textUtils');
+const { parseDietCodes } = require('../utils/dietCodes');
+const { diffMenus, hasChanges } = require('../utils/menuDiff');
+const { NUTRITION_FIELDS } = require('../utils/nutrition');
+const { PRICE_TIERS, DEFAULT_PRICE_TIER, parsePriceText, isPriceTier } = require('../utils/prices');
+
+const SELECTION_WEIGHTS = [
+  'baseWeight',
+  'itemCountBonus',
+  'dietaryBonus',
+  'availabilityBonus',
+  'priceBonus',
+  'favouriteBonus',
+];
+const MAX_SELECTION_WEIGHT = 100;
+const DEFAULT_FAVOURITE_BONUS = 2;
+const DEFAULT_FEED_DAYS = 14;
 
 class MenuService {
-  constructor() {
+  constructor({ eventService = null, webhookService = null } = {}) {
     this.scrapingService = new ScrapingService();
     this.cacheService = new CacheService();
+    // Notifies open browser tabs when menus change (optional)
+    this.eventService = eventService;
+    // Notifies registered webhooks about published menus and dishes (optional)
+    this.webhookService = webhookService;
     this.lastScrapingResult = null;
     this.lastUpdate = null;
     this._isInitialized = false;
+    // Promises of running cache loads and scrapes, keyed by operation
+    this.inFlight = new Map();
   }
 
   /**
@@ -22,9 +50,25 @@ class MenuService {
    */
   async initialize() {
     if (!this._isInitialized) {
-      await this.cacheService.initialize();
-      this._isInitialized = true;
+      await this.runSingleFlight('initialize', async () => {
+        await this.cacheService.initialize();
+        this._isInitialized = true;
+      });
+    }
+  }
+
+  /**
+   * Runs an operation once per key; concurrent callers share its promise
+   */
+  runSingleFlight(key, operation) {
+    if (!this.inFlight.has(key)) {
+      const promise = Promise.resolve()
+        .then(operation)
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, promise);
     }
+
+    return this.inFlight.get(key);
   }
 
   /**
@@ -34,45 +78,8 @@ class MenuService {
     await this.initialize();
     
     try {
-      // Try to get cached data first
-      const cachedData = await this.cacheService.getCachedMenus();
-      if (cachedData) {
-        // Normalize cached menus back into Menu instances
-        const processedMenus = this.processMenus(cachedData.menus);
-        
-        this.lastUpdate = new Date().toISOString();
-        this.lastScrapingResult = cachedData.scrapingResult;
-        
-        return {
-          menus: processedMenus,
-          lastUpdated: this.lastUpdate,
-          source: this.scrapingService.sourceUrl,
-          scrapingResult: cachedData.scrapingResult,
-          cacheHit: true,
-        };
-      }
-
-      // No valid cache, scrape fresh data
-      console.log('🕸️  No valid cache found, scraping fresh data...');
-      const { menus, result } = await this.scrapingService.scrapeMenus();
-      
-      // Process and validate menus
-      const processedMenus = this.processMenus(menus);
-      
-      // Cache the processed data
-      await this.cacheService.cacheMenus(processedMenus, result);
-      
-      // Update metadata
-      this.lastScrapingResult = result;
-      this.lastUpdate = new Date().toISOString();
-      
-      return {
-        menus: processedMenus,
-        lastUpdated: this.lastUpdate,
-        source: this.scrapingService.sourceUrl,
-        scrapingResult: result,
-        cacheHit: false,
-      };
+      // Concurrent requests on an empty cache share one load and scrape
+      return await this.runSingleFlight('menus', () => this.loadOrScrapeMenus());
     } catch (error) {
       console.error('Error in MenuService.getAllMenus:', error);
       
@@ -84,9 +91,9 @@ class MenuService {
         if (cacheEntry && cacheEntry.menuData) {
           console.log('✅ Serving stale cache data as fallback');
           return {
-            menus: cacheEntry.menuData,
+            menus: this.processMenus(cacheEntry.menuData),
             lastUpdated: cacheEntry.timestamp,
-            source: this.scrapingService.sourceUrl + ' (stale cache)',
+            source: this.getSourceDescription() + ' (stale cache)',
             scrapingResult: cacheEntry.scrapingResult,
             warning: 'Serving cached data due to scraping failure',
             scrapingError: error.message,
@@ -101,6 +108,538 @@ class MenuService {
     }
   }
 
+  /**
+   * Serves today's menus from cache, scraping the week on a cache miss
+   */
+  async loadOrScrapeMenus() {
+    const cachedData = await this.cacheService.getCachedMenus();
+    if (cachedData) {
+      // Normalize cached menus back into Menu instances
+      const processedMenus = this.processMenus(cachedData.menus);
+      
+      this.lastUpdate = new Date().toISOString();
+      this.lastScrapingResult = cachedData.scrapingResult;
+      
+      return {
+        menus: processedMenus,
+        lastUpdated: this.lastUpdate,
+        source: this.getSourceDescription(),
+        scrapingResult: cachedData.scrapingResult,
+        cacheHit: true,
+      };
+    }
+
+    // No valid cache, scrape fresh data
+    console.log('🕸️  No valid cache found, scraping fresh data...');
+    const { days, result } = await this.scrapeAndCacheWeek();
+    
+    return {
+      menus: days[this.cacheService.getCurrentDate()] || [],
+      lastUpdated: this.lastUpdate,
+      source: this.getSourceDescription(),
+      scrapingResult: result,
+      cacheHit: false,
+    };
+  }
+
+  /**
+   * Scrapes the current week from every enabled source in parallel and
+   * merges the results
+   */
+  async scrapeAllSources() {
+    const today = this.cacheService.getCurrentDate();
+    const adapters = this.scrapingService.getEnabledAdapters();
+    const outcomes = await Promise.all(
+      adapters.map(adapter => this.scrapingService.scrapeWeek(adapter.id, today))
+    );
+
+    return this.mergeSourceResults(adapters, outcomes);
+  }
+
+  /**
+   * Merges per-source weekly outcomes day by day, tagging each menu with its
+   * source; also lists the sources that failed
+   */
+  mergeSourceResults(adapters, outcomes) {
+    const days = {};
+
+    outcomes.forEach(({ days: sourceDays, result }, index) => {
+      const adapter = adapters[index];
+
+      if (!result.success) {
+        console.warn(`⚠️  Source ${adapter.id} failed: ${result.error}`);
+      }
+
+      Object.entries(sourceDays).forEach(([date, sourceMenus]) => {
+        const dayMenus = days[date] || [];
+        const seenIds = new Set(dayMenus.map(menu => menu.id));
+
+        sourceMenus.forEach(menu => {
+          menu.source = adapter.id;
+
+          // Keep IDs unique when two sources have a restaurant with the same name
+          if (seenIds.has(menu.id)) {
+            menu.id = `${adapter.id}-${menu.id}`;
+          }
+          seenIds.add(menu.id);
+
+          dayMenus.push(menu);
+        });
+
+        days[date] = dayMenus;
+      });
+    });
+
+    return {
+      days,
+      result: ScrapingResult.combine(outcomes.map(outcome => outcome.result)),
+      failedSources: adapters
+        .filter((adapter, index) => !outcomes[index].result.success)
+        .map(adapter => adapter.id),
+    };
+  }
+
+  /**
+   * Carries the last archived menus of sources that failed over into the
+   * scraped days, so a source outage doesn't drop its restaurants
+   */
+  async keepFailedSourceMenus(days, failedSources) {
+    if (failedSources.length === 0) {
+      return days;
+    }
+
+    const sourceOrder = this.scrapingService.getEnabledAdapters().map(adapter => adapter.id);
+    const keptDays = { ...days };
+    const dates = new Set([...Object.keys(days), this.cacheService.getCurrentDate()]);
+
+    for (const date of dates) {
+      const previous = await this.cacheService.getArchivedMenus(date);
+      if (!previous) {
+        continue;
+      }
+
+      const dayMenus = keptDays[date] || [];
+      const seenIds = new Set(dayMenus.map(menu => menu.id));
+      const keptMenus = this.processMenus(previous.menuData.filter(menu =>
+        failedSources.includes(menu.source) && !seenIds.has(menu.id)
+      ));
+
+      if (keptMenus.length > 0) {
+        console.log(`♻️  Keeping ${keptMenus.length} archived menus of failed sources for ${date}`);
+        keptDays[date] = [...dayMenus, ...keptMenus]
+          .sort((a, b) => sourceOrder.indexOf(a.source) - sourceOrder.indexOf(b.source));
+      }
+    }
+
+    return keptDays;
+  }
+
+  /**
+   * Scrapes the week, then caches today's menus and every scraped day.
+   * Callers arriving while a scrape is running share its outcome.
+   */
+  scrapeAndCacheWeek() {
+    return this.runSingleFlight('scrape', () => this.runWeeklyScrape());
+  }
+
+  /**
+   * Runs one weekly scrape and writes its results to the cache
+   */
+  async runWeeklyScrape() {
+    const { days, result, failedSources } = await this.scrapeAllSources();
+
+    // Don't cache a failed scrape; callers fall back to stale cache instead
+    if (!result.success) {
+      const error = new Error(result.error);
+      error.scrapingResult = result;
+      throw error;
+    }
+
+    const processedDays = await this.keepFailedSourceMenus(this.processDays(days), failedSources);
+    const today = this.cacheService.getCurrentDate();
+
+    // Compare against the previous scrape before the archive is overwritten
+    const changes = await this.detectMenuChanges(processedDays);
+    // Every scrape archives the whole week, so today's entry may come from an
+    // earlier day's scrape; only one scraped today means menus were published
+    const previousToday = await this.cacheService.getArchivedMenus(today);
+    const isFirstScrape = !previousToday ||
+      previousToday.scrapedOn !== today ||
+      previousToday.menuData.length === 0;
+
+    await this.cacheService.cacheMenus(processedDays[today] || [], result);
+    await this.cacheService.cacheWeekMenus(processedDays, result);
+
+    for (const [date, change] of Object.entries(changes)) {
+      await this.cacheService.saveMenuChanges(date, change);
+    }
+
+    // The week is scraped once a day, which doubles as the archive pruning job
+    await this.cacheService.pruneArchive();
+
+    this.lastScrapingResult = result;
+    this.lastUpdate = new Date().toISOString();
+
+    this.publishEvent('menus.updated', {
+      date: today,
+      menuCount: (processedDays[today] || []).length,
+      lastUpdated: this.lastUpdate,
+      changedDates: Object.keys(changes),
+    });
+    this.notifyWebhooks(today, processedDays[today] || [], isFirstScrape, changes[today] || null);
+
+    return {
+      days: processedDays,
+      result,
+    };
+  }
+
+  /**
+   * Compares freshly scraped days with their archived previous scrape;
+   * returns the differences by date, leaving out dates without any
+   */
+  async detectMenuChanges(processedDays) {
+    const detectedAt = new Date().toISOString();
+    const changes = {};
+
+    for (const [date, menus] of Object.entries(processedDays)) {
+      const previous = await this.cacheService.getArchivedMenus(date);
+
+      // Nothing to compare with, or the day is no longer listed (the archive keeps it)
+      if (!previous || previous.menuData.length === 0 || menus.length === 0) {
+        continue;
+      }
+
+      const diff = diffMenus(previous.menuData, menus);
+      if (hasChanges(diff)) {
+        changes[date] = {
+          detectedAt,
+          previousScrape: previous.timestamp,
+          ...diff,
+        };
+        console.log(`🔀 Menus for ${date} changed: ${JSON.stringify(diff.summary)}`);
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Gets the menu changes detected between scrapes of a date (default
+   * today), and the keys of items added or changed during the day by menu
+   */
+  async getMenuChanges(date = null) {
+    await this.initialize();
+
+    const changeDate = date || this.cacheService.getCurrentDate();
+    if (!isValidDate(changeDate)) {
+      const error = new Error(`Invalid date: ${changeDate}. Expected format YYYY-MM-DD`);
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    const changes = await this.cacheService.getMenuChanges(changeDate);
+
+    const updatedItems = {};
+    changes.forEach(change => {
+      change.restaurants.forEach(menu => {
+        // Changes logged before items had keys only carry the ID
+        const itemKeys = [...menu.added, ...menu.changed].map(item => item.key || item.id);
+        updatedItems[menu.menuId] = [...new Set([...(updatedItems[menu.menuId] || []), ...itemKeys])];
+      });
+    });
+
+    return {
+      date: changeDate,
+      changes,
+      updatedItems,
+      lastChange: changes.length > 0 ? changes[changes.length - 1].detectedAt : null,
+    };
+  }
+
+  /**
+   * Gets menus for every day of the current week
+   */
+  async getWeekMenus() {
+    await this.initialize();
+
+    const today = this.cacheService.getCurrentDate();
+    const weekDates = getWeekDates(today);
+    let days;
+    let metadata;
+
+    const cachedWeek = await this.cacheService.getCachedWeekMenus();
+    if (cachedWeek) {
+      days = this.processDays(cachedWeek.days);
+      metadata = {
+        lastUpdated: cachedWeek.lastUpdated,
+        scrapingResult: cachedWeek.scrapingResult,
+        cacheHit: true,
+      };
+    } else {
+      console.log('🕸️  No valid weekly cache found, scraping fresh data...');
+      const scraped = await this.scrapeAndCacheWeek();
+      days = scraped.days;
+      metadata = {
+        lastUpdated: this.lastUpdate,
+        scrapingResult: scraped.result,
+        cacheHit: false,
+      };
+    }
+
+    return {
+      weekStart: weekDates[0],
+      weekEnd: weekDates[weekDates.length - 1],
+      days: weekDates.map(date => ({
+        date,
+        weekday: getWeekday(date),
+        isToday: date === today,
+        menus: days[date] || [],
+      })),
+      source: this.getSourceDescription(),
+      ...metadata,
+    };
+  }
+
+  /**
+   * Gets menus for a YYYY-MM-DD date of the current week, or of an earlier
+   * date from the archive
+   */
+  async getMenusForDate(date) {
+    if (!isValidDate(date)) {
+      const error = new Error(`Invalid date: ${date}. Expected format YYYY-MM-DD`);
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    await this.initialize();
+
+    if (!getWeekDates(this.cacheService.getCurrentDate()).includes(date)) {
+      return this.getArchivedMenusForDate(date);
+    }
+
+    const { days, ...metadata } = await this.getWeekMenus();
+    const day = days.find(entry => entry.date === date);
+
+    return {
+      date: day.date,
+      weekday: day.weekday,
+      menus: day.menus,
+      archived: false,
+      ...metadata,
+    };
+  }
+
+  /**
+   * Gets menus of a date outside the current week from the archive
+   */
+  async getArchivedMenusForDate(date) {
+    const cacheEntry = await this.cacheService.getArchivedMenus(date);
+
+    if (!cacheEntry) {
+      throw new Error(`No menus available for ${date}; it is outside the current week and not archived`);
+    }
+
+    return {
+      date,
+      weekday: getWeekday(date),
+      menus: this.processMenus(cacheEntry.menuData),
+      archived: true,
+      lastUpdated: cacheEntry.timestamp,
+      source: this.getSourceDescription() + ' (archive)',
+      scrapingResult: cacheEntry.scrapingResult,
+      cacheHit: true,
+    };
+  }
+
+  /**
+   * Gets the menus of every archived day and of the current week, oldest
+   * first, optionally only those of the given restaurant IDs
+   */
+  async getCalendarDays({ restaurants = [] } = {}) {
+    const knownRestaurants = this.scrapingService.getRestaurants();
+    this.validateLocationFilters(knownRestaurants, { restaurants });
+
+    // Without the current week, its days come from the archive below
+    let days = [];
+    try {
+      const week = await this.getWeekMenus();
+      days = week.days.map(day => ({ date: day.date, menus: day.menus, lastUpdated: week.lastUpdated }));
+    } catch (error) {
+      console.warn('⚠️  Building the calendar from the archive without the current week:', error.message);
+    }
+    const weekDates = days.map(day => day.date);
+
+    for (const date of await this.cacheService.listArchivedDates()) {
+      if (weekDates.includes(date)) {
+        continue;
+      }
+
+      const cacheEntry = await this.cacheService.getArchivedMenus(date);
+      if (cacheEntry) {
+        days.push({ date, menus: this.processMenus(cacheEntry.menuData), lastUpdated: cacheEntry.timestamp });
+      }
+    }
+
+    const selected = knownRestaurants.filter(restaurant => restaurants.includes(restaurant.id));
+    const servesSelected = menu => selected.some(restaurant => restaurant.servesMenu(menu));
+
+    return {
+      days: days
+        .map(day => ({
+          ...day,
+          menus: restaurants.length > 0 ? day.menus.filter(servesSelected) : day.menus,
+        }))
+        .filter(day => day.menus.length > 0)
+        .sort((a, b) => a.date.localeCompare(b.date)),
+      // Lunch windows are wall-clock times in the cache's time zone
+      timezone: this.cacheService.timezone,
+    };
+  }
+
+  /**
+   * Gets the archived cache entries of the most recent days up to today,
+   * newest first, with each day's menus and scrape time
+   */
+  async getFeedDays({ days = DEFAULT_FEED_DAYS } = {}) {
+    // Make sure the current week has been scraped and archived
+    try {
+      await this.getWeekMenus();
+    } catch (error) {
+      console.warn('⚠️  Building the feed from the archive without the current week:', error.message);
+    }
+
+    const today = this.cacheService.getCurrentDate();
+    const dates = (await this.cacheService.listArchivedDates())
+      .filter(date => date <= today)
+      .slice(-days)
+      .reverse();
+
+    const feedDays = [];
+    for (const date of dates) {
+      const data = await this.cacheService.getArchivedMenus(date);
+      if (!data) {
+        continue;
+      }
+
+      const entry = CacheEntry.fromJSON(data);
+      if (entry.getMenuCount() > 0) {
+        feedDays.push({ date, menus: this.processMenus(entry.menuData), updated: entry.timestamp });
+      }
+    }
+
+    return feedDays;
+  }
+
+  /**
+   * Searches item names and descriptions across every archived day
+   */
+  async searchMenus({ query, from = null, to = null }) {
+    const terms = tokenizeQuery(query);
+    if (terms.join('').length < 2) {
+      const error = new Error('Search query must contain at least 2 characters');
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    [from, to].forEach(date => {
+      if (date !== null && !isValidDate(date)) {
+        const error = new Error(`Invalid date: ${date}. Expected format YYYY-MM-DD`);
+        error.name = 'ValidationError';
+        throw error;
+      }
+    });
+
+    if (from && to && from > to) {
+      const error = new Error(`Invalid date range: ${from} is after ${to}`);
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    await this.initialize();
+
+    // Make sure the current week is archived before searching it
+    try {
+      await this.getWeekMenus();
+    } catch (error) {
+      console.warn('⚠️  Searching the archive without the current week:', error.message);
+    }
+
+    const dates = (await this.cacheService.listArchivedDates())
+      .filter(date => (!from || date >= from) && (!to || date <= to))
+      .reverse();
+    const knownRestaurants = this.scrapingService.getRestaurants();
+    const results = [];
+
+    for (const date of dates) {
+      const cacheEntry = await this.cacheService.getArchivedMenus(date);
+      if (!cacheEntry) {
+        continue;
+      }
+
+      this.processMenus(cacheEntry.menuData).forEach(menu => {
+        const restaurant = knownRestaurants.find(candidate => candidate.servesMenu(menu));
+
+        MenuItem.filterBySearch(menu.items, query).forEach(item => {
+          results.push({
+            date,
+            weekday: getWeekday(date),
+            restaurant: {
+              id: restaurant ? restaurant.id : menu.id,
+              name: menu.title,
+              campus: restaurant ? restaurant.campus : null,
+              source: menu.source,
+            },
+            menuId: menu.id,
+            item,
+          });
+        });
+      });
+    }
+
+    return {
+      query,
+      from,
+      to,
+      datesSearched: dates.length,
+      count: results.length,
+      results,
+    };
+  }
+
+  /**
+   * Lists archived dates with their menu counts, newest first
+   */
+  async getCacheHistory() {
+    await this.initialize();
+
+    const history = await this.cacheService.getArchiveHistory();
+    return {
+      dates: history,
+      count: history.length,
+      retentionDays: this.cacheService.retentionDays,
+    };
+  }
+
+  /**
+   * Processes raw menus of every day
+   */
+  processDays(rawDays) {
+    return Object.fromEntries(
+      Object.entries(rawDays).map(([date, menus]) => [date, this.processMenus(menus)])
+    );
+  }
+
+  /**
+   * Describes the enabled sources for API responses
+   */
+  getSourceDescription() {
+    return this.scrapingService
+      .getEnabledAdapters()
+      .map(adapter => adapter.url)
+      .join(', ');
+  }
+
   /**
    * Processes raw menus from scraping service
    */
@@ -176,6 +715,11 @@ class MenuService {
    * Enriches menu item with additional data
    */
   enrichMenuItem(item) {
+    // Items cached before prices were split by customer tier only carry the string
+    if (!item.prices && item.price) {
+      item.prices = parsePriceText(item.price);
+    }
+
     // Standardize price format
     if (item.price && !item.price.includes('€')) {
       const numericPrice = item.getPriceNumeric();
@@ -184,73 +728,38 @@ class MenuService {
       }
     }
 
+    // Items cached before diet codes were mapped only carry the raw codes
+    if (item.dietCodes.length === 0) {
+      item.dietCodes = parseDietCodes(item.dietary).dietCodes;
+    }
+
     // Clean and standardize dietary information
     item.dietary = this.standardizeDietaryInfo(item.dietary);
     
     // Clean and standardize allergen information
-    item.allergens = this.standardizeAllergenInfo(item.allergens);
+    item.allergens = this.standardizeAllergenInfo(item.allergens, item.dietary);
   }
 
   /**
-   * Standardizes dietary information
+   * Standardizes dietary information into dictionary tags, dropping unknown codes
    */
   standardizeDietaryInfo(dietary) {
     if (!Array.isArray(dietary)) {
       return [];
     }
 
-    const standardMap = {
-      'veg': 'vegetarian',
-      'veggie': 'vegetarian',
-      'plant-based': 'vegan',
-      'gluten free': 'gluten-free',
-      'gluteeniton': 'gluten-free',
-      'dairy free': 'dairy-free',
-      'laktoositon': 'dairy-free',
-      'luomu': 'organic',
-    };
-
-    return dietary
-      .map(item => {
-        const normalized = item.toLowerCase().trim();
-        return standardMap[normalized] || normalized;
-      })
-      .filter((item, index, array) => array.indexOf(item) === index) // Remove duplicates
-      .filter(item => item.length > 0);
+    return parseDietCodes(dietary).dietCodes.map(entry => entry.tag);
   }
 
   /**
-   * Standardizes allergen information
+   * Standardizes allergen information into EU allergens, adding the ones the
+   * dietary tags rule out
    */
-  standardizeAllergenInfo(allergens) {
-    if (!Array.isArray(allergens)) {
-      return [];
-    }
-
-    const standardMap = {
-      'gluten': 'contains gluten',
-      'wheat': 'contains gluten',
-      'vehnä': 'contains gluten',
-      'milk': 'contains dairy',
-      'dairy': 'contains dairy',
-      'maito': 'contains dairy',
-      'nuts': 'contains nuts',
-      'pähkinä': 'contains nuts',
-      'egg': 'contains eggs',
-      'muna': 'contains eggs',
-      'fish': 'contains fish',
-      'kala': 'contains fish',
-      'soy': 'contains soy',
-      'soja': 'contains soy',
-    };
-
-    return allergens
-      .map(item => {
-        const normalized = item.toLowerCase().trim();
-        return standardMap[normalized] || (item.startsWith('contains') ? item : `contains ${item}`);
-      })
-      .filter((item, index, array) => array.indexOf(item) === index) // Remove duplicates
-      .filter(item => item.length > 0);
+  standardizeAllergenInfo(allergens, dietary = []) {
+    return Allergen.merge([
+      ...Allergen.parseList(allergens),
+      ...Allergen.fromDietTags(dietary),
+    ]);
   }
 
   /**
@@ -266,7 +775,41 @@ class MenuService {
    */
   async clearCache() {
     await this.initialize();
-    return await this.cacheService.clearCache();
+    const cleared = await this.cacheService.clearCache();
+
+    if (cleared) {
+      this.publishEvent('cache.cleared');
+    }
+    return cleared;
+  }
+
+  /**
+   * Notifies webhooks about a scrape of today's menus, if a webhook service is attached
+   */
+  notifyWebhooks(date, menus, isFirstScrape, change) {
+    if (!this.webhookService) {
+      return;
+    }
+
+    // Deliveries retry for a while; don't hold up the scrape for them
+    this.webhookService.handleScrape({ date, menus, isFirstScrape, change })
+      .catch(error => console.error('❌ Webhook notification failed:', error.message));
+  }
+
+  /**
+   * Publishes a change event when an event service is attached
+   */
+  publishEvent(type, data = {}) {
+    if (this.eventService) {
+      this.eventService.publish(type, data);
+    }
+  }
+
+  /**
+   * Gets today's date (YYYY-MM-DD) in the cache's time zone
+   */
+  getCurrentDate() {
+    return this.cacheService.getCurrentDate();
   }
 
   /**
@@ -304,6 +847,191 @@ class MenuService {
     };
   }
 
+  /**
+   * Gets the restaurants served by the enabled sources
+   */
+  getRestaurants() {
+    return this.scrapingService.getRestaurants();
+  }
+
+  /**
+   * Filters menus by campus and restaurant IDs
+   */
+  async getMenusByLocation({ campuses = [], restaurants = [] }) {
+    const knownRestaurants = this.scrapingService.getRestaurants();
+    this.validateLocationFilters(knownRestaurants, { campuses, restaurants });
+
+    const { menus, ...metadata } = await this.getMenus();
+
+    const filteredMenus = menus.filter(menu => {
+      const restaurant = knownRestaurants.find(candidate => candidate.servesMenu(menu));
+      if (!restaurant) {
+        return false;
+      }
+
+      return (campuses.length === 0 || campuses.includes(restaurant.campus)) &&
+        (restaurants.length === 0 || restaurants.includes(restaurant.id));
+    });
+
+    return {
+      menus: filteredMenus,
+      ...metadata,
+    };
+  }
+
+  /**
+   * Rejects campus or restaurant IDs that no enabled source knows about
+   */
+  validateLocationFilters(knownRestaurants, { campuses = [], restaurants = [] }) {
+    const knownCampuses = [...new Set(knownRestaurants.map(restaurant => restaurant.campus))];
+    const unknownCampuses = campuses.filter(campus => !knownCampuses.includes(campus));
+    if (unknownCampuses.length > 0) {
+      const error = new Error(
+        `Unknown campus: ${unknownCampuses.join(', ')}. Available campuses: ${knownCampuses.join(', ')}`
+      );
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    const knownIds = knownRestaurants.map(restaurant => restaurant.id);
+    const unknownIds = restaurants.filter(id => !knownIds.includes(id));
+    if (unknownIds.length > 0) {
+      const error = new Error(
+        `Unknown restaurant: ${unknownIds.join(', ')}. Available restaurants: ${knownIds.join(', ')}`
+      );
+      error.name = 'ValidationError';
+      throw error;
+    }
+  }
+
+  /**
+   * Resolves allergen names from a query ("nuts", "dairy", "kala") to EU allergens
+   */
+  parseAllergenFilter(names = []) {
+    const unknown = names.filter(name => Allergen.identify(name) === null);
+    if (unknown.length > 0) {
+      const error = new Error(
+        `Unknown allergen: ${unknown.join(', ')}. Available allergens: ${Allergen.ALLERGENS.join(', ')}`
+      );
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    return [...new Set(names.map(name => Allergen.identify(name)))];
+  }
+
+  /**
+   * Parses random selection criteria from query parameters, rejecting
+   * restaurants that no enabled source knows about
+   */
+  parseSelectionCriteria(query) {
+    const criteria = SelectionCriteria.fromQuery(query);
+    this.validateLocationFilters(this.scrapingService.getRestaurants(), { restaurants: criteria.restaurants });
+
+    return criteria;
+  }
+
+  /**
+   * Parses weighted selection weights from query parameters
+   * (?itemCountBonus=0.5&priceBonus=2&favourite=reaktori&favouriteBonus=3),
+   * resolving favourite restaurant IDs to restaurants
+   */
+  parseSelectionWeights(query) {
+    const weights = {};
+    const problems = [];
+
+    SELECTION_WEIGHTS.forEach(name => {
+      if (query[name] === undefined || query[name] === '') {
+        return;
+      }
+
+      const value = Number(query[name]);
+      if (!Number.isFinite(value) || value < 0 || value > MAX_SELECTION_WEIGHT) {
+        problems.push(`Invalid ${name}: ${query[name]}. Expected a number from 0 to ${MAX_SELECTION_WEIGHT}`);
+      } else {
+        weights[name] = value;
+      }
+    });
+
+    if (problems.length > 0) {
+      const error = new Error(problems.join('; '));
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    const favourites = String(query.favourite || '')
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(id => id.length > 0);
+    const knownRestaurants = this.scrapingService.getRestaurants();
+    this.validateLocationFilters(knownRestaurants, { restaurants: favourites });
+
+    weights.favouriteRestaurants = knownRestaurants.filter(restaurant => favourites.includes(restaurant.id));
+    if (weights.favouriteRestaurants.length > 0 && weights.favouriteBonus === undefined) {
+      weights.favouriteBonus = DEFAULT_FAVOURITE_BONUS;
+    }
+
+    return weights;
+  }
+
+  /**
+   * Gets the menus to select from, narrowed to the criteria's restaurants and
+   * priced for the criteria's customer tier
+   */
+  async getMenusForSelection(criteria) {
+    const result = criteria.restaurants.length === 0
+      ? await this.getAllMenus()
+      : await this.getMenusByLocation({ restaurants: criteria.restaurants });
+
+    return {
+      ...result,
+      menus: this.applyPriceTier(result.menus, criteria.priceTier),
+    };
+  }
+
+  /**
+   * Parses the ?priceTier= parameter (student, staff or guest); null when
+   * it is not given
+   */
+  parsePriceTier(value) {
+    if (value === undefined || value === '') {
+      return null;
+    }
+
+    const tier = String(value).trim().toLowerCase();
+    if (!isPriceTier(tier)) {
+      const error = new Error(`Invalid priceTier: ${value}. Expected one of: ${Object.keys(PRICE_TIERS).join(', ')}`);
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    return tier;
+  }
+
+  /**
+   * Shows the prices of a customer tier as the items' display prices
+   */
+  applyPriceTier(menus, tier) {
+    if (!tier) {
+      return menus;
+    }
+
+    return menus.map(menu => menu.withPriceTier(tier));
+  }
+
+  /**
+   * Strips items with any of the allergens, dropping menus left without items
+   */
+  excludeAllergens(menus, allergens) {
+    if (allergens.length === 0) {
+      return menus;
+    }
+
+    return menus
+      .map(menu => menu.withoutAllergens(allergens))
+      .filter(menu => menu.items.length > 0);
+  }
+
   /**
    * Gets menus available at current time
    */
@@ -326,9 +1054,13 @@ class MenuService {
     
     const totalItems = menus.reduce((sum, menu) => sum + menu.getItemCount(), 0);
     const allDietaryCategories = [...new Set(menus.flatMap(menu => menu.getAllDietaryCategories()))];
-    const allAllergens = [...new Set(menus.flatMap(menu => menu.getAllAllergens()))];
+    const allAllergens = Allergen.merge(menus.flatMap(menu => menu.getAllAllergens()));
     
     const priceStats = this.calculatePriceStatistics(menus);
+    const priceStatsByTier = Object.fromEntries(
+      Object.keys(PRICE_TIERS).map(tier => [tier, this.calculatePriceStatistics(menus, tier)])
+    );
+    const nutritionStats = this.calculateNutritionStatistics(menus);
     
     return {
       totalMenus: menus.length,
@@ -337,18 +1069,21 @@ class MenuService {
       dietaryCategories: allDietaryCategories,
       allergens: allAllergens,
       priceStatistics: priceStats,
+      priceStatisticsByTier: priceStatsByTier,
+      nutritionStatistics: nutritionStats,
       lastUpdate: this.lastUpdate,
       scrapingDuration: scrapingResult ? scrapingResult.getFormattedDuration() : null,
     };
   }
 
   /**
-   * Calculates price statistics for menu items
+   * Calculates price statistics for menu items, for a customer tier
+   * (student by default)
    */
-  calculatePriceStatistics(menus) {
+  calculatePriceStatistics(menus, tier = DEFAULT_PRICE_TIER) {
     const allPrices = menus
       .flatMap(menu => menu.items)
-      .map(item => item.getPriceNumeric())
+      .map(item => item.getPriceNumeric(tier))
       .filter(price => price > 0);
 
     if (allPrices.length === 0) {
@@ -372,6 +1107,32 @@ class MenuService {
     };
   }
 
+  /**
+   * Calculates nutrition statistics for menu items: per-portion averages of
+   * each published field and counts of low-carbon and high-protein items
+   */
+  calculateNutritionStatistics(menus) {
+    const items = menus.flatMap(menu => menu.items);
+    const withNutrition = items.filter(item => item.nutrition);
+
+    const averages = {};
+    Object.keys(NUTRITION_FIELDS).forEach(field => {
+      const values = withNutrition
+        .map(item => item.nutrition[field])
+        .filter(value => typeof value === 'number');
+      averages[field] = values.length > 0
+        ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 100) / 100
+        : null;
+    });
+
+    return {
+      itemsWithNutrition: withNutrition.length,
+      averages,
+      lowCarbonItems: items.filter(item => item.isLowCarbon()).length,
+      highProteinItems: items.filter(item => item.isHighProtein()).length,
+    };
+  }
+
   /**
    * Validates menu data integrity
    */
@@ -437,6 +1198,14 @@ class MenuService {
     return await this.getAllMenus();
   }
 
+  /**
+   * Scrapes the week ahead of requests so the cache is warm
+   */
+  async prewarmCache() {
+    await this.initialize();
+    return await this.scrapeAndCacheWeek();
+  }
+
   /**
    * Sets custom scraping service configuration
    */
@@ -447,6 +1216,12 @@ class MenuService {
     if (config.timeout) {
       this.scrapingService.setTimeout(config.timeout);
     }
+    if (config.fixtureMode !== undefined) {
+      this.scrapingService.setFixtureMode(config.fixtureMode);
+    }
+    if (config.sources) {
+      this.scrapingService.setEnabledSources(config.sources);
+    }
   }
 
   /**
@@ -0,0 +1,258 @@
+/**
+ * Poll Service
+ * Group lunch polls stored as one JSON file per poll, next to the menu
+ * cache. Ties are broken with RandomSelectionService, seeded by the poll and
+ * its tally so the winner stays the same until the votes change.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const Poll = require('../models/Poll');
+const { getZonedDateTime } = require('../utils/dateUtils');
+const { readJsonFile, writeJsonFile } = require('../utils/fileUtils');
+
+const POLL_ID_REGEX = /^[A-Za-z0-9_-]{6,32}$/;
+const MAX_CLOSES_IN_MINUTES = 24 * 60;
+const DEFAULT_RETENTION_DAYS = 7;
+
+/**
+ * Creates a ValidationError, which the error handler reports as a 400
+ */
+const validationError = (message) => {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+};
+
+class PollService {
+  constructor(randomSelectionService, {
+    pollsDir = process.env.POLLS_DIR || './polls',
+    retentionDays = DEFAULT_RETENTION_DAYS,
+    timezone = 'Europe/Helsinki',
+    eventService = null,
+  } = {}) {
+    this.randomSelectionService = randomSelectionService;
+    this.eventService = eventService;
+    this.pollsDir = pollsDir;
+    this.retentionDays = retentionDays;
+    this.timezone = timezone;
+    // Tails of each poll's queue of read-modify-write updates
+    this.locks = new Map();
+  }
+
+  /**
+   * Checks that a string looks like a poll ID (also keeps IDs safe as file names)
+   */
+  isValidPollId(id) {
+    return typeof id === 'string' && POLL_ID_REGEX.test(id);
+  }
+
+  /**
+   * Gets the file a poll is stored in
+   */
+  getPollFile(id) {
+    return path.join(this.pollsDir, `${id}.json`);
+  }
+
+  /**
+   * Generates a random URL-safe poll ID
+   */
+  generatePollId() {
+    return crypto.randomBytes(9).toString('base64url');
+  }
+
+  /**
+   * Gets today's date in the service time zone as YYYY-MM-DD
+   */
+  getCurrentDate() {
+    return getZonedDateTime(new Date(), this.timezone).date;
+  }
+
+  /**
+   * Creates a poll between today's menus, or the given subset of them
+   * ({ title, menuIds, closesInMinutes })
+   */
+  async createPoll(menus, { title, menuIds, closesInMinutes } = {}) {
+    const problems = [];
+
+    let selectedMenus = menus;
+    if (menuIds !== undefined) {
+      const ids = Array.isArray(menuIds) ? menuIds : String(menuIds).split(',');
+      const requested = [...new Set(ids.map(id => String(id).trim()).filter(id => id.length > 0))];
+      const unknown = requested.filter(id => !menus.some(menu => menu.id === id));
+
+      if (unknown.length > 0) {
+        problems.push(`Unknown menu: ${unknown.join(', ')}. Available menus: ${menus.map(menu => menu.id).join(', ')}`);
+      }
+      selectedMenus = menus.filter(menu => requested.includes(menu.id));
+    }
+
+    if (problems.length === 0 && selectedMenus.length < 2) {
+      problems.push('A poll needs at least 2 menus to choose from');
+    }
+
+    let pollTitle;
+    if (title !== undefined) {
+      pollTitle = typeof title === 'string' ? title.trim() : '';
+      if (pollTitle.length === 0 || pollTitle.length > Poll.MAX_TITLE_LENGTH) {
+        problems.push(`Invalid title: expected 1 to ${Poll.MAX_TITLE_LENGTH} characters`);
+      }
+    }
+
+    let closesAt = null;
+    if (closesInMinutes !== undefined && closesInMinutes !== null) {
+      const minutes = Number(closesInMinutes);
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_CLOSES_IN_MINUTES) {
+        problems.push(`Invalid closesInMinutes: ${closesInMinutes}. Expected an integer from 1 to ${MAX_CLOSES_IN_MINUTES}`);
+      } else {
+        closesAt = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+      }
+    }
+
+    if (problems.length > 0) {
+      throw validationError(problems.join('; '));
+    }
+
+    const poll = new Poll({
+      id: this.generatePollId(),
+      title: pollTitle,
+      date: this.getCurrentDate(),
+      options: selectedMenus.map(menu => ({
+        id: menu.id,
+        title: menu.title,
+        source: menu.source,
+      })),
+      closesAt,
+    });
+
+    await this.pruneExpiredPolls();
+    await this.savePoll(poll);
+    console.log(`🗳️  Created poll ${poll.id} with ${poll.options.length} options`);
+
+    return poll;
+  }
+
+  /**
+   * Gets a poll by ID, or null if it does not exist
+   */
+  async getPoll(id) {
+    if (!this.isValidPollId(id)) {
+      return null;
+    }
+
+    const data = await readJsonFile(this.getPollFile(id));
+    return data && Poll.fromJSON(data);
+  }
+
+  /**
+   * Records a participant's vote; returns the updated poll, or null if the
+   * poll does not exist
+   */
+  async castVote(id, participant, optionId) {
+    return this.withLock(id, async () => {
+      const poll = await this.getPoll(id);
+      if (!poll) {
+        return null;
+      }
+
+      poll.castVote(participant, optionId);
+      await this.savePoll(poll);
+
+      if (this.eventService) {
+        this.eventService.publish('poll.updated', {
+          pollId: poll.id,
+          totalVotes: poll.votes.length,
+        });
+      }
+      return poll;
+    });
+  }
+
+  /**
+   * Gets the tally and the winner of a poll; tied leaders are decided by a
+   * random pick seeded by the poll ID and the votes
+   */
+  getResults(poll) {
+    const tally = poll.getTally();
+    const leaders = poll.getLeaders();
+
+    let winner = null;
+    let tieBreak = null;
+    if (leaders.length === 1) {
+      [winner] = leaders;
+    } else if (leaders.length > 1) {
+      const seed = `${poll.id}:${tally.map(entry => entry.votes).join('-')}`;
+      const random = this.randomSelectionService.createRandomSource(seed);
+      winner = leaders[this.randomSelectionService.generateRandomIndex(leaders.length, random)];
+      tieBreak = {
+        method: 'random',
+        tiedOptionIds: leaders.map(entry => entry.id),
+      };
+    }
+
+    return {
+      tally,
+      totalVotes: poll.votes.length,
+      winner: winner && { id: winner.id, title: winner.title, votes: winner.votes },
+      tieBreak,
+      isClosed: poll.isClosed(),
+    };
+  }
+
+  /**
+   * Writes a poll to its file
+   */
+  async savePoll(poll) {
+    await writeJsonFile(this.getPollFile(poll.id), poll);
+  }
+
+  /**
+   * Deletes polls from more than the retention period ago
+   */
+  async pruneExpiredPolls() {
+    let files;
+    try {
+      files = await fs.readdir(this.pollsDir);
+    } catch {
+      return 0;
+    }
+
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+    let removed = 0;
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const poll = await this.getPoll(path.basename(file, '.json')).catch(() => null);
+      if (poll && new Date(poll.createdAt) < cutoff) {
+        await fs.unlink(path.join(this.pollsDir, file)).catch(() => {});
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Pruned ${removed} expired polls`);
+    }
+    return removed;
+  }
+
+  /**
+   * Runs updates of the same poll one at a time, so concurrent votes are
+   * not lost between reading and writing the file
+   */
+  withLock(id, operation) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+    const tail = current.catch(() => {});
+    this.locks.set(id, tail);
+    tail.then(() => {
+      if (this.locks.get(id) === tail) {
+        this.locks.delete(id);
+      }
+    });
+
+    return current;
+  }
+}
+
+PollService.MAX_CLOSES_IN_MINUTES = MAX_CLOSES_IN_MINUTES;
+
+module.exports = PollService;
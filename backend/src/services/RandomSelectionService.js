@@ -4,18 +4,33 @@
  */
 
 const Menu = require('../models/Menu');
+const SelectionHistoryService = require('./SelectionHistoryService');
+const { createSeededRandom } = require('../utils/randomUtils');
+const { chiSquareUniformTest, wilsonInterval } = require('../utils/statistics');
+
+const UINT32_RANGE = 0x100000000;
+const RANDOMNESS_SIGNIFICANCE_LEVEL = 0.05;
+const RANDOMNESS_CONFIDENCE_LEVEL = 0.95;
+
+const roundWeight = (value) => Math.round(value * 1000) / 1000;
+const roundStatistic = (value) => Math.round(value * 10000) / 10000;
 
 class RandomSelectionService {
-  constructor() {
+  constructor(historyService = new SelectionHistoryService()) {
     this.lastSelection = null;
+    // Every client's selections, for statistics; anti-repeat uses the
+    // per-client histories of the history service
     this.selectionHistory = [];
     this.maxHistorySize = 10;
+    this.historyService = historyService;
   }
 
   /**
-   * Selects a random menu from the provided menu list
+   * Selects a random menu from the provided menu list, recording it in the
+   * history of the client if one is given; random is an optional seeded
+   * generator (see createRandomSource)
    */
-  selectRandomMenu(menus) {
+  selectRandomMenu(menus, { clientId = null, random = null } = {}) {
     if (!Array.isArray(menus) || menus.length === 0) {
       throw new Error('No menus available for random selection');
     }
@@ -27,7 +42,7 @@ class RandomSelectionService {
     }
 
     // Select random menu
-    const randomIndex = this.generateRandomIndex(validMenus.length);
+    const randomIndex = this.generateRandomIndex(validMenus.length, random);
     const selectedMenu = validMenus[randomIndex];
 
     // Create a copy to avoid modifying the original
@@ -37,7 +52,7 @@ class RandomSelectionService {
     selectedMenuCopy.setSelected(true);
 
     // Update selection history
-    this.updateSelectionHistory(selectedMenuCopy.id);
+    this.updateSelectionHistory(selectedMenuCopy.id, clientId);
 
     // Store last selection info
     this.lastSelection = {
@@ -54,9 +69,10 @@ class RandomSelectionService {
   }
 
   /**
-   * Selects a random menu with anti-repetition logic
+   * Selects a random menu with anti-repetition logic, avoiding the client's
+   * recent selections
    */
-  selectRandomMenuWithAntiRepeat(menus, avoidRecentCount = 2) {
+  selectRandomMenuWithAntiRepeat(menus, avoidRecentCount = 2, { clientId = null } = {}) {
     if (!Array.isArray(menus) || menus.length === 0) {
       throw new Error('No menus available for random selection');
     }
@@ -68,11 +84,11 @@ class RandomSelectionService {
 
     // If we have fewer menus than the avoid count, just do regular selection
     if (validMenus.length <= avoidRecentCount) {
-      return this.selectRandomMenu(validMenus);
+      return this.selectRandomMenu(validMenus, { clientId });
     }
 
     // Get recent selections to avoid
-    const recentSelections = this.selectionHistory.slice(-avoidRecentCount);
+    const recentSelections = this.getRecentSelections(clientId, avoidRecentCount);
     
     // Filter out recently selected menus
     const availableMenus = validMenus.filter(menu => 
@@ -91,7 +107,7 @@ class RandomSelectionService {
     selectedMenuCopy.setSelected(true);
 
     // Update selection history
-    this.updateSelectionHistory(selectedMenuCopy.id);
+    this.updateSelectionHistory(selectedMenuCopy.id, clientId);
 
     // Store last selection info
     this.lastSelection = {
@@ -154,10 +170,64 @@ class RandomSelectionService {
     return this.selectRandomMenu(filteredMenus);
   }
 
+  /**
+   * Selects a random menu among the ones matching the criteria, with only
+   * the matching items
+   */
+  selectRandomMenuByCriteria(menus, criteria, { clientId = null, seed = null } = {}) {
+    const candidates = this.filterMenusByCriteria(menus, criteria);
+    return this.selectRandomMenu(
+      this.avoidRecentSelections(candidates, criteria.avoidRecent, clientId),
+      { clientId, random: this.createRandomSource(seed) }
+    );
+  }
+
+  /**
+   * Selects a random meal matching the criteria
+   */
+  selectRandomMealByCriteria(menus, criteria, { clientId = null, seed = null } = {}) {
+    const candidates = this.filterMenusByCriteria(menus, criteria);
+    return this.selectRandomMeal(
+      this.avoidRecentSelections(candidates, criteria.avoidRecent, clientId),
+      { clientId, random: this.createRandomSource(seed) }
+    );
+  }
+
+  /**
+   * Applies selection criteria to the menus
+   */
+  filterMenusByCriteria(menus, criteria) {
+    if (!Array.isArray(menus) || menus.length === 0) {
+      throw new Error('No menus available for random selection');
+    }
+
+    const matchingMenus = criteria.filterMenus(menus.filter(menu => menu instanceof Menu));
+    if (matchingMenus.length === 0) {
+      throw new Error('No menus available matching the selection criteria');
+    }
+
+    return matchingMenus;
+  }
+
+  /**
+   * Leaves out the menus picked in the client's last selections, unless that
+   * would leave nothing to pick from
+   */
+  avoidRecentSelections(menus, avoidRecentCount, clientId = null) {
+    const recentSelections = this.getRecentSelections(clientId, avoidRecentCount);
+    if (recentSelections.length === 0) {
+      return menus;
+    }
+
+    const freshMenus = menus.filter(menu => !recentSelections.includes(menu.id));
+
+    return freshMenus.length > 0 ? freshMenus : menus;
+  }
+
   /**
    * Selects a random single meal (menu item) from all provided menus
    */
-  selectRandomMeal(menus) {
+  selectRandomMeal(menus, { clientId = null, random = null } = {}) {
     if (!Array.isArray(menus) || menus.length === 0) {
       throw new Error('No menus available for random meal selection');
     }
@@ -180,11 +250,11 @@ class RandomSelectionService {
       throw new Error('No meals available for random selection');
     }
 
-    const randomIndex = this.generateRandomIndex(itemsWithMenu.length);
+    const randomIndex = this.generateRandomIndex(itemsWithMenu.length, random);
     const selected = itemsWithMenu[randomIndex];
 
     // Track selection history by menu id to keep parity with menu selection stats
-    this.updateSelectionHistory(selected.menuId);
+    this.updateSelectionHistory(selected.menuId, clientId);
     this.lastSelection = {
       menuId: selected.menuId,
       timestamp: new Date().toISOString(),
@@ -202,9 +272,17 @@ class RandomSelectionService {
   }
 
   /**
-   * Generates a cryptographically secure random index
+   * Creates a deterministic generator for a seed, or null to use crypto randomness
    */
-  generateRandomIndex(max) {
+  createRandomSource(seed = null) {
+    return seed === null ? null : createSeededRandom(seed);
+  }
+
+  /**
+   * Generates a cryptographically secure random index, or a reproducible one
+   * when a seeded generator is given
+   */
+  generateRandomIndex(max, random = null) {
     if (max <= 0) {
       throw new Error('Maximum value must be positive');
     }
@@ -213,29 +291,66 @@ class RandomSelectionService {
       return 0;
     }
 
+    // Rejection sampling: values at or above the largest multiple of max
+    // would make the first indices more likely than the rest, so draw again
+    const limit = UINT32_RANGE - (UINT32_RANGE % max);
+    let randomValue;
+    do {
+      randomValue = this.generateRandomUint32(random);
+    } while (randomValue >= limit);
+
+    return randomValue % max;
+  }
+
+  /**
+   * Generates a random 32-bit unsigned integer
+   */
+  generateRandomUint32(random = null) {
+    if (random) {
+      return Math.floor(random() * UINT32_RANGE);
+    }
+
     // Use crypto module for better randomness if available
     try {
       const crypto = require('crypto');
-      const randomBytes = crypto.randomBytes(4);
-      const randomValue = randomBytes.readUInt32BE(0);
-      return randomValue % max;
+      return crypto.randomBytes(4).readUInt32BE(0);
     } catch (error) {
       // Fallback to Math.random() if crypto is not available
       console.warn('Crypto module not available, using Math.random()');
-      return Math.floor(Math.random() * max);
+      return Math.floor(Math.random() * UINT32_RANGE);
     }
   }
 
   /**
-   * Updates the selection history
+   * Generates a cryptographically secure random number in [0, 1)
    */
-  updateSelectionHistory(menuId) {
+  generateRandomFraction() {
+    const crypto = require('crypto');
+    return crypto.randomBytes(4).readUInt32BE(0) / UINT32_RANGE;
+  }
+
+  /**
+   * Updates the selection history, and the client's own history if one is given
+   */
+  updateSelectionHistory(menuId, clientId = null) {
     this.selectionHistory.push(menuId);
     
     // Keep history size manageable
     if (this.selectionHistory.length > this.maxHistorySize) {
       this.selectionHistory = this.selectionHistory.slice(-this.maxHistorySize);
     }
+
+    if (clientId) {
+      this.historyService.record(clientId, menuId);
+    }
+  }
+
+  /**
+   * Gets the menu IDs of a client's last selections; anonymous callers have
+   * no history to avoid
+   */
+  getRecentSelections(clientId, count) {
+    return clientId ? this.historyService.getRecent(clientId, count) : [];
   }
 
   /**
@@ -291,7 +406,8 @@ class RandomSelectionService {
   }
 
   /**
-   * Validates that randomness is working correctly
+   * Validates that selection is uniform with a chi-square goodness-of-fit
+   * test, reporting each menu's selection rate with a 95% Wilson interval
    */
   testRandomness(menus, iterations = 100) {
     if (!Array.isArray(menus) || menus.length < 2) {
@@ -303,57 +419,76 @@ class RandomSelectionService {
       throw new Error('Need at least 2 valid menus to test randomness');
     }
 
-    const selections = {};
+    // Every menu is a category, including the ones never picked
+    const counts = new Array(validMenus.length).fill(0);
+    const indexById = new Map(validMenus.map((menu, index) => [menu.id, index]));
     const originalHistory = [...this.selectionHistory];
-    
-    // Clear history for testing
-    this.clearHistory();
+    const originalLastSelection = this.lastSelection;
 
     try {
-      // Perform multiple selections
       for (let i = 0; i < iterations; i++) {
         const result = this.selectRandomMenu(validMenus);
-        const menuId = result.selectedMenu.id;
-        selections[menuId] = (selections[menuId] || 0) + 1;
+        counts[indexById.get(result.selectedMenu.id)]++;
       }
-
-      // Calculate statistics
-      const expectedFrequency = iterations / validMenus.length;
-      const tolerance = expectedFrequency * 0.3; // 30% tolerance
-      
-      const isRandom = Object.values(selections).every(count => 
-        Math.abs(count - expectedFrequency) <= tolerance
-      );
-
-      return {
-        isRandom,
-        iterations,
-        menuCount: validMenus.length,
-        expectedFrequency: Math.round(expectedFrequency * 100) / 100,
-        actualFrequencies: selections,
-        tolerance: Math.round(tolerance * 100) / 100,
-      };
-
     } finally {
       // Restore original history
       this.selectionHistory = originalHistory;
+      this.lastSelection = originalLastSelection;
     }
+
+    const { statistic, degreesOfFreedom, pValue, expected } = chiSquareUniformTest(counts);
+    const warnings = expected < 5
+      ? [`Expected ${roundStatistic(expected)} selections per menu; the chi-square test needs at least 5, so run more iterations`]
+      : [];
+
+    return {
+      isRandom: pValue >= RANDOMNESS_SIGNIFICANCE_LEVEL,
+      iterations,
+      menuCount: validMenus.length,
+      expectedFrequency: Math.round(expected * 100) / 100,
+      actualFrequencies: Object.fromEntries(validMenus.map((menu, index) => [menu.id, counts[index]])),
+      chiSquare: {
+        statistic: roundStatistic(statistic),
+        degreesOfFreedom,
+        pValue: roundStatistic(pValue),
+        significanceLevel: RANDOMNESS_SIGNIFICANCE_LEVEL,
+      },
+      menus: validMenus.map((menu, index) => {
+        const interval = wilsonInterval(counts[index], iterations, RANDOMNESS_CONFIDENCE_LEVEL);
+
+        return {
+          menuId: menu.id,
+          menuTitle: menu.title,
+          count: counts[index],
+          proportion: roundStatistic(counts[index] / iterations),
+          expectedProportion: roundStatistic(1 / validMenus.length),
+          confidenceInterval: {
+            level: RANDOMNESS_CONFIDENCE_LEVEL,
+            lower: roundStatistic(interval.lower),
+            upper: roundStatistic(interval.upper),
+          },
+        };
+      }),
+      warnings,
+    };
   }
 
   /**
    * Creates multiple random selections for comparison
    */
-  createMultipleSelections(menus, count = 5) {
+  createMultipleSelections(menus, count = 5, { seed = null } = {}) {
     if (!Array.isArray(menus) || menus.length === 0) {
       throw new Error('No menus available for selection');
     }
 
     const selections = [];
     const originalHistory = [...this.selectionHistory];
+    // One generator for the whole series, so a seed reproduces every pick
+    const random = this.createRandomSource(seed);
 
     try {
       for (let i = 0; i < count; i++) {
-        const result = this.selectRandomMenu(menus);
+        const result = this.selectRandomMenu(menus, { random });
         selections.push({
           index: i + 1,
           menuId: result.selectedMenu.id,
@@ -375,9 +510,12 @@ class RandomSelectionService {
   }
 
   /**
-   * Gets weighted random selection based on menu characteristics
+   * Gets weighted random selection based on menu characteristics. Besides
+   * baseWeight, itemCountBonus, dietaryBonus and availabilityBonus, weights
+   * can give cheaper menus up to priceBonus and menus of favouriteRestaurants
+   * (Restaurant instances) favouriteBonus.
    */
-  selectWeightedRandomMenu(menus, weights = {}) {
+  selectWeightedRandomMenu(menus, weights = {}, { clientId = null } = {}) {
     if (!Array.isArray(menus) || menus.length === 0) {
       throw new Error('No menus available for random selection');
     }
@@ -387,58 +525,112 @@ class RandomSelectionService {
       throw new Error('No valid menus available for random selection');
     }
 
-    // Calculate weights for each menu
-    const menuWeights = validMenus.map(menu => {
-      let weight = weights.baseWeight || 1;
+    const candidates = this.calculateMenuWeights(validMenus, weights);
+
+    // Select based on weighted probability
+    const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+    let random = this.generateRandomFraction() * totalWeight;
+
+    // The last candidate catches floating point leftovers
+    let selectedIndex = validMenus.length - 1;
+    for (let i = 0; i < validMenus.length; i++) {
+      random -= candidates[i].weight;
+      if (random < 0) {
+        selectedIndex = i;
+        break;
+      }
+    }
+
+    const selectedMenu = validMenus[selectedIndex].clone();
+    selectedMenu.setSelected(true);
+
+    this.updateSelectionHistory(selectedMenu.id, clientId);
+    this.lastSelection = {
+      menuId: selectedMenu.id,
+      timestamp: new Date().toISOString(),
+      totalAvailable: validMenus.length,
+      selectionMethod: 'weighted',
+      weight: candidates[selectedIndex].weight,
+    };
+
+    return {
+      selectedMenu,
+      totalMenusAvailable: validMenus.length,
+      selectionTimestamp: this.lastSelection.timestamp,
+      selectionWeight: candidates[selectedIndex].weight,
+      candidates: candidates.map(candidate => ({
+        ...candidate,
+        probability: Math.round((candidate.weight / totalWeight) * 10000) / 10000,
+      })),
+    };
+  }
+
+  /**
+   * Calculates each menu's weight with the bonus every weight contributed
+   */
+  calculateMenuWeights(menus, weights = {}) {
+    const averagePrices = menus.map(menu => this.getAveragePrice(menu));
+    const highestPrice = Math.max(0, ...averagePrices.filter(price => price !== null));
+    const favouriteRestaurants = weights.favouriteRestaurants || [];
+
+    return menus.map((menu, index) => {
+      const breakdown = {
+        base: weights.baseWeight !== undefined ? weights.baseWeight : 1,
+        itemCount: 0,
+        dietary: 0,
+        availability: 0,
+        price: 0,
+        favourite: 0,
+      };
 
       // Add weight based on item count
       if (weights.itemCountBonus) {
-        weight += menu.getItemCount() * weights.itemCountBonus;
+        breakdown.itemCount = menu.getItemCount() * weights.itemCountBonus;
       }
 
       // Add weight based on dietary options
       if (weights.dietaryBonus) {
-        weight += menu.getAllDietaryCategories().length * weights.dietaryBonus;
+        breakdown.dietary = menu.getAllDietaryCategories().length * weights.dietaryBonus;
       }
 
       // Add weight based on current availability
       if (weights.availabilityBonus && menu.isCurrentlyAvailable()) {
-        weight += weights.availabilityBonus;
+        breakdown.availability = weights.availabilityBonus;
       }
 
-      return Math.max(weight, 0.1); // Ensure minimum weight
-    });
+      // Add weight the cheaper the menu is than the most expensive one
+      if (weights.priceBonus && averagePrices[index] !== null && highestPrice > 0) {
+        breakdown.price = weights.priceBonus * (highestPrice - averagePrices[index]) / highestPrice;
+      }
 
-    // Select based on weighted probability
-    const totalWeight = menuWeights.reduce((sum, weight) => sum + weight, 0);
-    let random = Math.random() * totalWeight;
+      // Add weight for favourite restaurants
+      if (weights.favouriteBonus && favouriteRestaurants.some(restaurant => restaurant.servesMenu(menu))) {
+        breakdown.favourite = weights.favouriteBonus;
+      }
 
-    for (let i = 0; i < validMenus.length; i++) {
-      random -= menuWeights[i];
-      if (random <= 0) {
-        const selectedMenu = validMenus[i].clone();
-        selectedMenu.setSelected(true);
-
-        this.updateSelectionHistory(selectedMenu.id);
-        this.lastSelection = {
-          menuId: selectedMenu.id,
-          timestamp: new Date().toISOString(),
-          totalAvailable: validMenus.length,
-          selectionMethod: 'weighted',
-          weight: menuWeights[i],
-        };
+      const total = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
 
-        return {
-          selectedMenu,
-          totalMenusAvailable: validMenus.length,
-          selectionTimestamp: this.lastSelection.timestamp,
-          selectionWeight: menuWeights[i],
-        };
-      }
+      return {
+        menuId: menu.id,
+        menuTitle: menu.title,
+        weight: roundWeight(Math.max(total, 0.1)), // Ensure minimum weight
+        breakdown: Object.fromEntries(
+          Object.entries(breakdown).map(([name, value]) => [name, roundWeight(value)])
+        ),
+      };
+    });
+  }
+
+  /**
+   * Gets the average price of a menu's priced items, or null if none has a price
+   */
+  getAveragePrice(menu) {
+    const prices = menu.items.map(item => item.getPriceNumeric()).filter(price => price > 0);
+    if (prices.length === 0) {
+      return null;
     }
 
-    // Fallback to last menu (shouldn't happen with proper weights)
-    return this.selectRandomMenu(validMenus);
+    return prices.reduce((sum, price) => sum + price, 0) / prices.length;
   }
 
   /**
@@ -451,6 +643,8 @@ class RandomSelectionService {
     if (this.selectionHistory.length > this.maxHistorySize) {
       this.selectionHistory = this.selectionHistory.slice(-this.maxHistorySize);
     }
+
+    this.historyService.setMaxHistorySize(this.maxHistorySize);
   }
 
   /**
@@ -461,6 +655,7 @@ class RandomSelectionService {
       maxHistorySize: this.maxHistorySize,
       currentHistorySize: this.selectionHistory.length,
       lastSelectionTime: this.lastSelection ? this.lastSelection.timestamp : null,
+      clientHistories: this.historyService.getConfig(),
     };
   }
 }
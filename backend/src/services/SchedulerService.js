@@ -0,0 +1,253 @@
+/**
+ * Scheduler Service
+ * Pre-warms the menu cache at fixed wall-clock times so that requests
+ * don't have to wait for a scrape
+ */
+
+const {
+  addDays,
+  getWeekday,
+  getZonedDateTime,
+  zonedTimeToDate,
+} = require('../utils/dateUtils');
+
+const TIME_REGEX = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+const WEEKEND = ['saturday', 'sunday'];
+const MAX_RECENT_FAILURES = 10;
+
+class SchedulerService {
+  constructor(menuService, {
+    times = (process.env.SCHEDULER_TIMES || '06:00,10:30').split(','),
+    timezone = 'Europe/Helsinki',
+    skipWeekends = process.env.SCHEDULER_SKIP_WEEKENDS === 'true',
+    maxRetries = parseInt(process.env.SCHEDULER_MAX_RETRIES, 10) || 3,
+  } = {}) {
+    this.menuService = menuService;
+    this.timezone = timezone;
+    this.skipWeekends = skipWeekends;
+    this.maxRetries = maxRetries;
+    this.setTimes(times);
+
+    this.running = false;
+    this.timer = null;
+    this.retryWait = null;
+    this.nextRun = null;
+    this.currentRun = null;
+    this.lastRun = null;
+    this.recentFailures = [];
+  }
+
+  /**
+   * Sets the HH:MM times of day to scrape at
+   */
+  setTimes(times) {
+    const trimmed = times.map(time => String(time).trim()).filter(Boolean);
+
+    if (trimmed.length === 0) {
+      throw new Error('Scheduler requires at least one time of day');
+    }
+
+    const invalid = trimmed.find(time => !TIME_REGEX.test(time));
+    if (invalid) {
+      throw new Error(`Invalid schedule time: ${invalid}. Expected HH:MM`);
+    }
+
+    this.times = [...new Set(trimmed)].sort();
+  }
+
+  /**
+   * Starts scheduling runs
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.scheduleNext();
+    console.log(
+      `⏰ Scheduler started (${this.times.join(', ')} ${this.timezone}), next run at ${this.nextRun.toISOString()}`
+    );
+  }
+
+  /**
+   * Stops scheduling runs and abandons pending retries
+   */
+  stop() {
+    this.running = false;
+    this.nextRun = null;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.retryWait) {
+      clearTimeout(this.retryWait.timer);
+      this.retryWait.resolve();
+      this.retryWait = null;
+    }
+  }
+
+  /**
+   * Gets the next scheduled run after an instant
+   */
+  getNextRunTime(from = new Date()) {
+    const { date: today } = getZonedDateTime(from, this.timezone);
+
+    // A week ahead always contains a weekday
+    for (let offset = 0; offset <= 7; offset++) {
+      const date = addDays(today, offset);
+      if (this.skipWeekends && WEEKEND.includes(getWeekday(date))) {
+        continue;
+      }
+
+      for (const time of this.times) {
+        const runAt = zonedTimeToDate(date, time, this.timezone);
+        if (runAt > from) {
+          return runAt;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Sets a timer for the next scheduled run
+   */
+  scheduleNext() {
+    this.nextRun = this.getNextRunTime();
+    this.timer = setTimeout(() => this.runScheduled(), this.nextRun.getTime() - Date.now());
+
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Runs a scheduled scrape and schedules the following one
+   */
+  async runScheduled() {
+    this.timer = null;
+    await this.run();
+
+    if (this.running) {
+      this.scheduleNext();
+    }
+  }
+
+  /**
+   * Scrapes and caches the week, retrying retryable failures with back-off
+   */
+  async run() {
+    const run = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      success: false,
+      attempts: 0,
+      menusFound: 0,
+      error: null,
+    };
+    this.currentRun = run;
+    console.log('⏰ Scheduled scrape starting...');
+
+    while (!run.success && !run.error) {
+      run.attempts++;
+
+      try {
+        const { result } = await this.menuService.prewarmCache();
+        run.success = true;
+        run.menusFound = result.menusFound;
+      } catch (error) {
+        const retryDelay = this.getRetryDelay(error, run.attempts);
+        this.recordFailure(error, run.attempts, retryDelay);
+
+        if (retryDelay === null) {
+          run.error = error.message;
+        } else {
+          console.warn(`⚠️  Scheduled scrape failed, retrying in ${retryDelay}ms: ${error.message}`);
+          await this.wait(retryDelay);
+
+          if (!this.running) {
+            run.error = 'Scheduler stopped before the scrape succeeded';
+          }
+        }
+      }
+    }
+
+    run.finishedAt = new Date().toISOString();
+    this.currentRun = null;
+    this.lastRun = run;
+
+    if (run.success) {
+      console.log(`✅ Scheduled scrape cached ${run.menusFound} menus (${run.attempts} attempts)`);
+    } else {
+      console.error(`❌ Scheduled scrape failed after ${run.attempts} attempts: ${run.error}`);
+    }
+
+    return run;
+  }
+
+  /**
+   * Gets the delay before retrying a failed attempt, or null if it shouldn't be retried
+   */
+  getRetryDelay(error, attempt) {
+    if (attempt > this.maxRetries || !error.scrapingResult) {
+      return null;
+    }
+
+    const delay = error.scrapingResult.getSuggestedRetryDelay();
+
+    // Double the suggested delay for every attempt already made
+    return delay === null ? null : delay * 2 ** (attempt - 1);
+  }
+
+  /**
+   * Remembers a failed attempt for the status endpoint
+   */
+  recordFailure(error, attempt, retryDelay) {
+    this.recentFailures.unshift({
+      timestamp: new Date().toISOString(),
+      attempt,
+      error: error.message,
+      retryInMs: retryDelay,
+    });
+    this.recentFailures = this.recentFailures.slice(0, MAX_RECENT_FAILURES);
+  }
+
+  /**
+   * Waits before a retry; stopping the scheduler ends the wait early
+   */
+  wait(delay) {
+    return new Promise(resolve => {
+      this.retryWait = {
+        timer: setTimeout(() => {
+          this.retryWait = null;
+          resolve();
+        }, delay),
+        resolve,
+      };
+    });
+  }
+
+  /**
+   * Gets scheduler status
+   */
+  getStatus() {
+    return {
+      enabled: this.running,
+      timezone: this.timezone,
+      times: this.times,
+      skipWeekends: this.skipWeekends,
+      maxRetries: this.maxRetries,
+      isScraping: this.currentRun !== null,
+      lastRun: this.lastRun,
+      nextRun: this.nextRun ? this.nextRun.toISOString() : null,
+      recentFailures: this.recentFailures,
+    };
+  }
+}
+
+module.exports = SchedulerService;
@@ -1,22 +1,186 @@
 /**
  * ScrapingService
- * Handles scraping of menu data from unisafka.fi/tty/
+ * Handles scraping of menu data through registered source adapters
  */
 
-const cheerio = require('cheerio');
 const puppeteer = require('puppeteer');
 const https = require('https');
 const http = require('http');
+const zlib = require('zlib');
 const { URL } = require('url');
 const Menu = require('../models/Menu');
 const MenuItem = require('../models/MenuItem');
 const ScrapingResult = require('../models/ScrapingResult');
+const SourceAdapter = require('../adapters/SourceAdapter');
+const UnisafkaAdapter = require('../adapters/UnisafkaAdapter');
+const JuvenesAdapter = require('../adapters/JuvenesAdapter');
+const { getWeekDates } = require('../utils/dateUtils');
+const { parseDietCodes } = require('../utils/dietCodes');
+
+const DEFAULT_SOURCES = ['unisafka-tty'];
 
 class ScrapingService {
   constructor() {
-    this.sourceUrl = 'https://unisafka.fi/tty/';
     this.timeout = 5000; // 5 second timeout
     this.userAgent = 'Tunisafka Menu App (Educational/Research Purpose)';
+    // Fixture mode serves the static test menus instead of hitting the network
+    this.fixtureMode = process.env.SCRAPER_FIXTURE_MODE === 'true';
+
+    this.adapters = new Map();
+    this.registerDefaultAdapters();
+    this.setEnabledSources(
+      process.env.SCRAPER_SOURCES
+        ? process.env.SCRAPER_SOURCES.split(',').map(id => id.trim())
+        : DEFAULT_SOURCES
+    );
+  }
+
+  /**
+   * Registers the built-in source adapters
+   */
+  registerDefaultAdapters() {
+    this.registerAdapter(new UnisafkaAdapter({
+      id: 'unisafka-tty',
+      name: 'Unisafka TTY',
+      url: 'https://unisafka.fi/tty/',
+      campus: 'hervanta',
+      restaurants: [
+        {
+          name: 'Hertsi',
+          address: 'Tekniikankatu 1, 33720 Tampere',
+          openingHours: { startTime: '10:30', endTime: '14:00' },
+        },
+        {
+          name: 'Newton',
+          address: 'Korkeakoulunkatu 6, 33720 Tampere',
+          openingHours: { startTime: '11:00', endTime: '14:00' },
+        },
+        {
+          name: 'Café Konehuone',
+          address: 'Korkeakoulunkatu 6, 33720 Tampere',
+          openingHours: { startTime: '10:30', endTime: '15:00' },
+        },
+        {
+          name: 'Reaktori',
+          address: 'Korkeakoulunkatu 7, 33720 Tampere',
+          openingHours: { startTime: '10:30', endTime: '13:30' },
+        },
+      ],
+      fixtureMenus: () => this.createFixtureMenus(),
+    }));
+
+    this.registerAdapter(new UnisafkaAdapter({
+      id: 'unisafka-tay',
+      name: 'Unisafka TAY',
+      url: 'https://unisafka.fi/tay/',
+      campus: 'keskusta',
+      restaurants: [
+        {
+          name: 'Minerva',
+          address: 'Kalevantie 4, 33100 Tampere',
+          openingHours: { startTime: '10:45', endTime: '14:00' },
+        },
+        {
+          name: 'Pinni',
+          address: 'Kanslerinrinne 1, 33100 Tampere',
+          openingHours: { startTime: '11:00', endTime: '13:30' },
+        },
+      ],
+    }));
+
+    this.registerAdapter(new JuvenesAdapter({
+      id: 'juvenes',
+      name: 'Juvenes',
+      url: 'https://www.juvenes.fi/ravintolat/',
+      campus: 'kauppi',
+      restaurants: [
+        {
+          name: 'Ravintola Arvo',
+          address: 'Arvo Ylpön katu 34, 33520 Tampere',
+          openingHours: { startTime: '10:30', endTime: '14:00' },
+        },
+        {
+          name: 'Fusion Kitchen',
+          address: 'Arvo Ylpön katu 34, 33520 Tampere',
+          openingHours: { startTime: '11:00', endTime: '13:30' },
+        },
+        {
+          name: 'Café Lea',
+          address: 'Arvo Ylpön katu 34, 33520 Tampere',
+          openingHours: { startTime: '08:00', endTime: '15:00' },
+        },
+      ],
+    }));
+  }
+
+  /**
+   * Registers (or replaces) a source adapter
+   */
+  registerAdapter(adapter) {
+    if (!(adapter instanceof SourceAdapter)) {
+      throw new Error('Source adapters must extend SourceAdapter');
+    }
+
+    this.adapters.set(adapter.id, adapter);
+    return this;
+  }
+
+  /**
+   * Gets a registered adapter by ID
+   */
+  getAdapter(sourceId) {
+    const adapter = this.adapters.get(sourceId);
+    if (!adapter) {
+      throw new Error(`Unknown menu source: ${sourceId}`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Gets all registered adapters
+   */
+  getAdapters() {
+    return Array.from(this.adapters.values());
+  }
+
+  /**
+   * Gets the adapters that are scraped by default
+   */
+  getEnabledAdapters() {
+    return this.enabledSources.map(sourceId => this.getAdapter(sourceId));
+  }
+
+  /**
+   * Gets the restaurants served by the enabled sources
+   */
+  getRestaurants() {
+    return this.getEnabledAdapters().flatMap(adapter => adapter.restaurants);
+  }
+
+  /**
+   * Sets which registered sources are scraped
+   */
+  setEnabledSources(sourceIds) {
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      throw new Error('At least one menu source must be enabled');
+    }
+
+    sourceIds.forEach(sourceId => this.getAdapter(sourceId));
+    this.enabledSources = [...new Set(sourceIds)];
+  }
+
+  /**
+   * Gets the primary (first enabled) adapter
+   */
+  getPrimaryAdapter() {
+    return this.getAdapter(this.enabledSources[0]);
+  }
+
+  /**
+   * URL of the primary source
+   */
+  get sourceUrl() {
+    return this.getPrimaryAdapter().url;
   }
 
   /**
@@ -51,8 +215,6 @@ class ScrapingService {
       
       // Extract menu data from the page
       const menuData = await page.evaluate(() => {
-        const menus = [];
-        
         // Try different possible selectors for menu items
         const menuContainers = document.querySelectorAll('.menu-item, .restaurant-menu, .daily-menu, .food-list, .menu-container');
         
@@ -206,153 +368,25 @@ class ScrapingService {
   }
   
   /**
-   * Parse restaurant sections from the full text
-   */
-  parseRestaurantSections(fullText) {
-    const restaurants = [];
-    
-    // Define restaurant/section patterns
-    const sectionPatterns = [
-      'Hertsi',
-      'Newton',
-      'Café Konehuone',
-      'Reaktori'
-    ];
-    
-    // Split by restaurant sections
-    let currentRestaurant = null;
-    
-    for (const sectionName of sectionPatterns) {
-      const sectionRegex = new RegExp(`(${sectionName}[\\s\\S]*?)(?=${sectionPatterns.filter(p => p !== sectionName).join('|')}|$)`, 'i');
-      const match = fullText.match(sectionRegex);
-      
-      if (match) {
-        const sectionText = match[1];
-        const items = this.parseMenuItemsFromSection(sectionText);
-        
-        if (items.length > 0) {
-          restaurants.push({
-            name: sectionName,
-            items: items
-          });
-        }
-      }
-    }
-    
-    // If no restaurants found, try to parse the whole text
-    if (restaurants.length === 0) {
-      const items = this.parseMenuItemsFromSection(fullText);
-      if (items.length > 0) {
-        restaurants.push({
-          name: 'Unisafka TTY',
-          items: items
-        });
-      }
-    }
-    
-    return restaurants;
-  }
-  
-  /**
-   * Parse individual menu items from a section text
-   */
-  parseMenuItemsFromSection(sectionText) {
-    const items = [];
-    
-    // Look for menu item patterns - typically food name followed by dietary info
-    const itemPatterns = [
-      // Pattern: "DISH NAME ... dietary codes"
-      /([A-ZÄÖÅ][^A-Z]*?)\s+([GL,M,KASV,VEG,A,ILM,L,VS,MU,SIS\.LUOMUA,\*,\s]+)(?=\s+[A-Z]|$)/g,
-      // Pattern: "From our favorites" etc
-      /(From\s+our\s+\w+\s*\d*)\s+([^A-Z]+?)(?=\s+[A-Z]|$)/gi,
-      // Pattern: "FROM THE FIELD" etc
-      /(FROM\s+THE\s+\w+(?:\s+\w+)?)\s+([^A-Z]+?)(?=\s+[A-Z]|$)/gi
-    ];
-    
-    for (const pattern of itemPatterns) {
-      let match;
-      while ((match = pattern.exec(sectionText)) !== null) {
-        const name = match[1].trim();
-        const description = match[2].trim();
-        
-        if (name.length > 3 && !name.match(/^[GL,M,KASV,VEG,A,ILM,L,VS,MU]+$/)) {
-          const menuItem = new MenuItem({
-            name: name.length > 50 ? name.substring(0, 50) + '...' : name,
-            description: description,
-            price: this.extractPrice(description),
-            dietaryInfo: this.extractDietaryInfo(description)
-          });
-          items.push(menuItem);
-        }
-      }
-    }
-    
-    // Simple fallback: split by common patterns
-    if (items.length === 0) {
-      const simpleItems = sectionText.split(/(?=FROM THE |From our |LOUNAS |FUSION |STREET |SANDWICH )/i)
-        .filter(item => item.trim().length > 10)
-        .slice(0, 10); // Limit to 10 items
-      
-      for (const itemText of simpleItems) {
-        if (itemText.trim().length > 5) {
-          const lines = itemText.trim().split(/\s{2,}/);
-          const name = lines[0] ? lines[0].substring(0, 50) : 'Menu Item';
-          const description = itemText.trim();
-          
-          const menuItem = new MenuItem({
-            name: name,
-            description: description.length > 200 ? description.substring(0, 200) + '...' : description,
-            price: this.extractPrice(description),
-            dietaryInfo: this.extractDietaryInfo(description)
-          });
-          items.push(menuItem);
-        }
-      }
-    }
-    
-    return items;
-  }
-  
-  /**
-   * Extract price from menu text
+   * Scrapes menu data from a single source (the primary one by default)
    */
-  extractPrice(text) {
-    const priceMatch = text.match(/€?\s?(\d+[.,]\d{2})\s?€?/);
-    return priceMatch ? `€${priceMatch[1].replace(',', '.')}` : '';
-  }
-  
-  /**
-   * Extract dietary information from menu text
-   */
-  extractDietaryInfo(text) {
-    const dietaryInfo = [];
-    const upperText = text.toUpperCase();
-    
-    if (upperText.includes('VEGAN') || upperText.includes('VEGAANI')) dietaryInfo.push('vegan');
-    if (upperText.includes('VEGETARIAN') || upperText.includes('KASVIS')) dietaryInfo.push('vegetarian');
-    if (upperText.includes('GLUTEN') || upperText.includes('G,')) dietaryInfo.push('gluten-free');
-    if (upperText.includes('LACTOSE') || upperText.includes('L,') || upperText.includes('M,')) dietaryInfo.push('lactose-free');
-    
-    return dietaryInfo;
-  }
-
-  /**
-   * Scrapes menu data from the source website
-   */
-  async scrapeMenus() {
+  async scrapeMenus(sourceId = this.enabledSources[0]) {
     const startTime = new Date();
+    const adapter = this.getAdapter(sourceId);
     
     try {
-      console.log(`Starting scraping from ${this.sourceUrl}`);
-      
-      // Skip Puppeteer for now to avoid timeout, use test data
-      console.log('Using test menu data for faster response');
-      const menus = [
-        this.createHertsiMenu(),
-        this.createNewtonMenu(),
-        this.createCafeKonehuoneMenu(),
-        this.createReaktoriMenu()
-      ];
+      let menus;
+
+      if (this.fixtureMode) {
+        console.log(`Fixture mode enabled, using static test menus for ${adapter.id}`);
+        menus = adapter.createFixtureMenus();
+      } else {
+        console.log(`Starting scraping from ${adapter.url}`);
+        const html = await this.fetchHtml(adapter.url);
+        menus = adapter.parse(html);
+      }
+
+      const warnings = this.normalizeDietCodes(menus);
       
       const endTime = new Date();
       // Ensure minimum duration for tests
@@ -360,8 +394,8 @@ class ScrapingService {
       const result = ScrapingResult.fromScrapingOperation(
         startTime,
         new Date(startTime.getTime() + duration),
-        { success: true, menusFound: menus.length },
-        this.sourceUrl
+        { success: true, menusFound: menus.length, warnings },
+        adapter.url
       );
 
       console.log(`Scraping completed: found ${menus.length} menus in ${result.getFormattedDuration()}`);
@@ -376,18 +410,105 @@ class ScrapingService {
         startTime,
         endTime,
         { success: false, error: error.message },
-        this.sourceUrl
+        adapter.url
       );
 
       console.error(`Scraping failed: ${error.message}`);
       
       return {
-        menus: [this.createHertsiMenu()],
+        menus: [],
+        result,
+      };
+    }
+  }
+
+  /**
+   * Scrapes every day a source publishes for the week of referenceDate
+   */
+  async scrapeWeek(sourceId = this.enabledSources[0], referenceDate) {
+    const startTime = new Date();
+    const adapter = this.getAdapter(sourceId);
+    
+    try {
+      let days;
+      const pageWarnings = [];
+
+      if (this.fixtureMode) {
+        console.log(`Fixture mode enabled, using static test menus for every day of ${adapter.id}`);
+        days = Object.fromEntries(
+          getWeekDates(referenceDate).map(date => [date, adapter.createFixtureMenus()])
+        );
+      } else {
+        console.log(`Starting weekly scraping from ${adapter.url}`);
+        const html = await this.fetchHtml(adapter.url);
+        days = adapter.parseWeek(html, referenceDate, pageWarnings);
+      }
+      
+      const menusFound = Object.values(days).reduce((sum, menus) => sum + menus.length, 0);
+      const warnings = [...new Set([
+        ...pageWarnings,
+        ...Object.values(days).flatMap(menus => this.normalizeDietCodes(menus)),
+      ])];
+      const duration = Math.max(new Date() - startTime, 1);
+      const result = ScrapingResult.fromScrapingOperation(
+        startTime,
+        new Date(startTime.getTime() + duration),
+        { success: true, menusFound, warnings },
+        adapter.url
+      );
+
+      console.log(`Weekly scraping completed: found ${menusFound} menus over ${Object.keys(days).length} days in ${result.getFormattedDuration()}`);
+      
+      return {
+        days,
+        result,
+      };
+    } catch (error) {
+      const result = ScrapingResult.fromScrapingOperation(
+        startTime,
+        new Date(),
+        { success: false, error: error.message },
+        adapter.url
+      );
+
+      console.error(`Weekly scraping failed: ${error.message}`);
+      
+      return {
+        days: {},
         result,
       };
     }
   }
 
+  /**
+   * Replaces the raw diet codes of scraped items with dictionary tags and
+   * returns a warning for every unknown code
+   */
+  normalizeDietCodes(menus) {
+    const warnings = new Set();
+
+    menus.forEach(menu => {
+      (menu.items || []).forEach(item => {
+        const { dietCodes, unknown } = parseDietCodes(item.dietary);
+        item.dietCodes = dietCodes;
+        item.dietary = dietCodes.map(entry => entry.tag);
+
+        unknown.forEach(code => {
+          warnings.add(`Unknown diet code "${code}" in ${menu.title}: ${item.name}`);
+        });
+      });
+    });
+
+    return [...warnings];
+  }
+
+  /**
+   * Parses HTML with the given source's adapter (the primary one by default)
+   */
+  parseMenusFromHtml(html, sourceId = this.enabledSources[0]) {
+    return this.getAdapter(sourceId).parse(html);
+  }
+
   /**
    * Fetches HTML content from URL
    */
@@ -418,16 +539,29 @@ class ScrapingService {
           return;
         }
 
+        // We advertise gzip/deflate, so decode the body accordingly
+        const encoding = res.headers['content-encoding'];
+        let stream = res;
+        if (encoding === 'gzip') {
+          stream = res.pipe(zlib.createGunzip());
+        } else if (encoding === 'deflate') {
+          stream = res.pipe(zlib.createInflate());
+        }
+
         let data = '';
-        res.setEncoding('utf8');
+        stream.setEncoding('utf8');
         
-        res.on('data', (chunk) => {
+        stream.on('data', (chunk) => {
           data += chunk;
         });
 
-        res.on('end', () => {
+        stream.on('end', () => {
           resolve(data);
         });
+
+        stream.on('error', (error) => {
+          reject(new Error(`Network error: ${error.message}`));
+        });
       });
 
       req.on('timeout', () => {
@@ -444,370 +578,15 @@ class ScrapingService {
   }
 
   /**
-   * Parses menu data from HTML using Cheerio
-   */
-  parseMenusFromHtml(html) {
-    const $ = cheerio.load(html);
-    const menus = [];
-
-    try {
-      // Look for common menu structures
-      // Note: This is a generic parser - may need adjustment based on actual unisafka.fi structure
-      
-      // Strategy 1: Look for sections or divs that might contain menu data
-      const menuSections = this.findMenuSections($);
-      
-      if (menuSections.length > 0) {
-        menuSections.forEach((section, index) => {
-          const menu = this.parseMenuSection($, section, index);
-          if (menu) {
-            menus.push(menu);
-          }
-        });
-      } else {
-        // Strategy 2: Create a single menu from all found food items
-        const allItems = this.findAllMenuItems($);
-        if (allItems.length > 0) {
-          const todayMenu = this.createTodayMenu(allItems);
-          menus.push(todayMenu);
-        }
-      }
-
-      // If no menus found, create a placeholder for testing
-      if (menus.length === 0) {
-        console.warn('No menu data found in HTML, creating test menu');
-        menus.push(this.createHertsiMenu());
-      }
-
-    } catch (error) {
-      console.error('Error parsing HTML:', error.message);
-      // Return test menu for development
-      menus.push(this.createTestMenu());
-    }
-
-    return menus;
-  }
-
-  /**
-   * Finds potential menu sections in the HTML
-   */
-  findMenuSections($) {
-    const sections = [];
-    
-    // Common selectors for menu sections
-    const selectors = [
-      '.menu-section',
-      '.menu-item-container',
-      '.food-menu',
-      '.daily-menu',
-      '.lunch-menu',
-      '[class*="menu"]',
-      '[id*="menu"]',
-      '.restaurant-section',
-      '.food-section',
-    ];
-
-    selectors.forEach(selector => {
-      $(selector).each((i, element) => {
-        if ($(element).text().trim().length > 20) { // Has substantial content
-          sections.push(element);
-        }
-      });
-    });
-
-    return sections.slice(0, 10); // Limit to prevent too many sections
-  }
-
-  /**
-   * Parses a menu section into a Menu object
-   */
-  parseMenuSection($, section, index) {
-    const $section = $(section);
-    
-    // Extract menu title
-    let title = this.extractMenuTitle($, $section) || `Menu ${index + 1}`;
-    
-    // Extract menu description
-    let description = this.extractMenuDescription($, $section) || '';
-    
-    // Extract menu items
-    const items = this.extractMenuItems($, $section);
-    
-    // Extract availability if present
-    const availability = this.extractAvailability($, $section);
-
-    try {
-      return Menu.fromScrapedData({
-        title,
-        description,
-        items,
-        availability,
-      });
-    } catch (error) {
-      console.warn(`Failed to create menu from section ${index}:`, error.message);
-      return null;
-    }
-  }
-
-  /**
-   * Extracts menu title from section
-   */
-  extractMenuTitle($, $section) {
-    // Look for headings
-    const headings = $section.find('h1, h2, h3, h4, h5, h6, .title, .menu-title, .section-title');
-    if (headings.length > 0) {
-      return $(headings.first()).text().trim();
-    }
-
-    // Look for first bold or strong text
-    const boldText = $section.find('strong, b, .bold').first();
-    if (boldText.length > 0) {
-      return boldText.text().trim();
-    }
-
-    return null;
-  }
-
-  /**
-   * Extracts menu description from section
+   * Creates the static menus served in fixture mode
    */
-  extractMenuDescription($, $section) {
-    // Look for description elements
-    const descriptions = $section.find('.description, .menu-description, .subtitle, p');
-    if (descriptions.length > 0) {
-      return $(descriptions.first()).text().trim();
-    }
-
-    return '';
-  }
-
-  /**
-   * Extracts menu items from section
-   */
-  extractMenuItems($, $section) {
-    const items = [];
-    
-    // Look for item containers
-    const itemSelectors = [
-      '.menu-item',
-      '.food-item',
-      '.dish',
-      '.item',
-      'li',
-      '.product',
+  createFixtureMenus() {
+    return [
+      this.createHertsiMenu(),
+      this.createNewtonMenu(),
+      this.createCafeKonehuoneMenu(),
+      this.createReaktoriMenu(),
     ];
-
-    itemSelectors.forEach(selector => {
-      $section.find(selector).each((i, element) => {
-        const item = this.parseMenuItem($, $(element));
-        if (item) {
-          items.push(item);
-        }
-      });
-    });
-
-    return items.slice(0, 20); // Limit items per menu
-  }
-
-  /**
-   * Parses a single menu item
-   */
-  parseMenuItem($, $element) {
-    const text = $element.text().trim();
-    
-    if (text.length < 3) {
-      return null; // Too short to be a meaningful item
-    }
-
-    // Extract name (usually the first significant text)
-    const name = this.extractItemName($, $element, text);
-    
-    // Extract price
-    const price = this.extractItemPrice($, $element, text);
-    
-    // Extract description
-    const description = this.extractItemDescription($, $element, text, name);
-    
-    // Extract dietary info
-    const dietary = this.extractDietaryInfo($, $element, text);
-    
-    // Extract allergens
-    const allergens = this.extractAllergens($, $element, text);
-
-    try {
-      return MenuItem.fromScrapedData({
-        name: name || text.substring(0, 50), // Fallback to first 50 chars
-        description,
-        price,
-        dietary,
-        allergens,
-      });
-    } catch (error) {
-      console.warn('Failed to create menu item:', error.message);
-      return null;
-    }
-  }
-
-  /**
-   * Extracts item name from element
-   */
-  extractItemName($, $element, text) {
-    // Look for specific name elements
-    const nameElements = $element.find('.name, .item-name, .dish-name, .title');
-    if (nameElements.length > 0) {
-      return nameElements.first().text().trim();
-    }
-
-    // Extract from text (before price or description)
-    const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-    return lines[0] || text.split(/[€$£¥]/)[0].trim();
-  }
-
-  /**
-   * Extracts price from element
-   */
-  extractItemPrice($, $element, text) {
-    // Look for price elements
-    const priceElements = $element.find('.price, .cost, .amount');
-    if (priceElements.length > 0) {
-      return priceElements.first().text().trim();
-    }
-
-    // Extract from text using regex
-    const priceMatch = text.match(/[€$£¥]\s*\d+[.,]\d{2}|\d+[.,]\d{2}\s*[€$£¥]/);
-    return priceMatch ? priceMatch[0].trim() : '';
-  }
-
-  /**
-   * Extracts description from element
-   */
-  extractItemDescription($, $element, text, name) {
-    // Look for description elements
-    const descElements = $element.find('.description, .item-description, .details');
-    if (descElements.length > 0) {
-      return descElements.first().text().trim();
-    }
-
-    // Extract from text (after name, before price)
-    const withoutName = name ? text.replace(name, '').trim() : text;
-    const withoutPrice = withoutName.replace(/[€$£¥]\s*\d+[.,]\d{2}|\d+[.,]\d{2}\s*[€$£¥]/g, '').trim();
-    
-    return withoutPrice.length > 10 ? withoutPrice : '';
-  }
-
-  /**
-   * Extracts dietary information
-   */
-  extractDietaryInfo($, $element, text) {
-    const dietary = [];
-    const lowerText = text.toLowerCase();
-    
-    // Common dietary indicators
-    const dietaryKeywords = {
-      'vegetarian': ['vegetarian', 'veggie', 'veg'],
-      'vegan': ['vegan'],
-      'gluten-free': ['gluten-free', 'gluten free', 'gluteeniton'],
-      'dairy-free': ['dairy-free', 'dairy free', 'laktoositon'],
-      'organic': ['organic', 'luomu'],
-    };
-
-    Object.entries(dietaryKeywords).forEach(([category, keywords]) => {
-      if (keywords.some(keyword => lowerText.includes(keyword))) {
-        dietary.push(category);
-      }
-    });
-
-    return dietary;
-  }
-
-  /**
-   * Extracts allergen information
-   */
-  extractAllergens($, $element, text) {
-    const allergens = [];
-    const lowerText = text.toLowerCase();
-    
-    // Common allergen indicators
-    const allergenKeywords = {
-      'contains gluten': ['gluten', 'wheat', 'vehnä'],
-      'contains dairy': ['dairy', 'milk', 'maito', 'laktoosi'],
-      'contains nuts': ['nuts', 'pähkinä', 'almond', 'hazelnut'],
-      'contains eggs': ['egg', 'muna'],
-      'contains fish': ['fish', 'kala'],
-      'contains soy': ['soy', 'soja'],
-    };
-
-    Object.entries(allergenKeywords).forEach(([allergen, keywords]) => {
-      if (keywords.some(keyword => lowerText.includes(keyword))) {
-        allergens.push(allergen);
-      }
-    });
-
-    return allergens;
-  }
-
-  /**
-   * Extracts availability information
-   */
-  extractAvailability($, $section) {
-    // Look for time information
-    const timeText = $section.text().toLowerCase();
-    const timeMatch = timeText.match(/(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})/);
-    
-    if (timeMatch) {
-      return {
-        startTime: `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`,
-        endTime: `${timeMatch[3].padStart(2, '0')}:${timeMatch[4]}`,
-        days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
-      };
-    }
-
-    // Default availability for weekdays
-    return {
-      startTime: '11:00',
-      endTime: '14:00',
-      days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
-    };
-  }
-
-  /**
-   * Finds all menu items in the HTML when no clear sections exist
-   */
-  findAllMenuItems($) {
-    const items = [];
-    
-    // Look for any elements that might contain food items
-    const itemElements = $('.item, .dish, .food, li').filter((i, el) => {
-      const text = $(el).text().trim();
-      return text.length > 10 && text.length < 200; // Reasonable item length
-    });
-
-    itemElements.each((i, element) => {
-      const item = this.parseMenuItem($, $(element));
-      if (item) {
-        items.push(item);
-      }
-    });
-
-    return items;
-  }
-
-  /**
-   * Creates a single menu from all found items
-   */
-  createTodayMenu(items) {
-    const today = new Date().toLocaleDateString('en-US', { weekday: 'long' });
-    
-    return Menu.fromScrapedData({
-      title: `Today's Menu (${today})`,
-      description: 'Available food items for today',
-      items,
-      availability: {
-        startTime: '11:00',
-        endTime: '15:00',
-        days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
-      },
-    });
   }
 
   /**
@@ -820,21 +599,27 @@ class ScrapingService {
         description: 'Chili-roasted butternut squash, organic beans, and rice, hummus made from organic chickpeas, and roasted peanuts',
         price: '€3.50',
         dietary: ['G', 'M'],
-        allergens: [],
+        allergens: ['contains peanuts'],
+        nutrition: { kcal: 640, protein: 21, fat: 24, carbs: 82, salt: 1.9, co2e: 0.38 },
+        prices: { currency: 'EUR', student: 3.5, staff: 6.9, guest: 8.5 },
       }),
       MenuItem.fromScrapedData({
         name: 'From our favorites 1',
         description: 'Pea Soup and Pancakes for dessert',
         price: '€3.50',
         dietary: ['1KPL/PCANN.', 'L'],
-        allergens: [],
+        allergens: ['contains milk', 'contains eggs', 'contains gluten'],
+        nutrition: { kcal: 720, protein: 31, fat: 22, carbs: 95, salt: 2.6, co2e: 1.12 },
+        prices: { currency: 'EUR', student: 3.5, staff: 6.9, guest: 8.5 },
       }),
       MenuItem.fromScrapedData({
         name: 'From our favorites 2',
         description: 'Chicken Mac&Cheese and warm vegetables',
         price: '€3.50',
         dietary: ['L'],
-        allergens: [],
+        allergens: ['contains milk', 'contains gluten'],
+        nutrition: { kcal: 810, protein: 42, fat: 33, carbs: 80, salt: 2.9, co2e: 1.45 },
+        prices: { currency: 'EUR', student: 3.5, staff: 6.9, guest: 8.5 },
       }),
       MenuItem.fromScrapedData({
         name: 'FROM THE SOUP BOWL',
@@ -842,13 +627,14 @@ class ScrapingService {
         price: '€3.50',
         dietary: ['G', 'M'],
         allergens: [],
+        nutrition: { kcal: 310, protein: 7, fat: 12, carbs: 41, salt: 1.7, co2e: 0.29 },
       }),
       MenuItem.fromScrapedData({
         name: 'From our bakery',
         description: 'Baquette lunch from Café Bitti',
         price: '€3.50',
         dietary: ['M'],
-        allergens: [],
+        allergens: ['contains gluten', 'may contain sesame'],
       }),
       MenuItem.fromScrapedData({
         name: 'From the garden',
@@ -862,7 +648,7 @@ class ScrapingService {
         description: 'Blueberry Quark',
         price: '€3.50',
         dietary: ['G', 'L'],
-        allergens: [],
+        allergens: ['contains milk'],
       }),
     ];
 
@@ -902,7 +688,7 @@ class ScrapingService {
         description: 'Traditional Finnish pancake',
         price: '€2.50',
         dietary: [],
-        allergens: [],
+        allergens: ['contains milk', 'contains eggs', 'contains gluten'],
       }),
       MenuItem.fromScrapedData({
         name: 'Strawberry Jam',
@@ -923,7 +709,7 @@ class ScrapingService {
         description: 'Spicy mayonnaise sauce',
         price: '€3.50',
         dietary: ['G', 'M'],
-        allergens: [],
+        allergens: ['contains eggs', 'contains mustard'],
       }),
       MenuItem.fromScrapedData({
         name: 'Boiled Potatoes',
@@ -970,7 +756,7 @@ class ScrapingService {
         description: 'Devil\'s burger',
         price: '€3.50',
         dietary: ['MU'],
-        allergens: [],
+        allergens: ['contains gluten', 'contains sesame', 'contains mustard'],
       }),
       MenuItem.fromScrapedData({
         name: 'French Fries',
@@ -984,21 +770,21 @@ class ScrapingService {
         description: 'Tofu Burger',
         price: '€3.50',
         dietary: ['KASV', 'M'],
-        allergens: [],
+        allergens: ['contains soybeans', 'contains gluten'],
       }),
       MenuItem.fromScrapedData({
         name: 'STREET FOOD',
         description: 'Minced Meat Corn Stuffing Tortillas',
         price: '€3.50',
         dietary: ['*', 'M', 'MU'],
-        allergens: [],
+        allergens: ['contains gluten'],
       }),
       MenuItem.fromScrapedData({
         name: 'STREET FOOD VEGE',
         description: 'Tortillas with Vegetable Bean Filling',
         price: '€3.50',
         dietary: ['*', 'KASV', 'M', 'MU', 'SIS.LUOMUA', 'VEG'],
-        allergens: [],
+        allergens: ['contains gluten'],
       }),
     ];
 
@@ -1059,7 +845,7 @@ class ScrapingService {
         description: 'Mildly smoked rainbow trout',
         price: '€3.50',
         dietary: ['A', 'G', 'ILM', 'L', 'M'],
-        allergens: [],
+        allergens: ['contains fish'],
       }),
     ];
 
@@ -1083,10 +869,17 @@ class ScrapingService {
   }
 
   /**
-   * Sets custom source URL
+   * Sets custom source URL (for the primary source)
    */
   setSourceUrl(url) {
-    this.sourceUrl = url;
+    this.getPrimaryAdapter().setUrl(url);
+  }
+
+  /**
+   * Enables or disables fixture mode (static test menus)
+   */
+  setFixtureMode(enabled) {
+    this.fixtureMode = Boolean(enabled);
   }
 
   /**
@@ -1097,6 +890,8 @@ class ScrapingService {
       sourceUrl: this.sourceUrl,
       timeout: this.timeout,
       userAgent: this.userAgent,
+      fixtureMode: this.fixtureMode,
+      sources: this.getEnabledAdapters().map(adapter => adapter.toJSON()),
     };
   }
 }
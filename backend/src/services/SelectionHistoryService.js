@@ -0,0 +1,111 @@
+/**
+ * Selection History Service
+ * Keeps each anonymous client's recent random selections in memory, so
+ * that anti-repeat only avoids what that client was shown. Histories expire
+ * after a period without selections, and the least recently active clients
+ * are dropped beyond a maximum number of clients.
+ */
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_CLIENTS = 10000;
+
+class SelectionHistoryService {
+  constructor({
+    ttlMs = parseInt(process.env.SELECTION_HISTORY_TTL_MS, 10) || DEFAULT_TTL_MS,
+    maxHistorySize = 10,
+    maxClients = parseInt(process.env.SELECTION_HISTORY_MAX_CLIENTS, 10) || DEFAULT_MAX_CLIENTS,
+  } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxHistorySize = maxHistorySize;
+    this.maxClients = maxClients;
+    this.histories = new Map();
+    this.nextCleanup = Date.now() + this.ttlMs;
+  }
+
+  /**
+   * Records a selected menu in the client's history and renews its expiry
+   */
+  record(clientId, menuId) {
+    const now = Date.now();
+    if (now >= this.nextCleanup) {
+      this.cleanup(now);
+    }
+
+    const selections = [...this.getHistory(clientId), menuId].slice(-this.maxHistorySize);
+
+    // Re-inserting keeps the Map ordered from least to most recently active
+    this.histories.delete(clientId);
+    this.histories.set(clientId, {
+      selections,
+      expiresAt: now + this.ttlMs,
+    });
+
+    while (this.histories.size > this.maxClients) {
+      this.histories.delete(this.histories.keys().next().value);
+    }
+  }
+
+  /**
+   * Gets the client's selected menu IDs, oldest first
+   */
+  getHistory(clientId) {
+    const entry = this.histories.get(clientId);
+    if (!entry) {
+      return [];
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.histories.delete(clientId);
+      return [];
+    }
+
+    return [...entry.selections];
+  }
+
+  /**
+   * Gets the menu IDs of the client's last selections
+   */
+  getRecent(clientId, count) {
+    return count > 0 ? this.getHistory(clientId).slice(-count) : [];
+  }
+
+  /**
+   * Forgets a client's history
+   */
+  clear(clientId) {
+    this.histories.delete(clientId);
+  }
+
+  /**
+   * Drops expired histories
+   */
+  cleanup(now = Date.now()) {
+    this.histories.forEach((entry, clientId) => {
+      if (entry.expiresAt <= now) {
+        this.histories.delete(clientId);
+      }
+    });
+    this.nextCleanup = now + this.ttlMs;
+  }
+
+  /**
+   * Sets the number of selections kept per client
+   */
+  setMaxHistorySize(size) {
+    this.maxHistorySize = Math.max(1, size);
+  }
+
+  /**
+   * Gets service configuration and the number of clients with a history
+   */
+  getConfig() {
+    return {
+      ttlMs: this.ttlMs,
+      maxHistorySize: this.maxHistorySize,
+      maxClients: this.maxClients,
+      activeClients: this.histories.size,
+    };
+  }
+}
+
+module.exports = SelectionHistoryService;
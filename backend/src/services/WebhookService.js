@@ -0,0 +1,470 @@
+/**
+ * Webhook Service
+ * Registers webhooks and delivers menu notifications to them. Deliveries
+ * are JSON POSTs signed with HMAC-SHA256, retried with exponential back-off
+ * on network errors and 5xx/408/429 responses, and logged to a file.
+ * Loopback, link-local and private hosts are refused unless allowed.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const Webhook = require('../models/Webhook');
+const { readJsonFile, writeJsonFile } = require('../utils/fileUtils');
+const { getItemKeys } = require('../utils/menuDiff');
+
+const MAX_LOGGED_DELIVERIES = 200;
+const MAX_KEYWORD_LENGTH = 50;
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+// Loopback, link-local, private and other non-public address ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Creates a ValidationError, which the error handler reports as a 400
+ */
+const validationError = (message) => {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+};
+
+/**
+ * Checks whether an IP address is loopback, link-local or private
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Strips the brackets around an IPv6 URL hostname
+ */
+const getHostAddress = (hostname) => hostname.replace(/^\[|\]$/g, '');
+
+/**
+ * Checks whether a URL hostname names localhost or a private IP address
+ */
+const isPrivateHost = (hostname) => {
+  const host = getHostAddress(hostname).toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+};
+
+/**
+ * Resolves a hostname like dns.lookup, failing when it resolves to a private
+ * address
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const privateAddress = addresses.find(entry => isPrivateAddress(entry.address));
+    if (privateAddress) {
+      return callback(new Error(`${hostname} resolves to the private address ${privateAddress.address}`));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Parses an array or comma-separated string into trimmed, non-empty entries
+ */
+const parseList = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(entries.map(entry => String(entry).trim()).filter(entry => entry.length > 0))];
+};
+
+class WebhookService {
+  constructor({
+    dataDir = process.env.WEBHOOKS_DIR || './webhooks',
+    maxAttempts = 4,
+    retryDelayMs = 1000,
+    timeoutMs = 10000,
+    allowPrivateHosts = process.env.WEBHOOKS_ALLOW_PRIVATE_HOSTS === 'true',
+  } = {}) {
+    this.dataDir = dataDir;
+    this.webhooksFile = path.join(dataDir, 'webhooks.json');
+    this.deliveriesFile = path.join(dataDir, 'deliveries.json');
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.allowPrivateHosts = allowPrivateHosts;
+    // Read-modify-write updates of the store files run one at a time
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Registers a webhook ({ url, events, keywords, secret?, description? });
+   * returns it with its secret, which is not shown again
+   */
+  async register({ url, events, keywords, secret, description } = {}) {
+    const problems = [];
+
+    if (!Webhook.isValidUrl(url)) {
+      problems.push(`Invalid url: ${url}. Expected an http or https URL`);
+    } else if (!this.allowPrivateHosts && isPrivateHost(new URL(url).hostname)) {
+      problems.push(`Invalid url: ${url}. Loopback, link-local and private hosts are not allowed`);
+    }
+
+    const eventList = parseList(events);
+    const unknownEvents = eventList.filter(event => !Webhook.EVENTS.includes(event));
+    if (eventList.length === 0 || unknownEvents.length > 0) {
+      problems.push(`Invalid events: ${eventList.join(', ') || '(none)'}. Available events: ${Webhook.EVENTS.join(', ')}`);
+    }
+
+    const keywordList = parseList(keywords);
+    if (keywordList.length > Webhook.MAX_KEYWORDS || keywordList.some(keyword => keyword.length > MAX_KEYWORD_LENGTH)) {
+      problems.push(`Invalid keywords: expected at most ${Webhook.MAX_KEYWORDS} keywords of up to ${MAX_KEYWORD_LENGTH} characters`);
+    } else if (eventList.includes('dish.matched') && keywordList.length === 0) {
+      problems.push('Keywords are required for dish.matched events');
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < Webhook.MIN_SECRET_LENGTH)) {
+      problems.push(`Invalid secret: expected at least ${Webhook.MIN_SECRET_LENGTH} characters`);
+    }
+
+    if (problems.length > 0) {
+      throw validationError(problems.join('; '));
+    }
+
+    const webhook = new Webhook({
+      id: crypto.randomBytes(8).toString('hex'),
+      url,
+      events: eventList,
+      keywords: keywordList,
+      secret: secret || crypto.randomBytes(24).toString('hex'),
+      description: typeof description === 'string' ? description.trim().slice(0, 200) : '',
+    });
+
+    await this.updateWebhooks(webhooks => [...webhooks, webhook]);
+    console.log(`🪝 Registered webhook ${webhook.id} for ${webhook.events.join(', ')}`);
+
+    return webhook;
+  }
+
+  /**
+   * Gets every registered webhook
+   */
+  async listWebhooks() {
+    const data = await readJsonFile(this.webhooksFile);
+    return (data?.webhooks || []).map(webhook => Webhook.fromJSON(webhook));
+  }
+
+  /**
+   * Gets a webhook by ID, or null if it does not exist
+   */
+  async getWebhook(id) {
+    return (await this.listWebhooks()).find(webhook => webhook.id === id) || null;
+  }
+
+  /**
+   * Removes a webhook; returns whether it existed
+   */
+  async removeWebhook(id) {
+    let removed = false;
+    await this.updateWebhooks(webhooks => {
+      removed = webhooks.some(webhook => webhook.id === id);
+      return webhooks.filter(webhook => webhook.id !== id);
+    });
+    return removed;
+  }
+
+  /**
+   * Notifies webhooks about a scrape of today's menus: menus.published on the
+   * day's first scrape, dish.matched for keyword dishes that just appeared
+   * (every dish on the first scrape, the added ones on later scrapes)
+   */
+  async handleScrape({ date, menus, isFirstScrape, change = null }) {
+    const webhooks = await this.listWebhooks();
+    if (webhooks.length === 0 || menus.length === 0) {
+      return [];
+    }
+
+    const deliveries = [];
+
+    if (isFirstScrape) {
+      const data = {
+        date,
+        text: `Menus for ${date} are out: ${menus.map(menu => menu.title).join(', ')}`,
+        menus: menus.map(menu => ({
+          id: menu.id,
+          title: menu.title,
+          items: menu.items.map(item => ({ id: item.id, name: item.name, price: item.price })),
+        })),
+      };
+      webhooks
+        .filter(webhook => webhook.isSubscribedTo('menus.published'))
+        .forEach(webhook => deliveries.push(this.deliver(webhook, 'menus.published', data)));
+    }
+
+    const newDishes = this.findNewDishes(menus, isFirstScrape, change);
+    webhooks
+      .filter(webhook => webhook.isSubscribedTo('dish.matched'))
+      .forEach(webhook => {
+        const matches = newDishes
+          .map(({ menu, item, previous }) => {
+            const matchedBefore = previous ? webhook.matchKeywords(previous) : [];
+            const keywords = webhook.matchKeywords(item).filter(keyword => !matchedBefore.includes(keyword));
+            return { menu, item, keywords };
+          })
+          .filter(match => match.keywords.length > 0);
+
+        if (matches.length > 0) {
+          deliveries.push(this.deliver(webhook, 'dish.matched', {
+            date,
+            text: matches.map(match => `${match.item.name} is on the menu at ${match.menu.title}`).join('\n'),
+            matches: matches.map(match => ({
+              menuId: match.menu.id,
+              menuTitle: match.menu.title,
+              keywords: match.keywords,
+              item: {
+                id: match.item.id,
+                name: match.item.name,
+                description: match.item.description,
+                price: match.item.price,
+              },
+            })),
+          }));
+        }
+      });
+
+    return Promise.all(deliveries);
+  }
+
+  /**
+   * Gets the dishes that appeared in a scrape: every dish on the day's first
+   * scrape, otherwise the ones the change set lists as added, and changed
+   * items with a new name or description (on unisafka the name is the
+   * station and the dish is in the description). Changed items carry the
+   * name and description they had before as `previous`
+   */
+  findNewDishes(menus, isFirstScrape, change) {
+    const dishes = menus.flatMap(menu => {
+      const keys = getItemKeys(menu.items);
+      return menu.items.map((item, index) => ({ menu, item, key: keys[index], previous: null }));
+    });
+    if (isFirstScrape) {
+      return dishes;
+    }
+    if (!change) {
+      return [];
+    }
+
+    // Changes by menu and item key: null for added items, the changed fields otherwise
+    const newItems = new Map();
+    change.restaurants.forEach(restaurant => {
+      restaurant.added.forEach(item => newItems.set(`${restaurant.menuId}/${item.key || item.id}`, null));
+      (restaurant.changed || [])
+        .filter(item => item.changes.name || item.changes.description)
+        .forEach(item => newItems.set(`${restaurant.menuId}/${item.key || item.id}`, item.changes));
+    });
+
+    return dishes
+      .filter(({ menu, key }) => newItems.has(`${menu.id}/${key}`))
+      .map(dish => {
+        const changes = newItems.get(`${dish.menu.id}/${dish.key}`);
+        const previous = changes && {
+          name: changes.name ? changes.name.from : dish.item.name,
+          description: changes.description ? changes.description.from : dish.item.description,
+        };
+        return { ...dish, previous };
+      });
+  }
+
+  /**
+   * Sends a ping to a webhook, without retries, to check that it is reachable
+   */
+  async sendTest(webhook) {
+    return this.deliver(webhook, 'ping', {
+      text: 'Test notification from Tunisafka',
+    }, { maxAttempts: 1 });
+  }
+
+  /**
+   * Delivers an event to a webhook, retrying with back-off, and logs the outcome
+   */
+  async deliver(webhook, event, data, { maxAttempts = this.maxAttempts } = {}) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      event,
+      url: webhook.url,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+    };
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const body = JSON.stringify({ id: delivery.id, event, timestamp: delivery.createdAt, data });
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Tunisafka-Webhooks/1.0',
+      'X-Tunisafka-Event': event,
+      'X-Tunisafka-Delivery': delivery.id,
+      'X-Tunisafka-Timestamp': timestamp,
+      'X-Tunisafka-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`,
+    };
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const startedAt = Date.now();
+      const outcome = { attempt, at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: 0 };
+
+      try {
+        outcome.statusCode = await this.postJson(webhook.url, body, headers);
+      } catch (error) {
+        outcome.error = error.message;
+      }
+      outcome.durationMs = Date.now() - startedAt;
+      delivery.attempts.push(outcome);
+
+      if (outcome.statusCode >= 200 && outcome.statusCode < 300) {
+        delivery.status = 'delivered';
+        break;
+      }
+
+      if (!this.isRetryable(outcome) || attempt === maxAttempts) {
+        delivery.status = 'failed';
+        break;
+      }
+
+      const retryDelay = this.retryDelayMs * 2 ** (attempt - 1);
+      console.warn(`⚠️  Webhook ${webhook.id} ${event} delivery failed (${outcome.error || `HTTP ${outcome.statusCode}`}), retrying in ${retryDelay}ms`);
+      await this.wait(retryDelay);
+    }
+
+    delivery.completedAt = new Date().toISOString();
+    await this.logDelivery(delivery);
+
+    if (delivery.status === 'delivered') {
+      console.log(`✅ Delivered ${event} to webhook ${webhook.id} (${delivery.attempts.length} attempts)`);
+    } else {
+      console.error(`❌ Failed to deliver ${event} to webhook ${webhook.id} after ${delivery.attempts.length} attempts`);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Signs a delivery: hex HMAC-SHA256 of "<timestamp>.<body>" with the secret
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Checks whether a failed attempt is worth retrying
+   */
+  isRetryable(outcome) {
+    return outcome.statusCode === null ||
+      outcome.statusCode >= 500 ||
+      RETRYABLE_STATUS_CODES.includes(outcome.statusCode);
+  }
+
+  /**
+   * POSTs a JSON body; resolves with the response status code. Unless
+   * private hosts are allowed, refuses hosts that are or resolve to one
+   */
+  postJson(url, body, headers) {
+    return new Promise((resolve, reject) => {
+      const urlObj = new URL(url);
+      const client = urlObj.protocol === 'https:' ? https : http;
+
+      // Hostnames are checked once resolved, IP addresses up front
+      if (!this.allowPrivateHosts && isPrivateAddress(getHostAddress(urlObj.hostname))) {
+        return reject(new Error(`Network error: ${urlObj.hostname} is a private address`));
+      }
+
+      const req = client.request(urlObj, {
+        method: 'POST',
+        headers: {
+          ...headers,
+          'Content-Length': Buffer.byteLength(body),
+        },
+        timeout: this.timeoutMs,
+        ...(this.allowPrivateHosts ? {} : { lookup: lookupPublicAddress }),
+      }, (res) => {
+        // Drain the body so the socket is released
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error(`Request timeout after ${this.timeoutMs}ms`));
+      });
+
+      req.on('error', (error) => {
+        reject(new Error(`Network error: ${error.message}`));
+      });
+
+      req.end(body);
+    });
+  }
+
+  /**
+   * Waits before a retry
+   */
+  wait(delay) {
+    return new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  /**
+   * Gets a webhook's logged deliveries, newest first
+   */
+  async getDeliveries(webhookId) {
+    const data = await readJsonFile(this.deliveriesFile);
+    return (data?.deliveries || [])
+      .filter(delivery => delivery.webhookId === webhookId)
+      .reverse();
+  }
+
+  /**
+   * Appends a delivery to the log, keeping the most recent ones
+   */
+  async logDelivery(delivery) {
+    await this.enqueueWrite(async () => {
+      const data = await readJsonFile(this.deliveriesFile);
+      const deliveries = [...(data?.deliveries || []), delivery].slice(-MAX_LOGGED_DELIVERIES);
+      await writeJsonFile(this.deliveriesFile, { deliveries });
+    });
+  }
+
+  /**
+   * Replaces the stored webhooks with the result of an update function
+   */
+  async updateWebhooks(update) {
+    await this.enqueueWrite(async () => {
+      const webhooks = await this.listWebhooks();
+      await writeJsonFile(this.webhooksFile, { webhooks: update(webhooks) });
+    });
+  }
+
+  /**
+   * Runs store updates one at a time so concurrent ones are not lost
+   */
+  enqueueWrite(operation) {
+    const result = this.writeQueue.then(operation);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = WebhookService;
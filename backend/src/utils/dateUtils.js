@@ -0,0 +1,93 @@
+/**
+ * Date Utilities
+ * Calendar helpers for YYYY-MM-DD date strings. Dates are treated as plain
+ * calendar days, so the arithmetic is done in UTC to avoid DST shifts.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Checks that a string is a real calendar date in YYYY-MM-DD format
+ */
+const isValidDate = (date) => {
+  if (typeof date !== 'string' || !DATE_REGEX.test(date)) {
+    return false;
+  }
+
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+};
+
+/**
+ * Adds a number of days to a date
+ */
+const addDays = (date, days) => {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  parsed.setUTCDate(parsed.getUTCDate() + days);
+  return parsed.toISOString().split('T')[0];
+};
+
+/**
+ * Gets the lowercase weekday name of a date
+ */
+const getWeekday = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+/**
+ * Gets the Monday-to-Sunday dates of the week containing a date
+ */
+const getWeekDates = (date) => {
+  const offsetFromMonday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+  const monday = addDays(date, -offsetFromMonday);
+  return Array.from({ length: 7 }, (_, index) => addDays(monday, index));
+};
+
+/**
+ * Gets the calendar date and HH:MM wall-clock time of an instant in a time zone
+ */
+const getZonedDateTime = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(instant)
+      .map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+};
+
+/**
+ * Converts a wall-clock date and HH:MM time in a time zone to an instant
+ */
+const zonedTimeToDate = (date, time, timeZone) => {
+  const wallClock = new Date(`${date}T${time}:00Z`);
+  let instant = wallClock;
+
+  // Apply the zone offset twice so times next to a DST change settle correctly
+  for (let pass = 0; pass < 2; pass++) {
+    const zoned = getZonedDateTime(instant, timeZone);
+    const offset = new Date(`${zoned.date}T${zoned.time}:00Z`).getTime() - instant.getTime();
+    instant = new Date(wallClock.getTime() - offset);
+  }
+
+  return instant;
+};
+
+module.exports = {
+  isValidDate,
+  addDays,
+  getWeekday,
+  getWeekDates,
+  getZonedDateTime,
+  zonedTimeToDate,
+};
@@ -0,0 +1,98 @@
+/**
+ * Diet Codes
+ * Dictionary of the diet codes used in the unisafka and Juvenes legends,
+ * mapping each code to a machine-readable dietary tag
+ */
+
+const DIET_CODES = {
+  G: { tag: 'gluten-free', label: 'Gluteeniton / Gluten-free' },
+  M: { tag: 'milk-free', label: 'Maidoton / Milk-free' },
+  L: { tag: 'lactose-free', label: 'Laktoositon / Lactose-free' },
+  VL: { tag: 'low-lactose', label: 'Vähälaktoosinen / Low in lactose' },
+  VEG: { tag: 'vegan', label: 'Vegaaninen / Vegan' },
+  KASV: { tag: 'vegetarian', label: 'Kasvis / Vegetarian' },
+  MU: { tag: 'egg-free', label: 'Munaton / Egg-free' },
+  VS: { tag: 'contains-fresh-garlic', label: 'Sisältää tuoretta valkosipulia / Contains fresh garlic' },
+  A: { tag: 'contains-allergens', label: 'Sisältää allergeeneja / Contains allergens' },
+  ILM: { tag: 'climate-friendly', label: 'Ilmastoystävällinen / Climate-friendly' },
+  'SIS.LUOMUA': { tag: 'organic', label: 'Sisältää luomua / Contains organic ingredients' },
+  '*': { tag: 'recommended', label: 'Suositeltava valinta / Recommended choice' },
+};
+
+// Words the adapters' keyword fallbacks and older caches use instead of codes
+const ALIASES = {
+  'VEGAN': 'VEG',
+  'VEGAANI': 'VEG',
+  'PLANT-BASED': 'VEG',
+  'VEGETARIAN': 'KASV',
+  'VEGGIE': 'KASV',
+  'KASVIS': 'KASV',
+  'GLUTEN FREE': 'G',
+  'GLUTEENITON': 'G',
+  'DAIRY-FREE': 'M',
+  'DAIRY FREE': 'M',
+  'MAIDOTON': 'M',
+  'LAKTOOSITON': 'L',
+  'LUOMU': 'SIS.LUOMUA',
+};
+
+const TAG_CODES = Object.fromEntries(
+  Object.entries(DIET_CODES).map(([code, { tag }]) => [tag.toUpperCase(), code])
+);
+
+/**
+ * Looks up a diet code, alias or tag (case-insensitive); returns null when unknown
+ */
+const lookupDietCode = (token) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const normalized = token.trim().toUpperCase();
+  const code = DIET_CODES[normalized]
+    ? normalized
+    : ALIASES[normalized] || TAG_CODES[normalized];
+
+  return code ? { code, ...DIET_CODES[code] } : null;
+};
+
+/**
+ * Splits raw diet tokens into known codes (with their tags) and unknown tokens
+ */
+const parseDietCodes = (tokens) => {
+  const dietCodes = [];
+  const unknown = [];
+
+  (Array.isArray(tokens) ? tokens : []).forEach(token => {
+    const entry = lookupDietCode(token);
+
+    if (!entry) {
+      if (typeof token === 'string' && token.trim().length > 0) {
+        unknown.push(token.trim());
+      }
+      return;
+    }
+
+    if (!dietCodes.some(dietCode => dietCode.tag === entry.tag)) {
+      dietCodes.push({ code: token.trim(), tag: entry.tag });
+    }
+  });
+
+  return { dietCodes, unknown };
+};
+
+/**
+ * Gets the diet codes to show next to a menu item, falling back to its raw
+ * dietary entries for items cached before codes were mapped
+ */
+const getItemDietCodes = (item) =>
+  item.dietCodes && item.dietCodes.length > 0
+    ? item.dietCodes.map(entry => entry.code.toUpperCase())
+    : (item.dietary || []).map(tag => String(tag).toUpperCase());
+
+module.exports = {
+  DIET_CODES,
+  lookupDietCode,
+  parseDietCodes,
+  getItemDietCodes,
+};
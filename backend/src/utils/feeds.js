@@ -0,0 +1,132 @@
+/**
+ * Feed Utilities
+ * Builds Atom (RFC 4287) and RSS 2.0 feeds with one entry per restaurant and day
+ */
+
+const { getWeekday } = require('./dateUtils');
+const { getItemDietCodes } = require('./dietCodes');
+
+const FEED_TITLE = 'Tunisafka lunch menus';
+const FEED_ID = 'urn:tunisafka:menus';
+
+/**
+ * Escapes text for XML element content and attribute values
+ */
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Formats a menu's items as an HTML list
+ */
+const formatMenuHtml = (menu) => {
+  const items = menu.items.map(item => {
+    const codes = getItemDietCodes(item);
+    const details = [
+      item.description,
+      codes.length > 0 ? `(${codes.join(', ')})` : '',
+      item.price,
+    ].filter(Boolean).join(' ');
+
+    return `<li><strong>${escapeXml(item.name)}</strong>${details ? ` ${escapeXml(details)}` : ''}</li>`;
+  });
+
+  return `<ul>${items.join('')}</ul>`;
+};
+
+/**
+ * Creates the entries of a feed from days of menus ([{ date, menus, updated }]).
+ * Entry IDs come from the date and menu ID, so they stay the same between
+ * scrapes, and entries are updated when their day was last scraped
+ */
+const createFeedEntries = (days, baseUrl) =>
+  days.flatMap(({ date, menus, updated }) =>
+    menus.map(menu => {
+      const weekday = getWeekday(date);
+      return {
+        id: `${FEED_ID}:${date}:${menu.id}`,
+        title: `${menu.title}: ${weekday.charAt(0).toUpperCase()}${weekday.slice(1)} ${date}`,
+        link: `${baseUrl}/menus/date/${date}`,
+        updated: new Date(updated),
+        html: formatMenuHtml(menu),
+      };
+    })
+  );
+
+/**
+ * Gets the most recent update of a feed's entries, or now when it has none
+ */
+const getFeedUpdated = (entries) =>
+  entries.length > 0
+    ? new Date(Math.max(...entries.map(entry => entry.updated.getTime())))
+    : new Date();
+
+/**
+ * Creates an Atom feed; baseUrl is the API root (https://host/api)
+ */
+const createAtomFeed = (days, { baseUrl }) => {
+  const entries = createFeedEntries(days, baseUrl);
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${FEED_ID}</id>`,
+    `  <title>${FEED_TITLE}</title>`,
+    `  <updated>${getFeedUpdated(entries).toISOString()}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(`${baseUrl}/feeds/menus.atom`)}"/>`,
+    `  <link rel="alternate" type="application/json" href="${escapeXml(`${baseUrl}/menus`)}"/>`,
+    '  <author><name>Tunisafka</name></author>',
+    ...entries.map(entry => [
+      '  <entry>',
+      `    <id>${escapeXml(entry.id)}</id>`,
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <updated>${entry.updated.toISOString()}</updated>`,
+      `    <link rel="alternate" href="${escapeXml(entry.link)}"/>`,
+      `    <content type="html">${escapeXml(entry.html)}</content>`,
+      '  </entry>',
+    ].join('\n')),
+    '</feed>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Creates an RSS 2.0 feed; baseUrl is the API root (https://host/api)
+ */
+const createRssFeed = (days, { baseUrl }) => {
+  const entries = createFeedEntries(days, baseUrl);
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${FEED_TITLE}</title>`,
+    `    <link>${escapeXml(`${baseUrl}/menus`)}</link>`,
+    '    <description>Daily lunch menus of the university restaurants</description>',
+    `    <lastBuildDate>${getFeedUpdated(entries).toUTCString()}</lastBuildDate>`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(`${baseUrl}/feeds/menus.rss`)}"/>`,
+    ...entries.map(entry => [
+      '    <item>',
+      `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+      `      <title>${escapeXml(entry.title)}</title>`,
+      `      <link>${escapeXml(entry.link)}</link>`,
+      `      <pubDate>${entry.updated.toUTCString()}</pubDate>`,
+      `      <description>${escapeXml(entry.html)}</description>`,
+      '    </item>',
+    ].join('\n')),
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+};
+
+module.exports = {
+  escapeXml,
+  createFeedEntries,
+  createAtomFeed,
+  createRssFeed,
+};
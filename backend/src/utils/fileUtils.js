@@ -0,0 +1,47 @@
+/**
+ * File Utilities
+ * JSON file helpers for the file-backed stores (menu cache, polls, webhooks)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Reads and parses a JSON file, returning null if it does not exist
+ */
+const readJsonFile = async (file) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Writes JSON data atomically by writing to a temp file first, then renaming
+ */
+const writeJsonFile = async (file, data) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  // Unique temp names keep concurrent writers from renaming each other's files
+  const tempFile = `${file}.${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.tmp`;
+  try {
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2), 'utf8');
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    try {
+      await fs.unlink(tempFile);
+    } catch {
+      // Ignore cleanup errors
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile,
+};
@@ -0,0 +1,142 @@
+/**
+ * iCalendar Utilities
+ * Builds RFC 5545 calendars with one lunch event per restaurant and day
+ */
+
+const { addDays, zonedTimeToDate } = require('./dateUtils');
+const { getItemDietCodes } = require('./dietCodes');
+
+const PRODUCT_ID = '-//Tunisafka//Lunch Menus//EN';
+const UID_DOMAIN = 'tunisafka';
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Content lines are folded at 75 octets, not counting the line break
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapes a TEXT value: backslashes, semicolons, commas and line breaks
+ */
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line longer than 75 octets onto continuation lines,
+ * never splitting a UTF-8 character
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Formats an instant as a UTC DATE-TIME (20250918T083000Z)
+ */
+const formatDateTime = (instant) =>
+  new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Formats a YYYY-MM-DD date as a DATE (20250918)
+ */
+const formatDate = (date) => date.replace(/-/g, '');
+
+/**
+ * Formats a menu item as a description line, with its diet codes
+ */
+const formatMenuItem = (item) => {
+  const codes = getItemDietCodes(item);
+  const details = [
+    item.description,
+    codes.length > 0 ? `(${codes.join(', ')})` : '',
+    item.price,
+  ].filter(Boolean).join(' ');
+
+  return `- ${item.name}${details ? `: ${details}` : ''}`;
+};
+
+/**
+ * Creates the content lines of one menu's lunch event. The UID comes from
+ * the date and menu ID, so re-fetching the feed updates events in place;
+ * menus without a valid lunch window become all-day events
+ */
+const createMenuEvent = (date, menu, { timezone, lastUpdated, location = null }) => {
+  const { startTime, endTime } = menu.availability || {};
+  const hasLunchWindow = TIME_REGEX.test(startTime) && TIME_REGEX.test(endTime) && startTime < endTime;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${date}-${menu.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(lastUpdated || menu.lastUpdated)}`,
+  ];
+
+  if (hasLunchWindow) {
+    lines.push(`DTSTART:${formatDateTime(zonedTimeToDate(date, startTime, timezone))}`);
+    lines.push(`DTEND:${formatDateTime(zonedTimeToDate(date, endTime, timezone))}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(addDays(date, 1))}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(`Lunch at ${menu.title}`)}`);
+  lines.push(`DESCRIPTION:${escapeText(menu.items.map(formatMenuItem).join('\n'))}`);
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  lines.push('TRANSP:TRANSPARENT');
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Creates an iCalendar document from days of menus
+ * ([{ date, menus, lastUpdated }]); getLocation(menu) may return an event location
+ */
+const createMenuCalendar = (days, { name, timezone, getLocation = () => null }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+  ];
+
+  days.forEach(({ date, menus, lastUpdated }) => {
+    menus.forEach(menu => {
+      lines.push(...createMenuEvent(date, menu, { timezone, lastUpdated, location: getLocation(menu) }));
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  createMenuEvent,
+  createMenuCalendar,
+};
@@ -0,0 +1,137 @@
+/**
+ * Menu Diff Utilities
+ * Compares two scrapes of the same day's menus. Menus are matched by ID
+ * (one per restaurant) and items by key: the ID, which is derived from the
+ * dish name, numbered when several items of a menu share it ("lunch",
+ * "lunch#2"). A renamed dish shows up as one item removed and another added.
+ */
+
+const COMPARED_FIELDS = ['name', 'description', 'price', 'prices', 'dietary', 'allergens'];
+
+/**
+ * Converts menus to plain JSON data, so Menu instances and cached entries
+ * compare alike
+ */
+const toPlainMenus = (menus = []) => JSON.parse(JSON.stringify(menus));
+
+/**
+ * Gets the keys of a menu's items in order: the item ID, followed by #2, #3…
+ * for later items with the same ID
+ */
+const getItemKeys = (items = []) => {
+  const counts = new Map();
+  return items.map(item => {
+    const count = (counts.get(item.id) || 0) + 1;
+    counts.set(item.id, count);
+    return count === 1 ? item.id : `${item.id}#${count}`;
+  });
+};
+
+/**
+ * Maps a menu's items by their keys
+ */
+const mapItemsByKey = (items = []) => {
+  const keys = getItemKeys(items);
+  return new Map(items.map((item, index) => [keys[index], item]));
+};
+
+/**
+ * Gets a short summary of an item for a diff
+ */
+const summarizeItem = (item, key) => ({
+  id: item.id,
+  key,
+  name: item.name,
+  price: item.price,
+});
+
+/**
+ * Gets the fields that differ between two versions of an item; fields missing
+ * from scrapes archived before they existed are not compared
+ */
+const diffItem = (previous, current) => {
+  const changes = {};
+  COMPARED_FIELDS.forEach(field => {
+    if (previous[field] === undefined) {
+      return;
+    }
+    if (JSON.stringify(previous[field]) !== JSON.stringify(current[field])) {
+      changes[field] = { from: previous[field], to: current[field] };
+    }
+  });
+  return changes;
+};
+
+/**
+ * Compares one restaurant's items between two scrapes
+ */
+const diffMenu = (previousMenu, currentMenu) => {
+  const previousItems = mapItemsByKey(previousMenu?.items);
+  const currentItems = mapItemsByKey(currentMenu?.items);
+
+  const added = [...currentItems]
+    .filter(([key]) => !previousItems.has(key))
+    .map(([key, item]) => summarizeItem(item, key));
+  const removed = [...previousItems]
+    .filter(([key]) => !currentItems.has(key))
+    .map(([key, item]) => summarizeItem(item, key));
+  const changed = [...currentItems]
+    .filter(([key]) => previousItems.has(key))
+    .map(([key, item]) => ({
+      ...summarizeItem(item, key),
+      changes: diffItem(previousItems.get(key), item),
+    }))
+    .filter(item => Object.keys(item.changes).length > 0);
+
+  let status = 'changed';
+  if (!previousMenu) {
+    status = 'added';
+  } else if (!currentMenu) {
+    status = 'removed';
+  }
+
+  const menu = currentMenu || previousMenu;
+  return {
+    menuId: menu.id,
+    menuTitle: menu.title,
+    status,
+    added,
+    removed,
+    changed,
+  };
+};
+
+/**
+ * Computes the per-restaurant differences between two scrapes of a day;
+ * restaurants without any difference are left out
+ */
+const diffMenus = (previousMenus, currentMenus) => {
+  const previous = new Map(toPlainMenus(previousMenus).map(menu => [menu.id, menu]));
+  const current = new Map(toPlainMenus(currentMenus).map(menu => [menu.id, menu]));
+  const menuIds = [...new Set([...current.keys(), ...previous.keys()])];
+
+  const restaurants = menuIds
+    .map(id => diffMenu(previous.get(id), current.get(id)))
+    .filter(menu => menu.status !== 'changed' || menu.added.length + menu.removed.length + menu.changed.length > 0);
+
+  return {
+    restaurants,
+    summary: {
+      restaurantsChanged: restaurants.length,
+      itemsAdded: restaurants.reduce((sum, menu) => sum + menu.added.length, 0),
+      itemsRemoved: restaurants.reduce((sum, menu) => sum + menu.removed.length, 0),
+      itemsChanged: restaurants.reduce((sum, menu) => sum + menu.changed.length, 0),
+    },
+  };
+};
+
+/**
+ * Checks whether a diff found any difference
+ */
+const hasChanges = (diff) => diff.restaurants.length > 0;
+
+module.exports = {
+  getItemKeys,
+  diffMenus,
+  hasChanges,
+};
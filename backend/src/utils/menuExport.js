@@ -0,0 +1,165 @@
+/**
+ * Menu Export Utilities
+ * Formats menus as CSV (one row per item) or as a plain-text or Markdown
+ * daily digest, for pasting into spreadsheets and chat
+ */
+
+const { getWeekday } = require('./dateUtils');
+const { getItemDietCodes } = require('./dietCodes');
+
+const CSV_COLUMNS = ['date', 'restaurant', 'name', 'description', 'price', 'dietary', 'allergens'];
+
+// Media types of the export formats, by format name
+const EXPORT_TYPES = {
+  csv: 'text/csv',
+  text: 'text/plain',
+  markdown: 'text/markdown',
+};
+
+/**
+ * Quotes a CSV field when needed (RFC 4180). Fields that a spreadsheet would
+ * read as a formula get a leading apostrophe
+ */
+const escapeCsvField = (value) => {
+  let field = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`;
+  }
+
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+/**
+ * Lists the allergens an item contains or may contain ("milk, fish (may contain)")
+ */
+const formatAllergens = (item) =>
+  (item.allergens || [])
+    .filter(entry => entry.state !== 'free-of')
+    .map(entry => entry.state === 'may-contain' ? `${entry.allergen} (may contain)` : entry.allergen)
+    .join(', ');
+
+/**
+ * Formats a date as a digest heading ("Lunch menus for Thursday 2025-09-18")
+ */
+const formatHeading = (date) => {
+  const weekday = getWeekday(date);
+  return `Lunch menus for ${weekday.charAt(0).toUpperCase()}${weekday.slice(1)} ${date}`;
+};
+
+/**
+ * Formats a menu's lunch window ("10:30–14:00"), or an empty string
+ */
+const formatLunchWindow = (menu) => {
+  const { startTime, endTime } = menu.availability || {};
+  return startTime && endTime ? `${startTime}–${endTime}` : '';
+};
+
+/**
+ * Formats an item's description, diet codes and price
+ */
+const formatItemDetails = (item) => {
+  const codes = getItemDietCodes(item);
+  return [
+    item.description,
+    codes.length > 0 ? `(${codes.join(', ')})` : '',
+    item.price,
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * Formats menus as CSV with a header row and one row per menu item
+ */
+const toCsv = (menus, { date }) => {
+  const rows = [CSV_COLUMNS];
+
+  menus.forEach(menu => {
+    menu.items.forEach(item => {
+      rows.push([
+        date,
+        menu.title,
+        item.name,
+        item.description,
+        item.price,
+        (item.dietary || []).join(', '),
+        formatAllergens(item),
+      ]);
+    });
+  });
+
+  return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Formats menus as a plain-text digest
+ */
+const toText = (menus, { date }) => {
+  const sections = menus.map(menu => {
+    const window = formatLunchWindow(menu);
+    const lines = [window ? `${menu.title} (${window})` : menu.title];
+
+    menu.items.forEach(item => {
+      const details = formatItemDetails(item);
+      lines.push(`- ${item.name}${details ? `: ${details}` : ''}`);
+    });
+
+    return lines.join('\n');
+  });
+
+  return [formatHeading(date), ...(sections.length > 0 ? sections : ['No menus available.'])].join('\n\n') + '\n';
+};
+
+/**
+ * Escapes characters that Markdown would read as formatting
+ */
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_[\]#<>|])/g, '\\$1');
+
+/**
+ * Formats menus as a Markdown digest
+ */
+const toMarkdown = (menus, { date }) => {
+  const sections = menus.map(menu => {
+    const window = formatLunchWindow(menu);
+    const lines = [`## ${escapeMarkdown(menu.title)}`];
+
+    if (window) {
+      lines.push(`_${window}_`);
+    }
+    lines.push('');
+
+    menu.items.forEach(item => {
+      const details = formatItemDetails(item);
+      lines.push(`- **${escapeMarkdown(item.name)}**${details ? ` ${escapeMarkdown(details)}` : ''}`);
+    });
+
+    return lines.join('\n');
+  });
+
+  return [`# ${formatHeading(date)}`, ...(sections.length > 0 ? sections : ['No menus available.'])].join('\n\n') + '\n';
+};
+
+const EXPORTERS = {
+  csv: toCsv,
+  text: toText,
+  markdown: toMarkdown,
+};
+
+/**
+ * Formats menus of a date in an export format (csv, text or markdown)
+ */
+const exportMenus = (menus, format, { date }) => {
+  if (!EXPORTERS[format]) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  return EXPORTERS[format](menus, { date });
+};
+
+module.exports = {
+  EXPORT_TYPES,
+  escapeCsvField,
+  toCsv,
+  toText,
+  toMarkdown,
+  exportMenus,
+};
@@ -0,0 +1,107 @@
+/**
+ * Nutrition Utilities
+ * Per-portion nutrition and climate values of menu items, and parsing of the
+ * nutrition lines unisafka and Juvenes publish ("Energia 620 kcal, Proteiini
+ * 32 g ... Hiilijalanjälki 0,45 kg CO2e")
+ */
+
+// Fields with their unit and the labels they are published under
+const NUTRITION_FIELDS = {
+  kcal: { unit: 'kcal', labels: ['energia', 'energy'] },
+  protein: { unit: 'g', labels: ['proteiini', 'protein'] },
+  fat: { unit: 'g', labels: ['rasva', 'fat'] },
+  carbs: { unit: 'g', labels: ['hiilihydraatit', 'hiilihydraatti', 'carbohydrates', 'carbohydrate', 'carbs'] },
+  salt: { unit: 'g', labels: ['suola', 'salt'] },
+  co2e: { unit: 'kg', labels: ['hiilijalanjälki', 'ilmastovaikutus', 'carbon footprint', 'co2e', 'co2'] },
+};
+
+// Thresholds of the low-carbon and high-protein selection filters, per portion
+const LOW_CARBON_MAX_CO2E = 0.5;
+const HIGH_PROTEIN_MIN_PROTEIN = 25;
+
+const NUMBER_PATTERN = '(\\d+(?:[.,]\\d+)?)';
+
+/**
+ * Parses a number written with a decimal point or comma
+ */
+const parseNumber = (text) => Number(text.replace(',', '.'));
+
+/**
+ * Rounds a value to the precision it is shown with
+ */
+const roundValue = (field, value) =>
+  field === 'kcal' ? Math.round(value) : Math.round(value * 100) / 100;
+
+/**
+ * Reads one field from nutrition text, converting grams of CO2e to kilograms
+ */
+const parseField = (field, text) => {
+  if (field === 'kcal') {
+    const match = text.match(new RegExp(`${NUMBER_PATTERN}\\s*kcal`, 'i'));
+    return match ? parseNumber(match[1]) : null;
+  }
+
+  if (field === 'co2e') {
+    // Either "CO2e 450 g" / "Hiilijalanjälki: 0,45 kg" or "0,45 kg CO2e"
+    const labels = NUTRITION_FIELDS.co2e.labels.join('|');
+    const match = text.match(new RegExp(`(?:${labels})\\s*:?\\s*${NUMBER_PATTERN}\\s*(kg|g)\\b`, 'i')) ||
+      text.match(new RegExp(`${NUMBER_PATTERN}\\s*(kg|g)\\s*co2`, 'i'));
+    if (!match) {
+      return null;
+    }
+    const value = parseNumber(match[1]);
+    return match[2].toLowerCase() === 'g' ? value / 1000 : value;
+  }
+
+  const labels = NUTRITION_FIELDS[field].labels.join('|');
+  const match = text.match(new RegExp(`(?:${labels})\\s*:?\\s*${NUMBER_PATTERN}\\s*g\\b`, 'i'));
+  return match ? parseNumber(match[1]) : null;
+};
+
+/**
+ * Parses published nutrition text into per-portion values; returns null
+ * when no value is found
+ */
+const parseNutritionText = (text) => {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const nutrition = {};
+  Object.keys(NUTRITION_FIELDS).forEach(field => {
+    const value = parseField(field, text);
+    if (value !== null && Number.isFinite(value)) {
+      nutrition[field] = roundValue(field, value);
+    }
+  });
+
+  return Object.keys(nutrition).length > 0 ? nutrition : null;
+};
+
+/**
+ * Normalizes stored or scraped nutrition data, keeping the known fields with
+ * numeric values; returns null when none is left
+ */
+const normalizeNutrition = (data) => {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  const nutrition = {};
+  Object.keys(NUTRITION_FIELDS).forEach(field => {
+    const value = typeof data[field] === 'string' ? parseNumber(data[field]) : data[field];
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+      nutrition[field] = roundValue(field, value);
+    }
+  });
+
+  return Object.keys(nutrition).length > 0 ? nutrition : null;
+};
+
+module.exports = {
+  NUTRITION_FIELDS,
+  LOW_CARBON_MAX_CO2E,
+  HIGH_PROTEIN_MIN_PROTEIN,
+  parseNutritionText,
+  normalizeNutrition,
+};
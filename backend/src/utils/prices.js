@@ -0,0 +1,111 @@
+/**
+ * Price Utilities
+ * Structured menu item prices per customer tier, parsed from the price lines
+ * student restaurants publish ("2,95 € / 5,70 € / 7,50 €" for students, staff
+ * and guests)
+ */
+
+// Customer tiers in the order restaurants list their prices, with the labels
+// they are published under
+const PRICE_TIERS = {
+  student: { labels: ['opiskelijat', 'opiskelija', 'students', 'student'] },
+  staff: { labels: ['henkilökunta', 'henkilöstö', 'staff'] },
+  guest: { labels: ['vierailijat', 'vieraat', 'vieras', 'muut', 'guests', 'guest', 'visitors', 'visitor'] },
+};
+
+const DEFAULT_PRICE_TIER = 'student';
+
+const CURRENCY_SYMBOLS = { EUR: '€' };
+
+const AMOUNT_PATTERN = '(\\d+[.,]\\d{2})';
+
+/**
+ * Parses an amount written with a decimal point or comma
+ */
+const parseAmount = (text) => Math.round(Number(text.replace(',', '.')) * 100) / 100;
+
+/**
+ * Reads the amounts listed after tier labels ("Opiskelija 2,95 €, Henkilökunta 5,70 €")
+ */
+const parseLabelledAmounts = (text) => {
+  const amounts = {};
+  Object.entries(PRICE_TIERS).forEach(([tier, { labels }]) => {
+    const match = text.match(new RegExp(`(?:${labels.join('|')})\\s*:?\\s*€?\\s*${AMOUNT_PATTERN}`, 'i'));
+    if (match) {
+      amounts[tier] = parseAmount(match[1]);
+    }
+  });
+  return amounts;
+};
+
+/**
+ * Parses a published price line into { currency, student, staff, guest }.
+ * Unlabelled amounts are read in tier order, and a single amount is the
+ * price for everyone; tiers without a price are null. Returns null when the
+ * line has no amount
+ */
+const parsePriceText = (text) => {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  let amounts = parseLabelledAmounts(text);
+  if (Object.keys(amounts).length === 0) {
+    const listed = [...text.matchAll(new RegExp(AMOUNT_PATTERN, 'g'))].map(match => parseAmount(match[1]));
+    if (listed.length === 0) {
+      return null;
+    }
+
+    amounts = Object.fromEntries(Object.keys(PRICE_TIERS).map((tier, index) =>
+      [tier, listed.length === 1 ? listed[0] : listed[index]]
+    ));
+  }
+
+  const prices = { currency: 'EUR' };
+  Object.keys(PRICE_TIERS).forEach(tier => {
+    prices[tier] = amounts[tier] !== undefined ? amounts[tier] : null;
+  });
+  return prices;
+};
+
+/**
+ * Normalizes stored or scraped price data, keeping the known tiers with
+ * non-negative amounts; returns null when no tier has a price
+ */
+const normalizePrices = (data) => {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  const prices = { currency: typeof data.currency === 'string' ? data.currency.toUpperCase() : 'EUR' };
+  Object.keys(PRICE_TIERS).forEach(tier => {
+    const value = typeof data[tier] === 'string' ? Number(data[tier].replace(',', '.')) : data[tier];
+    prices[tier] = typeof value === 'number' && Number.isFinite(value) && value >= 0
+      ? Math.round(value * 100) / 100
+      : null;
+  });
+
+  return Object.keys(PRICE_TIERS).some(tier => prices[tier] !== null) ? prices : null;
+};
+
+/**
+ * Formats an amount with its currency symbol ("€2.95")
+ */
+const formatPrice = (amount, currency = 'EUR') => {
+  const symbol = CURRENCY_SYMBOLS[currency];
+  return symbol ? `${symbol}${amount.toFixed(2)}` : `${amount.toFixed(2)} ${currency}`;
+};
+
+/**
+ * Checks whether a value names a price tier
+ */
+const isPriceTier = (value) => Object.prototype.hasOwnProperty.call(PRICE_TIERS, value);
+
+module.exports = {
+  PRICE_TIERS,
+  DEFAULT_PRICE_TIER,
+  parsePriceText,
+  normalizePrices,
+  formatPrice,
+  isPriceTier,
+};
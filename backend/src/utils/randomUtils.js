@@ -0,0 +1,57 @@
+/**
+ * Random Utilities
+ * A seedable pseudo-random generator, so that a selection made with a seed
+ * can be reproduced. Not suitable where unpredictability matters.
+ */
+
+const MAX_SEED_LENGTH = 64;
+
+/**
+ * Hashes a seed string into a 32-bit integer (FNV-1a)
+ */
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Creates a deterministic generator of numbers in [0, 1) from a seed (mulberry32)
+ */
+const createSeededRandom = (seed) => {
+  let state = hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 0x100000000;
+  };
+};
+
+/**
+ * Parses a seed query parameter; returns null when none is given
+ */
+const parseSeed = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seed = String(value).trim();
+  if (seed.length === 0 || seed.length > MAX_SEED_LENGTH) {
+    const error = new Error(`Invalid seed: ${value}. Expected 1 to ${MAX_SEED_LENGTH} characters`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  return seed;
+};
+
+module.exports = {
+  createSeededRandom,
+  parseSeed,
+};
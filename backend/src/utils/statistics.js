@@ -0,0 +1,152 @@
+/**
+ * Statistics Utilities
+ * Chi-square goodness-of-fit test and binomial confidence intervals for
+ * checking that random selection is uniform
+ */
+
+const MAX_ITERATIONS = 1000;
+const EPSILON = 1e-14;
+
+// Two-sided normal quantiles for common confidence levels
+const Z_SCORES = {
+  0.9: 1.6448536269514722,
+  0.95: 1.959963984540054,
+  0.99: 2.5758293035489004,
+};
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ */
+const logGamma = (x) => {
+  const coefficients = [
+    76.18009172947146, -86.50532032941678, 24.01409824083091,
+    -1.231739572450155, 0.001208650973866179, -0.000005395239384953,
+  ];
+
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach(coefficient => {
+    y += 1;
+    series += coefficient / y;
+  });
+
+  return -tmp + Math.log((2.5066282746310002 * series) / x);
+};
+
+/**
+ * Regularized lower incomplete gamma function P(a, x) by its series
+ */
+const lowerGammaSeries = (a, x) => {
+  let term = 1 / a;
+  let sum = term;
+
+  for (let n = 1; n < MAX_ITERATIONS; n++) {
+    term *= x / (a + n);
+    sum += term;
+    if (Math.abs(term) < Math.abs(sum) * EPSILON) {
+      break;
+    }
+  }
+
+  return sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+};
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x) by its continued fraction
+ */
+const upperGammaFraction = (a, x) => {
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let result = d;
+
+  for (let n = 1; n < MAX_ITERATIONS; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = b + an / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < EPSILON) {
+      break;
+    }
+  }
+
+  return Math.exp(-x + a * Math.log(x) - logGamma(a)) * result;
+};
+
+/**
+ * Probability that a chi-square variable with the given degrees of freedom
+ * is at least the statistic (the test's p-value)
+ */
+const chiSquarePValue = (statistic, degreesOfFreedom) => {
+  if (statistic <= 0) {
+    return 1;
+  }
+
+  const a = degreesOfFreedom / 2;
+  const x = statistic / 2;
+
+  return x < a + 1 ? 1 - lowerGammaSeries(a, x) : upperGammaFraction(a, x);
+};
+
+/**
+ * Runs a chi-square goodness-of-fit test of observed counts against a
+ * uniform distribution
+ */
+const chiSquareUniformTest = (observed) => {
+  if (!Array.isArray(observed) || observed.length < 2) {
+    throw new Error('Chi-square test needs at least 2 categories');
+  }
+
+  const total = observed.reduce((sum, count) => sum + count, 0);
+  if (total === 0) {
+    throw new Error('Chi-square test needs at least 1 observation');
+  }
+
+  const expected = total / observed.length;
+  const statistic = observed.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+  const degreesOfFreedom = observed.length - 1;
+
+  return {
+    statistic,
+    degreesOfFreedom,
+    pValue: chiSquarePValue(statistic, degreesOfFreedom),
+    expected,
+  };
+};
+
+/**
+ * Gets the Wilson score interval of a proportion
+ */
+const wilsonInterval = (successes, trials, confidence = 0.95) => {
+  const z = Z_SCORES[confidence];
+  if (!z) {
+    throw new Error(`Unsupported confidence level: ${confidence}. Expected one of: ${Object.keys(Z_SCORES).join(', ')}`);
+  }
+
+  if (trials === 0) {
+    return { lower: 0, upper: 1 };
+  }
+
+  const proportion = successes / trials;
+  const denominator = 1 + z ** 2 / trials;
+  const center = (proportion + z ** 2 / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt(proportion * (1 - proportion) / trials + z ** 2 / (4 * trials ** 2))) / denominator;
+
+  return {
+    lower: Math.max(0, center - margin),
+    upper: Math.min(1, center + margin),
+  };
+};
+
+module.exports = {
+  chiSquarePValue,
+  chiSquareUniformTest,
+  wilsonInterval,
+};
@@ -0,0 +1,27 @@
+/**
+ * Text Utilities
+ * Helpers for matching Finnish and English text regardless of case and
+ * accents, so "paistettu lohi" finds "Paistettu LÖHI" and "cafe" finds "Café"
+ */
+
+/**
+ * Lowercases text and strips diacritics (ä→a, ö→o, å→a, é→e)
+ */
+const foldText = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+/**
+ * Splits a search query into folded, non-empty terms
+ */
+const tokenizeQuery = (query) =>
+  foldText(query)
+    .split(/\s+/)
+    .filter(term => term.length > 0);
+
+module.exports = {
+  foldText,
+  tokenizeQuery,
+};
@@ -0,0 +1,59 @@
+const fs = require('fs').promises;
+const path = require('path');
+const request = require('supertest');
+const app = require('../../src/app');
+const { addDays, getWeekday } = require('../../src/utils/dateUtils');
+
+describe('Contract Test: GET /api/cache/history', () => {
+  // Two weeks back: outside the current week but within the retention period
+  const ARCHIVED_DATE = addDays(new Date().toISOString().split('T')[0], -14);
+  const archivedFile = path.join(process.cwd(), 'cache', 'menus', `${ARCHIVED_DATE}.json`);
+  let server;
+
+  beforeAll(async () => {
+    // Start server on random port for testing
+    server = app.listen(0);
+
+    await fs.mkdir(path.dirname(archivedFile), { recursive: true });
+    await fs.writeFile(archivedFile, JSON.stringify({
+      date: ARCHIVED_DATE,
+      scrapedOn: ARCHIVED_DATE,
+      timestamp: `${ARCHIVED_DATE}T09:00:00.000Z`,
+      timezone: 'Europe/Helsinki',
+      menuData: [{ id: 'hertsi', title: 'Hertsi', items: [{ id: 'pea-soup', name: 'Pea soup' }] }],
+      scrapingResult: { success: true },
+      version: '1.0.0',
+    }));
+  });
+
+  afterAll(async () => {
+    await fs.rm(archivedFile, { force: true });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should list archived dates newest first', async () => {
+    await request(app).get('/api/menus').expect(200);
+
+    const response = await request(app).get('/api/cache/history');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('retentionDays');
+    expect(response.body.count).toBe(response.body.dates.length);
+
+    const dates = response.body.dates.map(entry => entry.date);
+    expect(dates).toEqual([...dates].sort().reverse());
+    expect(response.body.dates.find(entry => entry.date === ARCHIVED_DATE)).toMatchObject({
+      menuCount: 1,
+      itemCount: 1,
+    });
+  });
+
+  test('should serve menus of archived dates', async () => {
+    const response = await request(app).get(`/api/menus/date/${ARCHIVED_DATE}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.archived).toBe(true);
+    expect(response.body.weekday).toBe(getWeekday(ARCHIVED_DATE));
+    expect(response.body.menus.map(menu => menu.title)).toEqual(['Hertsi']);
+  });
+});
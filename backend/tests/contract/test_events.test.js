@@ -0,0 +1,100 @@
+const request = require('supertest');
+const http = require('http');
+const fs = require('fs').promises;
+const app = require('../../src/app');
+
+/**
+ * Opens the event stream; waitFor resolves once the text received so far
+ * matches a predicate
+ */
+const openEventStream = (port, headers = {}) =>
+  new Promise((resolve, reject) => {
+    const req = http.get({ port, path: '/api/events', headers }, (res) => {
+      let text = '';
+      const waiters = [];
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+        waiters.filter(waiter => waiter.predicate(text)).forEach(waiter => waiter.resolve(text));
+      });
+
+      resolve({
+        res,
+        close: () => req.destroy(),
+        waitFor: (predicate) =>
+          new Promise(resolveWait => {
+            if (predicate(text)) {
+              resolveWait(text);
+            } else {
+              waiters.push({ predicate, resolve: resolveWait });
+            }
+          }),
+      });
+    });
+    req.on('error', reject);
+  });
+
+describe('Contract Test: GET /api/events', () => {
+  let server;
+  let port;
+
+  beforeAll((done) => {
+    // Start server on random port for testing
+    server = app.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(process.env.POLLS_DIR, { recursive: true, force: true });
+  });
+
+  test('should open an SSE stream', async () => {
+    const stream = await openEventStream(port);
+
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/text\/event-stream/);
+    await stream.waitFor(text => text.includes('retry: 5000'));
+
+    stream.close();
+  });
+
+  test('should emit poll.updated when someone votes', async () => {
+    const stream = await openEventStream(port);
+    await stream.waitFor(text => text.includes('retry:'));
+
+    const created = await request(app).post('/api/polls').send({ menuIds: ['hertsi', 'newton'] });
+    const pollId = created.body.poll.id;
+    await request(app).post(`/api/polls/${pollId}/votes`).send({ participant: 'Aino', optionId: 'hertsi' });
+
+    const text = await stream.waitFor(received => received.includes('event: poll.updated'));
+    expect(text).toContain(`"pollId":"${pollId}"`);
+
+    stream.close();
+  });
+
+  test('should emit menus.updated when the menus are refreshed', async () => {
+    const stream = await openEventStream(port);
+    await stream.waitFor(text => text.includes('retry:'));
+
+    const response = await request(app).post('/api/menus/refresh');
+    expect(response.status).toBe(200);
+
+    const text = await stream.waitFor(received => received.includes('event: menus.updated'));
+    expect(text).toMatch(/data: \{"date":"\d{4}-\d{2}-\d{2}","menuCount":\d+/);
+
+    stream.close();
+  });
+
+  test('should replay missed events from Last-Event-ID', async () => {
+    const stream = await openEventStream(port, { 'Last-Event-ID': '0' });
+
+    const text = await stream.waitFor(received => received.includes('id: 1\n'));
+    expect(text).toMatch(/id: 1\nevent: (menus\.updated|cache\.cleared|poll\.updated)/);
+
+    stream.close();
+  });
+});
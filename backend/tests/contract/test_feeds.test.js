@@ -0,0 +1,87 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const CacheService = require('../../src/services/CacheService');
+const ScrapingService = require('../../src/services/ScrapingService');
+const ScrapingResult = require('../../src/models/ScrapingResult');
+
+describe('Contract Test: /api/feeds', () => {
+  let server;
+
+  beforeAll(() => {
+    // Start server on random port for testing
+    server = app.listen(0);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  /**
+   * Gets the text of every occurrence of an element
+   */
+  const elementTexts = (xml, tag) =>
+    [...xml.matchAll(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`, 'g'))].map(match => match[1]);
+
+  describe('GET /api/feeds/menus.atom', () => {
+    test('should return an Atom feed with an entry per restaurant for today', async () => {
+      const response = await request(app).get('/api/feeds/menus.atom');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+      expect(response.text).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+
+      const ids = elementTexts(response.text, 'id').slice(1);
+      expect(ids.length).toBeGreaterThan(0);
+      expect(new Set(ids).size).toBe(ids.length);
+      ids.forEach(id => expect(id).toMatch(/^urn:tunisafka:menus:\d{4}-\d{2}-\d{2}:[a-z0-9-]+$/));
+    });
+
+    test('should keep entry IDs and update times between requests', async () => {
+      const first = await request(app).get('/api/feeds/menus.atom');
+      const second = await request(app).get('/api/feeds/menus.atom');
+
+      expect(elementTexts(second.text, 'id')).toEqual(elementTexts(first.text, 'id'));
+      expect(elementTexts(second.text, 'updated')).toEqual(elementTexts(first.text, 'updated'));
+    });
+  });
+
+  describe('GET /api/feeds/menus.rss', () => {
+    test('should return an RSS feed with the same entries', async () => {
+      const [atom, rss] = await Promise.all([
+        request(app).get('/api/feeds/menus.atom'),
+        request(app).get('/api/feeds/menus.rss'),
+      ]);
+
+      expect(rss.status).toBe(200);
+      expect(rss.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+      expect(rss.text).toContain('<rss version="2.0"');
+      expect(elementTexts(rss.text, 'guid')).toEqual(elementTexts(atom.text, 'id').slice(1));
+    });
+  });
+
+  describe('Scraping failures', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should build the feeds from archived days when the scrape fails', async () => {
+      // Archive the week, then make the next scrape fail
+      const archived = await request(app).get('/api/feeds/menus.atom');
+      jest.spyOn(CacheService.prototype, 'getCachedWeekMenus').mockResolvedValue(null);
+      jest.spyOn(ScrapingService.prototype, 'scrapeWeek').mockResolvedValue({
+        days: {},
+        result: ScrapingResult.createFailure('Network error: ECONNRESET', 'https://unisafka.fi/tty/', 10),
+      });
+
+      const [atom, rss] = await Promise.all([
+        request(app).get('/api/feeds/menus.atom'),
+        request(app).get('/api/feeds/menus.rss'),
+      ]);
+
+      expect(atom.status).toBe(200);
+      expect(rss.status).toBe(200);
+      expect(elementTexts(atom.text, 'id')).toEqual(elementTexts(archived.text, 'id'));
+      expect(ScrapingService.prototype.scrapeWeek).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const CacheService = require('../../src/services/CacheService');
+const ScrapingService = require('../../src/services/ScrapingService');
+const ScrapingResult = require('../../src/models/ScrapingResult');
+
+describe('Contract Test: GET /api/menus/calendar.ics', () => {
+  let server;
+
+  beforeAll(() => {
+    // Start server on random port for testing
+    server = app.listen(0);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  /**
+   * Unfolds continuation lines and splits a calendar into content lines
+   */
+  const contentLines = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n');
+
+  test('should return an iCalendar feed of every restaurant\'s lunches', async () => {
+    const response = await request(app).get('/api/menus/calendar.ics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/calendar; charset=utf-8');
+    expect(response.text.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(response.text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+
+    const lines = contentLines(response.text);
+    const uids = lines.filter(line => line.startsWith('UID:'));
+    expect(uids.length).toBeGreaterThan(0);
+    expect(new Set(uids).size).toBe(uids.length);
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(uids.length);
+  });
+
+  test('should only include the requested restaurant', async () => {
+    const response = await request(app).get('/api/menus/calendar.ics?restaurant=reaktori');
+
+    expect(response.status).toBe(200);
+
+    const lines = contentLines(response.text);
+    const uids = lines.filter(line => line.startsWith('UID:'));
+    expect(uids.length).toBeGreaterThan(0);
+    uids.forEach(uid => expect(uid).toMatch(/^UID:\d{4}-\d{2}-\d{2}-reaktori@tunisafka$/));
+    expect(lines).toContain('X-WR-CALNAME:Lunch menus: Reaktori');
+  });
+
+  test('should return the same UIDs on every request', async () => {
+    const first = await request(app).get('/api/menus/calendar.ics');
+    const second = await request(app).get('/api/menus/calendar.ics');
+
+    const uids = response => contentLines(response.text).filter(line => line.startsWith('UID:'));
+    expect(uids(second)).toEqual(uids(first));
+  });
+
+  test('should return 400 for unknown restaurants', async () => {
+    const response = await request(app).get('/api/menus/calendar.ics?restaurant=linna');
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('should serve the archived week when the scrape fails', async () => {
+    // Archive the week, then make the next scrape fail
+    const archived = await request(app).get('/api/menus/calendar.ics');
+    jest.spyOn(CacheService.prototype, 'getCachedWeekMenus').mockResolvedValue(null);
+    const scrapeSpy = jest.spyOn(ScrapingService.prototype, 'scrapeWeek').mockResolvedValue({
+      days: {},
+      result: ScrapingResult.createFailure('Network error: ECONNRESET', 'https://unisafka.fi/tty/', 10),
+    });
+
+    try {
+      const response = await request(app).get('/api/menus/calendar.ics');
+
+      const uids = calendar => contentLines(calendar.text).filter(line => line.startsWith('UID:'));
+      expect(response.status).toBe(200);
+      expect(uids(response)).toEqual(uids(archived));
+      expect(scrapeSpy).toHaveBeenCalled();
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+});
@@ -0,0 +1,53 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Contract Test: GET /api/menus/changes', () => {
+  let server;
+
+  beforeAll(() => {
+    // Start server on random port for testing
+    server = app.listen(0);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test('should return today\'s changes by default', async () => {
+    const response = await request(app).get('/api/menus/changes');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      date: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+      changes: expect.any(Array),
+      updatedItems: expect.any(Object),
+      timestamp: expect.any(String),
+    });
+  });
+
+  test('should return an empty change log for a date without changes', async () => {
+    const response = await request(app).get('/api/menus/changes?date=2020-01-06');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      date: '2020-01-06',
+      changes: [],
+      updatedItems: {},
+      lastChange: null,
+    });
+  });
+
+  test('should not treat "changes" as a menu ID', async () => {
+    const response = await request(app).get('/api/menus/changes');
+
+    expect(response.body.code).not.toBe('MENU_NOT_FOUND');
+  });
+
+  test('should return 400 for an invalid date', async () => {
+    const response = await request(app).get('/api/menus/changes?date=yesterday');
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+    expect(response.body.details).toContain('Invalid date: yesterday');
+  });
+});
@@ -0,0 +1,71 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Contract Test: GET /api/menus export formats', () => {
+  let server;
+
+  beforeAll(() => {
+    // Start server on random port for testing
+    server = app.listen(0);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test('should return CSV for Accept: text/csv', async () => {
+    const response = await request(app).get('/api/menus').set('Accept', 'text/csv');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers.vary).toContain('Accept');
+
+    const lines = response.text.trim().split('\r\n');
+    expect(lines[0]).toBe('date,restaurant,name,description,price,dietary,allergens');
+    expect(lines.length).toBeGreaterThan(1);
+  });
+
+  test('should return a plain-text digest for ?format=text', async () => {
+    const response = await request(app).get('/api/menus?format=text');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/plain; charset=utf-8');
+    expect(response.text).toMatch(/^Lunch menus for [A-Z][a-z]+day \d{4}-\d{2}-\d{2}\n/);
+  });
+
+  test('should return a Markdown digest for Accept: text/markdown, keeping filters', async () => {
+    const response = await request(app)
+      .get('/api/menus?restaurant=reaktori')
+      .set('Accept', 'text/markdown');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/markdown; charset=utf-8');
+    expect(response.text).toContain('## Reaktori');
+    expect(response.text).not.toContain('## Hertsi');
+  });
+
+  test('should prefer ?format over the Accept header', async () => {
+    const response = await request(app).get('/api/menus?format=md').set('Accept', 'text/csv');
+
+    expect(response.headers['content-type']).toBe('text/markdown; charset=utf-8');
+  });
+
+  test('should keep returning JSON to browsers and clients without preferences', async () => {
+    const browser = await request(app)
+      .get('/api/menus')
+      .set('Accept', 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8');
+    const plain = await request(app).get('/api/menus');
+
+    expect(browser.headers['content-type']).toMatch(/application\/json/);
+    expect(plain.headers['content-type']).toMatch(/application\/json/);
+    expect(Array.isArray(plain.body.menus)).toBe(true);
+  });
+
+  test('should return 400 for unknown formats', async () => {
+    const response = await request(app).get('/api/menus?format=xml');
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+    expect(response.body.details).toContain('Invalid format: xml');
+  });
+});
@@ -111,6 +111,127 @@ describe('Contract Test: GET /api/menus', () => {
     });
   });
 
+  describe('Location Filters', () => {
+    test('should return only the requested restaurants on a campus', async () => {
+      const response = await request(app).get('/api/menus?campus=hervanta&restaurant=reaktori,newton');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.menus.map(menu => menu.title).sort()).toEqual(['Newton', 'Reaktori']);
+      expect(response.body.filters).toEqual({
+        campus: ['hervanta'],
+        restaurant: ['reaktori', 'newton'],
+        excludeAllergens: [],
+        priceTier: null,
+      });
+    });
+
+    test('should match restaurant IDs with accents folded', async () => {
+      const response = await request(app).get('/api/menus?restaurant=cafe-konehuone');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.menus.map(menu => menu.title)).toEqual(['Café Konehuone']);
+    });
+
+    test('should return every menu of a campus', async () => {
+      const all = await request(app).get('/api/menus');
+      const response = await request(app).get('/api/menus?campus=HERVANTA');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.menus).toHaveLength(all.body.menus.length);
+    });
+
+    test('should return 400 for unknown campuses', async () => {
+      const response = await request(app).get('/api/menus?campus=linna');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.details).toContain('Unknown campus: linna');
+    });
+
+    test('should return 400 for unknown restaurants', async () => {
+      const response = await request(app).get('/api/menus?restaurant=reaktori,sodexo');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('Unknown restaurant: sodexo');
+    });
+  });
+
+  describe('Allergen Exclusion', () => {
+    const allergensOf = (menus) =>
+      menus.flatMap(menu => menu.items.flatMap(item => item.allergens));
+
+    test('should strip items that contain the excluded allergens', async () => {
+      const all = await request(app).get('/api/menus');
+      const response = await request(app).get('/api/menus?excludeAllergens=peanuts,fish');
+      
+      expect(response.status).toBe(200);
+      expect(allergensOf(all.body.menus)).toContainEqual({ allergen: 'peanuts', state: 'contains' });
+      expect(allergensOf(response.body.menus)).not.toContainEqual(
+        expect.objectContaining({ allergen: expect.stringMatching(/^(peanuts|fish)$/), state: 'contains' })
+      );
+      expect(response.body.filters.excludeAllergens).toEqual(['peanuts', 'fish']);
+    });
+
+    test('should also strip items that may contain traces', async () => {
+      const response = await request(app).get('/api/menus?excludeAllergens=sesame');
+      const items = response.body.menus.flatMap(menu => menu.items);
+      
+      expect(items.map(item => item.name)).not.toContain('From our bakery');
+      expect(items.map(item => item.name)).not.toContain('FUSION BURGER');
+    });
+
+    test('should accept common and Finnish allergen names', async () => {
+      const response = await request(app).get('/api/menus?excludeAllergens=dairy,kala');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.filters.excludeAllergens).toEqual(['milk', 'fish']);
+    });
+
+    test('should combine with location filters', async () => {
+      const response = await request(app).get('/api/menus?restaurant=hertsi&excludeAllergens=milk');
+      
+      expect(response.body.menus.map(menu => menu.title)).toEqual(['Hertsi']);
+      expect(response.body.menus[0].items.map(item => item.name)).not.toContain('FROM THE SWEET');
+    });
+
+    test('should return 400 for unknown allergens', async () => {
+      const response = await request(app).get('/api/menus?excludeAllergens=nuts,garlic');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.details).toContain('Unknown allergen: garlic');
+    });
+  });
+
+  describe('Price Tiers', () => {
+    test('should return the prices of every customer tier', async () => {
+      const response = await request(app).get('/api/menus');
+      const hertsi = response.body.menus.find(menu => menu.title === 'Hertsi');
+      
+      expect(hertsi.items[0].price).toBe('€3.50');
+      expect(hertsi.items[0].prices).toEqual({ currency: 'EUR', student: 3.5, staff: 6.9, guest: 8.5 });
+      response.body.menus.flatMap(menu => menu.items).filter(item => item.price).forEach(item => {
+        expect(item.prices.currency).toBe('EUR');
+      });
+    });
+
+    test('should show the prices of the requested tier', async () => {
+      const response = await request(app).get('/api/menus?restaurant=hertsi&priceTier=Staff');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.filters.priceTier).toBe('staff');
+      expect(response.body.menus[0].items[0].price).toBe('€6.90');
+      expect(response.body.menus[0].items[0].prices.student).toBe(3.5);
+    });
+
+    test('should return 400 for unknown tiers', async () => {
+      const response = await request(app).get('/api/menus?priceTier=vip');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('Invalid priceTier: vip');
+    });
+  });
+
   describe('Error Response', () => {
     // These tests will pass when error handling is implemented
     test('should return 500 status for scraping errors', async () => {
@@ -124,6 +124,123 @@ describe('Contract Test: GET /api/menus/random', () => {
     });
   });
 
+  describe('Selection Criteria', () => {
+    test('should echo the parsed criteria', async () => {
+      const response = await request(app).get('/api/menus/random?dietary=G&excludeAllergens=dairy&maxPrice=3.50');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.criteria).toEqual({
+        dietary: ['gluten-free'],
+        excludeAllergens: ['milk'],
+        maxPrice: 3.5,
+        priceTier: 'student',
+        restaurants: [],
+        openNow: false,
+        avoidRecent: 0,
+        lowCarbon: false,
+        highProtein: false,
+      });
+    });
+
+    test('should only return matching items of the requested restaurants', async () => {
+      const response = await request(app).get('/api/menus/random?restaurant=newton&dietary=vegan');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.selectedMenu.title).toBe('Newton');
+      expect(response.body.selectedMenu.items.length).toBeGreaterThan(0);
+      response.body.selectedMenu.items.forEach(item => {
+        expect(item.dietary).toContain('vegan');
+      });
+    });
+
+    test('should apply the same criteria to meal selection', async () => {
+      for (let i = 0; i < 10; i++) {
+        const response = await request(app).get('/api/menus/random-meal?excludeAllergens=fish&maxPrice=3');
+        const price = parseFloat(response.body.selectedMeal.price.replace(/[^\d,.]/g, '').replace(',', '.'));
+        
+        expect(response.status).toBe(200);
+        expect(price).toBeLessThanOrEqual(3);
+        expect(response.body.selectedMeal.allergens).not.toContainEqual({ allergen: 'fish', state: 'contains' });
+      }
+    });
+
+    test('should pick high-protein, low-carbon meals', async () => {
+      const response = await request(app).get('/api/menus/random-meal?highProtein=true&restaurant=hertsi');
+      const lowCarbon = await request(app).get('/api/menus/random-meal?lowCarbon=true&restaurant=hertsi');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.selectedMeal.nutrition.protein).toBeGreaterThanOrEqual(25);
+      expect(lowCarbon.status).toBe(200);
+      expect(lowCarbon.body.selectedMeal.nutrition.co2e).toBeLessThanOrEqual(0.5);
+    });
+
+    test('should return 404 when nothing matches', async () => {
+      const response = await request(app).get('/api/menus/random-meal?maxPrice=0.25');
+      
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('NO_MENUS_AVAILABLE');
+    });
+
+    test('should return 400 with every invalid parameter', async () => {
+      const response = await request(app).get('/api/menus/random?dietary=keto&maxPrice=free&avoidRecent=-1');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.details).toContain('Unknown dietary requirement: keto');
+      expect(response.body.details).toContain('Invalid maxPrice: free');
+      expect(response.body.details).toContain('Invalid avoidRecent: -1');
+    });
+
+    test('should return 400 for unknown restaurants', async () => {
+      const response = await request(app).get('/api/menus/random-meal?restaurant=linna');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('Unknown restaurant: linna');
+    });
+  });
+
+  describe('Seeded Selection', () => {
+    test('should return the same menu for the same seed', async () => {
+      const first = await request(app).get('/api/menus/random?seed=demo');
+      const second = await request(app).get('/api/menus/random?seed=demo');
+      
+      expect(first.status).toBe(200);
+      expect(first.body.seed).toBe('demo');
+      expect(second.body.selectedMenu.id).toBe(first.body.selectedMenu.id);
+    });
+
+    test('should return the same meal for the same seed and criteria', async () => {
+      const url = '/api/menus/random-meal?seed=42&excludeAllergens=gluten';
+      const first = await request(app).get(url);
+      const second = await request(app).get(url);
+      
+      expect(first.body.seed).toBe('42');
+      expect(second.body.selectedMeal).toEqual(first.body.selectedMeal);
+    });
+
+    test('should reproduce multiple selections', async () => {
+      const first = await request(app).get('/api/menus/random/multiple?count=6&seed=series');
+      const second = await request(app).get('/api/menus/random/multiple?count=6&seed=series');
+      const ids = (response) => response.body.selections.map(selection => selection.menuId);
+      
+      expect(first.body.seed).toBe('series');
+      expect(ids(second)).toEqual(ids(first));
+    });
+
+    test('should echo a null seed for crypto-random selections', async () => {
+      const response = await request(app).get('/api/menus/random');
+      
+      expect(response.body.seed).toBeNull();
+    });
+
+    test('should return 400 for an overly long seed', async () => {
+      const response = await request(app).get(`/api/menus/random?seed=${'x'.repeat(65)}`);
+      
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('Invalid seed');
+    });
+  });
+
   describe('Performance Requirements', () => {
     test('should respond within 1 second', async () => {
       const startTime = Date.now();
@@ -0,0 +1,99 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Contract Test: GET /api/menus/random/weighted', () => {
+  let server;
+
+  beforeAll(() => {
+    // Start server on random port for testing
+    server = app.listen(0);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  describe('Successful Response', () => {
+    test('should return the selected menu with every candidate weight', async () => {
+      const response = await request(app).get('/api/menus/random/weighted');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.selectedMenu.isSelected).toBe(true);
+      expect(response.body.candidates).toHaveLength(response.body.totalMenusAvailable);
+      
+      const selected = response.body.candidates.find(candidate => candidate.menuId === response.body.selectedMenu.id);
+      expect(selected.weight).toBe(response.body.selectionWeight);
+      
+      response.body.candidates.forEach(candidate => {
+        expect(candidate).toEqual({
+          menuId: expect.any(String),
+          menuTitle: expect.any(String),
+          weight: expect.any(Number),
+          probability: expect.any(Number),
+          breakdown: {
+            base: 1,
+            itemCount: 0,
+            dietary: 0,
+            availability: 0,
+            price: 0,
+            favourite: 0,
+          },
+        });
+      });
+    });
+
+    test('should apply weights from query parameters', async () => {
+      const response = await request(app)
+        .get('/api/menus/random/weighted?baseWeight=0.5&itemCountBonus=0.25&favourite=reaktori&favouriteBonus=5');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.weights).toEqual({
+        baseWeight: 0.5,
+        itemCountBonus: 0.25,
+        favouriteBonus: 5,
+        favouriteRestaurants: ['reaktori'],
+      });
+      
+      const reaktori = response.body.candidates.find(candidate => candidate.menuTitle === 'Reaktori');
+      expect(reaktori.breakdown.favourite).toBe(5);
+      expect(reaktori.breakdown.itemCount).toBeGreaterThan(0);
+      response.body.candidates
+        .filter(candidate => candidate !== reaktori)
+        .forEach(candidate => expect(candidate.breakdown.favourite).toBe(0));
+    });
+
+    test('should give cheaper menus a larger price bonus', async () => {
+      const response = await request(app).get('/api/menus/random/weighted?priceBonus=4');
+      const priceBonuses = response.body.candidates.map(candidate => candidate.breakdown.price);
+      
+      expect(response.status).toBe(200);
+      expect(Math.min(...priceBonuses)).toBe(0);
+      priceBonuses.forEach(bonus => expect(bonus).toBeLessThanOrEqual(4));
+    });
+
+    test('should report probabilities that add up to one', async () => {
+      const response = await request(app).get('/api/menus/random/weighted?dietaryBonus=1');
+      const total = response.body.candidates.reduce((sum, candidate) => sum + candidate.probability, 0);
+      
+      expect(total).toBeCloseTo(1, 2);
+    });
+  });
+
+  describe('Error Response', () => {
+    test('should return 400 for invalid weights', async () => {
+      const response = await request(app).get('/api/menus/random/weighted?priceBonus=-1&dietaryBonus=lots');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.details).toContain('Invalid priceBonus: -1');
+      expect(response.body.details).toContain('Invalid dietaryBonus: lots');
+    });
+
+    test('should return 400 for unknown favourite restaurants', async () => {
+      const response = await request(app).get('/api/menus/random/weighted?favourite=linna');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('Unknown restaurant: linna');
+    });
+  });
+});
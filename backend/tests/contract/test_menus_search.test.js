@@ -0,0 +1,74 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Contract Test: GET /api/menus/search', () => {
+  let server;
+
+  beforeAll(() => {
+    // Start server on random port for testing
+    server = app.listen(0);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  describe('Successful Response', () => {
+    test('should return matching items with their restaurant and date', async () => {
+      const response = await request(app).get('/api/menus/search?q=pea%20soup');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.query).toBe('pea soup');
+      expect(response.body.count).toBe(response.body.results.length);
+      expect(response.body.count).toBeGreaterThan(0);
+      
+      const [result] = response.body.results;
+      expect(result.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(result).toHaveProperty('weekday');
+      expect(result.restaurant).toMatchObject({ campus: 'hervanta', source: 'unisafka-tty' });
+      expect(result.item).toHaveProperty('name');
+      expect(result.item.description.toLowerCase()).toContain('pea soup');
+    });
+
+    test('should list the newest dates first', async () => {
+      const response = await request(app).get('/api/menus/search?q=pancakes');
+      const dates = response.body.results.map(result => result.date);
+      
+      expect(dates).toEqual([...dates].sort().reverse());
+    });
+
+    test('should match without accents', async () => {
+      const response = await request(app).get('/api/menus/search?q=cafe%20bitti');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBeGreaterThan(0);
+      response.body.results.forEach(result => {
+        expect(result.item.description).toContain('Café Bitti');
+      });
+    });
+
+    test('should return no results outside the requested range', async () => {
+      const response = await request(app).get('/api/menus/search?q=pea&from=2001-01-01&to=2001-01-31');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.results).toEqual([]);
+      expect(response.body.datesSearched).toBe(0);
+    });
+  });
+
+  describe('Error Response', () => {
+    test('should return 400 without a query', async () => {
+      const response = await request(app).get('/api/menus/search');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should return 400 for an inverted date range', async () => {
+      const response = await request(app).get('/api/menus/search?q=pea&from=2025-09-30&to=2025-09-01');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('Invalid date range');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Contract Test: POST /api/menus/test-randomness', () => {
+  let server;
+
+  beforeAll(() => {
+    // Start server on random port for testing
+    server = app.listen(0);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  describe('Successful Response', () => {
+    test('should report a chi-square goodness-of-fit test', async () => {
+      const response = await request(app)
+        .post('/api/menus/test-randomness')
+        .send({ iterations: 1000 });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.iterations).toBe(1000);
+      expect(response.body.chiSquare.degreesOfFreedom).toBe(response.body.menuCount - 1);
+      expect(response.body.chiSquare.pValue).toBeGreaterThanOrEqual(0);
+      expect(response.body.chiSquare.pValue).toBeLessThanOrEqual(1);
+      expect(response.body.isRandom).toBe(response.body.chiSquare.pValue >= response.body.chiSquare.significanceLevel);
+      expect(response.body).not.toHaveProperty('tolerance');
+    });
+
+    test('should report a confidence interval for every menu', async () => {
+      const response = await request(app)
+        .post('/api/menus/test-randomness')
+        .send({ iterations: 500 });
+      
+      expect(response.body.menus).toHaveLength(response.body.menuCount);
+      response.body.menus.forEach(menu => {
+        expect(menu).toEqual({
+          menuId: expect.any(String),
+          menuTitle: expect.any(String),
+          count: expect.any(Number),
+          proportion: expect.any(Number),
+          expectedProportion: expect.any(Number),
+          confidenceInterval: { level: 0.95, lower: expect.any(Number), upper: expect.any(Number) },
+        });
+      });
+    });
+  });
+
+  describe('Validation', () => {
+    test('should reject iterations that are not an integer from 1 to 1000', async () => {
+      for (const iterations of [-5, 0, 2.5, 1001, 'many']) {
+        const response = await request(app)
+          .post('/api/menus/test-randomness')
+          .send({ iterations });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('VALIDATION_ERROR');
+        expect(response.body.details).toContain('Expected an integer from 1 to 1000');
+      }
+    });
+  });
+});
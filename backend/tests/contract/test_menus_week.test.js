@@ -0,0 +1,79 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Contract Test: GET /api/menus/week and /api/menus/date/:date', () => {
+  let server;
+
+  beforeAll(() => {
+    // Start server on random port for testing
+    server = app.listen(0);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  describe('GET /api/menus/week', () => {
+    test('should return every day from Monday to Sunday', async () => {
+      const response = await request(app).get('/api/menus/week');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.days.map(day => day.weekday)).toEqual([
+        'monday',
+        'tuesday',
+        'wednesday',
+        'thursday',
+        'friday',
+        'saturday',
+        'sunday',
+      ]);
+      expect(response.body.weekStart).toBe(response.body.days[0].date);
+      expect(response.body.weekEnd).toBe(response.body.days[6].date);
+    });
+
+    test('should mark today and include its menus', async () => {
+      const response = await request(app).get('/api/menus/week');
+      const todays = response.body.days.filter(day => day.isToday);
+      
+      expect(todays).toHaveLength(1);
+      expect(todays[0].menus.length).toBeGreaterThan(0);
+      expect(todays[0].menus[0]).toHaveProperty('source', 'unisafka-tty');
+    });
+
+    test('should include scraping metadata', async () => {
+      const response = await request(app).get('/api/menus/week');
+      
+      expect(response.body).toHaveProperty('source');
+      expect(response.body).toHaveProperty('lastUpdated');
+      expect(response.body.scrapingResult).toHaveProperty('success', true);
+    });
+  });
+
+  describe('GET /api/menus/date/:date', () => {
+    test('should return the menus of a date in the current week', async () => {
+      const week = await request(app).get('/api/menus/week');
+      const thursday = week.body.days[3];
+      
+      const response = await request(app).get(`/api/menus/date/${thursday.date}`);
+      
+      expect(response.status).toBe(200);
+      expect(response.body.date).toBe(thursday.date);
+      expect(response.body.weekday).toBe('thursday');
+      expect(response.body.menus.map(menu => menu.id)).toEqual(thursday.menus.map(menu => menu.id));
+    });
+
+    test('should return 400 for malformed dates', async () => {
+      const response = await request(app).get('/api/menus/date/2025-02-30');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should return 404 for dates outside the current week', async () => {
+      const response = await request(app).get('/api/menus/date/2001-01-01');
+      
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('NO_MENUS_AVAILABLE');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const app = require('../../src/app');
+const Poll = require('../../src/models/Poll');
+
+describe('Contract Test: /api/polls', () => {
+  let server;
+
+  beforeAll(() => {
+    // Start server on random port for testing
+    server = app.listen(0);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(process.env.POLLS_DIR, { recursive: true, force: true });
+  });
+
+  describe('POST /api/polls', () => {
+    test('should create a poll from today\'s menus', async () => {
+      const response = await request(app).post('/api/polls').send({});
+
+      expect(response.status).toBe(201);
+      expect(response.body.poll).toMatchObject({
+        id: expect.any(String),
+        title: expect.any(String),
+        date: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+        votes: [],
+        closesAt: null,
+      });
+      expect(response.body.poll.options.length).toBeGreaterThanOrEqual(2);
+      expect(response.body.results).toMatchObject({ totalVotes: 0, winner: null });
+    });
+
+    test('should create a poll from a subset of menus', async () => {
+      const response = await request(app)
+        .post('/api/polls')
+        .send({ title: 'Team lunch', menuIds: ['hertsi', 'newton'], closesInMinutes: 45 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.poll.title).toBe('Team lunch');
+      expect(response.body.poll.options.map(option => option.id)).toEqual(['hertsi', 'newton']);
+      expect(response.body.poll.closesAt).not.toBeNull();
+    });
+
+    test('should return 400 for unknown menus', async () => {
+      const response = await request(app).post('/api/polls').send({ menuIds: ['hertsi', 'nowhere'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.details).toContain('Unknown menu: nowhere');
+    });
+  });
+
+  describe('Voting and results', () => {
+    let pollId;
+
+    beforeAll(async () => {
+      const response = await request(app).post('/api/polls').send({ menuIds: ['hertsi', 'newton', 'reaktori'] });
+      pollId = response.body.poll.id;
+    });
+
+    test('should record votes and report the winner', async () => {
+      await request(app).post(`/api/polls/${pollId}/votes`).send({ participant: 'Aino', optionId: 'newton' });
+      const vote = await request(app)
+        .post(`/api/polls/${pollId}/votes`)
+        .send({ participant: 'Eero', optionId: 'newton' });
+
+      expect(vote.status).toBe(201);
+      expect(vote.body.results.totalVotes).toBe(2);
+
+      const response = await request(app).get(`/api/polls/${pollId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.results.winner).toEqual({ id: 'newton', title: 'Newton', votes: 2 });
+      expect(response.body.results.tally.find(entry => entry.id === 'newton').voters).toEqual(['Aino', 'Eero']);
+    });
+
+    test('should break a tie with a stable random pick', async () => {
+      await request(app).post(`/api/polls/${pollId}/votes`).send({ participant: 'Eero', optionId: 'reaktori' });
+
+      const first = await request(app).get(`/api/polls/${pollId}`);
+      const second = await request(app).get(`/api/polls/${pollId}`);
+
+      expect(first.body.results.tieBreak).toEqual({ method: 'random', tiedOptionIds: ['newton', 'reaktori'] });
+      expect(['newton', 'reaktori']).toContain(first.body.results.winner.id);
+      expect(second.body.results.winner).toEqual(first.body.results.winner);
+    });
+
+    test('should return 400 for an unknown option', async () => {
+      const response = await request(app)
+        .post(`/api/polls/${pollId}/votes`)
+        .send({ participant: 'Aino', optionId: 'cafe' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('Unknown option: cafe');
+    });
+
+    test('should return 409 when the poll closes while the vote waits for its lock', async () => {
+      // Open when the route checks, closed by the time the vote is recorded
+      const isClosedSpy = jest.spyOn(Poll.prototype, 'isClosed')
+        .mockReturnValueOnce(false)
+        .mockReturnValueOnce(true);
+
+      try {
+        const response = await request(app)
+          .post(`/api/polls/${pollId}/votes`)
+          .send({ participant: 'Aino', optionId: 'hertsi' });
+
+        expect(response.status).toBe(409);
+        expect(response.body.code).toBe('POLL_CLOSED');
+      } finally {
+        isClosedSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('Unknown polls', () => {
+    test('should return 404 for a missing poll', async () => {
+      const response = await request(app).get('/api/polls/doesnotexist');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('POLL_NOT_FOUND');
+    });
+
+    test('should return 404 when voting in a missing poll', async () => {
+      const response = await request(app)
+        .post('/api/polls/doesnotexist/votes')
+        .send({ participant: 'Aino', optionId: 'hertsi' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('POLL_NOT_FOUND');
+    });
+  });
+});
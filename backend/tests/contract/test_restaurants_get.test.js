@@ -0,0 +1,54 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Contract Test: GET /api/restaurants', () => {
+  let server;
+
+  beforeAll(() => {
+    // Start server on random port for testing
+    server = app.listen(0);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  describe('Successful Response', () => {
+    test('should return 200 status code with JSON', async () => {
+      const response = await request(app).get('/api/restaurants');
+      
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/application\/json/);
+    });
+
+    test('should list the restaurants of the enabled sources', async () => {
+      const response = await request(app).get('/api/restaurants');
+      
+      expect(response.body.restaurants.map(restaurant => restaurant.id)).toEqual([
+        'hertsi',
+        'newton',
+        'cafe-konehuone',
+        'reaktori',
+      ]);
+      expect(response.body.campuses).toEqual(['hervanta']);
+    });
+
+    test('should return proper restaurant schema', async () => {
+      const response = await request(app).get('/api/restaurants');
+      const restaurant = response.body.restaurants.find(entry => entry.id === 'reaktori');
+      
+      expect(restaurant).toEqual({
+        id: 'reaktori',
+        name: 'Reaktori',
+        campus: 'hervanta',
+        address: 'Korkeakoulunkatu 7, 33720 Tampere',
+        openingHours: {
+          startTime: '10:30',
+          endTime: '13:30',
+          days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+        },
+        source: 'unisafka-tty',
+      });
+    });
+  });
+});
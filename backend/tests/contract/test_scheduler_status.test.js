@@ -0,0 +1,47 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Contract Test: GET /api/scheduler/status', () => {
+  let server;
+
+  beforeAll(() => {
+    // Start server on random port for testing
+    server = app.listen(0);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  describe('Successful Response', () => {
+    test('should return 200 status code with JSON', async () => {
+      const response = await request(app).get('/api/scheduler/status');
+      
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/application\/json/);
+    });
+
+    test('should return proper scheduler status schema', async () => {
+      const response = await request(app).get('/api/scheduler/status');
+      
+      expect(response.body).toMatchObject({
+        timezone: 'Europe/Helsinki',
+        times: ['06:00', '10:30'],
+        skipWeekends: expect.any(Boolean),
+        maxRetries: expect.any(Number),
+        isScraping: false,
+        recentFailures: expect.any(Array),
+      });
+      expect(response.body).toHaveProperty('lastRun');
+      expect(response.body).toHaveProperty('nextRun');
+      expect(response.body).toHaveProperty('timestamp');
+    });
+
+    test('should not run the scheduler unless the server is started', async () => {
+      const response = await request(app).get('/api/scheduler/status');
+      
+      expect(response.body.enabled).toBe(false);
+      expect(response.body.nextRun).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const http = require('http');
+const app = require('../../src/app');
+
+describe('Contract Test: /api/webhooks', () => {
+  let server;
+  let receiver;
+  let receiverUrl;
+  let received;
+
+  beforeAll(async () => {
+    // Start server on random port for testing
+    server = app.listen(0);
+
+    // Local stand-in for the webhook receiver
+    received = [];
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: JSON.parse(body) });
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => receiver.close(resolve));
+    await fs.rm(process.env.WEBHOOKS_DIR, { recursive: true, force: true });
+  });
+
+  /**
+   * Registers a webhook for the receiver and returns the response body
+   */
+  const registerWebhook = async (body = {}) => {
+    const response = await request(app)
+      .post('/api/webhooks')
+      .send({ url: receiverUrl, events: ['dish.matched'], keywords: ['lohikeitto'], ...body });
+    expect(response.status).toBe(201);
+    return response.body;
+  };
+
+  describe('POST /api/webhooks', () => {
+    test('should register a webhook and return its secret once', async () => {
+      const { webhook, secret } = await registerWebhook({ description: 'Salmon soup alerts' });
+
+      expect(webhook).toMatchObject({
+        id: expect.any(String),
+        url: receiverUrl,
+        events: ['dish.matched'],
+        keywords: ['lohikeitto'],
+        description: 'Salmon soup alerts',
+        createdAt: expect.any(String),
+      });
+      expect(webhook).not.toHaveProperty('secret');
+      expect(typeof secret).toBe('string');
+
+      const fetched = await request(app).get(`/api/webhooks/${webhook.id}`);
+      expect(fetched.status).toBe(200);
+      expect(fetched.body.webhook).toEqual(webhook);
+    });
+
+    test('should return 400 for invalid webhooks', async () => {
+      const response = await request(app)
+        .post('/api/webhooks')
+        .send({ url: 'not a url', events: ['menus.published'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.details).toContain('Invalid url: not a url');
+    });
+  });
+
+  describe('GET /api/webhooks', () => {
+    test('should list webhooks without secrets', async () => {
+      const { webhook } = await registerWebhook();
+
+      const response = await request(app).get('/api/webhooks');
+
+      expect(response.status).toBe(200);
+      expect(response.body.eventTypes).toEqual(['menus.published', 'dish.matched']);
+      expect(response.body.webhooks.map(entry => entry.id)).toContain(webhook.id);
+      response.body.webhooks.forEach(entry => expect(entry).not.toHaveProperty('secret'));
+    });
+  });
+
+  describe('POST /api/webhooks/:id/test', () => {
+    test('should send a signed ping and log the delivery', async () => {
+      const { webhook } = await registerWebhook();
+
+      const response = await request(app).post(`/api/webhooks/${webhook.id}/test`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.delivery).toMatchObject({
+        webhookId: webhook.id,
+        event: 'ping',
+        status: 'delivered',
+        attempts: [expect.objectContaining({ attempt: 1, statusCode: 200 })],
+      });
+
+      const ping = received.find(entry => entry.body.id === response.body.delivery.id);
+      expect(ping.headers['x-tunisafka-signature']).toMatch(/^sha256=[0-9a-f]{64}$/);
+
+      const deliveries = await request(app).get(`/api/webhooks/${webhook.id}/deliveries`);
+      expect(deliveries.status).toBe(200);
+      expect(deliveries.body.deliveries[0].id).toBe(response.body.delivery.id);
+    });
+  });
+
+  describe('DELETE /api/webhooks/:id', () => {
+    test('should remove a webhook', async () => {
+      const { webhook } = await registerWebhook();
+
+      const response = await request(app).delete(`/api/webhooks/${webhook.id}`);
+      expect(response.status).toBe(200);
+
+      const fetched = await request(app).get(`/api/webhooks/${webhook.id}`);
+      expect(fetched.status).toBe(404);
+      expect(fetched.body.code).toBe('WEBHOOK_NOT_FOUND');
+    });
+
+    test('should return 404 for unknown webhooks', async () => {
+      const responses = await Promise.all([
+        request(app).delete('/api/webhooks/missing'),
+        request(app).get('/api/webhooks/missing/deliveries'),
+        request(app).post('/api/webhooks/missing/test'),
+      ]);
+
+      responses.forEach(response => {
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('WEBHOOK_NOT_FOUND');
+      });
+    });
+  });
+});
@@ -5,6 +5,8 @@
 
 const request = require('supertest');
 const app = require('../../src/app');
+const ScrapingService = require('../../src/services/ScrapingService');
+const CacheService = require('../../src/services/CacheService');
 
 describe('Cache Integration', () => {
   beforeEach(async () => {
@@ -34,7 +36,7 @@ describe('Cache Integration', () => {
       
       // Menu data should be identical ignoring volatile timestamps
       const stripTimestamps = (menus) =>
-        menus.map(({ lastUpdated, ...rest }) => rest);
+        menus.map(({ lastUpdated: _lastUpdated, ...rest }) => rest);
 
       expect(stripTimestamps(secondResponse.body.menus)).toEqual(
         stripTimestamps(firstResponse.body.menus)
@@ -85,6 +87,33 @@ describe('Cache Integration', () => {
       
       expect(statusResponse.body.cacheStats.isValid).toBe(true);
     });
+
+    test('should share one scrape between concurrent cache misses', async () => {
+      const scrapeWeek = ScrapingService.prototype.scrapeWeek;
+      const scrapeSpy = jest
+        .spyOn(ScrapingService.prototype, 'scrapeWeek')
+        .mockImplementation(async function (...args) {
+          // Keep the scrape running while every request arrives
+          await new Promise(resolve => setTimeout(resolve, 200));
+          return scrapeWeek.apply(this, args);
+        });
+      const cacheSpy = jest.spyOn(CacheService.prototype, 'cacheMenus');
+
+      try {
+        const paths = ['/api/menus', '/api/menus/random', '/api/menus/random-meal', '/api/menus/stats'];
+        const responses = await Promise.all(
+          Array(5).fill(paths).flat().map(path => request(app).get(path))
+        );
+
+        responses.forEach(response => {
+          expect(response.status).toBe(200);
+        });
+        expect(scrapeSpy).toHaveBeenCalledTimes(1);
+        expect(cacheSpy).toHaveBeenCalledTimes(1);
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
   });
 
   describe('Cache Performance', () => {
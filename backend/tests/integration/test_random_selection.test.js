@@ -256,6 +256,81 @@ describe('Integration Test: Random Menu Selection Scenario', () => {
     });
   });
 
+  describe('Allergen Exclusion', () => {
+    const containsAny = (item, allergens) =>
+      item.allergens.some(entry => allergens.includes(entry.allergen) && entry.state !== 'free-of');
+
+    test('should never suggest a menu item with excluded allergens', async () => {
+      for (let i = 0; i < 20; i++) {
+        const response = await request(app).get('/api/menus/random?excludeAllergens=gluten,milk');
+        
+        expect(response.status).toBe(200);
+        expect(response.body.criteria.excludeAllergens).toEqual(['gluten', 'milk']);
+        response.body.selectedMenu.items.forEach(item => {
+          expect(containsAny(item, ['gluten', 'milk'])).toBe(false);
+        });
+      }
+    });
+
+    test('should never suggest a meal with excluded allergens', async () => {
+      for (let i = 0; i < 30; i++) {
+        const response = await request(app).get('/api/menus/random-meal?excludeAllergens=peanuts,eggs,sesame');
+        
+        expect(response.status).toBe(200);
+        expect(containsAny(response.body.selectedMeal, ['peanuts', 'eggs', 'sesame'])).toBe(false);
+      }
+    });
+
+    test('should return 400 for unknown allergens', async () => {
+      const response = await request(app).get('/api/menus/random-meal?excludeAllergens=onion');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('Unknown allergen: onion');
+    });
+  });
+
+  describe('Per-client Anti-repeat', () => {
+    const pickMenu = async (headers, avoidRecent) => {
+      const response = await request(app)
+        .get(`/api/menus/random?avoidRecent=${avoidRecent}`)
+        .set(headers);
+      expect(response.status).toBe(200);
+      return response.body.selectedMenu.id;
+    };
+
+    test('should avoid only the menus shown to the same client', async () => {
+      const { body } = await request(app).get('/api/menus');
+      const menuCount = body.menus.length;
+      const avoidRecent = menuCount - 1;
+      const picks = [];
+
+      for (let i = 0; i < menuCount; i++) {
+        picks.push(await pickMenu({ 'X-Client-Id': 'integration-client-a' }, avoidRecent));
+        // Other users picking in between must not affect client A
+        await pickMenu({ 'X-Client-Id': 'integration-client-b' }, avoidRecent);
+        await pickMenu({}, 0);
+      }
+
+      expect(new Set(picks).size).toBe(menuCount);
+    });
+
+    test('should accept the client ID from a cookie', async () => {
+      let previous = await pickMenu({ Cookie: 'theme=dark; tunisafka_client_id=integration-cookie-client' }, 1);
+      
+      for (let i = 0; i < 5; i++) {
+        const next = await pickMenu({ Cookie: 'tunisafka_client_id=integration-cookie-client' }, 1);
+        expect(next).not.toBe(previous);
+        previous = next;
+      }
+    });
+
+    test('should allow the client ID header in CORS preflights', async () => {
+      const response = await request(app).options('/api/menus/random');
+      
+      expect(response.headers['access-control-allow-headers']).toContain('X-Client-Id');
+    });
+  });
+
   describe('Edge Cases', () => {
     test('should handle single menu scenario gracefully', async () => {
       // This test validates behavior when only one menu is available
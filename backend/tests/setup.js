@@ -1,9 +1,15 @@
 // Jest setup file for backend tests
 // This file runs before each test suite
 
+const path = require('path');
+
 // Set test environment variables
 process.env.NODE_ENV = 'test';
 process.env.PORT = '0'; // Use random available port for testing
+process.env.SCRAPER_FIXTURE_MODE = 'true'; // Serve static menus, never hit unisafka.fi
+process.env.POLLS_DIR = path.join(__dirname, '..', 'test-cache', 'polls'); // Keep test polls out of ./polls
+process.env.WEBHOOKS_DIR = path.join(__dirname, '..', 'test-cache', 'webhooks'); // Keep test webhooks out of ./webhooks
+process.env.WEBHOOKS_ALLOW_PRIVATE_HOSTS = 'true'; // Deliver to the local stand-in receivers
 
 // Fix for Node.js compatibility with newer packages (cheerio/undici)
 if (typeof global.File === 'undefined') {
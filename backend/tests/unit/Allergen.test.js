@@ -0,0 +1,121 @@
+/**
+ * Allergen Unit Tests
+ * Tests the EU-14 allergen model, its parsing and MenuItem integration
+ */
+
+const Allergen = require('../../src/models/Allergen');
+const MenuItem = require('../../src/models/MenuItem');
+
+describe('Allergen', () => {
+  describe('Model', () => {
+    test('should cover the 14 EU allergens', () => {
+      expect(Allergen.ALLERGENS).toHaveLength(14);
+      expect(Allergen.ALLERGENS).toEqual(expect.arrayContaining(['nuts', 'peanuts', 'sesame', 'lupin']));
+    });
+
+    test('should reject unknown allergens and states', () => {
+      expect(() => new Allergen({ allergen: 'garlic' })).toThrow('Unknown allergen: garlic');
+      expect(() => new Allergen({ allergen: 'nuts', state: 'maybe' })).toThrow(
+        'Unknown allergen state: maybe'
+      );
+    });
+
+    test('should serialize to allergen and state', () => {
+      expect(new Allergen({ allergen: 'nuts', state: 'may-contain' }).toJSON()).toEqual({
+        allergen: 'nuts',
+        state: 'may-contain',
+      });
+    });
+  });
+
+  describe('Parsing', () => {
+    test('should parse legacy labels and stored objects', () => {
+      const allergens = Allergen.parseList([
+        'contains dairy',
+        'may contain nuts',
+        'gluten-free',
+        { allergen: 'fish', state: 'contains' },
+        'contains happiness',
+      ]);
+
+      expect(allergens.map(entry => entry.toJSON())).toEqual([
+        { allergen: 'gluten', state: 'free-of' },
+        { allergen: 'fish', state: 'contains' },
+        { allergen: 'milk', state: 'contains' },
+        { allergen: 'nuts', state: 'may-contain' },
+      ]);
+    });
+
+    test('should find allergens in Finnish and English menu text', () => {
+      const allergens = Allergen.extractFromText(
+        'Kasvispihvi, gluteeniton. Voi sisältää jäämiä pähkinöistä ja seesamista; maapähkinäkastike'
+      );
+
+      expect(allergens.map(entry => entry.toJSON())).toEqual([
+        { allergen: 'gluten', state: 'free-of' },
+        { allergen: 'peanuts', state: 'contains' },
+        { allergen: 'nuts', state: 'may-contain' },
+        { allergen: 'sesame', state: 'may-contain' },
+      ]);
+    });
+
+    test('should not mistake look-alike words for allergens', () => {
+      expect(Allergen.extractFromText('Roasted butternut squash with eggplant and munakoiso')).toEqual([]);
+      expect(Allergen.identify('peanuts')).toBe('peanuts');
+      expect(Allergen.identify('pähkinä')).toBe('nuts');
+    });
+
+    test('should prefer the riskier state when sources disagree', () => {
+      const [milk] = Allergen.merge([
+        ...Allergen.fromDietTags(['milk-free']),
+        new Allergen({ allergen: 'milk', state: 'may-contain' }),
+      ]);
+
+      expect(milk.state).toBe('may-contain');
+    });
+
+    test('should derive free-of entries from dietary tags', () => {
+      expect(Allergen.fromDietTags(['vegan', 'gluten-free']).map(entry => entry.allergen)).toEqual([
+        'gluten',
+        'crustaceans',
+        'eggs',
+        'fish',
+        'milk',
+        'molluscs',
+      ]);
+    });
+  });
+
+  describe('MenuItem integration', () => {
+    const item = MenuItem.fromScrapedData({
+      name: 'Satay',
+      allergens: ['contains peanuts', 'may contain nuts', 'milk-free'],
+    });
+
+    test('should only report allergens the item contains', () => {
+      expect(item.containsAllergen('peanuts')).toBe(true);
+      expect(item.containsAllergen('maapähkinä')).toBe(true);
+      expect(item.containsAllergen('milk')).toBe(false);
+      expect(item.containsAllergen('nuts')).toBe(false);
+    });
+
+    test('should include traces on request', () => {
+      expect(item.containsAllergen('nuts', { includeTraces: true })).toBe(true);
+    });
+
+    test('should serialize structured allergens', () => {
+      expect(item.toJSON().allergens).toEqual([
+        { allergen: 'peanuts', state: 'contains' },
+        { allergen: 'milk', state: 'free-of' },
+        { allergen: 'nuts', state: 'may-contain' },
+      ]);
+      expect(item.getAllergensString()).toBe('Contains peanuts, Free of milk, May contain nuts');
+    });
+
+    test('should reject plain strings passed to the constructor', () => {
+      expect(() => new MenuItem({ id: 'x', name: 'X', allergens: ['contains nuts'] })).toThrow(
+        'MenuItem allergens must be an array of Allergen instances'
+      );
+    });
+  });
+});
@@ -19,6 +19,8 @@ describe('CacheService', () => {
   });
 
   afterEach(async () => {
+    jest.useRealTimers();
+
     // Clean up test cache directory
     try {
       await fs.rm(testCacheDir, { recursive: true, force: true });
@@ -226,6 +228,139 @@ describe('CacheService', () => {
     });
   });
 
+  describe('Weekly Cache', () => {
+    test('should cache and retrieve menus per date', async () => {
+      const today = cacheService.getCurrentDate();
+      const days = { [today]: [{ id: 'test', title: 'Test Menu' }] };
+      
+      await cacheService.cacheMenus(days[today], { success: true });
+      await cacheService.cacheWeekMenus(days, { success: true });
+      const cachedWeek = await cacheService.getCachedWeekMenus();
+      
+      expect(cachedWeek.days).toEqual(days);
+      expect(cachedWeek.cacheDate).toBe(today);
+    });
+
+    test('should ignore the week until it is scraped again today', async () => {
+      const today = cacheService.getCurrentDate();
+      await cacheService.cacheWeekMenus({ [today]: [{ id: 'test' }] }, { success: true });
+      
+      // Only the archive exists; the daily cache was never written today
+      expect(await cacheService.getCachedWeekMenus()).toBeNull();
+    });
+
+    test('should invalidate the week when the cache is cleared', async () => {
+      const today = cacheService.getCurrentDate();
+      await cacheService.cacheMenus([{ id: 'test' }], { success: true });
+      await cacheService.cacheWeekMenus({ [today]: [{ id: 'test' }] }, { success: true });
+      
+      await cacheService.clearCache();
+      
+      expect(await cacheService.getCachedWeekMenus()).toBeNull();
+    });
+  });
+
+  describe('Date Archive', () => {
+    test('should keep one file per date', async () => {
+      await cacheService.archiveMenus('2025-09-18', [{ id: 'pea-soup' }], { success: true });
+      await cacheService.archiveMenus('2025-09-19', [{ id: 'fish' }], { success: true });
+      
+      const files = await fs.readdir(path.join(testCacheDir, 'menus'));
+      expect(files.sort()).toEqual(['2025-09-18.json', '2025-09-19.json']);
+      
+      const entry = await cacheService.getArchivedMenus('2025-09-18');
+      expect(entry.menuData).toEqual([{ id: 'pea-soup' }]);
+      expect(entry.scrapedOn).toBe(cacheService.getCurrentDate());
+    });
+
+    test('should archive today when saving the daily cache', async () => {
+      await cacheService.cacheMenus([{ id: 'test' }], { success: true });
+      
+      expect(await cacheService.listArchivedDates()).toEqual([cacheService.getCurrentDate()]);
+    });
+
+    test('should not overwrite archived menus with an empty scrape', async () => {
+      await cacheService.archiveMenus('2025-09-18', [{ id: 'pea-soup' }], { success: true });
+      await cacheService.archiveMenus('2025-09-18', [], { success: true });
+      
+      const entry = await cacheService.getArchivedMenus('2025-09-18');
+      expect(entry.menuData).toEqual([{ id: 'pea-soup' }]);
+    });
+
+    test('should keep the archive timestamp until the menus change', async () => {
+      const menu = (price) => ({ id: 'hertsi', title: 'Hertsi', items: [{ id: 'pea-soup', name: 'Pea Soup', price }] });
+      jest.useFakeTimers({ now: new Date('2025-09-18T06:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+      await cacheService.archiveMenus('2025-09-18', [menu('€2.95')], { success: true });
+      jest.setSystemTime(new Date('2025-09-18T10:30:00.000Z'));
+      await cacheService.archiveMenus('2025-09-18', [{ ...menu('€2.95'), lastUpdated: 'rescraped' }], { success: true });
+      const unchanged = await cacheService.getArchivedMenus('2025-09-18');
+      jest.setSystemTime(new Date('2025-09-18T12:00:00.000Z'));
+      await cacheService.archiveMenus('2025-09-18', [menu('€3.20')], { success: true });
+      const changed = await cacheService.getArchivedMenus('2025-09-18');
+
+      expect(unchanged.timestamp).toBe('2025-09-18T06:00:00.000Z');
+      expect(changed.timestamp).toBe('2025-09-18T12:00:00.000Z');
+    });
+
+    test('should reject invalid archive dates', async () => {
+      await expect(cacheService.archiveMenus('../daily-menus', [], {})).rejects.toThrow('invalid date');
+      expect(await cacheService.getArchivedMenus('../daily-menus')).toBeNull();
+    });
+
+    test('should list history newest first with menu counts', async () => {
+      await cacheService.archiveMenus('2025-09-18', [{ id: 'a', items: [{}, {}] }], { success: true });
+      await cacheService.archiveMenus('2025-09-19', [{ id: 'b', items: [{}] }, { id: 'c', items: [] }], { success: true });
+      
+      const history = await cacheService.getArchiveHistory();
+      
+      expect(history.map(entry => entry.date)).toEqual(['2025-09-19', '2025-09-18']);
+      expect(history[0]).toMatchObject({ menuCount: 2, itemCount: 1 });
+      expect(history[1]).toMatchObject({ menuCount: 1, itemCount: 2 });
+    });
+
+    test('should prune dates older than the retention period', async () => {
+      jest.spyOn(cacheService, 'getCurrentDate').mockReturnValue('2025-09-19');
+      cacheService.setRetentionDays(7);
+      await cacheService.archiveMenus('2025-09-01', [{ id: 'old' }], { success: true });
+      await cacheService.archiveMenus('2025-09-12', [{ id: 'edge' }], { success: true });
+      await cacheService.archiveMenus('2025-09-18', [{ id: 'recent' }], { success: true });
+      
+      const pruned = await cacheService.pruneArchive();
+      
+      expect(pruned).toEqual(['2025-09-01']);
+      expect(await cacheService.listArchivedDates()).toEqual(['2025-09-12', '2025-09-18']);
+      jest.restoreAllMocks();
+    });
+
+    test('should validate the retention period', () => {
+      expect(() => cacheService.setRetentionDays(0)).toThrow('positive number of days');
+      expect(() => cacheService.setRetentionDays(1.5)).toThrow('positive number of days');
+    });
+
+    test('should fall back to the latest archived date with menus', async () => {
+      jest.spyOn(cacheService, 'getCurrentDate').mockReturnValue('2025-09-20');
+      await cacheService.archiveMenus('2025-09-18', [{ id: 'thursday' }], { success: true });
+      await cacheService.archiveMenus('2025-09-19', [{ id: 'friday' }], { success: true });
+      await cacheService.archiveMenus('2025-09-20', [], { success: true });
+      await cacheService.archiveMenus('2025-09-22', [{ id: 'next-monday' }], { success: true });
+      
+      const fallback = await cacheService.loadCacheForFallback();
+      
+      expect(fallback.date).toBe('2025-09-19');
+      expect(fallback.menuData).toEqual([{ id: 'friday' }]);
+      jest.restoreAllMocks();
+    });
+
+    test('should keep the archive when the cache is cleared', async () => {
+      await cacheService.cacheMenus([{ id: 'test' }], { success: true });
+      
+      await cacheService.clearCache();
+      
+      expect(await cacheService.listArchivedDates()).toHaveLength(1);
+    });
+  });
+
   describe('Cache Management', () => {
     test('should clear cache successfully', async () => {
       // Create cache first
@@ -0,0 +1,150 @@
+/**
+ * EventService Unit Tests
+ * Tests publishing, replay from Last-Event-ID, heartbeats and the events
+ * published by the menu and poll services
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const EventService = require('../../src/services/EventService');
+const MenuService = require('../../src/services/MenuService');
+const CacheService = require('../../src/services/CacheService');
+const PollService = require('../../src/services/PollService');
+const RandomSelectionService = require('../../src/services/RandomSelectionService');
+const Menu = require('../../src/models/Menu');
+
+const createResponse = () => ({
+  chunks: [],
+  write(chunk) {
+    this.chunks.push(chunk);
+  },
+  end: jest.fn(),
+  text() {
+    return this.chunks.join('');
+  },
+});
+
+describe('EventService', () => {
+  let eventService;
+
+  beforeEach(() => {
+    eventService = new EventService({ heartbeatMs: 1000 });
+  });
+
+  afterEach(() => {
+    eventService.closeAll();
+    jest.useRealTimers();
+  });
+
+  test('should send published events to every client in the SSE format', () => {
+    const first = createResponse();
+    const second = createResponse();
+    eventService.subscribe(first);
+    eventService.subscribe(second);
+
+    eventService.publish('menus.updated', { menuCount: 4 });
+
+    [first, second].forEach(res => {
+      expect(res.text()).toMatch(/^retry: 5000\n\n/);
+      expect(res.text()).toMatch(/id: 1\nevent: menus.updated\ndata: \{"menuCount":4,"timestamp":"[^"]+"\}\n\n$/);
+    });
+  });
+
+  test('should stop sending to unsubscribed clients', () => {
+    const res = createResponse();
+    const unsubscribe = eventService.subscribe(res);
+
+    unsubscribe();
+    eventService.publish('cache.cleared');
+
+    expect(res.text()).not.toContain('cache.cleared');
+    expect(eventService.getStatus().clients).toBe(0);
+  });
+
+  test('should replay events after the Last-Event-ID', () => {
+    eventService.publish('menus.updated');
+    eventService.publish('cache.cleared');
+    eventService.publish('poll.updated', { pollId: 'abc123' });
+
+    const res = createResponse();
+    eventService.subscribe(res, '1');
+
+    expect(res.text()).not.toContain('id: 1\n');
+    expect(res.text()).toContain('id: 2\nevent: cache.cleared');
+    expect(res.text()).toContain('id: 3\nevent: poll.updated');
+  });
+
+  test('should keep only the most recent events for replay', () => {
+    eventService = new EventService({ historySize: 2 });
+    ['menus.updated', 'cache.cleared', 'menus.updated'].forEach(type => eventService.publish(type));
+
+    const res = createResponse();
+    eventService.subscribe(res, '0');
+
+    expect(res.text().match(/^id: /gm)).toHaveLength(2);
+  });
+
+  test('should reject unknown event types', () => {
+    expect(() => eventService.publish('menus.deleted')).toThrow('Unknown event type: menus.deleted');
+  });
+
+  test('should send heartbeats while clients are connected', () => {
+    jest.useFakeTimers();
+    const res = createResponse();
+    const unsubscribe = eventService.subscribe(res);
+
+    jest.advanceTimersByTime(1000);
+    expect(res.text()).toContain(': heartbeat\n\n');
+
+    unsubscribe();
+    expect(eventService.heartbeatTimer).toBeNull();
+  });
+
+  test('should end every stream on closeAll', () => {
+    const res = createResponse();
+    eventService.subscribe(res);
+
+    eventService.closeAll();
+
+    expect(res.end).toHaveBeenCalled();
+    expect(eventService.getStatus().clients).toBe(0);
+  });
+
+  describe('Published by services', () => {
+    let testDir;
+
+    beforeEach(() => {
+      testDir = path.join(__dirname, '..', '..', 'test-cache', `events-${Date.now()}`);
+      jest.spyOn(eventService, 'publish');
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    test('should publish menus.updated after a scrape and cache.cleared after clearing', async () => {
+      const menuService = new MenuService({ eventService });
+      menuService.cacheService = new CacheService(testDir);
+
+      await menuService.prewarmCache();
+      expect(eventService.publish).toHaveBeenCalledWith('menus.updated', expect.objectContaining({
+        date: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+        menuCount: expect.any(Number),
+        changedDates: [],
+      }));
+
+      await menuService.clearCache();
+      expect(eventService.publish).toHaveBeenCalledWith('cache.cleared', {});
+    });
+
+    test('should publish poll.updated after a vote', async () => {
+      const pollService = new PollService(new RandomSelectionService(), { pollsDir: testDir, eventService });
+      const menus = ['Hertsi', 'Newton'].map(title => Menu.fromScrapedData({ title, items: [] }));
+
+      const { id } = await pollService.createPoll(menus);
+      await pollService.castVote(id, 'Aino', 'hertsi');
+
+      expect(eventService.publish).toHaveBeenCalledWith('poll.updated', { pollId: id, totalVotes: 1 });
+    });
+  });
+});
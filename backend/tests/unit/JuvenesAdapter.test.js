@@ -0,0 +1,101 @@
+/**
+ * JuvenesAdapter Unit Tests
+ * Tests the Juvenes parser against a saved HTML snapshot (offline)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JuvenesAdapter = require('../../src/adapters/JuvenesAdapter');
+
+describe('JuvenesAdapter', () => {
+  let adapter;
+  let html;
+
+  beforeAll(() => {
+    html = fs.readFileSync(
+      path.join(__dirname, '..', 'fixtures', 'juvenes', 'kauppi-2025-09-19.html'),
+      'utf8'
+    );
+  });
+
+  beforeEach(() => {
+    adapter = new JuvenesAdapter({
+      id: 'juvenes',
+      name: 'Juvenes',
+      url: 'https://www.juvenes.fi/ravintolat/',
+      campus: 'kauppi',
+    });
+  });
+
+  test('should find one menu per open restaurant', () => {
+    const menus = adapter.parse(html);
+
+    expect(menus.map(menu => menu.title)).toEqual(['Ravintola Arvo', 'Fusion Kitchen']);
+  });
+
+  test('should join meal components into the description', () => {
+    const [arvo] = adapter.parse(html);
+    const [lunch] = arvo.items;
+
+    expect(lunch.name).toBe('Lounas');
+    expect(lunch.description).toBe(
+      'Broileria kermaisessa currykastikkeessa, Basmatiriisiä'
+    );
+  });
+
+  test('should only keep diet codes shared by every component', () => {
+    const [arvo] = adapter.parse(html);
+    const [lunch, vegetarian, soup] = arvo.items;
+
+    expect(lunch.dietary).toEqual(['G']);
+    expect(vegetarian.dietary).toEqual(['M', 'VEG']);
+    expect(soup.dietary).toEqual(['L', 'G']);
+  });
+
+  test('should use the first listed price', () => {
+    const [arvo] = adapter.parse(html);
+
+    expect(arvo.items[0].price).toBe('€2.95');
+    expect(arvo.items[2].price).toBe('€2.60');
+  });
+
+  test('should read the student, staff and guest prices', () => {
+    const [arvo] = adapter.parse(html);
+
+    expect(arvo.items[0].prices).toEqual({ currency: 'EUR', student: 2.95, staff: 5.7, guest: 7.5 });
+    expect(arvo.items[2].getPriceNumeric('guest')).toBe(6.4);
+    expect(arvo.items[2].getFormattedPrice('staff')).toBe('€4.90');
+  });
+
+  test('should parse dotted opening hours and restaurant info', () => {
+    const [arvo, fusion] = adapter.parse(html);
+
+    expect(arvo.description).toBe('Arvo-rakennus, Arvo Ylpön katu 34');
+    expect(arvo.availability).toMatchObject({ startTime: '10:30', endTime: '14:00' });
+    expect(fusion.availability).toMatchObject({ startTime: '11:00', endTime: '13:30' });
+  });
+
+  test('should read nutrition and climate info listed under a meal', () => {
+    const [restaurant] = adapter.parse(`
+      <section class="jv-restaurant">
+        <h2 class="jv-restaurant__name">Ravintola Arvo</h2>
+        <ul class="jv-meals">
+          <li class="jv-meal">
+            <span class="jv-meal__type">Lounas</span>
+            <ul class="jv-meal__components">
+              <li class="jv-meal__component">Lohikeittoa (L, G)</li>
+            </ul>
+            <span class="jv-meal__price">2,95 €</span>
+            <p class="jv-meal__nutrition">Energia 480 kcal, Proteiini 26 g, Hiilijalanjälki 620 g CO2e</p>
+          </li>
+        </ul>
+      </section>`);
+
+    expect(restaurant.items[0].nutrition).toEqual({ kcal: 480, protein: 26, co2e: 0.62 });
+    expect(restaurant.items[0].isLowCarbon()).toBe(false);
+  });
+
+  test('should return no menus for unrelated HTML', () => {
+    expect(adapter.parse('<html><body><ul><li>Ravintolat ja kahvilat</li></ul></body></html>')).toEqual([]);
+  });
+});
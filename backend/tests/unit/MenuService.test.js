@@ -0,0 +1,547 @@
+/**
+ * MenuService Unit Tests
+ * Tests merging of menus scraped from multiple sources, diet codes,
+ * single-flight scraping, location filters, allergen exclusion, the stale
+ * cache fallback, archive search and change detection between scrapes
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const MenuService = require('../../src/services/MenuService');
+const CacheService = require('../../src/services/CacheService');
+const Menu = require('../../src/models/Menu');
+const MenuItem = require('../../src/models/MenuItem');
+const ScrapingResult = require('../../src/models/ScrapingResult');
+const Webhook = require('../../src/models/Webhook');
+const WebhookService = require('../../src/services/WebhookService');
+
+const createMenu = (title) => Menu.fromScrapedData({ title, items: [] });
+
+describe('MenuService', () => {
+  let menuService;
+
+  beforeEach(() => {
+    menuService = new MenuService();
+    menuService.setScrapingConfig({ sources: ['unisafka-tty', 'unisafka-tay', 'juvenes'] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Multi-source scraping', () => {
+    const DATE = '2025-09-19';
+
+    test('should scrape the week of every enabled source and tag menus with their source', async () => {
+      jest.spyOn(menuService.cacheService, 'getCurrentDate').mockReturnValue(DATE);
+      const weekSpy = jest.spyOn(menuService.scrapingService, 'scrapeWeek').mockImplementation(async (sourceId) => ({
+        days: { [DATE]: [createMenu(`${sourceId} kitchen`)] },
+        result: ScrapingResult.createSuccess(1, `https://example.test/${sourceId}`, 10),
+      }));
+
+      const { days, result } = await menuService.scrapeAllSources();
+
+      expect(weekSpy).toHaveBeenCalledWith('juvenes', DATE);
+      expect(days[DATE].map(menu => menu.source)).toEqual(['unisafka-tty', 'unisafka-tay', 'juvenes']);
+      expect(result.success).toBe(true);
+      expect(result.menusFound).toBe(3);
+      expect(result.source).toBe(
+        'https://example.test/unisafka-tty, https://example.test/unisafka-tay, https://example.test/juvenes'
+      );
+    });
+
+    test('should keep menu IDs unique across sources on the same day only', () => {
+      const adapters = menuService.scrapingService.getEnabledAdapters().slice(0, 2);
+      const outcomes = adapters.map(adapter => ({
+        days: { '2025-09-18': [createMenu('Linna')], [DATE]: [createMenu('Linna')] },
+        result: ScrapingResult.createSuccess(2, adapter.url, 10),
+      }));
+      outcomes[1].days = { [DATE]: [createMenu('Linna')] };
+
+      const { days } = menuService.mergeSourceResults(adapters, outcomes);
+
+      expect(days['2025-09-18'].map(menu => menu.id)).toEqual(['linna']);
+      expect(days[DATE].map(menu => menu.id)).toEqual(['linna', 'unisafka-tay-linna']);
+    });
+
+    test('should succeed when at least one source succeeds', () => {
+      const adapters = menuService.scrapingService.getEnabledAdapters().slice(0, 2);
+      const outcomes = [
+        { days: { [DATE]: [createMenu('Hertsi')] }, result: ScrapingResult.createSuccess(1, adapters[0].url, 10) },
+        { days: {}, result: ScrapingResult.createFailure('Network error: ECONNRESET', adapters[1].url, 20) },
+      ];
+
+      const { days, result } = menuService.mergeSourceResults(adapters, outcomes);
+
+      expect(days[DATE]).toHaveLength(1);
+      expect(result.success).toBe(true);
+      expect(result.error).toBeNull();
+      expect(result.warnings).toEqual([`Source ${adapters[1].url} failed: Network error: ECONNRESET`]);
+      expect(result.duration).toBe(20);
+    });
+
+    test('should keep the last menus of a failed source in the cache, archive and change log', async () => {
+      const testCacheDir = path.join(__dirname, '..', '..', 'test-cache', `failed-source-${Date.now()}`);
+      menuService.cacheService = new CacheService(testCacheDir);
+      menuService.setScrapingConfig({ sources: ['unisafka-tty', 'unisafka-tay'] });
+      const today = menuService.cacheService.getCurrentDate();
+      let tayDown = false;
+      jest.spyOn(menuService.scrapingService, 'scrapeWeek').mockImplementation(async (sourceId) => (
+        sourceId === 'unisafka-tay' && tayDown
+          ? { days: {}, result: ScrapingResult.createFailure('Network error: ECONNRESET', 'https://example.test/tay', 10) }
+          : {
+            days: { [today]: [createMenu(sourceId === 'unisafka-tay' ? 'Minerva' : 'Hertsi')] },
+            result: ScrapingResult.createSuccess(1, `https://example.test/${sourceId}`, 10),
+          }
+      ));
+
+      try {
+        await menuService.prewarmCache();
+        tayDown = true;
+        const { days, result } = await menuService.prewarmCache();
+
+        expect(days[today].map(menu => menu.title)).toEqual(['Hertsi', 'Minerva']);
+        expect(result.warnings).toEqual(['Source https://example.test/tay failed: Network error: ECONNRESET']);
+        expect((await menuService.cacheService.getCachedMenus()).menus.map(menu => menu.title))
+          .toEqual(['Hertsi', 'Minerva']);
+        expect((await menuService.cacheService.getArchivedMenus(today)).menuData).toHaveLength(2);
+        expect(await menuService.cacheService.getMenuChanges(today)).toEqual([]);
+      } finally {
+        await fs.rm(testCacheDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should fail with every source error when all sources fail', () => {
+      const adapters = menuService.scrapingService.getEnabledAdapters().slice(0, 2);
+      const outcomes = adapters.map(adapter => ({
+        days: {},
+        result: ScrapingResult.createFailure(`Network error: ${adapter.id} down`, adapter.url, 10),
+      }));
+
+      const { result } = menuService.mergeSourceResults(adapters, outcomes);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Network error: unisafka-tty down; Network error: unisafka-tay down');
+    });
+
+    test('should keep the source tag when menus are rebuilt from cache data', () => {
+      const cached = JSON.parse(JSON.stringify([{ ...createMenu('Minerva').toJSON(), source: 'unisafka-tay' }]));
+
+      const [menu] = menuService.processMenus(cached);
+
+      expect(menu.source).toBe('unisafka-tay');
+    });
+  });
+
+  describe('Diet codes', () => {
+    test('should map raw codes of older cached items and drop unknown ones', () => {
+      const cached = [{
+        ...createMenu('Hertsi').toJSON(),
+        items: [{ id: 'soup', name: 'Soup', dietary: ['g', 'm', '1kpl/pcann.'] }],
+      }];
+
+      const [item] = menuService.processMenus(cached)[0].items;
+
+      expect(item.dietary).toEqual(['gluten-free', 'milk-free']);
+      expect(item.dietCodes).toEqual([
+        { code: 'g', tag: 'gluten-free' },
+        { code: 'm', tag: 'milk-free' },
+      ]);
+    });
+  });
+
+  describe('Single-flight scraping', () => {
+    let testCacheDir;
+
+    beforeEach(() => {
+      testCacheDir = path.join(__dirname, '..', '..', 'test-cache', `flight-${Date.now()}`);
+      menuService.cacheService = new CacheService(testCacheDir);
+    });
+
+    afterEach(async () => {
+      await fs.rm(testCacheDir, { recursive: true, force: true });
+    });
+
+    const mockSlowScrape = (outcome) =>
+      jest.spyOn(menuService.scrapingService, 'scrapeWeek').mockImplementation(async (sourceId) => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return outcome(sourceId);
+      });
+
+    test('should scrape and cache once for concurrent cache misses', async () => {
+      const today = menuService.cacheService.getCurrentDate();
+      const scrapeSpy = mockSlowScrape(sourceId => ({
+        days: { [today]: [createMenu(`${sourceId} kitchen`)] },
+        result: ScrapingResult.createSuccess(1, `https://example.test/${sourceId}`, 10),
+      }));
+      const cacheSpy = jest.spyOn(menuService.cacheService, 'cacheMenus');
+
+      const responses = await Promise.all([
+        ...Array.from({ length: 20 }, () => menuService.getAllMenus()),
+        menuService.getWeekMenus(),
+      ]);
+
+      expect(scrapeSpy).toHaveBeenCalledTimes(3);
+      expect(cacheSpy).toHaveBeenCalledTimes(1);
+      responses.slice(0, 20).forEach(response => {
+        expect(response.menus).toHaveLength(3);
+      });
+      expect(menuService.inFlight.size).toBe(0);
+    });
+
+    test('should share a failed scrape and retry on the next cache miss', async () => {
+      const scrapeSpy = mockSlowScrape(sourceId => ({
+        days: {},
+        result: ScrapingResult.createFailure(`Network error: ${sourceId} down`, 'https://example.test', 10),
+      }));
+
+      const outcomes = await Promise.allSettled(
+        Array.from({ length: 5 }, () => menuService.scrapeAndCacheWeek())
+      );
+
+      expect(outcomes.every(outcome => outcome.status === 'rejected')).toBe(true);
+      expect(scrapeSpy).toHaveBeenCalledTimes(3);
+
+      await expect(menuService.scrapeAndCacheWeek()).rejects.toThrow('Network error');
+      expect(scrapeSpy).toHaveBeenCalledTimes(6);
+    });
+  });
+
+  describe('Location filters', () => {
+    const sourceMenu = (title, source) => Object.assign(createMenu(title), { source });
+
+    beforeEach(() => {
+      jest.spyOn(menuService, 'getMenus').mockResolvedValue({
+        menus: [
+          sourceMenu('Reaktori', 'unisafka-tty'),
+          sourceMenu('Minerva', 'unisafka-tay'),
+          sourceMenu('Ravintola Arvo', 'juvenes'),
+          // Same name as a TTY restaurant but published by another source
+          sourceMenu('Newton', 'juvenes'),
+        ],
+        source: 'test',
+      });
+    });
+
+    test('should list restaurants of every enabled source', () => {
+      const campuses = [...new Set(menuService.getRestaurants().map(restaurant => restaurant.campus))];
+
+      expect(campuses).toEqual(['hervanta', 'keskusta', 'kauppi']);
+    });
+
+    test('should filter menus by campus across sources', async () => {
+      const { menus, source } = await menuService.getMenusByLocation({ campuses: ['keskusta', 'kauppi'] });
+
+      expect(menus.map(menu => menu.title)).toEqual(['Minerva', 'Ravintola Arvo']);
+      expect(source).toBe('test');
+    });
+
+    test('should only match restaurants published by their own source', async () => {
+      const { menus } = await menuService.getMenusByLocation({ restaurants: ['newton'] });
+
+      expect(menus).toEqual([]);
+    });
+
+    test('should reject unknown campuses as validation errors', async () => {
+      await expect(menuService.getMenusByLocation({ campuses: ['linna'] })).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: expect.stringContaining('Available campuses: hervanta, keskusta, kauppi'),
+      });
+    });
+  });
+
+  describe('Allergen exclusion', () => {
+    const menuWithItems = (title, items) => Menu.fromScrapedData({
+      title,
+      items: items.map(([name, allergens]) => MenuItem.fromScrapedData({ name, allergens })),
+    });
+
+    test('should resolve allergen names and reject unknown ones', () => {
+      expect(menuService.parseAllergenFilter(['Nuts', 'dairy', 'milk', 'kala'])).toEqual(['nuts', 'milk', 'fish']);
+      expect(() => menuService.parseAllergenFilter(['nuts', 'pineapple'])).toThrow(
+        expect.objectContaining({ name: 'ValidationError', message: expect.stringContaining('Unknown allergen: pineapple') })
+      );
+    });
+
+    test('should strip items with the allergens or traces of them and drop empty menus', () => {
+      const menus = [
+        menuWithItems('Hertsi', [['Salmon soup', ['contains fish', 'contains milk']], ['Salad', ['may contain nuts']]]),
+        menuWithItems('Reaktori', [['Curry', ['free of milk']], ['Porridge', ['contains gluten']]]),
+      ];
+
+      const filtered = menuService.excludeAllergens(menus, ['milk', 'nuts']);
+
+      expect(filtered.map(menu => menu.title)).toEqual(['Reaktori']);
+      expect(filtered[0].items.map(item => item.name)).toEqual(['Curry', 'Porridge']);
+      expect(menus[0].items).toHaveLength(2);
+    });
+  });
+
+  describe('Stale cache fallback', () => {
+    let testCacheDir;
+
+    beforeEach(async () => {
+      testCacheDir = path.join(__dirname, '..', '..', 'test-cache', `stale-${Date.now()}`);
+      menuService.cacheService = new CacheService(testCacheDir);
+      jest.spyOn(menuService.scrapingService, 'scrapeWeek').mockResolvedValue({
+        days: {},
+        result: ScrapingResult.createFailure('Network error: ECONNRESET', 'https://example.test', 10),
+      });
+
+      const menu = Menu.fromScrapedData({
+        title: 'Hertsi',
+        items: [
+          MenuItem.fromScrapedData({ name: 'Salmon soup', allergens: ['contains fish', 'contains milk'] }),
+          MenuItem.fromScrapedData({
+            name: 'Curry',
+            allergens: ['free of milk'],
+            prices: { student: 2.95, staff: 5.7, guest: 7.5 },
+          }),
+        ],
+      });
+      await menuService.cacheService.archiveMenus('2025-09-18', [JSON.parse(JSON.stringify(menu))], { success: true });
+    });
+
+    afterEach(async () => {
+      await fs.rm(testCacheDir, { recursive: true, force: true });
+    });
+
+    test('should serve the last archived menus as Menu instances when scraping fails', async () => {
+      const { menus, warning, cacheDate } = await menuService.getAllMenus();
+
+      expect(warning).toBe('Serving cached data due to scraping failure');
+      expect(cacheDate).toBe('2025-09-18');
+      expect(menus[0]).toBeInstanceOf(Menu);
+
+      const filtered = menuService.excludeAllergens(menus, ['milk']);
+      expect(filtered[0].items.map(item => item.name)).toEqual(['Curry']);
+    });
+
+    test('should price stale menus for the selection criteria tier', async () => {
+      const { menus } = await menuService.getMenusForSelection({ restaurants: [], priceTier: 'staff' });
+
+      expect(menus[0].items.map(item => item.price)).toEqual(['', '€5.70']);
+    });
+  });
+
+  describe('Nutrition statistics', () => {
+    test('should average published values and count low-carbon and high-protein items', () => {
+      const menus = [
+        Menu.fromScrapedData({
+          title: 'Hertsi',
+          items: [
+            MenuItem.fromScrapedData({ name: 'Lentil Stew', nutrition: { kcal: 480, protein: 22, co2e: 0.3 } }),
+            MenuItem.fromScrapedData({ name: 'Steak', nutrition: { kcal: 720, protein: 44, co2e: 4.1 } }),
+            MenuItem.fromScrapedData({ name: 'Vegetable Soup', dietary: ['climate-friendly'] }),
+            MenuItem.fromScrapedData({ name: 'Bread' }),
+          ],
+        }),
+      ];
+
+      expect(menuService.calculateNutritionStatistics(menus)).toEqual({
+        itemsWithNutrition: 2,
+        averages: { kcal: 600, protein: 33, fat: null, carbs: null, salt: null, co2e: 2.2 },
+        lowCarbonItems: 2,
+        highProteinItems: 1,
+      });
+    });
+  });
+
+  describe('Archive search', () => {
+    let testCacheDir;
+
+    const archivedMenu = (title, source, items) => ({
+      ...createMenu(title).toJSON(),
+      source,
+      items: items.map(([name, description]) => ({ id: name.toLowerCase().replace(/\W+/g, '-'), name, description })),
+    });
+
+    beforeEach(async () => {
+      testCacheDir = path.join(__dirname, '..', '..', 'test-cache', `search-${Date.now()}`);
+      menuService.cacheService = new CacheService(testCacheDir);
+      jest.spyOn(menuService, 'getWeekMenus').mockResolvedValue({});
+
+      const cache = menuService.cacheService;
+      await cache.archiveMenus('2025-09-04', [
+        archivedMenu('Hertsi', 'unisafka-tty', [['Lunch', 'Pea soup and pancakes']]),
+      ], { success: true });
+      await cache.archiveMenus('2025-09-11', [
+        archivedMenu('Reaktori', 'unisafka-tty', [['Kasvislounas', 'Kikhernecurry ja riisi']]),
+        archivedMenu('Minerva', 'unisafka-tay', [['Jälkiruoka', 'Köyhät ritarit ja mansikkahillo']]),
+      ], { success: true });
+      await cache.archiveMenus('2025-09-18', [
+        archivedMenu('Hertsi', 'unisafka-tty', [['From our favorites 1', 'Pea Soup and Pancakes for dessert']]),
+      ], { success: true });
+    });
+
+    afterEach(async () => {
+      await fs.rm(testCacheDir, { recursive: true, force: true });
+    });
+
+    test('should find dishes on every archived day, newest first', async () => {
+      const { results, count, datesSearched } = await menuService.searchMenus({ query: 'pea soup' });
+
+      expect(count).toBe(2);
+      expect(datesSearched).toBe(3);
+      expect(results.map(result => result.date)).toEqual(['2025-09-18', '2025-09-04']);
+      expect(results[0]).toMatchObject({
+        weekday: 'thursday',
+        menuId: 'hertsi',
+        restaurant: { id: 'hertsi', name: 'Hertsi', campus: 'hervanta', source: 'unisafka-tty' },
+        item: { name: 'From our favorites 1' },
+      });
+    });
+
+    test('should fold Finnish accents in queries and dishes', async () => {
+      const folded = await menuService.searchMenus({ query: 'koyhat RITARIT' });
+      const accented = await menuService.searchMenus({ query: 'jälkiruoka' });
+
+      expect(folded.results.map(result => result.item.name)).toEqual(['Jälkiruoka']);
+      expect(folded.results[0].restaurant.campus).toBe('keskusta');
+      expect(accented.count).toBe(1);
+    });
+
+    test('should limit the search to the date range', async () => {
+      const { results } = await menuService.searchMenus({
+        query: 'pea',
+        from: '2025-09-01',
+        to: '2025-09-10',
+      });
+
+      expect(results.map(result => result.date)).toEqual(['2025-09-04']);
+    });
+
+    test('should reject short queries and invalid ranges', async () => {
+      await expect(menuService.searchMenus({ query: ' a ' })).rejects.toMatchObject({
+        name: 'ValidationError',
+      });
+      await expect(menuService.searchMenus({ query: 'curry', from: '2025-13-01' })).rejects.toThrow(
+        'Invalid date: 2025-13-01'
+      );
+      await expect(
+        menuService.searchMenus({ query: 'curry', from: '2025-09-30', to: '2025-09-01' })
+      ).rejects.toThrow('Invalid date range');
+    });
+  });
+
+  describe('Change detection', () => {
+    let testCacheDir;
+    let scrapedItems;
+
+    beforeEach(() => {
+      testCacheDir = path.join(__dirname, '..', '..', 'test-cache', `changes-${Date.now()}`);
+      menuService.cacheService = new CacheService(testCacheDir);
+      menuService.setScrapingConfig({ sources: ['unisafka-tty'] });
+
+      const today = menuService.cacheService.getCurrentDate();
+      jest.spyOn(menuService.scrapingService, 'scrapeWeek').mockImplementation(async () => ({
+        days: { [today]: [Menu.fromScrapedData({ title: 'Hertsi', items: scrapedItems.map(item => ({ ...item })) })] },
+        result: ScrapingResult.createSuccess(1, 'https://example.test/tty', 10),
+      }));
+    });
+
+    afterEach(async () => {
+      await fs.rm(testCacheDir, { recursive: true, force: true });
+    });
+
+    test('should store nothing when a scrape matches the previous one', async () => {
+      scrapedItems = [{ name: 'Pea Soup', price: '€2.95' }];
+
+      await menuService.prewarmCache();
+      await menuService.prewarmCache();
+
+      const result = await menuService.getMenuChanges();
+      expect(result.changes).toEqual([]);
+      expect(result.updatedItems).toEqual({});
+      expect(result.lastChange).toBeNull();
+    });
+
+    test('should store the items added, removed and changed since the previous scrape', async () => {
+      scrapedItems = [{ name: 'Pea Soup', price: '€2.95' }, { name: 'Fish Stew', price: '€2.95' }];
+      await menuService.prewarmCache();
+
+      scrapedItems = [{ name: 'Pea Soup', price: '€3.20' }, { name: 'Lentil Curry', price: '€2.95' }];
+      await menuService.prewarmCache();
+
+      const result = await menuService.getMenuChanges();
+      expect(result.changes).toHaveLength(1);
+      expect(result.changes[0].restaurants).toEqual([
+        {
+          menuId: 'hertsi',
+          menuTitle: 'Hertsi',
+          status: 'changed',
+          added: [{ id: 'lentil-curry', key: 'lentil-curry', name: 'Lentil Curry', price: '€2.95' }],
+          removed: [{ id: 'fish-stew', key: 'fish-stew', name: 'Fish Stew', price: '€2.95' }],
+          changed: [{
+            id: 'pea-soup',
+            key: 'pea-soup',
+            name: 'Pea Soup',
+            price: '€3.20',
+            changes: {
+              price: { from: '€2.95', to: '€3.20' },
+              prices: {
+                from: { currency: 'EUR', student: 2.95, staff: 2.95, guest: 2.95 },
+                to: { currency: 'EUR', student: 3.2, staff: 3.2, guest: 3.2 },
+              },
+            },
+          }],
+        },
+      ]);
+      expect(result.updatedItems).toEqual({ hertsi: ['lentil-curry', 'pea-soup'] });
+      expect(result.lastChange).toBe(result.changes[0].detectedAt);
+    });
+
+    test('should reject invalid dates', async () => {
+      await expect(menuService.getMenuChanges('2025-13-01')).rejects.toThrow('Invalid date: 2025-13-01');
+    });
+
+    test('should tell webhooks about the first scrape of the day and later changes', async () => {
+      const handleScrape = jest.fn().mockResolvedValue([]);
+      menuService.webhookService = { handleScrape };
+      const today = menuService.cacheService.getCurrentDate();
+
+      scrapedItems = [{ name: 'Pea Soup', price: '€2.95' }];
+      await menuService.prewarmCache();
+      scrapedItems = [{ name: 'Pea Soup', price: '€2.95' }, { name: 'Lohikeitto', price: '€2.95' }];
+      await menuService.prewarmCache();
+
+      expect(handleScrape).toHaveBeenCalledTimes(2);
+      expect(handleScrape.mock.calls[0][0]).toMatchObject({ date: today, isFirstScrape: true, change: null });
+      expect(handleScrape.mock.calls[0][0].menus[0].items.map(item => item.name)).toEqual(['Pea Soup']);
+
+      const { isFirstScrape, change } = handleScrape.mock.calls[1][0];
+      expect(isFirstScrape).toBe(false);
+      expect(change.restaurants[0].added).toEqual([{ id: 'lohikeitto', key: 'lohikeitto', name: 'Lohikeitto', price: '€2.95' }]);
+    });
+
+    test('should publish menus on the first scrape of every day, though the week was archived before', async () => {
+      const webhookService = new WebhookService({ dataDir: path.join(testCacheDir, 'webhooks') });
+      jest.spyOn(webhookService, 'listWebhooks').mockResolvedValue([
+        new Webhook({ id: 'lunch-bot', url: 'https://hooks.example.com/lunch', events: ['menus.published'], secret: 'test-secret-0123456789' }),
+      ]);
+      const deliverSpy = jest.spyOn(webhookService, 'deliver').mockResolvedValue({ status: 'delivered' });
+      const handleSpy = jest.spyOn(webhookService, 'handleScrape');
+      menuService.webhookService = webhookService;
+
+      const dateSpy = jest.spyOn(menuService.cacheService, 'getCurrentDate');
+      jest.spyOn(menuService.scrapingService, 'scrapeWeek').mockImplementation(async () => ({
+        days: {
+          '2025-09-15': [Menu.fromScrapedData({ title: 'Hertsi', items: [{ name: 'Pea Soup', price: '€2.95' }] })],
+          '2025-09-16': [Menu.fromScrapedData({ title: 'Hertsi', items: [{ name: 'Lohikeitto', price: '€2.95' }] })],
+        },
+        result: ScrapingResult.createSuccess(2, 'https://example.test/tty', 10),
+      }));
+
+      for (const date of ['2025-09-15', '2025-09-15', '2025-09-16']) {
+        dateSpy.mockReturnValue(date);
+        await menuService.prewarmCache();
+        await handleSpy.mock.results[handleSpy.mock.results.length - 1].value;
+      }
+
+      expect(deliverSpy.mock.calls.map(([, event, data]) => [event, data.date])).toEqual([
+        ['menus.published', '2025-09-15'],
+        ['menus.published', '2025-09-16'],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * PollService Unit Tests
+ * Tests poll creation, voting, the file-backed store and tie-breaking
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const PollService = require('../../src/services/PollService');
+const RandomSelectionService = require('../../src/services/RandomSelectionService');
+const Poll = require('../../src/models/Poll');
+const Menu = require('../../src/models/Menu');
+
+const menus = ['Hertsi', 'Newton', 'Reaktori'].map(title =>
+  Menu.fromScrapedData({ title, items: [], source: 'unisafka-tty' })
+);
+
+describe('PollService', () => {
+  let pollService;
+  let testPollsDir;
+
+  beforeEach(() => {
+    testPollsDir = path.join(__dirname, '..', '..', 'test-cache', `polls-${Date.now()}`);
+    pollService = new PollService(new RandomSelectionService(), { pollsDir: testPollsDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testPollsDir, { recursive: true, force: true });
+  });
+
+  describe('Creating polls', () => {
+    test('should create a poll between all menus and store it', async () => {
+      const poll = await pollService.createPoll(menus);
+
+      expect(poll.id).toMatch(/^[A-Za-z0-9_-]{12}$/);
+      expect(poll.options).toEqual([
+        { id: 'hertsi', title: 'Hertsi', source: 'unisafka-tty' },
+        { id: 'newton', title: 'Newton', source: 'unisafka-tty' },
+        { id: 'reaktori', title: 'Reaktori', source: 'unisafka-tty' },
+      ]);
+      expect(poll.closesAt).toBeNull();
+
+      const stored = await pollService.getPoll(poll.id);
+      expect(stored.toJSON()).toEqual(poll.toJSON());
+    });
+
+    test('should create a poll between a subset of menus', async () => {
+      const poll = await pollService.createPoll(menus, {
+        title: 'Friday lunch',
+        menuIds: 'reaktori,hertsi',
+        closesInMinutes: 30,
+      });
+
+      expect(poll.title).toBe('Friday lunch');
+      expect(poll.options.map(option => option.id)).toEqual(['hertsi', 'reaktori']);
+      expect(new Date(poll.closesAt).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should reject unknown menus, too few options and bad closing times', async () => {
+      await expect(pollService.createPoll(menus, { menuIds: ['hertsi', 'linna'] }))
+        .rejects.toThrow('Unknown menu: linna');
+      await expect(pollService.createPoll(menus, { menuIds: ['hertsi'] }))
+        .rejects.toThrow('A poll needs at least 2 menus');
+      await expect(pollService.createPoll(menus, { closesInMinutes: 0 }))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    test('should prune polls older than the retention period', async () => {
+      const poll = await pollService.createPoll(menus);
+      const old = new Poll({ ...poll.toJSON(), id: 'old-poll-1', createdAt: '2020-01-01T10:00:00.000Z' });
+      await pollService.savePoll(old);
+
+      expect(await pollService.pruneExpiredPolls()).toBe(1);
+      expect(await pollService.getPoll('old-poll-1')).toBeNull();
+      expect(await pollService.getPoll(poll.id)).not.toBeNull();
+    });
+  });
+
+  describe('Voting', () => {
+    test('should record votes and replace a participant\'s earlier vote', async () => {
+      const { id } = await pollService.createPoll(menus);
+
+      await pollService.castVote(id, 'Aino', 'hertsi');
+      await pollService.castVote(id, 'Eero', 'newton');
+      const poll = await pollService.castVote(id, ' aino ', 'newton');
+
+      expect(poll.votes.map(vote => [vote.participant, vote.optionId])).toEqual([
+        ['Eero', 'newton'],
+        ['aino', 'newton'],
+      ]);
+      expect(poll.getTally().map(entry => entry.votes)).toEqual([0, 2, 0]);
+    });
+
+    test('should not lose concurrent votes', async () => {
+      const { id } = await pollService.createPoll(menus);
+
+      await Promise.all(['A', 'B', 'C', 'D', 'E'].map(name => pollService.castVote(id, name, 'reaktori')));
+
+      const poll = await pollService.getPoll(id);
+      expect(poll.votes).toHaveLength(5);
+    });
+
+    test('should reject unknown options and empty names', async () => {
+      const { id } = await pollService.createPoll(menus);
+
+      await expect(pollService.castVote(id, 'Aino', 'linna')).rejects.toThrow('Unknown option: linna');
+      await expect(pollService.castVote(id, '  ', 'hertsi')).rejects.toThrow('Invalid participant');
+    });
+
+    test('should return null for unknown or malformed poll IDs', async () => {
+      expect(await pollService.castVote('missing-poll', 'Aino', 'hertsi')).toBeNull();
+      expect(await pollService.getPoll('../../etc/passwd')).toBeNull();
+    });
+
+    test('should refuse votes once the poll has closed', () => {
+      const poll = new Poll({
+        id: 'closed-poll',
+        date: '2025-09-18',
+        options: [{ id: 'hertsi' }, { id: 'newton' }],
+        closesAt: '2025-09-18T09:00:00.000Z',
+      });
+
+      expect(poll.isClosed()).toBe(true);
+      expect(() => poll.castVote('Aino', 'hertsi')).toThrow(expect.objectContaining({
+        name: 'PollClosedError',
+        message: 'Poll closed-poll is closed',
+        closesAt: '2025-09-18T09:00:00.000Z',
+      }));
+    });
+  });
+
+  describe('Results', () => {
+    test('should have no winner without votes', async () => {
+      const poll = await pollService.createPoll(menus);
+
+      expect(pollService.getResults(poll)).toMatchObject({
+        totalVotes: 0,
+        winner: null,
+        tieBreak: null,
+        isClosed: false,
+      });
+    });
+
+    test('should pick the option with most votes', async () => {
+      const { id } = await pollService.createPoll(menus);
+      await pollService.castVote(id, 'Aino', 'newton');
+      await pollService.castVote(id, 'Eero', 'newton');
+      const poll = await pollService.castVote(id, 'Liisa', 'hertsi');
+
+      const results = pollService.getResults(poll);
+      expect(results.winner).toEqual({ id: 'newton', title: 'Newton', votes: 2 });
+      expect(results.tieBreak).toBeNull();
+      expect(results.tally[1].voters).toEqual(['Aino', 'Eero']);
+    });
+
+    test('should break ties at random among the leaders, consistently between reads', async () => {
+      const { id } = await pollService.createPoll(menus);
+      await pollService.castVote(id, 'Aino', 'hertsi');
+      const poll = await pollService.castVote(id, 'Eero', 'reaktori');
+
+      const results = pollService.getResults(poll);
+      expect(results.tieBreak).toEqual({ method: 'random', tiedOptionIds: ['hertsi', 'reaktori'] });
+      expect(['hertsi', 'reaktori']).toContain(results.winner.id);
+
+      const reread = pollService.getResults(await pollService.getPoll(id));
+      expect(reread.winner).toEqual(results.winner);
+    });
+
+    test('should use RandomSelectionService for the tie-break', async () => {
+      const { id } = await pollService.createPoll(menus);
+      await pollService.castVote(id, 'Aino', 'hertsi');
+      const poll = await pollService.castVote(id, 'Eero', 'reaktori');
+      const spy = jest.spyOn(pollService.randomSelectionService, 'generateRandomIndex').mockReturnValue(1);
+
+      expect(pollService.getResults(poll).winner.id).toBe('reaktori');
+      expect(spy).toHaveBeenCalledWith(2, expect.any(Function));
+    });
+  });
+});
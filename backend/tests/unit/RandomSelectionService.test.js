@@ -0,0 +1,240 @@
+/**
+ * RandomSelectionService Unit Tests
+ * Tests weighted random selection and its weight breakdown, seeded
+ * selection, unbiased indices and the randomness test
+ */
+
+const RandomSelectionService = require('../../src/services/RandomSelectionService');
+const Menu = require('../../src/models/Menu');
+const MenuItem = require('../../src/models/MenuItem');
+const Restaurant = require('../../src/models/Restaurant');
+const SelectionCriteria = require('../../src/models/SelectionCriteria');
+
+const createMenu = (title, prices, source = 'unisafka-tty') => Object.assign(
+  Menu.fromScrapedData({
+    title,
+    items: prices.map((price, index) => MenuItem.fromScrapedData({ name: `${title} ${index + 1}`, price })),
+  }),
+  { source }
+);
+
+describe('RandomSelectionService', () => {
+  let randomSelectionService;
+
+  beforeEach(() => {
+    randomSelectionService = new RandomSelectionService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Weighted selection', () => {
+    const menus = [
+      createMenu('Hertsi', ['€2.00', '€2.00']),
+      createMenu('Reaktori', ['€6.00']),
+      createMenu('Newton', ['']),
+    ];
+
+    test('should explain each candidate weight', () => {
+      const reaktori = Restaurant.fromConfig('Reaktori', { source: 'unisafka-tty' });
+
+      const candidates = randomSelectionService.calculateMenuWeights(menus, {
+        itemCountBonus: 0.5,
+        priceBonus: 3,
+        favouriteRestaurants: [reaktori],
+        favouriteBonus: 2,
+      });
+
+      expect(candidates).toEqual([
+        {
+          menuId: 'hertsi',
+          menuTitle: 'Hertsi',
+          weight: 4,
+          breakdown: { base: 1, itemCount: 1, dietary: 0, availability: 0, price: 2, favourite: 0 },
+        },
+        {
+          menuId: 'reaktori',
+          menuTitle: 'Reaktori',
+          weight: 3.5,
+          breakdown: { base: 1, itemCount: 0.5, dietary: 0, availability: 0, price: 0, favourite: 2 },
+        },
+        {
+          menuId: 'newton',
+          menuTitle: 'Newton',
+          weight: 1.5,
+          breakdown: { base: 1, itemCount: 0.5, dietary: 0, availability: 0, price: 0, favourite: 0 },
+        },
+      ]);
+    });
+
+    test('should keep a minimum weight for every menu', () => {
+      const candidates = randomSelectionService.calculateMenuWeights(menus, { baseWeight: 0 });
+
+      expect(candidates.map(candidate => candidate.weight)).toEqual([0.1, 0.1, 0.1]);
+    });
+
+    test('should pick menus in proportion to their weights with crypto randomness', () => {
+      const mathSpy = jest.spyOn(Math, 'random');
+      const fractions = [0, 0.42, 0.43, 0.99];
+      jest.spyOn(randomSelectionService, 'generateRandomFraction').mockImplementation(() => fractions.shift());
+      const weights = { itemCountBonus: 0.5, priceBonus: 1.5 };
+
+      // Weights 3, 1.5 and 1.5 split [0, 1) at 0.5 and 0.75
+      const picks = [0, 1, 2, 3].map(() =>
+        randomSelectionService.selectWeightedRandomMenu(menus, weights).selectedMenu.id
+      );
+
+      expect(picks).toEqual(['hertsi', 'hertsi', 'hertsi', 'newton']);
+      expect(mathSpy).not.toHaveBeenCalled();
+    });
+
+    test('should report the probability of every candidate', () => {
+      const result = randomSelectionService.selectWeightedRandomMenu(menus, { itemCountBonus: 0.5, priceBonus: 1.5 });
+
+      expect(result.candidates.map(candidate => candidate.probability)).toEqual([0.5, 0.25, 0.25]);
+      expect(result.selectionWeight).toBe(
+        result.candidates.find(candidate => candidate.menuId === result.selectedMenu.id).weight
+      );
+    });
+
+    test('should return random fractions in [0, 1)', () => {
+      for (let i = 0; i < 100; i++) {
+        const fraction = randomSelectionService.generateRandomFraction();
+        expect(fraction).toBeGreaterThanOrEqual(0);
+        expect(fraction).toBeLessThan(1);
+      }
+    });
+  });
+
+  describe('Seeded selection', () => {
+    const menus = ['Hertsi', 'Reaktori', 'Newton', 'Konehuone', 'Linna', 'Minerva'].map(title =>
+      createMenu(title, ['€2.70', '€3.50'])
+    );
+    const criteria = new SelectionCriteria();
+
+    test('should pick the same menu and meal for the same seed and menus', () => {
+      const picks = new Set();
+      const meals = new Set();
+
+      for (let i = 0; i < 10; i++) {
+        const service = new RandomSelectionService();
+        picks.add(service.selectRandomMenuByCriteria(menus, criteria, { seed: 'demo' }).selectedMenu.id);
+        meals.add(service.selectRandomMealByCriteria(menus, criteria, { seed: 'demo' }).selectedMeal.name);
+      }
+
+      expect(picks.size).toBe(1);
+      expect(meals.size).toBe(1);
+    });
+
+    test('should pick differently for different seeds', () => {
+      const picks = new Set(
+        Array.from({ length: 20 }, (_, seed) =>
+          randomSelectionService.selectRandomMenuByCriteria(menus, criteria, { seed: String(seed) }).selectedMenu.id
+        )
+      );
+
+      expect(picks.size).toBeGreaterThan(1);
+    });
+
+    test('should reproduce a whole series of selections', () => {
+      const series = () => randomSelectionService
+        .createMultipleSelections(menus, 8, { seed: 'series' })
+        .selections.map(selection => selection.menuId);
+
+      const first = series();
+
+      expect(series()).toEqual(first);
+      expect(new Set(first).size).toBeGreaterThan(1);
+    });
+
+    test('should stay crypto-random without a seed', () => {
+      const mathSpy = jest.spyOn(Math, 'random');
+
+      expect(randomSelectionService.createRandomSource(null)).toBeNull();
+      randomSelectionService.selectRandomMenuByCriteria(menus, criteria);
+
+      expect(mathSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Unbiased indices', () => {
+    test('should draw again when a value falls in the biased remainder', () => {
+      // 2^32 % 3 = 1, so 4294967295 is the only value that has to be redrawn
+      const values = [4294967295, 4294967294];
+      const drawSpy = jest.spyOn(randomSelectionService, 'generateRandomUint32').mockImplementation(() => values.shift());
+
+      expect(randomSelectionService.generateRandomIndex(3)).toBe(4294967294 % 3);
+      expect(drawSpy).toHaveBeenCalledTimes(2);
+    });
+
+    test('should accept every value when max divides the range', () => {
+      const drawSpy = jest.spyOn(randomSelectionService, 'generateRandomUint32').mockReturnValue(4294967295);
+
+      expect(randomSelectionService.generateRandomIndex(4)).toBe(3);
+      expect(drawSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep seeded indices in range', () => {
+      const random = randomSelectionService.createRandomSource('range');
+
+      for (let i = 0; i < 200; i++) {
+        const index = randomSelectionService.generateRandomIndex(7, random);
+        expect(index).toBeGreaterThanOrEqual(0);
+        expect(index).toBeLessThan(7);
+      }
+    });
+  });
+
+  describe('Randomness test', () => {
+    const menus = ['Hertsi', 'Reaktori', 'Newton', 'Konehuone'].map(title => createMenu(title, ['€2.70']));
+
+    test('should report a chi-square test and confidence intervals for every menu', () => {
+      const result = randomSelectionService.testRandomness(menus, 400);
+
+      expect(result.chiSquare).toEqual({
+        statistic: expect.any(Number),
+        degreesOfFreedom: 3,
+        pValue: expect.any(Number),
+        significanceLevel: 0.05,
+      });
+      expect(result.isRandom).toBe(result.chiSquare.pValue >= 0.05);
+      expect(result.menus).toHaveLength(4);
+      result.menus.forEach(menu => {
+        expect(menu.expectedProportion).toBe(0.25);
+        expect(menu.confidenceInterval.level).toBe(0.95);
+        expect(menu.confidenceInterval.lower).toBeLessThanOrEqual(menu.proportion);
+        expect(menu.confidenceInterval.upper).toBeGreaterThanOrEqual(menu.proportion);
+      });
+      expect(Object.values(result.actualFrequencies).reduce((sum, count) => sum + count, 0)).toBe(400);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should fail a biased selection, including menus never picked', () => {
+      jest.spyOn(randomSelectionService, 'generateRandomIndex').mockReturnValue(0);
+
+      const result = randomSelectionService.testRandomness(menus, 100);
+
+      expect(result.isRandom).toBe(false);
+      expect(result.chiSquare.pValue).toBe(0);
+      expect(result.actualFrequencies).toEqual({ hertsi: 100, reaktori: 0, newton: 0, konehuone: 0 });
+    });
+
+    test('should warn when too few iterations are run', () => {
+      const result = randomSelectionService.testRandomness(menus, 12);
+
+      expect(result.warnings[0]).toContain('needs at least 5');
+    });
+
+    test('should leave the selection history untouched', () => {
+      randomSelectionService.selectRandomMenu(menus);
+      const history = randomSelectionService.getSelectionHistory();
+      const lastSelection = randomSelectionService.getLastSelection();
+
+      randomSelectionService.testRandomness(menus, 50);
+
+      expect(randomSelectionService.getSelectionHistory()).toEqual(history);
+      expect(randomSelectionService.getLastSelection()).toBe(lastSelection);
+    });
+  });
+});
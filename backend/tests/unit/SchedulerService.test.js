@@ -0,0 +1,126 @@
+/**
+ * SchedulerService Unit Tests
+ * Tests run times, weekend skipping and retries of scheduled scrapes
+ */
+
+const SchedulerService = require('../../src/services/SchedulerService');
+const ScrapingResult = require('../../src/models/ScrapingResult');
+
+const scrapeFailure = (message) => {
+  const error = new Error(message);
+  error.scrapingResult = ScrapingResult.createFailure(message, 'https://unisafka.fi/tty/', 10);
+  return error;
+};
+
+describe('SchedulerService', () => {
+  let menuService;
+  let scheduler;
+
+  beforeEach(() => {
+    menuService = {
+      prewarmCache: jest.fn().mockResolvedValue({
+        result: ScrapingResult.createSuccess(4, 'https://unisafka.fi/tty/', 10),
+      }),
+    };
+    scheduler = new SchedulerService(menuService, { times: ['10:30', '06:00'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('Run times', () => {
+    test('should pick the next configured Helsinki time', () => {
+      // 05:00 and 08:00 in Helsinki (UTC+3)
+      expect(scheduler.getNextRunTime(new Date('2025-09-19T02:00:00Z')).toISOString()).toBe(
+        '2025-09-19T03:00:00.000Z'
+      );
+      expect(scheduler.getNextRunTime(new Date('2025-09-19T05:00:00Z')).toISOString()).toBe(
+        '2025-09-19T07:30:00.000Z'
+      );
+    });
+
+    test('should skip weekends when configured', () => {
+      const friday = new Date('2025-09-19T09:00:00Z');
+
+      expect(scheduler.getNextRunTime(friday).toISOString()).toBe('2025-09-20T03:00:00.000Z');
+
+      scheduler.skipWeekends = true;
+      expect(scheduler.getNextRunTime(friday).toISOString()).toBe('2025-09-22T03:00:00.000Z');
+    });
+
+    test('should reject malformed times', () => {
+      expect(() => scheduler.setTimes(['6:00'])).toThrow('Invalid schedule time: 6:00. Expected HH:MM');
+      expect(() => scheduler.setTimes([])).toThrow('Scheduler requires at least one time of day');
+    });
+  });
+
+  describe('Scheduled runs', () => {
+    test('should pre-warm the cache at the next run and schedule the following one', async () => {
+      jest.useFakeTimers({ now: new Date('2025-09-19T02:00:00Z') });
+
+      scheduler.start();
+      expect(scheduler.getStatus().nextRun).toBe('2025-09-19T03:00:00.000Z');
+
+      await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+
+      const status = scheduler.getStatus();
+      expect(menuService.prewarmCache).toHaveBeenCalledTimes(1);
+      expect(status.lastRun).toMatchObject({ success: true, attempts: 1, menusFound: 4 });
+      expect(status.nextRun).toBe('2025-09-19T07:30:00.000Z');
+    });
+
+    test('should retry retryable failures with growing suggested delays', async () => {
+      jest.useFakeTimers({ now: new Date('2025-09-19T02:59:00Z') });
+      menuService.prewarmCache
+        .mockRejectedValueOnce(scrapeFailure('Network error: ECONNRESET'))
+        .mockRejectedValueOnce(scrapeFailure('Request timeout after 10000ms'));
+
+      scheduler.start();
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+
+      expect(menuService.prewarmCache).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(menuService.prewarmCache).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(4000);
+      expect(menuService.prewarmCache).toHaveBeenCalledTimes(3);
+
+      const status = scheduler.getStatus();
+      expect(status.lastRun).toMatchObject({ success: true, attempts: 3 });
+      expect(status.recentFailures.map(failure => failure.retryInMs)).toEqual([4000, 5000]);
+      expect(status.recentFailures[0]).toMatchObject({
+        attempt: 2,
+        error: 'Request timeout after 10000ms',
+      });
+    });
+
+    test('should give up on failures that are not retryable', async () => {
+      menuService.prewarmCache.mockRejectedValue(scrapeFailure('Parsing failed: no menus'));
+      scheduler.running = true;
+
+      const run = await scheduler.run();
+
+      expect(run).toMatchObject({ success: false, attempts: 1, error: 'Parsing failed: no menus' });
+      expect(scheduler.getStatus().recentFailures).toHaveLength(1);
+    });
+
+    test('should stop retrying after the configured number of retries', async () => {
+      jest.useFakeTimers();
+      menuService.prewarmCache.mockRejectedValue(scrapeFailure('Network error: ENOTFOUND'));
+      scheduler.maxRetries = 2;
+      scheduler.running = true;
+
+      const runPromise = scheduler.run();
+      await jest.advanceTimersByTimeAsync(5000 + 10000);
+      const run = await runPromise;
+
+      expect(run).toMatchObject({ success: false, attempts: 3 });
+      expect(scheduler.getStatus().recentFailures[0].retryInMs).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * ScrapingService Unit Tests
+ * Tests source registration, fetching and the scraping pipeline (offline)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const ScrapingService = require('../../src/services/ScrapingService');
+const SourceAdapter = require('../../src/adapters/SourceAdapter');
+const Menu = require('../../src/models/Menu');
+
+const loadSnapshot = (name) =>
+  fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'unisafka', name), 'utf8');
+
+describe('ScrapingService', () => {
+  let scrapingService;
+  let weekdayHtml;
+
+  beforeAll(() => {
+    weekdayHtml = loadSnapshot('tty-2025-09-19.html');
+  });
+
+  beforeEach(() => {
+    scrapingService = new ScrapingService();
+    scrapingService.setFixtureMode(false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Source adapters', () => {
+    test('should register the built-in sources', () => {
+      const ids = scrapingService.getAdapters().map(adapter => adapter.id);
+
+      expect(ids).toEqual(['unisafka-tty', 'unisafka-tay', 'juvenes']);
+    });
+
+    test('should enable only unisafka TTY by default', () => {
+      expect(scrapingService.getEnabledAdapters().map(adapter => adapter.id)).toEqual([
+        'unisafka-tty',
+      ]);
+      expect(scrapingService.sourceUrl).toBe('https://unisafka.fi/tty/');
+    });
+
+    test('should reject unknown sources', () => {
+      expect(() => scrapingService.setEnabledSources(['unisafka-tty', 'sodexo'])).toThrow(
+        'Unknown menu source: sodexo'
+      );
+    });
+
+    test('should reject adapters that do not extend SourceAdapter', () => {
+      expect(() => scrapingService.registerAdapter({ id: 'fake', parse: () => [] })).toThrow(
+        'Source adapters must extend SourceAdapter'
+      );
+    });
+
+    test('should register custom adapters side by side', async () => {
+      class StaticAdapter extends SourceAdapter {
+        parse() {
+          return [Menu.fromScrapedData({ title: 'Custom Kitchen', items: [] })];
+        }
+      }
+      scrapingService.registerAdapter(
+        new StaticAdapter({ id: 'custom', name: 'Custom', url: 'http://localhost/custom' })
+      );
+      scrapingService.setEnabledSources(['unisafka-tty', 'custom']);
+      const fetchSpy = jest.spyOn(scrapingService, 'fetchHtml').mockResolvedValue('<html></html>');
+
+      const { menus, result } = await scrapingService.scrapeMenus('custom');
+
+      expect(fetchSpy).toHaveBeenCalledWith('http://localhost/custom');
+      expect(menus.map(menu => menu.title)).toEqual(['Custom Kitchen']);
+      expect(result.source).toBe('http://localhost/custom');
+    });
+
+    test('should use the primary source when parsing HTML directly', () => {
+      const menus = scrapingService.parseMenusFromHtml(weekdayHtml);
+
+      expect(menus).toHaveLength(4);
+    });
+  });
+
+  describe('fetchHtml', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll((done) => {
+      server = http.createServer((req, res) => {
+        if (req.url === '/gzip') {
+          res.writeHead(200, { 'Content-Encoding': 'gzip' });
+          res.end(zlib.gzipSync(weekdayHtml));
+        } else if (req.url === '/missing') {
+          res.writeHead(404);
+          res.end();
+        } else {
+          res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+          res.end(weekdayHtml);
+        }
+      });
+      server.listen(0, () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    test('should return plain HTML bodies', async () => {
+      await expect(scrapingService.fetchHtml(`${baseUrl}/plain`)).resolves.toBe(weekdayHtml);
+    });
+
+    test('should decompress gzip encoded bodies', async () => {
+      await expect(scrapingService.fetchHtml(`${baseUrl}/gzip`)).resolves.toBe(weekdayHtml);
+    });
+
+    test('should reject on non-2xx status codes', async () => {
+      await expect(scrapingService.fetchHtml(`${baseUrl}/missing`)).rejects.toThrow('HTTP 404');
+    });
+  });
+
+  describe('scrapeMenus', () => {
+    test('should fetch the source URL and parse the returned HTML', async () => {
+      const fetchSpy = jest
+        .spyOn(scrapingService, 'fetchHtml')
+        .mockResolvedValue(weekdayHtml);
+
+      const { menus, result } = await scrapingService.scrapeMenus();
+
+      expect(fetchSpy).toHaveBeenCalledWith('https://unisafka.fi/tty/');
+      expect(menus).toHaveLength(4);
+      expect(result.success).toBe(true);
+      expect(result.menusFound).toBe(4);
+    });
+
+    test('should report failure without falling back to static menus', async () => {
+      jest
+        .spyOn(scrapingService, 'fetchHtml')
+        .mockRejectedValue(new Error('Network error: getaddrinfo ENOTFOUND'));
+
+      const { menus, result } = await scrapingService.scrapeMenus();
+
+      expect(menus).toEqual([]);
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Network error');
+      expect(result.isRetryable()).toBe(true);
+    });
+
+    test('should serve static menus only in fixture mode', async () => {
+      const fetchSpy = jest.spyOn(scrapingService, 'fetchHtml');
+      scrapingService.setFixtureMode(true);
+
+      const { menus, result } = await scrapingService.scrapeMenus();
+
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(menus.map(menu => menu.title)).toEqual([
+        'Hertsi',
+        'Newton',
+        'Café Konehuone',
+        'Reaktori',
+      ]);
+      expect(result.success).toBe(true);
+    });
+
+    test('should scrape every published day with scrapeWeek', async () => {
+      jest
+        .spyOn(scrapingService, 'fetchHtml')
+        .mockResolvedValue(loadSnapshot('tty-week-2025-09-15.html'));
+
+      const { days, result } = await scrapingService.scrapeWeek('unisafka-tty', '2025-09-17');
+
+      expect(Object.keys(days)).toHaveLength(7);
+      expect(result.success).toBe(true);
+      expect(result.menusFound).toBe(12);
+    });
+
+    test('should report days skipped for an invalid date as warnings', async () => {
+      jest
+        .spyOn(scrapingService, 'fetchHtml')
+        .mockResolvedValue(loadSnapshot('tty-week-2025-09-15.html').replace('data-date="2025-09-16"', 'data-date="16.9."'));
+
+      const { days, result } = await scrapingService.scrapeWeek('unisafka-tty', '2025-09-17');
+
+      expect(Object.keys(days)).not.toContain('16.9.');
+      expect(result.success).toBe(true);
+      expect(result.warnings).toContain('Skipped a day with invalid date "16.9." on https://unisafka.fi/tty/');
+    });
+
+    test('should serve fixture menus for every day of the week in fixture mode', async () => {
+      scrapingService.setFixtureMode(true);
+
+      const { days } = await scrapingService.scrapeWeek('unisafka-tty', '2025-09-17');
+
+      expect(Object.keys(days)[0]).toBe('2025-09-15');
+      expect(Object.keys(days)[6]).toBe('2025-09-21');
+      expect(days['2025-09-20']).toHaveLength(4);
+    });
+
+    test('should map diet codes to tags and keep the original codes', async () => {
+      jest.spyOn(scrapingService, 'fetchHtml').mockResolvedValue(weekdayHtml);
+
+      const { menus, result } = await scrapingService.scrapeMenus();
+      const items = menus.flatMap(menu => menu.items);
+      const garlicItem = items.find(item => item.dietary.includes('contains-fresh-garlic'));
+
+      expect(garlicItem.dietCodes).toContainEqual({ code: 'VS', tag: 'contains-fresh-garlic' });
+      expect(items.every(item => item.dietary.length === item.dietCodes.length)).toBe(true);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should report unknown diet codes as warnings instead of tags', async () => {
+      scrapingService.setFixtureMode(true);
+
+      const { days, result } = await scrapingService.scrapeWeek('unisafka-tty', '2025-09-17');
+      const favorites = days['2025-09-17']
+        .flatMap(menu => menu.items)
+        .find(item => item.name === 'From our favorites 1');
+
+      expect(favorites.dietary).toEqual(['lactose-free']);
+      expect(result.warnings).toEqual([
+        'Unknown diet code "1KPL/PCANN." in Hertsi: From our favorites 1',
+      ]);
+    });
+
+    test('should expose fixture mode in configuration', () => {
+      expect(scrapingService.getConfig().fixtureMode).toBe(false);
+      scrapingService.setFixtureMode(true);
+      expect(scrapingService.getConfig().fixtureMode).toBe(true);
+    });
+  });
+});
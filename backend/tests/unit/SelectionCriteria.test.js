@@ -0,0 +1,196 @@
+/**
+ * SelectionCriteria Unit Tests
+ * Tests query parsing, item and menu matching, and criteria-based random
+ * selection
+ */
+
+const SelectionCriteria = require('../../src/models/SelectionCriteria');
+const Menu = require('../../src/models/Menu');
+const MenuItem = require('../../src/models/MenuItem');
+const RandomSelectionService = require('../../src/services/RandomSelectionService');
+
+const createItem = (name, { dietary = [], allergens = [], price = '€3.50', nutrition = null } = {}) =>
+  MenuItem.fromScrapedData({ name, dietary, allergens, price, nutrition });
+
+const createMenu = (title, items) => Menu.fromScrapedData({ title, items });
+
+describe('SelectionCriteria', () => {
+  describe('Query parsing', () => {
+    test('should default to no filters', () => {
+      const criteria = SelectionCriteria.fromQuery({});
+
+      expect(criteria.toJSON()).toEqual({
+        dietary: [],
+        excludeAllergens: [],
+        maxPrice: null,
+        priceTier: 'student',
+        restaurants: [],
+        openNow: false,
+        avoidRecent: 0,
+        lowCarbon: false,
+        highProtein: false,
+      });
+      expect(criteria.hasItemFilters()).toBe(false);
+    });
+
+    test('should resolve diet codes, allergen names and numbers', () => {
+      const criteria = SelectionCriteria.fromQuery({
+        dietary: 'G, vegan,VEG',
+        excludeAllergens: 'dairy,pähkinä',
+        maxPrice: '3,50',
+        priceTier: 'Staff',
+        restaurant: 'Reaktori,newton',
+        openNow: 'true',
+        avoidRecent: '3',
+        lowCarbon: 'yes',
+        highProtein: '1',
+      });
+
+      expect(criteria.toJSON()).toEqual({
+        dietary: ['gluten-free', 'vegan'],
+        excludeAllergens: ['milk', 'nuts'],
+        maxPrice: 3.5,
+        priceTier: 'staff',
+        restaurants: ['reaktori', 'newton'],
+        openNow: true,
+        avoidRecent: 3,
+        lowCarbon: true,
+        highProtein: true,
+      });
+    });
+
+    test('should report every invalid parameter in one validation error', () => {
+      let error;
+      try {
+        SelectionCriteria.fromQuery({
+          dietary: 'keto',
+          excludeAllergens: 'garlic',
+          maxPrice: 'cheap',
+          priceTier: 'vip',
+          openNow: 'sometimes',
+          avoidRecent: '11',
+          lowCarbon: 'maybe',
+        });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.name).toBe('ValidationError');
+      expect(error.message).toContain('Unknown dietary requirement: keto');
+      expect(error.message).toContain('Unknown allergen: garlic');
+      expect(error.message).toContain('Invalid maxPrice: cheap');
+      expect(error.message).toContain('Invalid priceTier: vip. Expected one of: student, staff, guest');
+      expect(error.message).toContain('Invalid openNow: sometimes');
+      expect(error.message).toContain('Invalid avoidRecent: 11');
+      expect(error.message).toContain('Invalid lowCarbon: maybe');
+    });
+
+    test('should reject negative and zero prices', () => {
+      expect(() => SelectionCriteria.fromQuery({ maxPrice: '0' })).toThrow('Invalid maxPrice: 0');
+      expect(() => SelectionCriteria.fromQuery({ maxPrice: '-2' })).toThrow('Invalid maxPrice: -2');
+    });
+  });
+
+  describe('Matching', () => {
+    test('should require every dietary tag, accepting stricter diets', () => {
+      const criteria = new SelectionCriteria({ dietary: ['vegetarian', 'milk-free'] });
+
+      expect(criteria.matchesItem(createItem('Tofu', { dietary: ['vegan'] }))).toBe(true);
+      expect(criteria.matchesItem(createItem('Omelette', { dietary: ['vegetarian'] }))).toBe(false);
+    });
+
+    test('should exclude items that contain or may contain the allergens', () => {
+      const criteria = new SelectionCriteria({ excludeAllergens: ['nuts'] });
+
+      expect(criteria.matchesItem(createItem('Salad', { allergens: ['may contain nuts'] }))).toBe(false);
+      expect(criteria.matchesItem(createItem('Rice', { allergens: ['free of nuts'] }))).toBe(true);
+    });
+
+    test('should exclude items above the maximum price or without a price', () => {
+      const criteria = new SelectionCriteria({ maxPrice: 3 });
+
+      expect(criteria.matchesItem(createItem('Soup', { price: '€2.50' }))).toBe(true);
+      expect(criteria.matchesItem(createItem('Steak', { price: '€8.90' }))).toBe(false);
+      expect(criteria.matchesItem(createItem('Bread', { price: '' }))).toBe(false);
+    });
+
+    test('should compare the maximum price with the price of the tier', () => {
+      const prices = { currency: 'EUR', student: 2.95, staff: 5.7, guest: null };
+      const item = MenuItem.fromScrapedData({ name: 'Salmon Soup', price: '€2.95', prices });
+
+      expect(new SelectionCriteria({ maxPrice: 3 }).matchesItem(item)).toBe(true);
+      expect(new SelectionCriteria({ maxPrice: 3, priceTier: 'staff' }).matchesItem(item)).toBe(false);
+      expect(new SelectionCriteria({ maxPrice: 10, priceTier: 'guest' }).matchesItem(item)).toBe(false);
+    });
+
+    test('should keep low-carbon and high-protein items', () => {
+      const lowCarbon = new SelectionCriteria({ lowCarbon: true });
+      const highProtein = new SelectionCriteria({ highProtein: true });
+      const lentils = createItem('Lentil Stew', { nutrition: { co2e: 0.32, protein: 18 } });
+      const steak = createItem('Steak', { nutrition: { co2e: 3.9, protein: 41 } });
+
+      expect(lowCarbon.matchesItem(lentils)).toBe(true);
+      expect(lowCarbon.matchesItem(steak)).toBe(false);
+      expect(lowCarbon.matchesItem(createItem('Pasta'))).toBe(false);
+      expect(highProtein.matchesItem(steak)).toBe(true);
+      expect(highProtein.matchesItem(lentils)).toBe(false);
+      expect(highProtein.hasItemFilters()).toBe(true);
+    });
+
+    test('should keep only matching items and open menus', () => {
+      const open = createMenu('Hertsi', [createItem('Soup', { dietary: ['gluten-free'] }), createItem('Pasta')]);
+      const closed = createMenu('Reaktori', [createItem('Curry', { dietary: ['gluten-free'] })]);
+      jest.spyOn(open, 'isCurrentlyAvailable').mockReturnValue(true);
+      jest.spyOn(closed, 'isCurrentlyAvailable').mockReturnValue(false);
+
+      const menus = new SelectionCriteria({ dietary: ['gluten-free'], openNow: true }).filterMenus([open, closed]);
+
+      expect(menus.map(menu => menu.title)).toEqual(['Hertsi']);
+      expect(menus[0].items.map(item => item.name)).toEqual(['Soup']);
+      expect(open.items).toHaveLength(2);
+    });
+  });
+
+  describe('Random selection', () => {
+    let randomSelectionService;
+
+    beforeEach(() => {
+      randomSelectionService = new RandomSelectionService();
+    });
+
+    test('should only pick meals matching the criteria', () => {
+      const menus = [
+        createMenu('Hertsi', [createItem('Salmon', { allergens: ['contains fish'] }), createItem('Soup', { dietary: ['vegan'] })]),
+        createMenu('Reaktori', [createItem('Steak', { price: '€9.00' })]),
+      ];
+      const criteria = new SelectionCriteria({ excludeAllergens: ['fish'], maxPrice: 5 });
+
+      for (let i = 0; i < 20; i++) {
+        const result = randomSelectionService.selectRandomMealByCriteria(menus, criteria);
+        expect(result.selectedMeal.name).toBe('Soup');
+        expect(result.totalMealsAvailable).toBe(1);
+      }
+    });
+
+    test('should avoid recently selected menus while others remain', () => {
+      const menus = ['Hertsi', 'Reaktori', 'Newton'].map(title => createMenu(title, [createItem('Lunch')]));
+      const criteria = new SelectionCriteria({ avoidRecent: 2 });
+
+      for (let i = 0; i < 10; i++) {
+        const recent = randomSelectionService.historyService.getRecent('client-a1', 2);
+        const { selectedMenu } = randomSelectionService.selectRandomMenuByCriteria(menus, criteria, {
+          clientId: 'client-a1',
+        });
+        expect(recent).not.toContain(selectedMenu.id);
+      }
+    });
+
+    test('should fail when no menu matches the criteria', () => {
+      const menus = [createMenu('Hertsi', [createItem('Steak', { price: '€9.00' })])];
+
+      expect(() =>
+        randomSelectionService.selectRandomMenuByCriteria(menus, new SelectionCriteria({ maxPrice: 4 }))
+      ).toThrow('No menus available matching the selection criteria');
+    });
+  });
+});
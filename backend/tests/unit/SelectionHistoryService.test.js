@@ -0,0 +1,104 @@
+/**
+ * SelectionHistoryService Unit Tests
+ * Tests per-client selection histories, their expiry and anti-repeat
+ * scoped to one client
+ */
+
+const SelectionHistoryService = require('../../src/services/SelectionHistoryService');
+const RandomSelectionService = require('../../src/services/RandomSelectionService');
+const Menu = require('../../src/models/Menu');
+
+describe('SelectionHistoryService', () => {
+  let historyService;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-09-18T09:00:00Z') });
+    historyService = new SelectionHistoryService({ ttlMs: 60 * 1000, maxHistorySize: 3 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should keep a separate history for each client', () => {
+    historyService.record('client-a1', 'hertsi');
+    historyService.record('client-b2', 'reaktori');
+    historyService.record('client-a1', 'newton');
+
+    expect(historyService.getHistory('client-a1')).toEqual(['hertsi', 'newton']);
+    expect(historyService.getHistory('client-b2')).toEqual(['reaktori']);
+    expect(historyService.getHistory('client-c3')).toEqual([]);
+  });
+
+  test('should keep only the latest selections', () => {
+    ['hertsi', 'reaktori', 'newton', 'konehuone'].forEach(menuId => historyService.record('client-a1', menuId));
+
+    expect(historyService.getHistory('client-a1')).toEqual(['reaktori', 'newton', 'konehuone']);
+    expect(historyService.getRecent('client-a1', 2)).toEqual(['newton', 'konehuone']);
+    expect(historyService.getRecent('client-a1', 0)).toEqual([]);
+  });
+
+  test('should expire histories after the TTL without selections', () => {
+    historyService.record('client-a1', 'hertsi');
+    jest.advanceTimersByTime(45 * 1000);
+    historyService.record('client-a1', 'newton');
+    jest.advanceTimersByTime(45 * 1000);
+
+    expect(historyService.getHistory('client-a1')).toEqual(['hertsi', 'newton']);
+
+    jest.advanceTimersByTime(15 * 1000);
+
+    expect(historyService.getHistory('client-a1')).toEqual([]);
+  });
+
+  test('should drop expired clients when recording', () => {
+    historyService.record('client-a1', 'hertsi');
+    jest.advanceTimersByTime(61 * 1000);
+    historyService.record('client-b2', 'newton');
+
+    expect(historyService.getConfig().activeClients).toBe(1);
+  });
+
+  test('should drop the least recently active clients beyond the maximum', () => {
+    historyService = new SelectionHistoryService({ ttlMs: 60 * 1000, maxClients: 2 });
+
+    historyService.record('client-a1', 'hertsi');
+    historyService.record('client-b2', 'reaktori');
+    historyService.record('client-a1', 'newton');
+    historyService.record('client-c3', 'konehuone');
+
+    expect(historyService.getHistory('client-b2')).toEqual([]);
+    expect(historyService.getHistory('client-a1')).toEqual(['hertsi', 'newton']);
+    expect(historyService.getHistory('client-c3')).toEqual(['konehuone']);
+    expect(historyService.getConfig()).toMatchObject({ maxClients: 2, activeClients: 2 });
+  });
+
+  describe('Anti-repeat', () => {
+    const menus = ['Hertsi', 'Reaktori', 'Newton', 'Konehuone'].map(title => Menu.fromScrapedData({ title, items: [] }));
+    let randomSelectionService;
+
+    beforeEach(() => {
+      randomSelectionService = new RandomSelectionService(historyService);
+    });
+
+    test('should only avoid what the same client was shown', () => {
+      const picks = [];
+
+      for (let i = 0; i < 3; i++) {
+        picks.push(randomSelectionService.selectRandomMenuWithAntiRepeat(menus, 3, { clientId: 'client-a1' }).selectedMenu.id);
+        // Another client's selections must not narrow this client's choices
+        randomSelectionService.selectRandomMenu(menus, { clientId: 'client-b2' });
+      }
+      picks.push(randomSelectionService.selectRandomMenuWithAntiRepeat(menus, 3, { clientId: 'client-a1' }).selectedMenu.id);
+
+      expect(new Set(picks).size).toBe(4);
+    });
+
+    test('should not use any history for anonymous callers', () => {
+      randomSelectionService.selectRandomMenu(menus, { clientId: 'client-a1' });
+
+      expect(randomSelectionService.getRecentSelections(null, 3)).toEqual([]);
+      expect(randomSelectionService.getSelectionHistory()).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * UnisafkaAdapter Unit Tests
+ * Tests the unisafka.fi parser against saved HTML snapshots (offline)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const UnisafkaAdapter = require('../../src/adapters/UnisafkaAdapter');
+const Menu = require('../../src/models/Menu');
+
+const loadSnapshot = (name) =>
+  fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'unisafka', name), 'utf8');
+
+describe('UnisafkaAdapter', () => {
+  let ttyAdapter;
+  let tayAdapter;
+  let weekdayHtml;
+  let weekendHtml;
+  let weekHtml;
+
+  beforeAll(() => {
+    weekdayHtml = loadSnapshot('tty-2025-09-19.html');
+    weekendHtml = loadSnapshot('tty-2025-09-20.html');
+    weekHtml = loadSnapshot('tty-week-2025-09-15.html');
+  });
+
+  beforeEach(() => {
+    ttyAdapter = new UnisafkaAdapter({
+      id: 'unisafka-tty',
+      name: 'Unisafka TTY',
+      url: 'https://unisafka.fi/tty/',
+      campus: 'hervanta',
+      restaurants: ['Hertsi', 'Newton', 'Café Konehuone', 'Reaktori'],
+    });
+    tayAdapter = new UnisafkaAdapter({
+      id: 'unisafka-tay',
+      name: 'Unisafka TAY',
+      url: 'https://unisafka.fi/tay/',
+      campus: 'keskusta',
+      restaurants: ['Minerva', 'Pinni'],
+    });
+  });
+
+  describe('Parsing TTY weekday snapshot', () => {
+    test('should find one menu per open restaurant', () => {
+      const menus = ttyAdapter.parse(weekdayHtml);
+
+      expect(menus.map(menu => menu.title)).toEqual([
+        'Hertsi',
+        'Newton',
+        'Café Konehuone',
+        'Reaktori',
+      ]);
+      menus.forEach(menu => expect(menu).toBeInstanceOf(Menu));
+    });
+
+    test('should skip closed restaurants and site navigation', () => {
+      const menus = ttyAdapter.parse(weekdayHtml);
+      const titles = menus.map(menu => menu.title);
+
+      expect(titles).not.toContain('Tullintori');
+      expect(titles.some(title => title.startsWith('Menu '))).toBe(false);
+    });
+
+    test('should parse each meal exactly once', () => {
+      const menus = ttyAdapter.parse(weekdayHtml);
+      const hertsi = menus.find(menu => menu.title === 'Hertsi');
+
+      expect(hertsi.items.map(item => item.name)).toEqual([
+        'FROM THE FIELD-VEGAN',
+        'From our favorites 1',
+        'From our favorites 2',
+        'FROM THE SOUP BOWL',
+      ]);
+    });
+
+    test('should extract description, price and diet codes for a meal', () => {
+      const menus = ttyAdapter.parse(weekdayHtml);
+      const [vegan] = menus.find(menu => menu.title === 'Hertsi').items;
+
+      expect(vegan.description).toBe(
+        'Chili-roasted butternut squash, organic beans, and rice, hummus made from organic chickpeas, and roasted peanuts'
+      );
+      expect(vegan.price).toBe('€3.50');
+      expect(vegan.dietary).toEqual(['G', 'M']);
+    });
+
+    test('should extract EU allergens named in the meal text', () => {
+      const menus = ttyAdapter.parse(weekdayHtml);
+      const [vegan, , macAndCheese] = menus.find(menu => menu.title === 'Hertsi').items;
+
+      expect(vegan.allergens.map(entry => entry.toJSON())).toEqual([
+        { allergen: 'peanuts', state: 'contains' },
+      ]);
+      expect(vegan.containsAllergen('milk')).toBe(false);
+      expect(macAndCheese.containsAllergen('milk')).toBe(true);
+    });
+
+    test('should normalize Finnish price format', () => {
+      const menus = ttyAdapter.parse(weekdayHtml);
+      const grill = menus
+        .find(menu => menu.title === 'Reaktori')
+        .items.find(item => item.name === 'Pop Up Grill lunch');
+
+      expect(grill.price).toBe('€4.80');
+      expect(grill.getPriceNumeric()).toBe(4.8);
+      expect(grill.prices).toEqual({ currency: 'EUR', student: 4.8, staff: 4.8, guest: 4.8 });
+    });
+
+    test('should read opening hours into availability', () => {
+      const menus = ttyAdapter.parse(weekdayHtml);
+      const reaktori = menus.find(menu => menu.title === 'Reaktori');
+
+      expect(reaktori.availability).toMatchObject({
+        startTime: '10:30',
+        endTime: '13:30',
+      });
+    });
+  });
+
+  describe('Parsing TTY weekend snapshot', () => {
+    test('should return no menus when every restaurant is closed', () => {
+      expect(ttyAdapter.parse(weekendHtml)).toEqual([]);
+    });
+  });
+
+  describe('Parsing TTY week snapshot', () => {
+    test('should parse every day of the week by date', () => {
+      const days = ttyAdapter.parseWeek(weekHtml, '2025-09-17');
+
+      expect(Object.keys(days)).toEqual([
+        '2025-09-15',
+        '2025-09-16',
+        '2025-09-17',
+        '2025-09-18',
+        '2025-09-19',
+        '2025-09-20',
+        '2025-09-21',
+      ]);
+      expect(days['2025-09-18'].map(menu => menu.title)).toEqual(['Hertsi', 'Newton']);
+      expect(days['2025-09-19']).toHaveLength(4);
+      expect(days['2025-09-20']).toEqual([]);
+    });
+
+    test('should skip days with an invalid date and warn about them', () => {
+      const html = weekHtml
+        .replace('data-date="2025-09-16"', 'data-date="../../etc/passwd"')
+        .replace('data-date="2025-09-20"', 'data-date="2025-02-30"');
+      const warnings = [];
+
+      const days = ttyAdapter.parseWeek(html, '2025-09-17', warnings);
+
+      expect(Object.keys(days)).toEqual(['2025-09-15', '2025-09-17', '2025-09-18', '2025-09-19', '2025-09-21']);
+      expect(warnings).toEqual([
+        `Skipped a day with invalid date "../../etc/passwd" on ${ttyAdapter.url}`,
+        `Skipped a day with invalid date "2025-02-30" on ${ttyAdapter.url}`,
+      ]);
+    });
+
+    test('should keep each day to its own meals', () => {
+      const days = ttyAdapter.parseWeek(weekHtml, '2025-09-17');
+      const [thursdayHertsi] = days['2025-09-18'];
+
+      expect(thursdayHertsi.items.map(item => item.description)).toEqual([
+        'Pea Soup and Pancakes for dessert',
+        'Vegan pea soup and oat pancakes',
+      ]);
+    });
+
+    test('should parse only the current day with parse()', () => {
+      const menus = ttyAdapter.parse(weekHtml);
+
+      expect(menus.map(menu => menu.title)).toEqual(['Hertsi', 'Reaktori']);
+      expect(menus[1].items[0].description).toBe('Chickpea and spinach stew');
+    });
+
+    test('should key single-day pages by the reference date', () => {
+      const days = ttyAdapter.parseWeek(weekdayHtml, '2025-09-19');
+
+      expect(Object.keys(days)).toEqual(['2025-09-19']);
+      expect(days['2025-09-19']).toHaveLength(4);
+    });
+  });
+
+  describe('Parsing TAY snapshot', () => {
+    test('should parse the city centre restaurants with the same parser', () => {
+      const menus = tayAdapter.parse(loadSnapshot('tay-2025-09-19.html'));
+
+      expect(menus.map(menu => menu.title)).toEqual(['Minerva', 'Pinni']);
+      expect(menus[0].items.map(item => item.description)).toEqual([
+        'Salmon soup and rye bread',
+        'Chickpea and spinach curry with basmati rice',
+      ]);
+      expect(menus[1].availability).toMatchObject({ startTime: '11:00', endTime: '13:30' });
+    });
+  });
+
+  describe('Nutrition and climate info', () => {
+    const mealHtml = (extra) => `
+      <div class="restaurant" data-restaurant="reaktori">
+        <div class="restaurant-header"><h2 class="restaurant-name">Reaktori</h2></div>
+        <div class="meal">
+          <div class="meal-title">Salmon soup</div>
+          <div class="meal-description">Creamy salmon soup with rye bread</div>
+          <div class="meal-diets">G, L</div>
+          <div class="meal-price">2,95 €</div>
+          ${extra}
+        </div>
+      </div>`;
+
+    test('should read per-portion nutrition and carbon footprint', () => {
+      const [menu] = ttyAdapter.parse(mealHtml(`
+        <div class="meal-nutrition">Energia 2600 kJ / 620 kcal, Proteiini 32 g, Rasva 12,5 g, Hiilihydraatit 70 g, Suola 2,1 g</div>
+        <div class="meal-climate">Hiilijalanjälki 0,45 kg CO2e</div>`));
+
+      expect(menu.items[0].nutrition).toEqual({ kcal: 620, protein: 32, fat: 12.5, carbs: 70, salt: 2.1, co2e: 0.45 });
+      expect(menu.items[0].isLowCarbon()).toBe(true);
+      expect(menu.items[0].isHighProtein()).toBe(true);
+    });
+
+    test('should leave nutrition empty for meals without it', () => {
+      const [menu] = ttyAdapter.parse(mealHtml(''));
+
+      expect(menu.items[0].nutrition).toBeNull();
+    });
+  });
+
+  describe('Text section parsing', () => {
+    test('should split text by the configured restaurant names', () => {
+      const sections = tayAdapter.parseRestaurantSections(
+        'Minerva FROM THE FIELD Lentil stew 2,95 € Pinni FROM THE GRILL Pork neck 4,60 €'
+      );
+
+      expect(sections.map(section => section.name)).toEqual(['Minerva', 'Pinni']);
+    });
+  });
+
+  describe('Configuration', () => {
+    test('should require an id and url', () => {
+      expect(() => new UnisafkaAdapter({ name: 'Broken', url: 'https://unisafka.fi/' })).toThrow(
+        'Source adapter ID is required'
+      );
+      expect(() => new UnisafkaAdapter({ id: 'broken', name: 'Broken' })).toThrow(
+        'Source adapter broken URL is required'
+      );
+    });
+
+    test('should serve no fixture menus unless configured', () => {
+      expect(tayAdapter.createFixtureMenus()).toEqual([]);
+    });
+  });
+});
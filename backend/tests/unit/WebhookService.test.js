@@ -0,0 +1,292 @@
+/**
+ * WebhookService Unit Tests
+ * Tests registration, signed delivery to a local HTTP stand-in, retries and
+ * the notifications sent after a scrape
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const WebhookService = require('../../src/services/WebhookService');
+const Menu = require('../../src/models/Menu');
+
+const SECRET = 'test-secret-0123456789';
+
+const menus = [
+  Menu.fromScrapedData({
+    title: 'Reaktori',
+    items: [{ id: 'lohikeitto', name: 'Lohikeitto', description: 'Salmon soup with rye bread', price: '€2.95' }],
+  }),
+  Menu.fromScrapedData({
+    title: 'Hertsi',
+    items: [
+      { id: 'pea-soup', name: 'Pea Soup', price: '€2.95' },
+      { id: 'broileria-ja-riisia', name: 'Broileria ja riisiä', price: '€2.95' },
+    ],
+  }),
+];
+
+describe('WebhookService', () => {
+  let webhookService;
+  let testWebhooksDir;
+  let server;
+  let baseUrl;
+  let received;
+  let responses;
+
+  beforeAll(async () => {
+    // Local stand-in for a webhook receiver; answers with queued status codes
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        res.statusCode = responses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    received = [];
+    responses = [];
+    testWebhooksDir = path.join(__dirname, '..', '..', 'test-cache', `webhooks-${Date.now()}`);
+    webhookService = new WebhookService({ dataDir: testWebhooksDir, retryDelayMs: 1 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testWebhooksDir, { recursive: true, force: true });
+  });
+
+  describe('Registration', () => {
+    test('should register and store a webhook with a generated secret', async () => {
+      const webhook = await webhookService.register({
+        url: `${baseUrl}/hook`,
+        events: 'menus.published, dish.matched',
+        keywords: ['lohikeitto', ' Lohikeitto ', 'curry'],
+      });
+
+      expect(webhook.id).toMatch(/^[0-9a-f]{16}$/);
+      expect(webhook.events).toEqual(['menus.published', 'dish.matched']);
+      expect(webhook.keywords).toEqual(['lohikeitto', 'Lohikeitto', 'curry']);
+      expect(webhook.secret.length).toBeGreaterThanOrEqual(16);
+      expect(webhook.toPublicJSON()).not.toHaveProperty('secret');
+
+      const stored = await webhookService.getWebhook(webhook.id);
+      expect(stored.toJSON()).toEqual(webhook.toJSON());
+    });
+
+    test('should reject bad URLs, events, keywords and secrets', async () => {
+      await expect(webhookService.register({ url: 'ftp://example.com', events: ['menus.published'] }))
+        .rejects.toThrow('Invalid url: ftp://example.com');
+      await expect(webhookService.register({ url: baseUrl, events: ['menus.deleted'] }))
+        .rejects.toThrow('Invalid events: menus.deleted');
+      await expect(webhookService.register({ url: baseUrl, events: ['dish.matched'] }))
+        .rejects.toThrow('Keywords are required for dish.matched events');
+      await expect(webhookService.register({ url: baseUrl, events: ['menus.published'], secret: 'short' }))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    test('should reject loopback, link-local and private hosts when they are not allowed', async () => {
+      const strictService = new WebhookService({ dataDir: testWebhooksDir, allowPrivateHosts: false });
+      const privateUrls = [
+        'http://localhost:3001/hook',
+        'http://127.0.0.1/hook',
+        'http://2130706433/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://10.0.0.5/hook',
+        'http://172.20.1.1/hook',
+        'https://192.168.1.10/hook',
+        'http://[::1]:3001/hook',
+        'http://[fe80::1]/hook',
+      ];
+
+      for (const url of privateUrls) {
+        await expect(strictService.register({ url, events: ['menus.published'] }))
+          .rejects.toThrow('Loopback, link-local and private hosts are not allowed');
+      }
+      await expect(strictService.register({ url: 'https://hooks.example.com/lunch', events: ['menus.published'] }))
+        .resolves.toMatchObject({ url: 'https://hooks.example.com/lunch' });
+    });
+
+    test('should remove webhooks', async () => {
+      const webhook = await webhookService.register({ url: baseUrl, events: ['menus.published'] });
+
+      expect(await webhookService.removeWebhook(webhook.id)).toBe(true);
+      expect(await webhookService.removeWebhook(webhook.id)).toBe(false);
+      expect(await webhookService.listWebhooks()).toEqual([]);
+    });
+  });
+
+  describe('Delivery', () => {
+    test('should POST a payload signed with the webhook secret', async () => {
+      const webhook = await webhookService.register({ url: `${baseUrl}/hook`, events: ['menus.published'], secret: SECRET });
+
+      const delivery = await webhookService.deliver(webhook, 'menus.published', { date: '2025-09-18' });
+
+      expect(delivery.status).toBe('delivered');
+      expect(received).toHaveLength(1);
+
+      const { path: requestPath, headers, body } = received[0];
+      const expectedSignature = crypto.createHmac('sha256', SECRET)
+        .update(`${headers['x-tunisafka-timestamp']}.${body}`)
+        .digest('hex');
+
+      expect(requestPath).toBe('/hook');
+      expect(headers['content-type']).toBe('application/json');
+      expect(headers['x-tunisafka-event']).toBe('menus.published');
+      expect(headers['x-tunisafka-delivery']).toBe(delivery.id);
+      expect(headers['x-tunisafka-signature']).toBe(`sha256=${expectedSignature}`);
+      expect(JSON.parse(body)).toMatchObject({
+        id: delivery.id,
+        event: 'menus.published',
+        data: { date: '2025-09-18' },
+      });
+    });
+
+    test('should retry server errors with back-off and log every attempt', async () => {
+      const webhook = await webhookService.register({ url: baseUrl, events: ['menus.published'] });
+      const wait = jest.spyOn(webhookService, 'wait');
+      responses = [503, 429];
+
+      const delivery = await webhookService.deliver(webhook, 'menus.published', {});
+
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([503, 429, 200]);
+      expect(wait.mock.calls).toEqual([[1], [2]]);
+
+      const deliveries = await webhookService.getDeliveries(webhook.id);
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0]).toMatchObject({ id: delivery.id, status: 'delivered' });
+    });
+
+    test('should not retry client errors', async () => {
+      const webhook = await webhookService.register({ url: baseUrl, events: ['menus.published'] });
+      responses = [410];
+
+      const delivery = await webhookService.deliver(webhook, 'menus.published', {});
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toHaveLength(1);
+    });
+
+    test('should give up after the last attempt when the receiver is unreachable', async () => {
+      const closed = http.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const url = `http://127.0.0.1:${closed.address().port}`;
+      await new Promise(resolve => closed.close(resolve));
+
+      const webhook = await webhookService.register({ url, events: ['menus.published'] });
+      const delivery = await webhookService.deliver(webhook, 'menus.published', {});
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toHaveLength(4);
+      expect(delivery.attempts[0].error).toMatch(/^Network error/);
+    });
+
+    test('should not deliver to hostnames that resolve to private addresses', async () => {
+      const strictService = new WebhookService({ dataDir: testWebhooksDir, retryDelayMs: 1, allowPrivateHosts: false });
+      const webhook = await webhookService.register({
+        url: `http://localhost:${new URL(baseUrl).port}/hook`,
+        events: ['menus.published'],
+      });
+
+      const delivery = await strictService.deliver(webhook, 'menus.published', {}, { maxAttempts: 1 });
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts[0].error).toContain('localhost resolves to the private address');
+      expect(received).toEqual([]);
+    });
+
+    test('should send test pings without retrying', async () => {
+      const webhook = await webhookService.register({ url: baseUrl, events: ['menus.published'] });
+      responses = [500];
+
+      const delivery = await webhookService.sendTest(webhook);
+
+      expect(delivery).toMatchObject({ event: 'ping', status: 'failed' });
+      expect(delivery.attempts).toHaveLength(1);
+    });
+  });
+
+  describe('Scrape notifications', () => {
+    const eventsReceived = () => received.map(request => JSON.parse(request.body));
+
+    test('should announce the first scrape of the day and every matching dish', async () => {
+      await webhookService.register({ url: `${baseUrl}/published`, events: ['menus.published'] });
+      await webhookService.register({ url: `${baseUrl}/salmon`, events: ['dish.matched'], keywords: ['LOHI', 'broileri'] });
+
+      await webhookService.handleScrape({ date: '2025-09-18', menus, isFirstScrape: true });
+
+      const published = received.find(request => request.path === '/published');
+      expect(JSON.parse(published.body).data).toMatchObject({
+        date: '2025-09-18',
+        text: 'Menus for 2025-09-18 are out: Reaktori, Hertsi',
+      });
+
+      const matched = JSON.parse(received.find(request => request.path === '/salmon').body).data;
+      expect(matched.matches).toEqual([
+        expect.objectContaining({ menuId: 'reaktori', keywords: ['LOHI'], item: expect.objectContaining({ name: 'Lohikeitto' }) }),
+        expect.objectContaining({ menuId: 'hertsi', keywords: ['broileri'] }),
+      ]);
+      expect(matched.text).toBe('Lohikeitto is on the menu at Reaktori\nBroileria ja riisiä is on the menu at Hertsi');
+    });
+
+    test('should only announce added dishes on later scrapes', async () => {
+      await webhookService.register({ url: `${baseUrl}/published`, events: ['menus.published'] });
+      await webhookService.register({ url: `${baseUrl}/soup`, events: ['dish.matched'], keywords: ['keitto', 'soup'] });
+      const change = {
+        restaurants: [{ menuId: 'reaktori', added: [{ id: 'lohikeitto', name: 'Lohikeitto' }] }],
+      };
+
+      await webhookService.handleScrape({ date: '2025-09-18', menus, isFirstScrape: false, change });
+
+      expect(received).toHaveLength(1);
+      expect(eventsReceived()[0].data.matches.map(match => match.item.id)).toEqual(['lohikeitto']);
+    });
+
+    test('should announce stations whose dish changed, unless the keyword matched before', async () => {
+      const stations = [Menu.fromScrapedData({
+        title: 'Newton',
+        items: [
+          { id: 'lunch', name: 'LUNCH', description: 'Meatballs in pepper sauce', price: '€2.95' },
+          { id: 'lunch', name: 'LUNCH', description: 'Lohikeitto, rye bread', price: '€2.95' },
+          { id: 'soup', name: 'SOUP', description: 'Lohikeitto with dill', price: '€2.95' },
+        ],
+      })];
+      const change = {
+        restaurants: [{
+          menuId: 'newton',
+          added: [],
+          removed: [],
+          changed: [
+            { id: 'lunch', key: 'lunch#2', name: 'LUNCH', changes: { description: { from: 'Pea soup', to: 'Lohikeitto, rye bread' } } },
+            { id: 'soup', key: 'soup', name: 'SOUP', changes: { description: { from: 'Lohikeitto', to: 'Lohikeitto with dill' } } },
+          ],
+        }],
+      };
+      await webhookService.register({ url: `${baseUrl}/salmon`, events: ['dish.matched'], keywords: ['lohikeitto'] });
+
+      await webhookService.handleScrape({ date: '2025-09-18', menus: stations, isFirstScrape: false, change });
+
+      expect(received).toHaveLength(1);
+      expect(eventsReceived()[0].data.matches.map(match => match.item.description)).toEqual(['Lohikeitto, rye bread']);
+    });
+
+    test('should stay quiet when nothing new matches', async () => {
+      await webhookService.register({ url: baseUrl, events: ['menus.published', 'dish.matched'], keywords: ['pizza'] });
+
+      await webhookService.handleScrape({ date: '2025-09-18', menus, isFirstScrape: false, change: null });
+      await webhookService.handleScrape({ date: '2025-09-18', menus, isFirstScrape: true, change: null });
+
+      expect(eventsReceived().map(event => event.event)).toEqual(['menus.published']);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * dateUtils Unit Tests
+ * Tests calendar helpers for YYYY-MM-DD date strings and time zones
+ */
+
+const {
+  isValidDate,
+  addDays,
+  getWeekday,
+  getWeekDates,
+  getZonedDateTime,
+  zonedTimeToDate,
+} = require('../../src/utils/dateUtils');
+
+describe('dateUtils', () => {
+  test('should accept only real calendar dates', () => {
+    expect(isValidDate('2025-09-19')).toBe(true);
+    expect(isValidDate('2024-02-29')).toBe(true);
+    expect(isValidDate('2025-02-29')).toBe(false);
+    expect(isValidDate('2025-9-19')).toBe(false);
+    expect(isValidDate('thursday')).toBe(false);
+    expect(isValidDate(null)).toBe(false);
+  });
+
+  test('should add days across month and year boundaries', () => {
+    expect(addDays('2025-09-30', 1)).toBe('2025-10-01');
+    expect(addDays('2026-01-01', -1)).toBe('2025-12-31');
+  });
+
+  test('should name weekdays', () => {
+    expect(getWeekday('2025-09-18')).toBe('thursday');
+    expect(getWeekday('2025-09-21')).toBe('sunday');
+  });
+
+  test('should return Monday to Sunday of the week', () => {
+    const week = getWeekDates('2025-09-21');
+
+    expect(week).toHaveLength(7);
+    expect(week[0]).toBe('2025-09-15');
+    expect(week[6]).toBe('2025-09-21');
+    expect(getWeekDates('2025-09-15')).toEqual(week);
+  });
+
+  test('should not shift across daylight saving changes', () => {
+    expect(getWeekDates('2025-10-26')).toEqual([
+      '2025-10-20',
+      '2025-10-21',
+      '2025-10-22',
+      '2025-10-23',
+      '2025-10-24',
+      '2025-10-25',
+      '2025-10-26',
+    ]);
+  });
+
+  test('should read wall-clock time in a time zone', () => {
+    expect(getZonedDateTime(new Date('2025-09-18T21:30:00Z'), 'Europe/Helsinki')).toEqual({
+      date: '2025-09-19',
+      time: '00:30',
+    });
+  });
+
+  test('should convert Helsinki wall-clock times across daylight saving changes', () => {
+    expect(zonedTimeToDate('2025-10-24', '06:00', 'Europe/Helsinki').toISOString()).toBe(
+      '2025-10-24T03:00:00.000Z'
+    );
+    expect(zonedTimeToDate('2025-10-27', '06:00', 'Europe/Helsinki').toISOString()).toBe(
+      '2025-10-27T04:00:00.000Z'
+    );
+  });
+});
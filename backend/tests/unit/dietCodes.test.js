@@ -0,0 +1,49 @@
+/**
+ * dietCodes Unit Tests
+ * Tests mapping of unisafka and Juvenes diet codes to dietary tags
+ */
+
+const { lookupDietCode, parseDietCodes, getItemDietCodes } = require('../../src/utils/dietCodes');
+
+describe('dietCodes', () => {
+  test('should map the legend codes to tags', () => {
+    expect(lookupDietCode('G')).toMatchObject({ code: 'G', tag: 'gluten-free' });
+    expect(lookupDietCode('M').tag).toBe('milk-free');
+    expect(lookupDietCode('L').tag).toBe('lactose-free');
+    expect(lookupDietCode('VEG').tag).toBe('vegan');
+    expect(lookupDietCode('VS').tag).toBe('contains-fresh-garlic');
+    expect(lookupDietCode('A').tag).toBe('contains-allergens');
+    expect(lookupDietCode('ILM').tag).toBe('climate-friendly');
+  });
+
+  test('should ignore case and surrounding whitespace', () => {
+    expect(lookupDietCode(' vs ').code).toBe('VS');
+    expect(lookupDietCode('Sis.Luomua').tag).toBe('organic');
+  });
+
+  test('should accept tags and Finnish words for already normalized data', () => {
+    expect(lookupDietCode('gluten-free').code).toBe('G');
+    expect(lookupDietCode('kasvis').tag).toBe('vegetarian');
+    expect(lookupDietCode('laktoositon').tag).toBe('lactose-free');
+  });
+
+  test('should keep original codes next to their tags and report unknown tokens', () => {
+    const { dietCodes, unknown } = parseDietCodes(['1KPL/PCANN.', 'l', 'L', 'VEG', '']);
+
+    expect(dietCodes).toEqual([
+      { code: 'l', tag: 'lactose-free' },
+      { code: 'VEG', tag: 'vegan' },
+    ]);
+    expect(unknown).toEqual(['1KPL/PCANN.']);
+  });
+
+  test('should treat missing input as no codes', () => {
+    expect(parseDietCodes(undefined)).toEqual({ dietCodes: [], unknown: [] });
+  });
+
+  test('should show item codes in upper case, falling back to raw dietary entries', () => {
+    expect(getItemDietCodes({ dietCodes: [{ code: 'l', tag: 'lactose-free' }], dietary: ['lactose-free'] })).toEqual(['L']);
+    expect(getItemDietCodes({ dietCodes: [], dietary: ['g', 'm'] })).toEqual(['G', 'M']);
+    expect(getItemDietCodes({})).toEqual([]);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * feeds Unit Tests
+ * Tests XML escaping and the entries of the Atom and RSS menu feeds
+ */
+
+const { escapeXml, createAtomFeed, createRssFeed } = require('../../src/utils/feeds');
+const Menu = require('../../src/models/Menu');
+const MenuItem = require('../../src/models/MenuItem');
+
+const BASE_URL = 'https://lunch.example.com/api';
+
+const createMenu = (title, items) =>
+  Menu.fromScrapedData({ title, items: items.map(item => MenuItem.fromScrapedData(item)) });
+
+const days = [
+  {
+    date: '2025-09-19',
+    menus: [createMenu('Reaktori', [{ name: 'Fish & Chips', price: '€2.95', dietary: ['l'] }])],
+    updated: '2025-09-19T04:00:00.000Z',
+  },
+  {
+    date: '2025-09-18',
+    menus: [createMenu('Hertsi', [{ name: 'Pea Soup', description: 'with <rye> bread' }])],
+    updated: '2025-09-18T04:00:00.000Z',
+  },
+];
+
+describe('feeds', () => {
+  test('should escape XML special characters', () => {
+    expect(escapeXml('Fish & "Chips" <b>\'s')).toBe('Fish &amp; &quot;Chips&quot; &lt;b&gt;&apos;s');
+  });
+
+  describe('Atom', () => {
+    test('should create one entry per restaurant and day with stable IDs', () => {
+      const feed = createAtomFeed(days, { baseUrl: BASE_URL });
+
+      expect(feed).toMatch(/^<\?xml version="1.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+      expect(feed).toContain('<updated>2025-09-19T04:00:00.000Z</updated>');
+      expect(feed).toContain(`<link rel="self" type="application/atom+xml" href="${BASE_URL}/feeds/menus.atom"/>`);
+      expect(feed.match(/<entry>/g)).toHaveLength(2);
+      expect(feed).toContain('<id>urn:tunisafka:menus:2025-09-19:reaktori</id>');
+      expect(feed).toContain('<title>Reaktori: Friday 2025-09-19</title>');
+      expect(feed).toContain('<id>urn:tunisafka:menus:2025-09-18:hertsi</id>');
+      expect(feed).toContain('<updated>2025-09-18T04:00:00.000Z</updated>');
+      expect(feed).toContain(`<link rel="alternate" href="${BASE_URL}/menus/date/2025-09-18"/>`);
+    });
+
+    test('should escape item HTML in entry content', () => {
+      const feed = createAtomFeed(days, { baseUrl: BASE_URL });
+
+      expect(feed).toContain('&lt;strong&gt;Fish &amp;amp; Chips&lt;/strong&gt; (L) €2.95');
+      expect(feed).toContain('with &amp;lt;rye&amp;gt; bread');
+    });
+
+    test('should still be a valid feed without entries', () => {
+      const feed = createAtomFeed([], { baseUrl: BASE_URL });
+
+      expect(feed).toMatch(/<updated>\d{4}-\d{2}-\d{2}T[\d:.]+Z<\/updated>/);
+      expect(feed).not.toContain('<entry>');
+    });
+  });
+
+  describe('RSS', () => {
+    test('should create one item per restaurant and day with stable GUIDs', () => {
+      const feed = createRssFeed(days, { baseUrl: BASE_URL });
+
+      expect(feed).toContain('<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">');
+      expect(feed).toContain('<lastBuildDate>Fri, 19 Sep 2025 04:00:00 GMT</lastBuildDate>');
+      expect(feed.match(/<item>/g)).toHaveLength(2);
+      expect(feed).toContain('<guid isPermaLink="false">urn:tunisafka:menus:2025-09-18:hertsi</guid>');
+      expect(feed).toContain('<pubDate>Thu, 18 Sep 2025 04:00:00 GMT</pubDate>');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * icalendar Unit Tests
+ * Tests text escaping, line folding and the lunch events of menu calendars
+ */
+
+const { escapeText, foldLine, formatDateTime, createMenuCalendar } = require('../../src/utils/icalendar');
+const Menu = require('../../src/models/Menu');
+const MenuItem = require('../../src/models/MenuItem');
+
+const createMenu = (title, items, availability = { startTime: '10:30', endTime: '14:00' }) => {
+  const menu = Menu.fromScrapedData({ title, items: items.map(item => MenuItem.fromScrapedData(item)), availability });
+  menu.lastUpdated = '2025-09-18T04:00:00.000Z';
+  return menu;
+};
+
+/**
+ * Unfolds continuation lines and splits a calendar into content lines
+ */
+const contentLines = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n');
+
+describe('icalendar', () => {
+  test('should escape special characters in text values', () => {
+    expect(escapeText('Soup; bread, butter\\jam\nCoffee')).toBe('Soup\\; bread\\, butter\\\\jam\\nCoffee');
+  });
+
+  test('should fold long lines at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'Lohikeitto ja ruisleipä '.repeat(10)}`;
+
+    const folded = foldLine(line);
+    const parts = folded.split('\r\n');
+
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+    parts.slice(1).forEach(part => expect(part.startsWith(' ')).toBe(true));
+    expect(folded.replace(/\r\n /g, '')).toBe(line);
+    expect(foldLine('SUMMARY:Lunch')).toBe('SUMMARY:Lunch');
+  });
+
+  test('should format instants as UTC date-times', () => {
+    expect(formatDateTime('2025-09-18T07:30:00.123Z')).toBe('20250918T073000Z');
+  });
+
+  test('should create an event for each day\'s lunch window in UTC', () => {
+    const days = [
+      { date: '2025-09-18', menus: [createMenu('Reaktori', [{ name: 'Lohikeitto', price: '€2.95', dietary: ['g', 'l'] }])] },
+      // Helsinki is UTC+2 after the switch from summer time
+      { date: '2025-11-03', menus: [createMenu('Reaktori', [{ name: 'Pea Soup' }])], lastUpdated: '2025-11-03T05:00:00.000Z' },
+    ];
+
+    const lines = contentLines(createMenuCalendar(days, { name: 'Lunch menus', timezone: 'Europe/Helsinki' }));
+
+    expect(lines.slice(0, 3)).toEqual(['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Tunisafka//Lunch Menus//EN']);
+    expect(lines).toContain('UID:2025-09-18-reaktori@tunisafka');
+    expect(lines).toContain('DTSTAMP:20250918T040000Z');
+    expect(lines).toContain('DTSTART:20250918T073000Z');
+    expect(lines).toContain('DTEND:20250918T110000Z');
+    expect(lines).toContain('SUMMARY:Lunch at Reaktori');
+    expect(lines).toContain('DESCRIPTION:- Lohikeitto: (G\\, L) €2.95');
+    expect(lines).toContain('UID:2025-11-03-reaktori@tunisafka');
+    expect(lines).toContain('DTSTAMP:20251103T050000Z');
+    expect(lines).toContain('DTSTART:20251103T083000Z');
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines.slice(-2)).toEqual(['END:VCALENDAR', '']);
+  });
+
+  test('should create all-day events for menus without a lunch window', () => {
+    const days = [{ date: '2025-09-18', menus: [createMenu('Hertsi', [{ name: 'Pea Soup' }], {})] }];
+
+    const lines = contentLines(createMenuCalendar(days, {
+      name: 'Lunch menus',
+      timezone: 'Europe/Helsinki',
+      getLocation: menu => `${menu.title}, Korkeakoulunkatu 3`,
+    }));
+
+    expect(lines).toContain('DTSTART;VALUE=DATE:20250918');
+    expect(lines).toContain('DTEND;VALUE=DATE:20250919');
+    expect(lines).toContain('LOCATION:Hertsi\\, Korkeakoulunkatu 3');
+  });
+
+  test('should keep UIDs stable between builds', () => {
+    const build = () => createMenuCalendar(
+      [{ date: '2025-09-18', menus: [createMenu('Newton', [{ name: 'Curry' }])] }],
+      { name: 'Lunch menus', timezone: 'Europe/Helsinki' }
+    );
+
+    expect(build()).toBe(build());
+  });
+});
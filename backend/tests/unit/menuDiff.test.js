@@ -0,0 +1,91 @@
+/**
+ * menuDiff Unit Tests
+ * Tests restaurant and item matching and the changed fields between scrapes
+ */
+
+const { getItemKeys, diffMenus, hasChanges } = require('../../src/utils/menuDiff');
+const Menu = require('../../src/models/Menu');
+const MenuItem = require('../../src/models/MenuItem');
+
+const createMenu = (title, items) =>
+  Menu.fromScrapedData({ title, items: items.map(item => MenuItem.fromScrapedData(item)) });
+
+describe('menuDiff', () => {
+  test('should find no changes between identical scrapes', () => {
+    const menus = [createMenu('Hertsi', [{ name: 'Pea Soup', price: '€2.95' }])];
+
+    const diff = diffMenus(JSON.parse(JSON.stringify(menus)), menus);
+
+    expect(hasChanges(diff)).toBe(false);
+    expect(diff.summary).toEqual({ restaurantsChanged: 0, itemsAdded: 0, itemsRemoved: 0, itemsChanged: 0 });
+  });
+
+  test('should report only the fields that changed', () => {
+    const previous = [createMenu('Hertsi', [{ name: 'Pea Soup', price: '€2.95', dietary: ['gluten-free'] }])];
+    const current = [createMenu('Hertsi', [{
+      name: 'Pea Soup',
+      price: '€2.95',
+      description: 'with rye bread',
+      dietary: ['gluten-free', 'milk-free'],
+    }])];
+
+    const [restaurant] = diffMenus(previous, current).restaurants;
+
+    expect(restaurant.changed[0].changes).toEqual({
+      description: { from: '', to: 'with rye bread' },
+      dietary: { from: ['gluten-free'], to: ['gluten-free', 'milk-free'] },
+    });
+  });
+
+  test('should report changed tier prices, but not prices missing from older scrapes', () => {
+    const prices = { currency: 'EUR', student: 2.95, staff: 5.7, guest: 7.5 };
+    const current = [createMenu('Hertsi', [{ name: 'Pea Soup', price: '€2.95', prices: { ...prices, staff: 5.9 } }])];
+    const previous = [createMenu('Hertsi', [{ name: 'Pea Soup', price: '€2.95', prices }])];
+    const archived = JSON.parse(JSON.stringify(previous));
+    delete archived[0].items[0].prices;
+
+    expect(diffMenus(previous, current).restaurants[0].changed[0].changes).toEqual({
+      prices: { from: prices, to: { ...prices, staff: 5.9 } },
+    });
+    expect(hasChanges(diffMenus(archived, current))).toBe(false);
+  });
+
+  test('should treat a renamed dish as removed and added', () => {
+    const previous = [createMenu('Hertsi', [{ name: 'Fish Stew' }])];
+    const current = [createMenu('Hertsi', [{ name: 'Salmon Stew' }])];
+
+    const [restaurant] = diffMenus(previous, current).restaurants;
+
+    expect(restaurant.removed.map(item => item.id)).toEqual(['fish-stew']);
+    expect(restaurant.added.map(item => item.id)).toEqual(['salmon-stew']);
+  });
+
+  test('should tell apart items that share a name', () => {
+    const previous = [createMenu('Newton', [
+      { name: 'LUNCH', description: 'Pea soup' },
+      { name: 'LUNCH', description: 'Meatballs' },
+    ])];
+    const current = [createMenu('Newton', [{ name: 'LUNCH', description: 'Meatballs' }])];
+
+    const [restaurant] = diffMenus(previous, current).restaurants;
+
+    expect(restaurant.removed).toEqual([{ id: 'lunch', key: 'lunch#2', name: 'LUNCH', price: '' }]);
+    expect(restaurant.changed.map(item => [item.key, item.changes.description])).toEqual([
+      ['lunch', { from: 'Pea soup', to: 'Meatballs' }],
+    ]);
+    expect(getItemKeys(current[0].items.concat(previous[0].items))).toEqual(['lunch', 'lunch#2', 'lunch#3']);
+  });
+
+  test('should report restaurants that appeared or disappeared', () => {
+    const previous = [createMenu('Hertsi', [{ name: 'Pea Soup' }]), createMenu('Newton', [{ name: 'Pasta' }])];
+    const current = [createMenu('Hertsi', [{ name: 'Pea Soup' }]), createMenu('Reaktori', [{ name: 'Curry' }])];
+
+    const diff = diffMenus(previous, current);
+
+    expect(diff.restaurants.map(menu => [menu.menuId, menu.status])).toEqual([
+      ['reaktori', 'added'],
+      ['newton', 'removed'],
+    ]);
+    expect(diff.summary).toEqual({ restaurantsChanged: 2, itemsAdded: 1, itemsRemoved: 1, itemsChanged: 0 });
+  });
+});
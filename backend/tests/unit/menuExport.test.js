@@ -0,0 +1,103 @@
+/**
+ * menuExport Unit Tests
+ * Tests the CSV rows and the plain-text and Markdown digests of menus
+ */
+
+const { escapeCsvField, toCsv, toText, toMarkdown, exportMenus } = require('../../src/utils/menuExport');
+const Menu = require('../../src/models/Menu');
+const MenuItem = require('../../src/models/MenuItem');
+
+const DATE = '2025-09-18';
+
+const menus = [
+  Menu.fromScrapedData({
+    title: 'Reaktori',
+    availability: { startTime: '10:30', endTime: '14:00' },
+    items: [
+      MenuItem.fromScrapedData({
+        name: 'Lohikeitto',
+        description: 'Salmon soup, "rye" bread',
+        price: '€2.95',
+        dietary: ['gluten-free', 'lactose-free'],
+        dietCodes: [{ code: 'G', tag: 'gluten-free' }, { code: 'L', tag: 'lactose-free' }],
+        allergens: [
+          { allergen: 'fish', state: 'contains' },
+          { allergen: 'celery', state: 'may-contain' },
+          { allergen: 'gluten', state: 'free-of' },
+        ],
+      }),
+    ],
+  }),
+  Menu.fromScrapedData({
+    title: 'Hertsi',
+    items: [MenuItem.fromScrapedData({ name: 'Pasta *special*', price: '€3.50' })],
+  }),
+];
+
+describe('menuExport', () => {
+  describe('CSV', () => {
+    test('should quote fields with separators, quotes and line breaks', () => {
+      expect(escapeCsvField('Pea Soup')).toBe('Pea Soup');
+      expect(escapeCsvField('Soup, bread')).toBe('"Soup, bread"');
+      expect(escapeCsvField('The "best" soup')).toBe('"The ""best"" soup"');
+      expect(escapeCsvField('Soup\nbread')).toBe('"Soup\nbread"');
+      expect(escapeCsvField(null)).toBe('');
+    });
+
+    test('should keep spreadsheets from reading fields as formulas', () => {
+      expect(escapeCsvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCsvField('@SUM(A1)')).toBe('\'@SUM(A1)');
+    });
+
+    test('should write a header and one row per menu item', () => {
+      const lines = toCsv(menus, { date: DATE }).split('\r\n');
+
+      expect(lines).toEqual([
+        'date,restaurant,name,description,price,dietary,allergens',
+        '2025-09-18,Reaktori,Lohikeitto,"Salmon soup, ""rye"" bread",€2.95,"gluten-free, lactose-free","fish, celery (may contain)"',
+        '2025-09-18,Hertsi,Pasta *special*,,€3.50,,',
+        '',
+      ]);
+    });
+  });
+
+  describe('Digests', () => {
+    test('should write a plain-text digest per restaurant', () => {
+      expect(toText(menus, { date: DATE })).toBe([
+        'Lunch menus for Thursday 2025-09-18',
+        '',
+        'Reaktori (10:30–14:00)',
+        '- Lohikeitto: Salmon soup, "rye" bread (G, L) €2.95',
+        '',
+        'Hertsi',
+        '- Pasta *special*: €3.50',
+        '',
+      ].join('\n'));
+    });
+
+    test('should write a Markdown digest with escaped dish names', () => {
+      expect(toMarkdown(menus, { date: DATE })).toBe([
+        '# Lunch menus for Thursday 2025-09-18',
+        '',
+        '## Reaktori',
+        '_10:30–14:00_',
+        '',
+        '- **Lohikeitto** Salmon soup, "rye" bread (G, L) €2.95',
+        '',
+        '## Hertsi',
+        '',
+        '- **Pasta \\*special\\*** €3.50',
+        '',
+      ].join('\n'));
+    });
+
+    test('should say so when there are no menus', () => {
+      expect(toText([], { date: DATE })).toBe('Lunch menus for Thursday 2025-09-18\n\nNo menus available.\n');
+    });
+  });
+
+  test('should reject unknown formats', () => {
+    expect(exportMenus(menus, 'csv', { date: DATE })).toBe(toCsv(menus, { date: DATE }));
+    expect(() => exportMenus(menus, 'xml', { date: DATE })).toThrow('Unknown export format: xml');
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * nutrition Unit Tests
+ * Tests parsing of published nutrition lines and validation of nutrition
+ * values on menu items
+ */
+
+const { parseNutritionText, normalizeNutrition } = require('../../src/utils/nutrition');
+const MenuItem = require('../../src/models/MenuItem');
+
+describe('nutrition', () => {
+  describe('Parsing', () => {
+    test('should read Finnish labels with decimal commas', () => {
+      expect(parseNutritionText('Energia 620 kcal, Proteiini 32 g, Rasva 18,5 g, Hiilihydraatit 71 g, Suola 2,1 g'))
+        .toEqual({ kcal: 620, protein: 32, fat: 18.5, carbs: 71, salt: 2.1 });
+    });
+
+    test('should read English labels and the carbon footprint in kilograms or grams', () => {
+      expect(parseNutritionText('Energy: 540 kcal | Protein: 27 g | Carbon footprint: 0.45 kg')).toEqual({
+        kcal: 540,
+        protein: 27,
+        co2e: 0.45,
+      });
+      expect(parseNutritionText('Hiilijalanjälki 380 g')).toEqual({ co2e: 0.38 });
+      expect(parseNutritionText('1,2 kg CO2e / annos')).toEqual({ co2e: 1.2 });
+    });
+
+    test('should return null without values', () => {
+      expect(parseNutritionText('')).toBeNull();
+      expect(parseNutritionText('Ask the staff')).toBeNull();
+      expect(parseNutritionText(null)).toBeNull();
+    });
+  });
+
+  test('should keep known non-negative fields when normalizing', () => {
+    expect(normalizeNutrition({ kcal: '612.4', protein: 30, sugar: 12, fat: -1, salt: '1,25' }))
+      .toEqual({ kcal: 612, protein: 30, salt: 1.25 });
+    expect(normalizeNutrition({ sugar: 12 })).toBeNull();
+    expect(normalizeNutrition('620 kcal')).toBeNull();
+  });
+
+  describe('MenuItem', () => {
+    test('should validate nutrition fields and values', () => {
+      expect(() => new MenuItem({ id: 'soup', name: 'Soup', nutrition: { kcal: 320, co2e: 0.4 } })).not.toThrow();
+      expect(() => new MenuItem({ id: 'soup', name: 'Soup', nutrition: { sugar: 4 } }))
+        .toThrow('Unknown MenuItem nutrition field: sugar');
+      expect(() => new MenuItem({ id: 'soup', name: 'Soup', nutrition: { protein: -2 } }))
+        .toThrow('MenuItem nutrition protein must be a non-negative number');
+      expect(() => new MenuItem({ id: 'soup', name: 'Soup', nutrition: [320] }))
+        .toThrow('MenuItem nutrition must be null or an object');
+    });
+
+    test('should tell low-carbon and high-protein items apart', () => {
+      const stew = MenuItem.fromScrapedData({ name: 'Lentil Stew', nutrition: { co2e: 0.5, protein: 25 } });
+      const steak = MenuItem.fromScrapedData({ name: 'Steak', nutrition: { co2e: 3.9, protein: 41 } });
+      const soup = MenuItem.fromScrapedData({ name: 'Soup', dietary: ['climate-friendly'] });
+
+      expect([stew.isLowCarbon(), steak.isLowCarbon(), soup.isLowCarbon()]).toEqual([true, false, true]);
+      expect([stew.isHighProtein(), steak.isHighProtein(), soup.isHighProtein()]).toEqual([true, true, false]);
+      expect(stew.toJSON().nutrition).toEqual({ co2e: 0.5, protein: 25 });
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * prices Unit Tests
+ * Tests parsing of published price lines, customer tier prices of menu items
+ * and per-tier price statistics
+ */
+
+const { parsePriceText, normalizePrices, formatPrice } = require('../../src/utils/prices');
+const MenuItem = require('../../src/models/MenuItem');
+const Menu = require('../../src/models/Menu');
+const MenuService = require('../../src/services/MenuService');
+
+describe('prices', () => {
+  describe('Parsing', () => {
+    test('should read listed amounts as student, staff and guest prices', () => {
+      expect(parsePriceText('2,95 € / 5,70 € / 7,50 €')).toEqual({ currency: 'EUR', student: 2.95, staff: 5.7, guest: 7.5 });
+      expect(parsePriceText('€2.60 / €4.90')).toEqual({ currency: 'EUR', student: 2.6, staff: 4.9, guest: null });
+    });
+
+    test('should use a single amount for every tier', () => {
+      expect(parsePriceText('3,50 €')).toEqual({ currency: 'EUR', student: 3.5, staff: 3.5, guest: 3.5 });
+    });
+
+    test('should read labelled amounts in any order', () => {
+      expect(parsePriceText('Henkilökunta 5,70 €, Opiskelija 2,95 €, Vieras 7,50 €'))
+        .toEqual({ currency: 'EUR', student: 2.95, staff: 5.7, guest: 7.5 });
+      expect(parsePriceText('Students: €2.95 | Visitors: €7.50'))
+        .toEqual({ currency: 'EUR', student: 2.95, staff: null, guest: 7.5 });
+    });
+
+    test('should return null without amounts', () => {
+      expect(parsePriceText('')).toBeNull();
+      expect(parsePriceText('Ask at the till')).toBeNull();
+    });
+  });
+
+  test('should normalize stored prices and format amounts', () => {
+    expect(normalizePrices({ currency: 'eur', student: '2,95', staff: 5.7, vip: 1 }))
+      .toEqual({ currency: 'EUR', student: 2.95, staff: 5.7, guest: null });
+    expect(normalizePrices({ currency: 'EUR', student: null })).toBeNull();
+    expect(formatPrice(5.7)).toBe('€5.70');
+    expect(formatPrice(4, 'SEK')).toBe('4.00 SEK');
+  });
+
+  describe('MenuItem', () => {
+    const prices = { currency: 'EUR', student: 2.95, staff: 5.7, guest: null };
+
+    test('should validate tiers and amounts', () => {
+      expect(() => new MenuItem({ id: 'soup', name: 'Soup', prices })).not.toThrow();
+      expect(() => new MenuItem({ id: 'soup', name: 'Soup', prices: { currency: 'euro', student: 2 } }))
+        .toThrow('MenuItem prices currency must be a three-letter currency code');
+      expect(() => new MenuItem({ id: 'soup', name: 'Soup', prices: { currency: 'EUR', vip: 2 } }))
+        .toThrow('Unknown MenuItem price tier: vip');
+      expect(() => new MenuItem({ id: 'soup', name: 'Soup', prices: { currency: 'EUR', staff: -1 } }))
+        .toThrow('MenuItem staff price must be null or a non-negative number');
+    });
+
+    test('should give the price of a tier', () => {
+      const item = MenuItem.fromScrapedData({ name: 'Salmon Soup', price: '€2.95', prices });
+
+      expect(item.getPriceNumeric()).toBe(2.95);
+      expect(item.getPriceNumeric('staff')).toBe(5.7);
+      expect(item.getPriceNumeric('guest')).toBe(0);
+      expect(item.withPriceTier('staff').price).toBe('€5.70');
+      expect(item.withPriceTier('guest').price).toBe('');
+      expect(item.price).toBe('€2.95');
+    });
+  });
+
+  describe('MenuService', () => {
+    const menuService = new MenuService();
+
+    test('should fill in tier prices of items that only have a price string', () => {
+      const item = menuService.processMenuItem(MenuItem.fromScrapedData({ name: 'Pasta', price: '4,20' }));
+
+      expect(item.price).toBe('€4.20');
+      expect(item.prices).toEqual({ currency: 'EUR', student: 4.2, staff: 4.2, guest: 4.2 });
+    });
+
+    test('should calculate price statistics per tier', () => {
+      const menus = [Menu.fromScrapedData({
+        title: 'Arvo',
+        items: [
+          MenuItem.fromScrapedData({ name: 'Lunch', prices: { currency: 'EUR', student: 2.95, staff: 5.7, guest: 7.5 } }),
+          MenuItem.fromScrapedData({ name: 'Soup', prices: { currency: 'EUR', student: 2.6, staff: 4.9, guest: null } }),
+        ],
+      })];
+
+      expect(menuService.calculatePriceStatistics(menus)).toEqual({ count: 2, min: 2.6, max: 2.95, average: 2.78 });
+      expect(menuService.calculatePriceStatistics(menus, 'staff')).toEqual({ count: 2, min: 4.9, max: 5.7, average: 5.3 });
+      expect(menuService.calculatePriceStatistics(menus, 'guest')).toEqual({ count: 1, min: 7.5, max: 7.5, average: 7.5 });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Random Utilities Unit Tests
+ * Tests the seeded generator and seed parsing
+ */
+
+const { createSeededRandom, parseSeed } = require('../../src/utils/randomUtils');
+
+describe('randomUtils', () => {
+  describe('createSeededRandom', () => {
+    test('should produce the same sequence for the same seed', () => {
+      const first = createSeededRandom('demo');
+      const second = createSeededRandom('demo');
+
+      const sequence = Array.from({ length: 20 }, () => first());
+
+      expect(Array.from({ length: 20 }, () => second())).toEqual(sequence);
+    });
+
+    test('should produce different sequences for different seeds', () => {
+      const demo = createSeededRandom('demo');
+      const other = createSeededRandom('demo2');
+
+      expect(Array.from({ length: 5 }, () => demo())).not.toEqual(Array.from({ length: 5 }, () => other()));
+    });
+
+    test('should stay in [0, 1) and spread over the range', () => {
+      const random = createSeededRandom(42);
+      const buckets = new Array(10).fill(0);
+
+      for (let i = 0; i < 10000; i++) {
+        const value = random();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+        buckets[Math.floor(value * 10)]++;
+      }
+
+      buckets.forEach(count => {
+        expect(count).toBeGreaterThan(900);
+        expect(count).toBeLessThan(1100);
+      });
+    });
+  });
+
+  describe('parseSeed', () => {
+    test('should return null without a seed', () => {
+      expect(parseSeed(undefined)).toBeNull();
+      expect(parseSeed('')).toBeNull();
+    });
+
+    test('should keep the trimmed seed as a string', () => {
+      expect(parseSeed(' 12345 ')).toBe('12345');
+      expect(parseSeed('friday-demo')).toBe('friday-demo');
+    });
+
+    test('should reject blank and overly long seeds', () => {
+      expect(() => parseSeed('   ')).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+      expect(() => parseSeed('x'.repeat(65))).toThrow('Invalid seed');
+    });
+  });
+});
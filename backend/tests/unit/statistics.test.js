@@ -0,0 +1,68 @@
+/**
+ * Statistics Utilities Unit Tests
+ * Tests chi-square p-values against table values and Wilson intervals
+ */
+
+const { chiSquarePValue, chiSquareUniformTest, wilsonInterval } = require('../../src/utils/statistics');
+
+describe('statistics', () => {
+  describe('chiSquarePValue', () => {
+    test.each([
+      [3.841, 1, 0.05],
+      [6.635, 1, 0.01],
+      [7.815, 3, 0.05],
+      [11.07, 5, 0.05],
+      [18.307, 10, 0.05],
+      [2.204, 6, 0.9],
+    ])('should give p-value %p for statistic %p with %p degrees of freedom', (statistic, degreesOfFreedom, pValue) => {
+      expect(chiSquarePValue(statistic, degreesOfFreedom)).toBeCloseTo(pValue, 3);
+    });
+
+    test('should give 1 for a perfect fit', () => {
+      expect(chiSquarePValue(0, 4)).toBe(1);
+    });
+  });
+
+  describe('chiSquareUniformTest', () => {
+    test('should compare counts with an even split', () => {
+      const result = chiSquareUniformTest([30, 20, 25, 25]);
+
+      expect(result.expected).toBe(25);
+      expect(result.degreesOfFreedom).toBe(3);
+      expect(result.statistic).toBeCloseTo(2, 10);
+      expect(result.pValue).toBeCloseTo(0.5724, 4);
+    });
+
+    test('should detect a lopsided split', () => {
+      expect(chiSquareUniformTest([70, 10, 10, 10]).pValue).toBeLessThan(0.001);
+    });
+
+    test('should need two categories and one observation', () => {
+      expect(() => chiSquareUniformTest([10])).toThrow('at least 2 categories');
+      expect(() => chiSquareUniformTest([0, 0])).toThrow('at least 1 observation');
+    });
+  });
+
+  describe('wilsonInterval', () => {
+    test('should bracket the observed proportion', () => {
+      const { lower, upper } = wilsonInterval(25, 100);
+
+      expect(lower).toBeCloseTo(0.1755, 4);
+      expect(upper).toBeCloseTo(0.343, 4);
+    });
+
+    test('should stay within [0, 1] at the extremes', () => {
+      expect(wilsonInterval(0, 20).lower).toBe(0);
+      expect(wilsonInterval(20, 20).upper).toBe(1);
+      expect(wilsonInterval(0, 0)).toEqual({ lower: 0, upper: 1 });
+    });
+
+    test('should narrow with more trials and widen with more confidence', () => {
+      const width = ({ lower, upper }) => upper - lower;
+
+      expect(width(wilsonInterval(250, 1000))).toBeLessThan(width(wilsonInterval(25, 100)));
+      expect(width(wilsonInterval(25, 100, 0.99))).toBeGreaterThan(width(wilsonInterval(25, 100, 0.9)));
+      expect(() => wilsonInterval(25, 100, 0.8)).toThrow('Unsupported confidence level: 0.8');
+    });
+  });
+});
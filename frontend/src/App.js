@@ -8,19 +8,55 @@ import MenuList from './components/MenuList';
 import RandomButton from './components/RandomButton';
 import LoadingSpinner from './components/LoadingSpinner';
 import ErrorMessage from './components/ErrorMessage';
+import PollView from './components/PollView';
 import apiService from './services/ApiService';
 import './App.css';
 
+// How often to reload menus when live updates are unavailable
+const MENU_POLL_INTERVAL_MS = 60000;
+
+const PRICE_TIER_STORAGE_KEY = 'tunisafka-price-tier';
+
+// Customer tiers the restaurants price meals for
+const PRICE_TIERS = [
+  { id: 'student', label: 'Students' },
+  { id: 'staff', label: 'Staff' },
+  { id: 'guest', label: 'Guests' },
+];
+
+/**
+ * Gets the remembered price tier, students by default
+ */
+const loadPriceTier = () => {
+  try {
+    const tier = window.localStorage.getItem(PRICE_TIER_STORAGE_KEY);
+    return PRICE_TIERS.some(({ id }) => id === tier) ? tier : 'student';
+  } catch (error) {
+    return 'student';
+  }
+};
+
+/**
+ * Gets the poll ID of a shared poll link (?poll=<id>)
+ */
+const getPollIdFromUrl = () =>
+  new URLSearchParams(window.location.search).get('poll');
+
 function App() {
   // State management
   const [menus, setMenus] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [updatedItems, setUpdatedItems] = useState({});
   const [randomSelectionLoading, setRandomSelectionLoading] = useState(false);
   const [randomSelectionError, setRandomSelectionError] = useState(null);
   const [randomMealLoading, setRandomMealLoading] = useState(false);
   const [randomMealError, setRandomMealError] = useState(null);
+  const [pollId, setPollId] = useState(getPollIdFromUrl);
+  const [pollCreating, setPollCreating] = useState(false);
+  const [pollError, setPollError] = useState(null);
+  const [priceTier, setPriceTier] = useState(loadPriceTier);
 
   /**
    * Loads all menus from the API
@@ -44,6 +80,14 @@ function App() {
       setMenus(menusWithoutSelection);
       setLastUpdated(data.lastUpdated);
 
+      // Badges for dishes changed since the first scrape are optional
+      try {
+        const changes = await apiService.getMenuChanges();
+        setUpdatedItems(changes.updatedItems || {});
+      } catch (changesError) {
+        console.warn('⚠️ Failed to load menu changes:', changesError);
+      }
+
       console.log(`✅ Loaded ${data.menus.length} menus`);
     } catch (err) {
       console.error('❌ Failed to load menus:', err);
@@ -161,6 +205,59 @@ function App() {
     }
   }, []);
 
+  /**
+   * Starts a lunch poll between today's menus and opens its shareable link
+   */
+  const handleCreatePoll = useCallback(async () => {
+    try {
+      setPollCreating(true);
+      setPollError(null);
+
+      console.log('🗳️ Creating lunch poll...');
+      const data = await apiService.createPoll();
+
+      window.history.pushState(
+        null,
+        '',
+        `?poll=${encodeURIComponent(data.poll.id)}`
+      );
+      setPollId(data.poll.id);
+
+      console.log(`✅ Created poll ${data.poll.id}`);
+    } catch (err) {
+      console.error('❌ Failed to create poll:', err);
+      setPollError({
+        message: err.message || 'Failed to create poll',
+        canRetry: err.retry !== false,
+        type: 'error',
+      });
+    } finally {
+      setPollCreating(false);
+    }
+  }, []);
+
+  /**
+   * Closes the poll view and drops the poll from the URL
+   */
+  const closePoll = useCallback(() => {
+    window.history.pushState(null, '', window.location.pathname);
+    setPollId(null);
+  }, []);
+
+  /**
+   * Shows the prices of another customer tier and remembers the choice
+   */
+  const handlePriceTierChange = useCallback((event) => {
+    const tier = event.target.value;
+    setPriceTier(tier);
+
+    try {
+      window.localStorage.setItem(PRICE_TIER_STORAGE_KEY, tier);
+    } catch (storageError) {
+      // The tier just won't be remembered
+    }
+  }, []);
+
   /**
    * Handles retry for main menu loading
    */
@@ -219,6 +316,30 @@ function App() {
     loadMenus(true);
   }, [loadMenus]);
 
+  // Reload when the menus change on the server: live over Server-Sent
+  // Events, or by polling where EventSource is unavailable
+  useEffect(() => {
+    const reload = () => loadMenus(false);
+    const unsubscribe = apiService.subscribeToEvents({
+      'menus.updated': reload,
+      'cache.cleared': reload,
+    });
+
+    if (unsubscribe) {
+      return unsubscribe;
+    }
+
+    const interval = setInterval(reload, MENU_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadMenus]);
+
+  // Follow the poll link when navigating back and forward
+  useEffect(() => {
+    const handlePopState = () => setPollId(getPollIdFromUrl());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
   // Format last updated time
   const formatLastUpdated = (timestamp) => {
     if (!timestamp) return '';
@@ -256,9 +377,23 @@ function App() {
             </button>
           </div>
         )}
+
+        <label className='price-tier-setting'>
+          Prices for{' '}
+          <select value={priceTier} onChange={handlePriceTierChange}>
+            {PRICE_TIERS.map(({ id, label }) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
       </header>
 
       <main className='app-main'>
+        {/* Lunch Poll */}
+        {pollId && <PollView pollId={pollId} onClose={closePoll} />}
+
         {/* Random Selection Section */}
         <section className='random-selection-section'>
           <h2>Feeling Adventurous?</h2>
@@ -283,6 +418,20 @@ function App() {
             </button>
           </div>
 
+          {!pollId && (
+            <div style={{ marginTop: '8px' }}>
+              <button
+                className='clear-selection-button'
+                onClick={handleCreatePoll}
+                disabled={loading || menus.length < 2 || pollCreating}
+                aria-label='Start a lunch poll between the menus'
+                title='Start a Lunch Poll'
+              >
+                {pollCreating ? 'Starting Poll...' : 'Start a Lunch Poll'}
+              </button>
+            </div>
+          )}
+
           {randomSelectionError && (
             <ErrorMessage
               message={randomSelectionError.message}
@@ -309,6 +458,18 @@ function App() {
             />
           )}
 
+          {pollError && (
+            <ErrorMessage
+              message={pollError.message}
+              type={pollError.type}
+              severity='error'
+              canRetry={pollError.canRetry}
+              onRetry={handleCreatePoll}
+              dismissible={true}
+              onDismiss={() => setPollError(null)}
+            />
+          )}
+
           {menus.some((menu) => menu.isSelected) && (
             <div className='selection-actions'>
               <button
@@ -357,7 +518,11 @@ function App() {
         {/* Menu List */}
         {!loading && !error && (
           <section className='menus-section'>
-            <MenuList menus={menus} />
+            <MenuList
+              menus={menus}
+              updatedItems={updatedItems}
+              priceTier={priceTier}
+            />
           </section>
         )}
 
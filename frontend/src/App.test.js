@@ -1,4 +1,4 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import App from './App';
 
 test('renders tunisafka app', () => {
@@ -16,3 +16,15 @@ test('renders random button', () => {
   });
   expect(randomButton).toBeInTheDocument();
 });
+
+test('remembers the chosen price tier', () => {
+  window.localStorage.clear();
+  render(<App />);
+
+  const select = screen.getByLabelText(/prices for/i);
+  expect(select).toHaveValue('student');
+
+  fireEvent.change(select, { target: { value: 'staff' } });
+  expect(select).toHaveValue('staff');
+  expect(window.localStorage.getItem('tunisafka-price-tier')).toBe('staff');
+});
@@ -6,7 +6,19 @@
 import React from 'react';
 import './MenuCard.css';
 
-const MenuCard = ({ menu }) => {
+/**
+ * Gets the keys the backend's change log uses for a menu's items: the item
+ * ID, followed by #2, #3… for later items with the same ID
+ */
+const getItemKeys = (items) => {
+  const counts = {};
+  return items.map((item) => {
+    counts[item.id] = (counts[item.id] || 0) + 1;
+    return counts[item.id] === 1 ? item.id : `${item.id}#${counts[item.id]}`;
+  });
+};
+
+const MenuCard = ({ menu, updatedItemIds = [], priceTier = 'student' }) => {
   if (!menu) {
     return null;
   }
@@ -21,11 +33,70 @@ const MenuCard = ({ menu }) => {
     lastUpdated,
   } = menu;
 
+  const itemKeys = getItemKeys(items);
+
   const formatTime = (timeString) => {
     if (!timeString) return '';
     return timeString;
   };
 
+  // Items list { currency, student, staff, guest } prices; older data only
+  // has the price string
+  const formatPrice = (item) => {
+    if (!item.prices) {
+      return item.price;
+    }
+
+    const amount = item.prices[priceTier];
+    if (typeof amount !== 'number') {
+      return '';
+    }
+
+    return item.prices.currency === 'EUR'
+      ? `€${amount.toFixed(2)}`
+      : `${amount.toFixed(2)} ${item.prices.currency}`;
+  };
+
+  // Allergens are { allergen, state } objects; older data has plain labels
+  const ALLERGEN_STATES = {
+    contains: { icon: '⚠️', label: 'Contains' },
+    'may-contain': { icon: '❔', label: 'May contain' },
+    'free-of': { icon: '✅', label: 'Free of' },
+  };
+
+  const formatAllergen = (allergen) => {
+    if (typeof allergen === 'string') {
+      return {
+        state: 'contains',
+        text: `${ALLERGEN_STATES.contains.icon} ${allergen}`,
+      };
+    }
+
+    const state = ALLERGEN_STATES[allergen.state] || ALLERGEN_STATES.contains;
+    return {
+      state: allergen.state,
+      text: `${state.icon} ${state.label} ${allergen.allergen}`,
+    };
+  };
+
+  // Per-portion nutrition and carbon footprint, in display order
+  const NUTRITION_FIELDS = [
+    { field: 'kcal', label: 'Energy', unit: 'kcal' },
+    { field: 'protein', label: 'Protein', unit: 'g' },
+    { field: 'carbs', label: 'Carbs', unit: 'g' },
+    { field: 'fat', label: 'Fat', unit: 'g' },
+    { field: 'salt', label: 'Salt', unit: 'g' },
+    { field: 'co2e', label: 'CO₂e', unit: 'kg' },
+  ];
+
+  const formatNutrition = (nutrition) =>
+    NUTRITION_FIELDS.filter(
+      ({ field }) => nutrition && typeof nutrition[field] === 'number'
+    ).map(({ field, label, unit }) => ({
+      field,
+      text: `${label} ${nutrition[field]} ${unit}`,
+    }));
+
   const formatDays = (days) => {
     if (!days || !Array.isArray(days) || days.length === 0) {
       return 'Daily';
@@ -102,11 +173,19 @@ const MenuCard = ({ menu }) => {
 
             <ul className='items-list'>
               {items.map((item, index) => (
-                <li key={item.id || index} className='menu-item'>
+                <li key={itemKeys[index] || index} className='menu-item'>
                   <div className='item-main'>
                     <span className='item-name'>{item.name}</span>
-                    {item.price && (
-                      <span className='item-price'>{item.price}</span>
+                    {updatedItemIds.includes(itemKeys[index]) && (
+                      <span
+                        className='updated-badge'
+                        title='Changed since the menu was first published today'
+                      >
+                        updated
+                      </span>
+                    )}
+                    {formatPrice(item) && (
+                      <span className='item-price'>{formatPrice(item)}</span>
                     )}
                   </div>
 
@@ -136,11 +215,34 @@ const MenuCard = ({ menu }) => {
                         className='allergen-tags'
                         aria-label='Allergen information'
                       >
-                        {item.allergens.map((allergen, idx) => (
-                          <span key={idx} className='tag allergen-tag'>
-                            ⚠️ {allergen}
-                          </span>
-                        ))}
+                        {item.allergens
+                          .map(formatAllergen)
+                          .map(({ state, text }, idx) => (
+                            <span
+                              key={idx}
+                              className={`tag allergen-tag allergen-${state}`}
+                            >
+                              {text}
+                            </span>
+                          ))}
+                      </div>
+                    )}
+
+                    {formatNutrition(item.nutrition).length > 0 && (
+                      <div
+                        className='nutrition-values'
+                        aria-label='Nutrition per portion'
+                      >
+                        {formatNutrition(item.nutrition).map(
+                          ({ field, text }) => (
+                            <span
+                              key={field}
+                              className={`nutrition-value nutrition-${field}`}
+                            >
+                              {text}
+                            </span>
+                          )
+                        )}
                       </div>
                     )}
                   </div>
@@ -7,7 +7,7 @@ import React from 'react';
 import MenuCard from './MenuCard';
 import './MenuList.css';
 
-const MenuList = ({ menus }) => {
+const MenuList = ({ menus, updatedItems = {}, priceTier }) => {
   // Handle null/undefined menus
   if (!menus || !Array.isArray(menus)) {
     return (
@@ -43,7 +43,11 @@ const MenuList = ({ menus }) => {
           className={`menu-list-item ${menu.isSelected ? 'selected' : ''}`}
           aria-label={menu.isSelected ? 'Selected menu' : undefined}
         >
-          <MenuCard menu={menu} />
+          <MenuCard
+            menu={menu}
+            updatedItemIds={updatedItems[menu.id]}
+            priceTier={priceTier}
+          />
         </div>
       ))}
     </div>
@@ -0,0 +1,253 @@
+/**
+ * PollView Component
+ * Group lunch vote between today's menus, with a link to share with others
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+import apiService from '../services/ApiService';
+import './PollView.css';
+
+const PARTICIPANT_STORAGE_KEY = 'tunisafka-poll-participant';
+const REFRESH_INTERVAL_MS = 15000;
+
+/**
+ * Gets the shareable link of a poll
+ */
+export const getPollShareUrl = (pollId) =>
+  `${window.location.origin}${window.location.pathname}?poll=${encodeURIComponent(pollId)}`;
+
+const loadParticipant = () => {
+  try {
+    return window.localStorage.getItem(PARTICIPANT_STORAGE_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+};
+
+const PollView = ({ pollId, onClose }) => {
+  const [poll, setPoll] = useState(null);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [participant, setParticipant] = useState(loadParticipant);
+  const [voting, setVoting] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  /**
+   * Loads the poll and its results
+   */
+  const loadPoll = useCallback(async () => {
+    try {
+      setError(null);
+      const data = await apiService.getPoll(pollId);
+      setPoll(data.poll);
+      setResults(data.results);
+    } catch (err) {
+      console.error('❌ Failed to load poll:', err);
+      setError({
+        message: err.message || 'Failed to load poll',
+        canRetry: err.code !== 'POLL_NOT_FOUND',
+        type: err.code === 'POLL_NOT_FOUND' ? 'no-data' : 'error',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [pollId]);
+
+  /**
+   * Votes for an option under the participant's name
+   */
+  const handleVote = async (optionId) => {
+    const name = participant.trim();
+    if (!name) {
+      setError({
+        message: 'Enter your name before voting',
+        canRetry: false,
+        type: 'error',
+      });
+      return;
+    }
+
+    try {
+      setVoting(true);
+      setError(null);
+      const data = await apiService.votePoll(pollId, name, optionId);
+      setPoll(data.poll);
+      setResults(data.results);
+
+      try {
+        window.localStorage.setItem(PARTICIPANT_STORAGE_KEY, name);
+      } catch (storageError) {
+        // The name just won't be remembered
+      }
+    } catch (err) {
+      console.error('❌ Failed to vote:', err);
+      setError({
+        message: err.message || 'Failed to record vote',
+        canRetry: false,
+        type: 'error',
+      });
+    } finally {
+      setVoting(false);
+    }
+  };
+
+  /**
+   * Copies the poll link to the clipboard
+   */
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getPollShareUrl(pollId));
+      setCopied(true);
+    } catch (err) {
+      setCopied(false);
+    }
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    loadPoll();
+
+    // Pick up other participants' votes, live or by polling
+    const unsubscribe = apiService.subscribeToEvents({
+      'poll.updated': (event) => {
+        if (event.pollId === pollId) {
+          loadPoll();
+        }
+      },
+    });
+
+    if (unsubscribe) {
+      return unsubscribe;
+    }
+
+    const interval = setInterval(loadPoll, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadPoll, pollId]);
+
+  if (loading) {
+    return (
+      <LoadingSpinner
+        isVisible={true}
+        size='medium'
+        centered={true}
+        message='Loading poll...'
+      />
+    );
+  }
+
+  const ownVote = poll?.votes.find(
+    (vote) =>
+      vote.participant.toLowerCase() === participant.trim().toLowerCase()
+  );
+
+  return (
+    <section className='poll-view' data-testid='poll-view'>
+      <div className='poll-header'>
+        <h2>🗳️ {poll ? poll.title : 'Lunch Poll'}</h2>
+        {onClose && (
+          <button
+            type='button'
+            className='poll-close-button'
+            onClick={onClose}
+            aria-label='Close poll'
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <ErrorMessage
+          message={error.message}
+          type={error.type}
+          severity='error'
+          canRetry={error.canRetry}
+          onRetry={loadPoll}
+          dismissible={true}
+          onDismiss={() => setError(null)}
+        />
+      )}
+
+      {poll && results && (
+        <>
+          <div className='poll-share'>
+            <input
+              type='text'
+              readOnly
+              value={getPollShareUrl(poll.id)}
+              aria-label='Poll link'
+              onFocus={(event) => event.target.select()}
+            />
+            <button
+              type='button'
+              className='poll-copy-button'
+              onClick={handleCopyLink}
+            >
+              {copied ? 'Copied!' : 'Copy Link'}
+            </button>
+          </div>
+
+          {!results.isClosed && (
+            <label className='poll-participant'>
+              Your name
+              <input
+                type='text'
+                value={participant}
+                maxLength={40}
+                onChange={(event) => setParticipant(event.target.value)}
+                placeholder='e.g. Aino'
+              />
+            </label>
+          )}
+
+          <ul className='poll-options'>
+            {results.tally.map((option) => (
+              <li
+                key={option.id}
+                className={`poll-option ${results.winner?.id === option.id ? 'winner' : ''}`}
+                data-testid={`poll-option-${option.id}`}
+              >
+                <div className='poll-option-info'>
+                  <span className='poll-option-title'>{option.title}</span>
+                  <span className='poll-option-votes'>
+                    {option.votes} {option.votes === 1 ? 'vote' : 'votes'}
+                  </span>
+                  {option.voters.length > 0 && (
+                    <small className='poll-option-voters'>
+                      {option.voters.join(', ')}
+                    </small>
+                  )}
+                </div>
+                {!results.isClosed && (
+                  <button
+                    type='button'
+                    className='poll-vote-button'
+                    onClick={() => handleVote(option.id)}
+                    disabled={voting || ownVote?.optionId === option.id}
+                    aria-label={`Vote for ${option.title}`}
+                  >
+                    {ownVote?.optionId === option.id ? 'Voted' : 'Vote'}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          <p className='poll-result' data-testid='poll-result'>
+            {results.winner
+              ? `${results.isClosed ? 'Winner' : 'Leading'}: ${results.winner.title}${
+                  results.tieBreak ? ' (tie broken at random)' : ''
+                }`
+              : 'No votes yet'}
+            {results.isClosed && ' · Voting has closed'}
+          </p>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default PollView;
@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, within } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import MenuCard from '../MenuCard';
 
@@ -100,6 +100,82 @@ describe('MenuCard Component', () => {
       expect(screen.getByText(/contains gluten/i)).toBeInTheDocument();
     });
 
+    test('should display structured allergens with their state', () => {
+      const menu = {
+        ...mockMenu,
+        items: [
+          {
+            ...mockMenu.items[0],
+            allergens: [
+              { allergen: 'peanuts', state: 'contains' },
+              { allergen: 'nuts', state: 'may-contain' },
+              { allergen: 'milk', state: 'free-of' },
+            ],
+          },
+        ],
+      };
+
+      render(<MenuCard menu={menu} />);
+
+      expect(screen.getByText(/contains peanuts/i)).toHaveClass(
+        'allergen-contains'
+      );
+      expect(screen.getByText(/may contain nuts/i)).toHaveClass(
+        'allergen-may-contain'
+      );
+      expect(screen.getByText(/free of milk/i)).toHaveClass('allergen-free-of');
+    });
+
+    test('should display the price of the chosen customer tier', () => {
+      const menu = {
+        ...mockMenu,
+        items: [
+          {
+            ...mockMenu.items[0],
+            price: '€2.95',
+            prices: { currency: 'EUR', student: 2.95, staff: 5.7, guest: null },
+          },
+        ],
+      };
+
+      const { rerender } = render(<MenuCard menu={menu} />);
+      expect(screen.getByText('€2.95')).toBeInTheDocument();
+
+      rerender(<MenuCard menu={menu} priceTier='staff' />);
+      expect(screen.getByText('€5.70')).toBeInTheDocument();
+
+      rerender(<MenuCard menu={menu} priceTier='guest' />);
+      expect(screen.queryByText(/€/)).not.toBeInTheDocument();
+    });
+
+    test('should display nutrition and carbon footprint per portion', () => {
+      const menu = {
+        ...mockMenu,
+        items: [
+          {
+            ...mockMenu.items[0],
+            nutrition: { kcal: 620, protein: 32, co2e: 0.38 },
+          },
+          mockMenu.items[1],
+        ],
+      };
+
+      render(<MenuCard menu={menu} />);
+
+      const nutrition = screen.getAllByLabelText('Nutrition per portion');
+      expect(nutrition).toHaveLength(1);
+      expect(
+        within(nutrition[0]).getByText('Energy 620 kcal')
+      ).toBeInTheDocument();
+      expect(
+        within(nutrition[0]).getByText('Protein 32 g')
+      ).toBeInTheDocument();
+      expect(within(nutrition[0]).getByText('CO₂e 0.38 kg')).toHaveClass(
+        'nutrition-co2e'
+      );
+      expect(within(nutrition[0]).queryByText(/Fat/)).not.toBeInTheDocument();
+    });
+
     test('should display availability information', () => {
       render(<MenuCard menu={mockMenu} />);
 
@@ -151,6 +227,44 @@ describe('MenuCard Component', () => {
     });
   });
 
+  describe('Changed Items', () => {
+    test('should mark items changed since the first scrape as updated', () => {
+      render(<MenuCard menu={mockMenu} updatedItemIds={['veggie-pasta']} />);
+
+      expect(screen.getAllByText('updated')).toHaveLength(1);
+
+      const [curry, pasta] = screen
+        .getAllByRole('listitem')
+        .filter((item) =>
+          /Chicken Curry|Vegetable Pasta/.test(item.textContent)
+        );
+      expect(within(pasta).getByText('updated')).toBeInTheDocument();
+      expect(within(curry).queryByText('updated')).not.toBeInTheDocument();
+    });
+
+    test('should tell apart changed items that share a name', () => {
+      const menu = {
+        ...mockMenu,
+        items: [
+          { id: 'lunch', name: 'LUNCH', description: 'Pea soup' },
+          { id: 'lunch', name: 'LUNCH', description: 'Meatballs' },
+        ],
+      };
+
+      render(<MenuCard menu={menu} updatedItemIds={['lunch#2']} />);
+
+      const [soup, meatballs] = screen.getAllByRole('listitem');
+      expect(within(meatballs).getByText('updated')).toBeInTheDocument();
+      expect(within(soup).queryByText('updated')).not.toBeInTheDocument();
+    });
+
+    test('should not show updated badges by default', () => {
+      render(<MenuCard menu={mockMenu} />);
+
+      expect(screen.queryByText('updated')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Empty State Handling', () => {
     test('should handle menu with no items gracefully', () => {
       render(<MenuCard menu={mockEmptyMenu} />);
@@ -0,0 +1,147 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import PollView, { getPollShareUrl } from '../PollView';
+import apiService from '../../services/ApiService';
+
+jest.mock('../../services/ApiService', () => ({
+  __esModule: true,
+  default: {
+    getPoll: jest.fn(),
+    votePoll: jest.fn(),
+    subscribeToEvents: jest.fn(() => null),
+  },
+}));
+
+const poll = {
+  id: 'abc123def456',
+  title: 'Friday lunch',
+  date: '2025-09-19',
+  options: [
+    { id: 'hertsi', title: 'Hertsi', source: 'unisafka-tty' },
+    { id: 'reaktori', title: 'Reaktori', source: 'unisafka-tty' },
+  ],
+  votes: [],
+  createdAt: '2025-09-19T08:00:00.000Z',
+  closesAt: null,
+};
+
+const resultsWith = (votes) => {
+  const tally = poll.options.map((option) => {
+    const voters = votes
+      .filter((vote) => vote.optionId === option.id)
+      .map((vote) => vote.participant);
+    return { ...option, votes: voters.length, voters };
+  });
+  const top = Math.max(...tally.map((entry) => entry.votes));
+
+  return {
+    tally,
+    totalVotes: votes.length,
+    winner:
+      top > 0
+        ? (({ id, title, votes: count }) => ({ id, title, votes: count }))(
+            tally.find((entry) => entry.votes === top)
+          )
+        : null,
+    tieBreak: null,
+    isClosed: false,
+  };
+};
+
+describe('PollView Component', () => {
+  const user = userEvent.setup();
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    apiService.getPoll.mockResolvedValue({ poll, results: resultsWith([]) });
+    apiService.getPoll.mockClear();
+    apiService.votePoll.mockReset();
+  });
+
+  test('should show the options, vote counts and a shareable link', async () => {
+    render(<PollView pollId={poll.id} />);
+
+    expect(await screen.findByText(/friday lunch/i)).toBeInTheDocument();
+    expect(screen.getByTestId('poll-option-hertsi')).toHaveTextContent(
+      '0 votes'
+    );
+    expect(screen.getByLabelText(/poll link/i)).toHaveValue(
+      getPollShareUrl(poll.id)
+    );
+    expect(screen.getByTestId('poll-result')).toHaveTextContent(
+      /no votes yet/i
+    );
+    expect(getPollShareUrl(poll.id)).toMatch(/\?poll=abc123def456$/);
+  });
+
+  test('should vote under the entered name and show the leader', async () => {
+    const votes = [{ participant: 'Aino', optionId: 'reaktori', votedAt: '' }];
+    apiService.votePoll.mockResolvedValue({
+      poll: { ...poll, votes },
+      results: resultsWith(votes),
+    });
+
+    render(<PollView pollId={poll.id} />);
+
+    await user.type(await screen.findByLabelText(/your name/i), 'Aino');
+    await user.click(
+      screen.getByRole('button', { name: /vote for reaktori/i })
+    );
+
+    expect(apiService.votePoll).toHaveBeenCalledWith(
+      poll.id,
+      'Aino',
+      'reaktori'
+    );
+    await waitFor(() =>
+      expect(screen.getByTestId('poll-result')).toHaveTextContent(
+        /leading: reaktori/i
+      )
+    );
+    expect(screen.getByTestId('poll-option-reaktori')).toHaveClass('winner');
+    expect(window.localStorage.getItem('tunisafka-poll-participant')).toBe(
+      'Aino'
+    );
+  });
+
+  test('should ask for a name before voting', async () => {
+    render(<PollView pollId={poll.id} />);
+
+    await user.click(
+      await screen.findByRole('button', { name: /vote for hertsi/i })
+    );
+
+    expect(apiService.votePoll).not.toHaveBeenCalled();
+    expect(screen.getByText(/enter your name/i)).toBeInTheDocument();
+  });
+
+  test('should reload when this poll is updated elsewhere', async () => {
+    let handlers;
+    apiService.subscribeToEvents.mockImplementationOnce((received) => {
+      handlers = received;
+      return jest.fn();
+    });
+
+    render(<PollView pollId={poll.id} />);
+    await screen.findByText(/friday lunch/i);
+    expect(apiService.getPoll).toHaveBeenCalledTimes(1);
+
+    handlers['poll.updated']({ pollId: 'another-poll' });
+    handlers['poll.updated']({ pollId: poll.id });
+
+    await waitFor(() => expect(apiService.getPoll).toHaveBeenCalledTimes(2));
+  });
+
+  test('should show an error for a missing poll', async () => {
+    apiService.getPoll.mockRejectedValue({
+      message: "Poll with ID 'gone' not found",
+      code: 'POLL_NOT_FOUND',
+    });
+
+    render(<PollView pollId='gone' />);
+
+    expect(await screen.findByText(/not found/i)).toBeInTheDocument();
+  });
+});
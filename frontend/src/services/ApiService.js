@@ -5,10 +5,13 @@
 
 import axios from 'axios';
 
+const CLIENT_ID_STORAGE_KEY = 'tunisafka-client-id';
+
 class ApiService {
   constructor() {
     this.baseURL = this.getBaseURL();
     this.timeout = 30000; // 30 second timeout (for menu scraping)
+    this.clientId = this.getClientId();
 
     // Create axios instance
     this.client = axios.create({
@@ -17,6 +20,7 @@ class ApiService {
       headers: {
         'Content-Type': 'application/json',
         Accept: 'application/json',
+        'X-Client-Id': this.clientId,
       },
     });
 
@@ -42,6 +46,34 @@ class ApiService {
     return '/api';
   }
 
+  /**
+   * Gets the anonymous ID the backend keeps this browser's selection history
+   * under, creating and storing one on first use
+   */
+  getClientId() {
+    try {
+      const storedId = window.localStorage.getItem(CLIENT_ID_STORAGE_KEY);
+      if (storedId) {
+        return storedId;
+      }
+    } catch (error) {
+      // Storage can be unavailable (private browsing); use a per-session ID
+    }
+
+    const clientId =
+      window.crypto && typeof window.crypto.randomUUID === 'function'
+        ? window.crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+    try {
+      window.localStorage.setItem(CLIENT_ID_STORAGE_KEY, clientId);
+    } catch (error) {
+      // Keep the ID for this session only
+    }
+
+    return clientId;
+  }
+
   /**
    * Sets up axios interceptors for request/response handling
    */
@@ -122,11 +154,31 @@ class ApiService {
   }
 
   /**
-   * Gets all available menus
+   * Gets all available menus, optionally filtered by campus and restaurant IDs
+   */
+  async getMenus({ campus = [], restaurant = [] } = {}) {
+    try {
+      const params = {};
+      if (campus.length > 0) {
+        params.campus = campus.join(',');
+      }
+      if (restaurant.length > 0) {
+        params.restaurant = restaurant.join(',');
+      }
+
+      const response = await this.client.get('/menus', { params });
+      return response.data;
+    } catch (error) {
+      throw this.transformError(error);
+    }
+  }
+
+  /**
+   * Gets the restaurants that menus can be filtered by
    */
-  async getMenus() {
+  async getRestaurants() {
     try {
-      const response = await this.client.get('/menus');
+      const response = await this.client.get('/restaurants');
       return response.data;
     } catch (error) {
       throw this.transformError(error);
@@ -145,6 +197,26 @@ class ApiService {
     }
   }
 
+  /**
+   * Gets a menu selected with weights, with the weight every candidate got
+   */
+  async getWeightedRandomMenu(weights = {}) {
+    try {
+      const { favouriteRestaurants = [], ...bonuses } = weights;
+      const params = { ...bonuses };
+      if (favouriteRestaurants.length > 0) {
+        params.favourite = favouriteRestaurants.join(',');
+      }
+
+      const response = await this.client.get('/menus/random/weighted', {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      throw this.transformError(error);
+    }
+  }
+
   /**
    * Gets a randomly selected single meal (menu item)
    */
@@ -207,6 +279,20 @@ class ApiService {
     }
   }
 
+  /**
+   * Searches dishes across archived days
+   */
+  async searchMenus(query, { from, to } = {}) {
+    try {
+      const response = await this.client.get('/menus/search', {
+        params: { q: query, from, to },
+      });
+      return response.data;
+    } catch (error) {
+      throw this.transformError(error);
+    }
+  }
+
   /**
    * Gets currently available menus
    */
@@ -219,6 +305,20 @@ class ApiService {
     }
   }
 
+  /**
+   * Gets the menu changes detected between scrapes of a date (default today)
+   */
+  async getMenuChanges(date) {
+    try {
+      const response = await this.client.get('/menus/changes', {
+        params: date ? { date } : {},
+      });
+      return response.data;
+    } catch (error) {
+      throw this.transformError(error);
+    }
+  }
+
   /**
    * Gets a specific menu by ID
    */
@@ -273,6 +373,93 @@ class ApiService {
     }
   }
 
+  /**
+   * Creates a lunch poll from today's menus, or a subset of them
+   */
+  async createPoll({ title, menuIds, closesInMinutes } = {}) {
+    try {
+      const response = await this.client.post('/polls', {
+        title,
+        menuIds,
+        closesInMinutes,
+      });
+      return response.data;
+    } catch (error) {
+      throw this.transformError(error);
+    }
+  }
+
+  /**
+   * Gets a lunch poll with its tally and winner
+   */
+  async getPoll(pollId) {
+    try {
+      const response = await this.client.get(
+        `/polls/${encodeURIComponent(pollId)}`
+      );
+      return response.data;
+    } catch (error) {
+      throw this.transformError(error);
+    }
+  }
+
+  /**
+   * Votes for an option in a lunch poll
+   */
+  async votePoll(pollId, participant, optionId) {
+    try {
+      const response = await this.client.post(
+        `/polls/${encodeURIComponent(pollId)}/votes`,
+        { participant, optionId }
+      );
+      return response.data;
+    } catch (error) {
+      throw this.transformError(error);
+    }
+  }
+
+  /**
+   * Subscribes to live update events ({ 'menus.updated': handler, ... }).
+   * Subscribers share one EventSource. Returns an unsubscribe function, or
+   * null when the browser has no EventSource and the caller should poll.
+   */
+  subscribeToEvents(handlers) {
+    if (typeof window.EventSource !== 'function') {
+      return null;
+    }
+
+    if (!this.eventSource) {
+      this.eventSource = new window.EventSource(`${this.baseURL}/events`);
+      this.eventSubscribers = 0;
+    }
+
+    const eventSource = this.eventSource;
+    const listeners = Object.entries(handlers).map(([type, handler]) => {
+      const listener = (event) => {
+        try {
+          handler(JSON.parse(event.data));
+        } catch (error) {
+          console.error(`❌ Failed to handle ${type} event:`, error);
+        }
+      };
+      eventSource.addEventListener(type, listener);
+      return [type, listener];
+    });
+    this.eventSubscribers += 1;
+
+    return () => {
+      listeners.forEach(([type, listener]) =>
+        eventSource.removeEventListener(type, listener)
+      );
+      this.eventSubscribers -= 1;
+
+      if (this.eventSubscribers === 0 && this.eventSource === eventSource) {
+        eventSource.close();
+        this.eventSource = null;
+      }
+    };
+  }
+
   /**
    * Generic GET request with error handling
    */